@@ -1,5 +1,20 @@
 const AdminAuthService = require('../services/AdminAuthService');
+const OidcService = require('../../sso/services/OidcService');
 const { errorResponse, successResponse } = require('../../utils/respondHandler');
+const { getRequestContext, getCookie } = require('../../utils/requestContext');
+const { NODE_ENV } = require('../../config/config');
+
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Too many failed attempts. Please try again later';
+const PASSWORDLESS_DISABLED_MESSAGE = 'Passwordless login is disabled';
+const SSO_NOT_CONFIGURED_MESSAGE = 'Single sign-on is not configured';
+const IDP_UNAVAILABLE_MESSAGE = 'Identity provider request failed';
+const OIDC_BINDING_COOKIE = 'oidc_binding';
+const OIDC_BINDING_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/admin/login/oidc'
+};
 
 class AdminController {
     async login(req, res) {
@@ -8,22 +23,129 @@ class AdminController {
             if (!email || !password) {
                 return errorResponse(res, 'Email and password are required', 400);
             }
-            const result = await AdminAuthService.authenticateAdmin(email, password);
+            const result = await AdminAuthService.authenticateAdmin(email, password, getRequestContext(req));
+            if (result.twoFactorRequired) {
+                return successResponse(res, result, 'Two-factor authentication required');
+            }
+            return successResponse(res, result, 'Login successful');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
+    async verifyTwoFactor(req, res) {
+        try {
+            const { challengeToken, code } = req.body;
+            if (!challengeToken || !code) {
+                return errorResponse(res, 'Challenge token and authentication code are required', 400);
+            }
+            if (typeof code !== 'string') {
+                return errorResponse(res, 'Authentication code must be a string', 400);
+            }
+            const result = await AdminAuthService.verifyTwoFactorLogin(challengeToken, code, getRequestContext(req));
+            return successResponse(res, result, 'Login successful');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
+    async requestLoginCode(req, res) {
+        try {
+            const { email } = req.body;
+            if (!email) {
+                return errorResponse(res, 'Email is required', 400);
+            }
+            const result = await AdminAuthService.requestLoginCode(email, getRequestContext(req));
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            if (error.message === PASSWORDLESS_DISABLED_MESSAGE) {
+                return errorResponse(res, error.message, 403);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async verifyLoginCode(req, res) {
+        try {
+            const { email, code } = req.body;
+            if (!email || !code) {
+                return errorResponse(res, 'Email and login code are required', 400);
+            }
+            const result = await AdminAuthService.verifyLoginCode(email, code, getRequestContext(req));
+            if (result.twoFactorRequired) {
+                return successResponse(res, result, 'Two-factor authentication required');
+            }
+            return successResponse(res, result, 'Login successful');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            if (error.message === PASSWORDLESS_DISABLED_MESSAGE) {
+                return errorResponse(res, error.message, 403);
+            }
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
+    async startOidcLogin(req, res) {
+        try {
+            const { browserBinding, ...result } = await OidcService.beginLogin();
+            // The binding only lives in this browser, so a callback replayed from elsewhere cannot log this browser in
+            res.cookie(OIDC_BINDING_COOKIE, browserBinding, { ...OIDC_BINDING_COOKIE_OPTIONS, maxAge: result.expiresIn * 1000 });
+            return successResponse(res, result, 'Redirect to the identity provider to sign in');
+        } catch (error) {
+            if (error.message === SSO_NOT_CONFIGURED_MESSAGE) {
+                return errorResponse(res, error.message, 404);
+            }
+            return errorResponse(res, IDP_UNAVAILABLE_MESSAGE, 502);
+        }
+    }
+
+    async completeOidcLogin(req, res) {
+        try {
+            const { code, state } = req.body;
+            if (!code || !state) {
+                return errorResponse(res, 'Authorization code and state are required', 400);
+            }
+            const browserBinding = getCookie(req, OIDC_BINDING_COOKIE);
+            res.clearCookie(OIDC_BINDING_COOKIE, OIDC_BINDING_COOKIE_OPTIONS);
+            const result = await AdminAuthService.authenticateWithOidc(code, state, browserBinding, getRequestContext(req));
+            if (result.twoFactorRequired) {
+                return successResponse(res, result, 'Two-factor authentication required');
+            }
             return successResponse(res, result, 'Login successful');
         } catch (error) {
+            if (error.message === SSO_NOT_CONFIGURED_MESSAGE) {
+                return errorResponse(res, error.message, 404);
+            }
+            if (error.message === IDP_UNAVAILABLE_MESSAGE) {
+                return errorResponse(res, error.message, 502);
+            }
             return errorResponse(res, error.message, 401);
         }
     }
 
     async createAdmin(req, res) {
         try {
-            const { firstName, lastName, email, password } = req.body;
+            const { firstName, lastName, email, password, inviteToken } = req.body;
             if (!firstName || !lastName || !email || !password) {
                 return errorResponse(res, 'First name, last name, email, and password are required', 400);
             }
-            const newAdmin = await AdminAuthService.createAdminAccount(firstName, lastName, email, password);
+            const newAdmin = await AdminAuthService.createAdminAccount(firstName, lastName, email, password, inviteToken);
             return successResponse(res, newAdmin, 'Admin account created successfully. Please check your email for verification TOKEN.', 201);
         } catch (error) {
+            if (error.message === 'An invitation is required to create an admin account') {
+                return errorResponse(res, error.message, 403);
+            }
             return errorResponse(res, error.message, 400);
         }
     }
@@ -34,9 +156,12 @@ class AdminController {
             if (!email || !pin) {
                 return errorResponse(res, 'Email and verification PIN are required', 400);
             }
-            const result = await AdminAuthService.verifyEmail(email, pin);
+            const result = await AdminAuthService.verifyEmail(email, pin, getRequestContext(req));
             return successResponse(res, result, 'Email verified successfully');
         } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
             return errorResponse(res, error.message, 400);
         }
     }
@@ -69,26 +194,32 @@ class AdminController {
 
     async validateResetToken(req, res) {
         try {
-            const { token } = req.body;
-            if (!token) {
-                return errorResponse(res, 'Reset token is required', 400);
+            const { email, token } = req.body;
+            if (!email || !token) {
+                return errorResponse(res, 'Email and reset token are required', 400);
             }
-            const result = await AdminAuthService.validateResetToken(token);
+            const result = await AdminAuthService.validateResetToken(email, token, getRequestContext(req));
             return successResponse(res, result, 'Reset token is valid');
         } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
             return errorResponse(res, error.message, 400);
         }
     }
 
     async resetPassword(req, res) {
         try {
-            const { token, newPassword } = req.body;
-            if (!token || !newPassword) {
-                return errorResponse(res, 'Token and new password are required', 400);
+            const { email, token, newPassword } = req.body;
+            if (!email || !token || !newPassword) {
+                return errorResponse(res, 'Email, token and new password are required', 400);
             }
-            await AdminAuthService.resetPassword(token, newPassword);
+            await AdminAuthService.resetPassword(email, token, newPassword, getRequestContext(req));
             return successResponse(res, null, 'Password has been reset successfully');
         } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
             return errorResponse(res, error.message, 400);
         }
     }
@@ -98,21 +229,37 @@ class AdminController {
             if (!req.user) {
                 return errorResponse(res, 'Authentication required', 401);
             }
-            const { id: adminId } = req.user;
+            const { id: adminId, sid: sessionId } = req.user;
             const { oldPassword, newPassword } = req.body;
             if (!oldPassword || !newPassword) {
                 return errorResponse(res, 'Both old and new passwords are required', 400);
             }
-            const result = await AdminAuthService.changePassword(adminId, oldPassword, newPassword);
+            const result = await AdminAuthService.changePassword(adminId, oldPassword, newPassword, sessionId);
             return successResponse(res, null, result.message);
         } catch (error) {
             return errorResponse(res, error.message, 400);
         }
     }
 
+    async refreshToken(req, res) {
+        try {
+            const { refreshToken } = req.body;
+            if (!refreshToken) {
+                return errorResponse(res, 'Refresh token is required', 400);
+            }
+            const result = await AdminAuthService.refreshSession(refreshToken, getRequestContext(req));
+            return successResponse(res, result, 'Token refreshed successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
     async logout(req, res) {
         try {
-            const result = AdminAuthService.logoutUser();
+            if (!req.user) {
+                return errorResponse(res, 'Authentication required', 401);
+            }
+            const result = await AdminAuthService.logoutUser(req.user.sid);
             return successResponse(res, null, result.message);
         } catch (error) {
             return errorResponse(res, error.message);
@@ -0,0 +1,111 @@
+const AdminManagementService = require('../services/AdminManagementService');
+const {
+    errorResponse,
+    successResponse,
+    notFoundResponse,
+    paginatedResponse,
+    createPaginationInfo
+} = require('../../utils/respondHandler');
+
+class AdminManagementController {
+    async listAdmins(req, res) {
+        try {
+            const { search, role, isActive, page, limit } = req.query;
+
+            const filters = {};
+            if (search) filters.search = search;
+            if (role) filters.role = role;
+            if (isActive === 'true') filters.isActive = true;
+            if (isActive === 'false') filters.isActive = false;
+
+            const options = {};
+            if (page) options.page = parseInt(page);
+            if (limit) options.limit = parseInt(limit);
+
+            const result = await AdminManagementService.listAdmins(filters, options);
+            const paginationInfo = createPaginationInfo(result.page, result.limit, result.total);
+
+            return paginatedResponse(res, result.admins, paginationInfo, 'Admins retrieved successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async getAdmin(req, res) {
+        try {
+            const result = await AdminManagementService.getAdmin(req.params.id);
+            return successResponse(res, result, 'Admin retrieved successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async deactivateAdmin(req, res) {
+        try {
+            const result = await AdminManagementService.deactivateAdmin(req.user.id, req.params.id);
+            return successResponse(res, result, 'Admin deactivated successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async reactivateAdmin(req, res) {
+        try {
+            const result = await AdminManagementService.reactivateAdmin(req.params.id);
+            return successResponse(res, result, 'Admin reactivated successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async unlockAdmin(req, res) {
+        try {
+            const result = await AdminManagementService.unlockAdmin(req.params.id);
+            return successResponse(res, result, 'Admin unlocked successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async changeRole(req, res) {
+        try {
+            const { role } = req.body;
+            if (!role) {
+                return errorResponse(res, 'Role is required', 400);
+            }
+            const result = await AdminManagementService.changeRole(req.user.id, req.params.id, role);
+            return successResponse(res, result, 'Admin role updated successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async deleteAdmin(req, res) {
+        try {
+            const result = await AdminManagementService.deleteAdminAccount(req.user.id, req.params.id);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new AdminManagementController();
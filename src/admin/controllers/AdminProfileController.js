@@ -0,0 +1,73 @@
+const AdminProfileService = require('../services/AdminProfileService');
+const { errorResponse, successResponse, notFoundResponse } = require('../../utils/respondHandler');
+const { getRequestContext } = require('../../utils/requestContext');
+
+class AdminProfileController {
+    async getProfile(req, res) {
+        try {
+            const result = await AdminProfileService.getProfile(req.user.id);
+            return successResponse(res, result, 'Profile retrieved successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    // Name changes apply immediately; an email change only starts the verification flow
+    async updateProfile(req, res) {
+        try {
+            const { firstName, lastName, email, currentPassword } = req.body;
+            const hasNameChange = firstName !== undefined || lastName !== undefined;
+
+            if (!hasNameChange && email === undefined) {
+                return errorResponse(res, 'Provide firstName, lastName or email to update', 400);
+            }
+
+            if (email === undefined) {
+                const result = await AdminProfileService.updateProfile(req.user.id, { firstName, lastName });
+                return successResponse(res, result, 'Profile updated successfully');
+            }
+
+            const result = await AdminProfileService.updateProfileAndEmail(req.user.id, { firstName, lastName }, email, currentPassword);
+            if (result.pendingEmail && result.pendingEmail === email.trim().toLowerCase()) {
+                return successResponse(res, result, `Profile updated. Enter the PIN sent to ${result.pendingEmail} to confirm your new email`);
+            }
+
+            return successResponse(res, result, 'Profile updated successfully');
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async confirmEmailChange(req, res) {
+        try {
+            const { pin } = req.body;
+            if (!pin) {
+                return errorResponse(res, 'Verification PIN is required', 400);
+            }
+            const result = await AdminProfileService.confirmEmailChange(req.user.id, pin, getRequestContext(req));
+            return successResponse(res, result, 'Email changed successfully');
+        } catch (error) {
+            if (error.message === 'Too many failed attempts. Please try again later') {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async cancelEmailChange(req, res) {
+        try {
+            const result = await AdminProfileService.cancelEmailChange(req.user.id);
+            return successResponse(res, result, 'Email change cancelled');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new AdminProfileController();
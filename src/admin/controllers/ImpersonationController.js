@@ -0,0 +1,61 @@
+const ImpersonationService = require('../services/ImpersonationService');
+const { getRequestContext } = require('../../utils/requestContext');
+const {
+    errorResponse,
+    successResponse,
+    notFoundResponse,
+    paginatedResponse,
+    createPaginationInfo
+} = require('../../utils/respondHandler');
+
+class ImpersonationController {
+    async startImpersonation(req, res) {
+        try {
+            const { adminId, reason } = req.body;
+            if (!adminId || !reason) {
+                return errorResponse(res, 'Admin ID and reason are required', 400);
+            }
+            const result = await ImpersonationService.startImpersonation(req.user.id, adminId, reason, getRequestContext(req));
+            return successResponse(res, result, `Now impersonating ${result.impersonating.fullName}`, 201);
+        } catch (error) {
+            if (error.message === 'Admin not found') {
+                return notFoundResponse(res, 'Admin');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async endImpersonation(req, res) {
+        try {
+            const result = await ImpersonationService.endImpersonation(req.user, getRequestContext(req));
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async listAuditLogs(req, res) {
+        try {
+            const { actor, subject, session, action, page, limit } = req.query;
+
+            const filters = {};
+            if (actor) filters.actor = actor;
+            if (subject) filters.subject = subject;
+            if (session) filters.session = session;
+            if (action) filters.action = action;
+
+            const options = {};
+            if (page) options.page = parseInt(page);
+            if (limit) options.limit = parseInt(limit);
+
+            const result = await ImpersonationService.listAuditLogs(filters, options);
+            const paginationInfo = createPaginationInfo(result.page, result.limit, result.total);
+
+            return paginatedResponse(res, result.auditLogs, paginationInfo, 'Audit logs retrieved successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new ImpersonationController();
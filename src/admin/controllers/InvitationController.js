@@ -0,0 +1,61 @@
+const InvitationService = require('../services/InvitationService');
+const {
+    errorResponse,
+    successResponse,
+    notFoundResponse,
+    forbiddenResponse
+} = require('../../utils/respondHandler');
+
+class InvitationController {
+    async createInvitation(req, res) {
+        try {
+            const { email, role } = req.body;
+            if (!email) {
+                return errorResponse(res, 'Email is required', 400);
+            }
+            const result = await InvitationService.createInvitation(req.user, email, role);
+            return successResponse(res, result, 'Invitation sent successfully', 201);
+        } catch (error) {
+            if (error.message === 'Only super admins can invite super admins') {
+                return forbiddenResponse(res, error.message);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async listInvitations(req, res) {
+        try {
+            const result = await InvitationService.listInvitations(req.query.status);
+            return successResponse(res, result, 'Invitations retrieved successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async revokeInvitation(req, res) {
+        try {
+            const result = await InvitationService.revokeInvitation(req.params.id);
+            return successResponse(res, result, 'Invitation revoked successfully');
+        } catch (error) {
+            if (error.message === 'Invitation not found') {
+                return notFoundResponse(res, 'Invitation');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async validateInvitation(req, res) {
+        try {
+            const { token } = req.body;
+            if (!token) {
+                return errorResponse(res, 'Invitation token is required', 400);
+            }
+            const result = await InvitationService.validateInvitation(token);
+            return successResponse(res, result, 'Invitation is valid');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new InvitationController();
@@ -0,0 +1,54 @@
+const TwoFactorService = require('../services/TwoFactorService');
+const { errorResponse, successResponse } = require('../../utils/respondHandler');
+
+class TwoFactorController {
+    async beginEnrollment(req, res) {
+        try {
+            const result = await TwoFactorService.beginEnrollment(req.user.id);
+            return successResponse(res, result, 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async confirmEnrollment(req, res) {
+        try {
+            const { code } = req.body;
+            if (!code) {
+                return errorResponse(res, 'Authentication code is required', 400);
+            }
+            const result = await TwoFactorService.confirmEnrollment(req.user.id, code);
+            return successResponse(res, result, 'Two-factor authentication enabled. Store your recovery codes somewhere safe');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async disable(req, res) {
+        try {
+            const { password, code } = req.body;
+            if (!password || !code) {
+                return errorResponse(res, 'Password and authentication code are required', 400);
+            }
+            const result = await TwoFactorService.disable(req.user.id, password, code);
+            return successResponse(res, result, 'Two-factor authentication disabled successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async regenerateRecoveryCodes(req, res) {
+        try {
+            const { code } = req.body;
+            if (!code) {
+                return errorResponse(res, 'Authentication code is required', 400);
+            }
+            const result = await TwoFactorService.regenerateRecoveryCodes(req.user.id, code);
+            return successResponse(res, result, 'Recovery codes regenerated successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new TwoFactorController();
@@ -42,8 +42,11 @@ const adminSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: [true, 'Password is required'],
-        minlength: [6, 'Password must be at least 6 characters long']
+        required: [true, 'Password is required']
+    },
+    passwordHistory: {
+        type: [String],
+        default: undefined
     },
     role: {
         type: String,
@@ -54,6 +57,24 @@ const adminSchema = new mongoose.Schema({
     resetPasswordExpire: Date,
     emailVerificationPin: String,
     emailVerificationExpire: Date,
+    loginCode: String,
+    loginCodeExpire: Date,
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+            },
+            message: 'Please enter a valid email'
+        }
+    },
+    oidcSubject: {
+        type: String,
+        index: true,
+        sparse: true
+    },
     isEmailVerified: {
         type: Boolean,
         default: false
@@ -64,7 +85,18 @@ const adminSchema = new mongoose.Schema({
     },
     lastLogin: {
         type: Date
-    }
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: String,
+    twoFactorPendingSecret: String,
+    twoFactorRecoveryCodes: {
+        type: [String],
+        default: undefined
+    },
+    twoFactorLastUsedStep: Number
 }, {
     timestamps: true
 });
@@ -74,26 +106,40 @@ adminSchema.virtual('fullName').get(function() {
 });
 
 adminSchema.methods.createPasswordResetToken = function() {
-    const pin = Math.floor(100000 + Math.random() * 900000).toString();
+    const pin = crypto.randomInt(100000, 1000000).toString();
     this.resetPasswordToken = crypto.createHash('sha256').update(pin).digest('hex');
     this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
     return pin;
 };
 
 adminSchema.methods.createEmailVerificationPin = function() {
-    const pin = Math.floor(100000 + Math.random() * 900000).toString();
+    const pin = crypto.randomInt(100000, 1000000).toString();
     this.emailVerificationPin = crypto.createHash('sha256').update(pin).digest('hex');
     this.emailVerificationExpire = Date.now() + 15 * 60 * 1000;
     return pin;
 };
 
+adminSchema.methods.createLoginCode = function(expiresInMinutes = 10) {
+    const code = crypto.randomInt(100000, 1000000).toString();
+    this.loginCode = crypto.createHash('sha256').update(code).digest('hex');
+    this.loginCodeExpire = Date.now() + expiresInMinutes * 60 * 1000;
+    return code;
+};
+
 adminSchema.methods.toJSON = function() {
     const adminObject = this.toObject();
     delete adminObject.password;
+    delete adminObject.passwordHistory;
     delete adminObject.resetPasswordToken;
     delete adminObject.resetPasswordExpire;
     delete adminObject.emailVerificationPin;
     delete adminObject.emailVerificationExpire;
+    delete adminObject.loginCode;
+    delete adminObject.loginCodeExpire;
+    delete adminObject.twoFactorSecret;
+    delete adminObject.twoFactorPendingSecret;
+    delete adminObject.twoFactorRecoveryCodes;
+    delete adminObject.twoFactorLastUsedStep;
     delete adminObject._id;
     delete adminObject.__v;
     return adminObject;
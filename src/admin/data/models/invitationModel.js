@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+            },
+            message: 'Please enter a valid email'
+        }
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'super_admin'],
+        default: 'admin'
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Virtual for the lifecycle state of the invitation
+invitationSchema.virtual('status').get(function() {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+});
+
+// Method to sanitize output
+invitationSchema.methods.toJSON = function() {
+    const invitationObject = this.toObject({ virtuals: true });
+    delete invitationObject._id;
+    delete invitationObject.__v;
+    delete invitationObject.tokenHash;
+    return invitationObject;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -12,16 +12,57 @@ const findAdminByEmail = async (email) => {
     return Admin.findOne({ email });
 };
 
-const createAdmin = async (firstName, lastName, email, password) => {
-    const newAdmin = new Admin({ firstName, lastName, email, password });
+const createAdmin = async (firstName, lastName, email, password, role = 'admin') => {
+    const newAdmin = new Admin({ firstName, lastName, email, password, role });
     await newAdmin.save();
     return newAdmin;
 };
 
-const updatePassword = async (adminId, hashedPassword) => {
+const findAdminById = async (id) => {
+    return Admin.findById(id);
+};
+
+const findAdmins = async (filters = {}, options = {}) => {
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt'
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [admins, total] = await Promise.all([
+        Admin.find(filters).sort(sort).skip(skip).limit(limit),
+        Admin.countDocuments(filters)
+    ]);
+
+    return { admins, total };
+};
+
+const countAdmins = async (filters = {}) => {
+    return Admin.countDocuments(filters);
+};
+
+const updateAdmin = async (adminId, updateData) => {
+    const admin = await Admin.findByIdAndUpdate(
+        adminId,
+        { $set: updateData },
+        { new: true, runValidators: true }
+    );
+    if (!admin) throw new Error('Admin not found');
+    return admin;
+};
+
+const deleteAdmin = async (adminId) => {
+    const admin = await Admin.findByIdAndDelete(adminId);
+    if (!admin) throw new Error('Admin not found');
+    return admin;
+};
+
+const updatePassword = async (adminId, hashedPassword, passwordHistory = []) => {
     const admin = await Admin.findByIdAndUpdate(
         adminId,
-        { $set: { password: hashedPassword } },
+        { $set: { password: hashedPassword, passwordHistory } },
         { new: true }
     );
     if (!admin) throw new Error('Admin not found');
@@ -32,6 +73,11 @@ module.exports = {
     findAdminByEmail,
     findAdminByFirstName,
     findAdminByLastName,
+    findAdminById,
+    findAdmins,
+    countAdmins,
     createAdmin,
+    updateAdmin,
+    deleteAdmin,
     updatePassword
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+const Invitation = require('../models/invitationModel');
+
+const createInvitation = async (invitationData) => {
+    const newInvitation = new Invitation(invitationData);
+    await newInvitation.save();
+    return newInvitation;
+};
+
+const findInvitationById = async (id) => {
+    return Invitation.findById(id);
+};
+
+const findPendingInvitationByTokenHash = async (tokenHash) => {
+    return Invitation.findOne({
+        tokenHash,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+const findInvitations = async (filters = {}) => {
+    return Invitation.find(filters)
+        .populate('invitedBy', 'firstName lastName email')
+        .sort('-createdAt');
+};
+
+// Single use is enforced by only matching invitations that have not been accepted yet
+const acceptInvitation = async (tokenHash) => {
+    return Invitation.findOneAndUpdate(
+        {
+            tokenHash,
+            acceptedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { acceptedAt: new Date() } },
+        { new: true }
+    );
+};
+
+const updateInvitation = async (id, updateData) => {
+    return Invitation.findByIdAndUpdate(id, updateData, { new: true });
+};
+
+const revokePendingInvitationsByEmail = async (email) => {
+    return Invitation.updateMany(
+        { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+module.exports = {
+    createInvitation,
+    findInvitationById,
+    findPendingInvitationByTokenHash,
+    findInvitations,
+    acceptInvitation,
+    updateInvitation,
+    revokePendingInvitationsByEmail
+};
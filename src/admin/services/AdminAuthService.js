@@ -1,72 +1,214 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { findAdminByEmail, createAdmin, updatePassword } = require('../data/repositories/adminRepository');
-const { JWT_SECRET } = require('../../config/config');
+const { findAdminByEmail, findAdminById, createAdmin, updatePassword, countAdmins } = require('../data/repositories/adminRepository');
+const {
+    JWT_EXPIRES_IN,
+    CLIENT_URL,
+    ADMIN_OPEN_SIGNUP,
+    ADMIN_PASSWORDLESS_LOGIN,
+    LOGIN_CODE_EXPIRES_IN_MINUTES,
+    OIDC,
+    TWO_FACTOR_CHALLENGE_EXPIRES_IN
+} = require('../../config/config');
 const { sendEmail } = require('../../utils/emailHandler');
-const { checkIfAdminExists } = require('../../utils/validation');
+const { signToken } = require('../../utils/jwtHandler');
+const { checkIfAdminExists, checkIfUserExists } = require('../../utils/validation');
+const { validatePassword, assertPasswordNotReused, buildPasswordHistory } = require('../../utils/passwordPolicy');
 const Admin = require('../data/models/adminModel');
+const SessionService = require('../../session/services/SessionService');
+const InvitationService = require('./InvitationService');
+const TwoFactorService = require('./TwoFactorService');
+const OidcService = require('../../sso/services/OidcService');
+const BruteForceService = require('../../security/services/BruteForceService');
+const AttemptActionEnum = require('../../enums/attemptActionEnum');
+const RoleEnum = require('../../enums/roleEnum');
+
+const ATTEMPT_LABELS = {
+    [AttemptActionEnum.LOGIN]: 'login',
+    [AttemptActionEnum.TWO_FACTOR]: 'two-factor',
+    [AttemptActionEnum.LOGIN_CODE]: 'login code',
+    [AttemptActionEnum.VERIFY_EMAIL]: 'email verification',
+    [AttemptActionEnum.PASSWORD_RESET]: 'password reset'
+};
 
 class AdminAuthService {
-    async authenticateAdmin(email, password) {
+    async authenticateAdmin(email, password, context = {}) {
+        const attemptIdentifiers = { account: email, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.LOGIN, attemptIdentifiers);
+
         const admin = await findAdminByEmail(email);
-        if (!admin) throw new Error('Invalid email or password');
+        if (!admin) {
+            await this._recordFailedAttempt(AttemptActionEnum.LOGIN, attemptIdentifiers, null, context);
+            throw new Error('Invalid email or password');
+        }
         if (!admin.isEmailVerified) throw new Error('Please verify your email before logging in');
 
         const isMatch = await bcrypt.compare(password, admin.password);
-        if (!isMatch) throw new Error('Invalid email or password');
+        if (!isMatch) {
+            await this._recordFailedAttempt(AttemptActionEnum.LOGIN, attemptIdentifiers, admin, context);
+            throw new Error('Invalid email or password');
+        }
+        if (!admin.isActive) throw new Error('Your account has been deactivated. Please contact a super admin');
 
-        admin.lastLogin = new Date();
+        await BruteForceService.recordSuccess(AttemptActionEnum.LOGIN, attemptIdentifiers);
+
+        return this._completeFirstFactor(admin, context);
+    }
+
+    async requestLoginCode(email, context = {}) {
+        if (!ADMIN_PASSWORDLESS_LOGIN) throw new Error('Passwordless login is disabled');
+        if (!email) throw new Error('Email is required');
+
+        const normalizedEmail = email.trim().toLowerCase();
+        await BruteForceService.assertNotLocked(AttemptActionEnum.LOGIN_CODE, { account: normalizedEmail, ip: context.ipAddress });
+
+        const response = { message: 'If an active admin account exists for this email, a login code has been sent' };
+
+        // Same answer whether or not the account exists, so this endpoint cannot be used to discover admins
+        const admin = await findAdminByEmail(normalizedEmail);
+        if (!admin || !admin.isEmailVerified || !admin.isActive) return response;
+
+        const loginCode = admin.createLoginCode(LOGIN_CODE_EXPIRES_IN_MINUTES);
         await admin.save();
 
-        const token = jwt.sign({ id: admin._id, role: admin.role }, JWT_SECRET, { expiresIn: '3h' });
+        const loginLink = CLIENT_URL
+            ? `${CLIENT_URL}/login/code?email=${encodeURIComponent(admin.email)}&code=${loginCode}`
+            : null;
 
         setImmediate(async () => {
             try {
                 await sendEmail(
                     admin.email,
-                    'New Admin Login Alert',
+                    'Your Admin Login Code',
                     `Hi ${admin.firstName} ${admin.lastName},
 
-New login detected on your admin account
-Time: ${new Date().toLocaleString()}
-Email: ${email}
+Use this code to sign in to your admin account:
 
-If this wasn't you, please change your password immediately.
+Login code: ${loginCode}
+${loginLink ? `\nOr sign in directly with this link:\n${loginLink}\n` : ''}
+This code can be used once and will expire in ${LOGIN_CODE_EXPIRES_IN_MINUTES} minutes.
+Requested from IP address: ${context.ipAddress || 'Unknown IP'}
+
+If you didn't request this, you can ignore this email.
 
 Best regards,
 Admin Team`
                 );
             } catch (error) {
-                console.error('Admin login notification failed:', { adminId: admin._id, error: error.message });
+                console.error('Admin login code email failed:', { adminId: admin._id, error: error.message });
             }
         });
 
-        const adminData = admin.toJSON();
-        return {
-            token,
-            admin: {
-                firstName: adminData.firstName,
-                lastName: adminData.lastName,
-                email: adminData.email,
-                role: adminData.role,
-                isEmailVerified: adminData.isEmailVerified,
-                createdAt: adminData.createdAt,
-                updatedAt: adminData.updatedAt
-            }
-        };
+        return response;
+    }
+
+    async verifyLoginCode(email, code, context = {}) {
+        if (!ADMIN_PASSWORDLESS_LOGIN) throw new Error('Passwordless login is disabled');
+        if (!email || !code) throw new Error('Email and login code are required');
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const attemptIdentifiers = { account: normalizedEmail, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.LOGIN_CODE, attemptIdentifiers);
+
+        const hashedCode = crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+        const admin = await findAdminByEmail(normalizedEmail);
+        const isValid = admin && admin.loginCode === hashedCode && admin.loginCodeExpire > Date.now();
+
+        if (!isValid) {
+            await this._recordFailedAttempt(AttemptActionEnum.LOGIN_CODE, attemptIdentifiers, admin, context);
+            throw new Error('Invalid or expired login code');
+        }
+        if (!admin.isActive) throw new Error('Your account has been deactivated. Please contact a super admin');
+
+        // Single use: the code is burned before any session is issued
+        admin.loginCode = undefined;
+        admin.loginCodeExpire = undefined;
+        await admin.save();
+
+        await BruteForceService.recordSuccess(AttemptActionEnum.LOGIN_CODE, attemptIdentifiers);
+
+        return this._completeFirstFactor(admin, context);
+    }
+
+    async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+        if (!challengeToken || !code) throw new Error('Challenge token and authentication code are required');
+
+        const adminId = TwoFactorService.verifyChallengeToken(challengeToken);
+        const attemptIdentifiers = { account: String(adminId), ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.TWO_FACTOR, attemptIdentifiers);
+
+        const admin = await findAdminById(adminId);
+        if (!admin || !admin.twoFactorEnabled) throw new Error('Invalid or expired login challenge');
+        if (!admin.isActive) throw new Error('Your account has been deactivated. Please contact a super admin');
+
+        try {
+            await TwoFactorService.verifyLoginCode(admin, code);
+        } catch (error) {
+            await this._recordFailedAttempt(AttemptActionEnum.TWO_FACTOR, attemptIdentifiers, admin, context);
+            throw error;
+        }
+        await BruteForceService.recordSuccess(AttemptActionEnum.TWO_FACTOR, attemptIdentifiers);
+
+        return this._completeLogin(admin, context);
+    }
+
+    async authenticateWithOidc(code, state, browserBinding, context = {}) {
+        const identity = await OidcService.completeLogin(code, state, browserBinding);
+
+        let admin = await findAdminByEmail(identity.email);
+        if (!admin || !admin.oidcSubject) this._assertOidcEmailCanLink(identity);
+        if (!admin) admin = await this._provisionOidcAdmin(identity);
+
+        // Once linked, an admin only follows the original IdP account, even if the email is reassigned there
+        if (admin.oidcSubject && admin.oidcSubject !== identity.subject) {
+            throw new Error('This admin account is linked to a different identity provider account');
+        }
+        if (!admin.isActive) throw new Error('Your account has been deactivated. Please contact a super admin');
+
+        admin.oidcSubject = identity.subject;
+        admin.isEmailVerified = true;
+        await admin.save();
+
+        return this._completeFirstFactor(admin, context);
     }
 
-    async createAdminAccount(firstName, lastName, email, password) {
+    async createAdminAccount(firstName, lastName, email, password, inviteToken = null) {
         const cleanedFirstName = firstName.trim();
         const cleanedLastName = lastName.trim();
 
         if (!/^[a-zA-Z]+$/.test(cleanedFirstName)) throw new Error('First name can only contain letters');
         if (!/^[a-zA-Z]+$/.test(cleanedLastName)) throw new Error('Last name can only contain letters');
+        validatePassword(password, { firstName: cleanedFirstName, lastName: cleanedLastName, email });
 
         await checkIfAdminExists(cleanedFirstName, cleanedLastName, email);
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newAdmin = await createAdmin(cleanedFirstName, cleanedLastName, email, hashedPassword);
+
+        let invitation = null;
+        let role = RoleEnum.ADMIN;
+
+        if (inviteToken) {
+            invitation = await InvitationService.acceptInvitation(inviteToken, email);
+            role = invitation.role;
+        } else {
+            // The very first account bootstraps the system and becomes its super admin
+            const adminCount = await countAdmins();
+            if (adminCount === 0) {
+                role = RoleEnum.SUPER_ADMIN;
+            } else if (!ADMIN_OPEN_SIGNUP) {
+                throw new Error('An invitation is required to create an admin account');
+            }
+        }
+
+        let newAdmin;
+        try {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            newAdmin = await createAdmin(cleanedFirstName, cleanedLastName, email, hashedPassword, role);
+        } catch (error) {
+            // Give the invitation back so the invitee can retry
+            if (invitation) await InvitationService.releaseInvitation(invitation._id);
+            throw error;
+        }
+
+        if (invitation) await InvitationService.completeInvitation(invitation._id, newAdmin._id);
 
         const verificationPin = newAdmin.createEmailVerificationPin();
         await newAdmin.save();
@@ -95,9 +237,12 @@ Admin Team`
         return newAdmin.toJSON();
     }
 
-    async verifyEmail(email, pin) {
+    async verifyEmail(email, pin, context = {}) {
         if (!pin || pin.length !== 6) throw new Error('Valid 6-digit PIN is required');
 
+        const attemptIdentifiers = { account: email, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
+
         const hashedPin = crypto.createHash('sha256').update(pin.trim()).digest('hex');
         const admin = await Admin.findOne({
             email: email.toLowerCase(),
@@ -105,7 +250,13 @@ Admin Team`
             emailVerificationExpire: { $gt: Date.now() }
         });
 
-        if (!admin) throw new Error('Invalid or expired verification PIN');
+        if (!admin) {
+            const accountOwner = await findAdminByEmail(email.toLowerCase());
+            await this._recordFailedAttempt(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers, accountOwner, context);
+            throw new Error('Invalid or expired verification PIN');
+        }
+
+        await BruteForceService.recordSuccess(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
 
         admin.isEmailVerified = true;
         admin.emailVerificationPin = undefined;
@@ -189,36 +340,31 @@ Admin Team`
         return { message: 'Password reset token sent to email' };
     }
 
-    async validateResetToken(token) {
+    async validateResetToken(email, token, context = {}) {
+        if (!email) throw new Error('Email is required');
         if (!token) throw new Error('Reset token required');
 
-        const hashedToken = crypto.createHash('sha256').update(token.trim()).digest('hex');
-        const admin = await Admin.findOne({
-            resetPasswordToken: hashedToken,
-            resetPasswordExpire: { $gt: Date.now() }
-        });
-
-        if (!admin) throw new Error('Invalid or expired reset token');
+        await this._findAdminByResetToken(email, token, context);
         return { valid: true, message: 'Token is valid' };
     }
 
-    async resetPassword(token, newPassword) {
+    async resetPassword(email, token, newPassword, context = {}) {
+        if (!email) throw new Error('Email is required');
         if (!token) throw new Error('Reset token required');
-        if (!newPassword || newPassword.length < 6) throw new Error('New password must be at least 6 characters long');
-
-        const hashedToken = crypto.createHash('sha256').update(token.trim()).digest('hex');
-        const admin = await Admin.findOne({
-            resetPasswordToken: hashedToken,
-            resetPasswordExpire: { $gt: Date.now() }
-        });
+        if (!newPassword) throw new Error('New password is required');
 
-        if (!admin) throw new Error('Invalid or expired reset token');
+        const admin = await this._findAdminByResetToken(email, token, context);
+        validatePassword(newPassword, admin);
+        await assertPasswordNotReused(newPassword, admin);
 
+        admin.passwordHistory = buildPasswordHistory(admin);
         admin.password = await bcrypt.hash(newPassword, 10);
         admin.resetPasswordToken = undefined;
         admin.resetPasswordExpire = undefined;
         await admin.save();
 
+        await SessionService.revokeAllSessions(admin._id, 'password_reset');
+
         setImmediate(async () => {
             try {
                 await sendEmail(admin.email, 'Password Reset Complete', 'Your password has been reset successfully.');
@@ -230,16 +376,18 @@ Admin Team`
         return admin.toJSON();
     }
 
-    async changePassword(adminId, oldPassword, newPassword) {
+    async changePassword(adminId, oldPassword, newPassword, currentSessionId = null) {
         const admin = await Admin.findById(adminId);
         if (!admin) throw new Error('Admin not found');
 
         const isOldValid = await bcrypt.compare(oldPassword, admin.password);
         if (!isOldValid) throw new Error('Current password is incorrect');
-        if (!newPassword || newPassword.length < 6) throw new Error('New password must be at least 6 characters long');
+        validatePassword(newPassword, admin);
+        await assertPasswordNotReused(newPassword, admin);
 
         const hashedNew = await bcrypt.hash(newPassword, 10);
-        await updatePassword(adminId, hashedNew);
+        await updatePassword(adminId, hashedNew, buildPasswordHistory(admin));
+        await SessionService.revokeAllSessions(adminId, 'password_changed', currentSessionId);
 
         setImmediate(async () => {
             try {
@@ -252,10 +400,186 @@ Admin Team`
         return { message: 'Password changed successfully' };
     }
 
-    logoutUser() {
+    async refreshSession(refreshToken, context = {}) {
+        if (!refreshToken) throw new Error('Refresh token is required');
+
+        const { session, refreshToken: newRefreshToken } = await SessionService.rotateSession(refreshToken, 'Admin', context);
+
+        const admin = await Admin.findById(session.owner);
+        if (!admin) {
+            await SessionService.revokeSession(session._id, 'admin_not_found');
+            throw new Error('Invalid refresh token');
+        }
+        if (!admin.isActive) {
+            await SessionService.revokeSession(session._id, 'account_deactivated');
+            throw new Error('Your account has been deactivated. Please contact a super admin');
+        }
+
+        return {
+            token: this._signAccessToken(admin, session._id),
+            refreshToken: newRefreshToken,
+            expiresIn: JWT_EXPIRES_IN
+        };
+    }
+
+    async logoutUser(sessionId) {
+        await SessionService.revokeSession(sessionId, 'logout');
         return { message: 'Logout successful' };
     }
 
+    // Linking trusts the IdP's claim to the email, so it must be verified there and inside the allowed domains
+    _assertOidcEmailCanLink(identity) {
+        if (!identity.emailVerified) throw new Error('Identity provider has not verified this email address');
+
+        const emailDomain = identity.email.split('@')[1];
+        if (OIDC.allowedDomains.length && !OIDC.allowedDomains.includes(emailDomain)) {
+            throw new Error('No admin account is linked to this email');
+        }
+    }
+
+    async _provisionOidcAdmin(identity) {
+        if (!OIDC.autoProvision) throw new Error('No admin account is linked to this email');
+
+        // Team members cannot be turned into admins just by signing in through the IdP
+        try {
+            await checkIfUserExists(identity.email);
+        } catch {
+            throw new Error('No admin account is linked to this email');
+        }
+
+        const [nameFromClaim = '', ...restOfName] = (identity.name || '').trim().split(/\s+/);
+        const firstName = this._toAdminName(identity.firstName || nameFromClaim, 'Admin');
+        const lastName = this._toAdminName(identity.lastName || restOfName.join(''), 'User');
+
+        // SSO admins never learn this password; they can still set one through forgot-password
+        const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        return createAdmin(firstName, lastName, identity.email, unusablePassword, RoleEnum.ADMIN);
+    }
+
+    _toAdminName(value, fallback) {
+        const letters = (value || '').replace(/[^a-zA-Z]/g, '').slice(0, 30);
+        return letters.length >= 2 ? letters : fallback;
+    }
+
+    async _completeFirstFactor(admin, context) {
+        // With 2FA on, the first factor only earns a short-lived challenge for the second step
+        if (admin.twoFactorEnabled) {
+            return {
+                twoFactorRequired: true,
+                challengeToken: TwoFactorService.createChallengeToken(admin._id),
+                expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+            };
+        }
+
+        return this._completeLogin(admin, context);
+    }
+
+    async _completeLogin(admin, context) {
+        admin.lastLogin = new Date();
+        await admin.save();
+
+        const { session, refreshToken } = await SessionService.createSession(admin._id, 'Admin', context);
+        const token = this._signAccessToken(admin, session._id);
+
+        setImmediate(async () => {
+            try {
+                const revocationToken = SessionService.createRevocationToken(session._id);
+                const revocationLink = CLIENT_URL
+                    ? `${CLIENT_URL}/sessions/revoke?token=${revocationToken}`
+                    : revocationToken;
+
+                await sendEmail(
+                    admin.email,
+                    'New Admin Login Alert',
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+New login detected on your admin account
+Time: ${new Date().toLocaleString()}
+Email: ${admin.email}
+Device: ${context.userAgent || 'Unknown device'}
+IP address: ${context.ipAddress || 'Unknown IP'}
+
+If this wasn't you, sign this session out immediately using the link below and change your password:
+${revocationLink}
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Admin login notification failed:', { adminId: admin._id, error: error.message });
+            }
+        });
+
+        const adminData = admin.toJSON();
+        return {
+            token,
+            refreshToken,
+            expiresIn: JWT_EXPIRES_IN,
+            admin: {
+                firstName: adminData.firstName,
+                lastName: adminData.lastName,
+                email: adminData.email,
+                role: adminData.role,
+                isEmailVerified: adminData.isEmailVerified,
+                twoFactorEnabled: Boolean(adminData.twoFactorEnabled),
+                createdAt: adminData.createdAt,
+                updatedAt: adminData.updatedAt
+            }
+        };
+    }
+
+    // The token is only checked against the given account, so guesses are locked out per account as well as per IP
+    async _findAdminByResetToken(email, token, context) {
+        const normalizedEmail = email.trim().toLowerCase();
+        const attemptIdentifiers = { account: normalizedEmail, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.PASSWORD_RESET, attemptIdentifiers);
+
+        const hashedToken = crypto.createHash('sha256').update(token.trim()).digest('hex');
+        const admin = await Admin.findOne({
+            email: normalizedEmail,
+            resetPasswordToken: hashedToken,
+            resetPasswordExpire: { $gt: Date.now() }
+        });
+
+        if (!admin) {
+            const accountOwner = await findAdminByEmail(normalizedEmail);
+            await this._recordFailedAttempt(AttemptActionEnum.PASSWORD_RESET, attemptIdentifiers, accountOwner, context);
+            throw new Error('Invalid or expired reset token');
+        }
+
+        await BruteForceService.recordSuccess(AttemptActionEnum.PASSWORD_RESET, attemptIdentifiers);
+        return admin;
+    }
+
+    async _recordFailedAttempt(action, attemptIdentifiers, admin, context) {
+        const { accountLocked, lockedUntil } = await BruteForceService.recordFailure(action, attemptIdentifiers);
+        if (!accountLocked || !admin) return;
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    admin.email,
+                    'Admin Account Temporarily Locked',
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+Your admin account has been temporarily locked after too many failed ${ATTEMPT_LABELS[action]} attempts.
+Locked until: ${lockedUntil.toLocaleString()}
+Last attempt from IP address: ${context.ipAddress || 'Unknown IP'}
+
+If this wasn't you, someone may be trying to access your account. Consider resetting your password once the lock expires, or ask a super admin to unlock your account.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Account lockout notification failed:', { adminId: admin._id, error: error.message });
+            }
+        });
+    }
+
+    _signAccessToken(admin, sessionId) {
+        return signToken({ id: admin._id, role: admin.role, sid: sessionId }, { expiresIn: JWT_EXPIRES_IN });
+    }
 
 }
 
@@ -0,0 +1,198 @@
+const {
+    findAdminById,
+    findAdmins,
+    countAdmins,
+    updateAdmin,
+    deleteAdmin
+} = require('../data/repositories/adminRepository');
+const { sendEmail } = require('../../utils/emailHandler');
+const SessionService = require('../../session/services/SessionService');
+const BruteForceService = require('../../security/services/BruteForceService');
+const RoleEnum = require('../../enums/roleEnum');
+const { isValidObjectId } = require('../../utils/validation');
+const { escapeRegExp } = require('../../utils/mentions');
+
+const ADMIN_ROLES = [RoleEnum.ADMIN, RoleEnum.SUPER_ADMIN];
+
+class AdminManagementService {
+    async listAdmins(filters = {}, options = {}) {
+        const queryFilters = {};
+
+        if (filters.role) {
+            if (!ADMIN_ROLES.includes(filters.role)) {
+                throw new Error(`Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`);
+            }
+            queryFilters.role = filters.role;
+        }
+
+        if (filters.isActive !== undefined) {
+            queryFilters.isActive = filters.isActive;
+        }
+
+        if (filters.search) {
+            const search = escapeRegExp(filters.search.trim());
+            queryFilters.$or = [
+                { firstName: { $regex: search, $options: 'i' } },
+                { lastName: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const page = Math.max(options.page || 1, 1);
+        const limit = Math.min(Math.max(options.limit || 10, 1), 100);
+
+        const { admins, total } = await findAdmins(queryFilters, { page, limit, sort: 'firstName lastName' });
+
+        return {
+            admins: admins.map(admin => this._formatAdmin(admin)),
+            page,
+            limit,
+            total
+        };
+    }
+
+    async getAdmin(adminId) {
+        const admin = await this._findAdminOrThrow(adminId);
+        return this._formatAdmin(admin);
+    }
+
+    async deactivateAdmin(actorId, adminId) {
+        this._assertNotSelf(actorId, adminId, 'You cannot deactivate your own account');
+
+        const admin = await this._findAdminOrThrow(adminId);
+        if (!admin.isActive) throw new Error('Admin is already deactivated');
+        if (admin.role === RoleEnum.SUPER_ADMIN) await this._assertNotLastSuperAdmin();
+
+        const updatedAdmin = await updateAdmin(adminId, { isActive: false });
+        await SessionService.revokeAllSessions(adminId, 'account_deactivated');
+
+        this._notify(updatedAdmin, 'Admin Account Deactivated', `Hi ${updatedAdmin.firstName} ${updatedAdmin.lastName},
+
+Your admin account has been deactivated by a super admin and all of your sessions have been signed out.
+
+If you believe this is a mistake, please contact your administrator.
+
+Best regards,
+Admin Team`);
+
+        return this._formatAdmin(updatedAdmin);
+    }
+
+    async reactivateAdmin(adminId) {
+        const admin = await this._findAdminOrThrow(adminId);
+        if (admin.isActive) throw new Error('Admin is already active');
+
+        const updatedAdmin = await updateAdmin(adminId, { isActive: true });
+
+        this._notify(updatedAdmin, 'Admin Account Reactivated', `Hi ${updatedAdmin.firstName} ${updatedAdmin.lastName},
+
+Your admin account has been reactivated. You can log in again.
+
+Best regards,
+Admin Team`);
+
+        return this._formatAdmin(updatedAdmin);
+    }
+
+    async unlockAdmin(adminId) {
+        const admin = await this._findAdminOrThrow(adminId);
+
+        // Login and email counters are keyed by email, two-factor counters by admin id
+        const { clearedCount } = await BruteForceService.unlockAccount([admin.email, String(admin._id)]);
+
+        if (clearedCount > 0) {
+            this._notify(admin, 'Admin Account Unlocked', `Hi ${admin.firstName} ${admin.lastName},
+
+Your admin account has been unlocked by a super admin. You can try logging in again.
+
+Best regards,
+Admin Team`);
+        }
+
+        return { ...this._formatAdmin(admin), clearedCount };
+    }
+
+    async changeRole(actorId, adminId, role) {
+        if (!ADMIN_ROLES.includes(role)) {
+            throw new Error(`Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`);
+        }
+        this._assertNotSelf(actorId, adminId, 'You cannot change your own role');
+
+        const admin = await this._findAdminOrThrow(adminId);
+        if (admin.role === role) throw new Error(`Admin already has the ${role} role`);
+        if (admin.role === RoleEnum.SUPER_ADMIN && admin.isActive) await this._assertNotLastSuperAdmin();
+
+        const updatedAdmin = await updateAdmin(adminId, { role });
+
+        // Existing access tokens carry the old role, so force a fresh login
+        await SessionService.revokeAllSessions(adminId, 'role_changed');
+
+        this._notify(updatedAdmin, 'Admin Role Updated', `Hi ${updatedAdmin.firstName} ${updatedAdmin.lastName},
+
+Your admin role has been changed to ${role}. Please log in again to continue.
+
+Best regards,
+Admin Team`);
+
+        return this._formatAdmin(updatedAdmin);
+    }
+
+    async deleteAdminAccount(actorId, adminId) {
+        this._assertNotSelf(actorId, adminId, 'You cannot delete your own account');
+
+        const admin = await this._findAdminOrThrow(adminId);
+        if (admin.role === RoleEnum.SUPER_ADMIN && admin.isActive) await this._assertNotLastSuperAdmin();
+
+        await SessionService.revokeAllSessions(adminId, 'account_deleted');
+        await deleteAdmin(adminId);
+
+        return { message: 'Admin deleted successfully' };
+    }
+
+    async _findAdminOrThrow(adminId) {
+        if (!isValidObjectId(adminId)) throw new Error('Admin not found');
+
+        const admin = await findAdminById(adminId);
+        if (!admin) throw new Error('Admin not found');
+        return admin;
+    }
+
+    async _assertNotLastSuperAdmin() {
+        const activeSuperAdmins = await countAdmins({ role: RoleEnum.SUPER_ADMIN, isActive: true });
+        if (activeSuperAdmins <= 1) {
+            throw new Error('At least one active super admin is required');
+        }
+    }
+
+    _assertNotSelf(actorId, adminId, message) {
+        if (String(actorId) === String(adminId)) throw new Error(message);
+    }
+
+    _notify(admin, subject, text) {
+        setImmediate(async () => {
+            try {
+                await sendEmail(admin.email, subject, text);
+            } catch (error) {
+                console.error('Admin management notification failed:', { adminId: admin._id, error: error.message });
+            }
+        });
+    }
+
+    _formatAdmin(admin) {
+        return {
+            id: String(admin._id),
+            firstName: admin.firstName,
+            lastName: admin.lastName,
+            fullName: `${admin.firstName} ${admin.lastName}`,
+            email: admin.email,
+            role: admin.role,
+            isActive: admin.isActive,
+            isEmailVerified: admin.isEmailVerified,
+            lastLogin: admin.lastLogin || null,
+            createdAt: admin.createdAt,
+            updatedAt: admin.updatedAt
+        };
+    }
+}
+
+module.exports = new AdminManagementService();
@@ -0,0 +1,220 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { findAdminById, updateAdmin } = require('../data/repositories/adminRepository');
+const { sendEmail } = require('../../utils/emailHandler');
+const { checkIfAdminNameTaken, checkIfUserExists } = require('../../utils/validation');
+const BruteForceService = require('../../security/services/BruteForceService');
+const AttemptActionEnum = require('../../enums/attemptActionEnum');
+
+const PROFILE_FIELDS = ['firstName', 'lastName'];
+
+class AdminProfileService {
+    async getProfile(adminId) {
+        const admin = await this._findAdminOrThrow(adminId);
+        return this._formatProfile(admin);
+    }
+
+    async updateProfile(adminId, data = {}) {
+        const updateData = this._pickProfileFields(data);
+        if (Object.keys(updateData).length === 0) throw new Error('No valid fields to update');
+
+        const admin = await this._findAdminOrThrow(adminId);
+        await this._assertNameAvailable(admin, updateData);
+
+        // updateAdmin runs the adminModel validators on the new values
+        let updatedAdmin;
+        try {
+            updatedAdmin = await updateAdmin(adminId, updateData);
+        } catch (error) {
+            throw this._toValidationMessage(error);
+        }
+
+        return this._formatProfile(updatedAdmin);
+    }
+
+    // Checks the name and the new email before anything is written, then saves both at once
+    async updateProfileAndEmail(adminId, data, newEmail, currentPassword) {
+        const updateData = this._pickProfileFields(data);
+        const normalizedEmail = newEmail.trim().toLowerCase();
+        const admin = await this._findAdminOrThrow(adminId);
+        const hasEmailChange = normalizedEmail !== admin.email;
+
+        if (Object.keys(updateData).length > 0) await this._assertNameAvailable(admin, updateData);
+        if (hasEmailChange) await this._assertEmailChangeAllowed(admin, normalizedEmail, currentPassword);
+
+        // A single save, so a model validation failure leaves both the name and the email unchanged
+        Object.assign(admin, updateData);
+        let verificationPin;
+        if (hasEmailChange) {
+            admin.pendingEmail = normalizedEmail;
+            verificationPin = admin.createEmailVerificationPin();
+        }
+        try {
+            await admin.save();
+        } catch (error) {
+            throw this._toValidationMessage(error);
+        }
+
+        if (hasEmailChange) this._sendEmailChangeNotices(admin, verificationPin);
+        return this._formatProfile(admin);
+    }
+
+    async confirmEmailChange(adminId, pin, context = {}) {
+        if (!pin || pin.length !== 6) throw new Error('Valid 6-digit PIN is required');
+
+        const attemptIdentifiers = { account: String(adminId), ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
+
+        const admin = await this._findAdminOrThrow(adminId);
+        if (!admin.pendingEmail) throw new Error('No email change is pending');
+
+        const hashedPin = crypto.createHash('sha256').update(pin.trim()).digest('hex');
+        const isPinValid = admin.emailVerificationPin === hashedPin
+            && admin.emailVerificationExpire
+            && new Date(admin.emailVerificationExpire).getTime() > Date.now();
+
+        if (!isPinValid) {
+            await BruteForceService.recordFailure(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
+            throw new Error('Invalid or expired verification PIN');
+        }
+        await BruteForceService.recordSuccess(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
+
+        // The address may have been claimed while the PIN was outstanding
+        await checkIfUserExists(admin.pendingEmail);
+
+        const previousEmail = admin.email;
+        admin.email = admin.pendingEmail;
+        admin.pendingEmail = undefined;
+        admin.emailVerificationPin = undefined;
+        admin.emailVerificationExpire = undefined;
+        await admin.save();
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    previousEmail,
+                    'Admin Email Changed',
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+The email on your admin account was changed to ${admin.email}. You will need to use the new address to log in.
+Time: ${new Date().toLocaleString()}
+
+If this wasn't you, contact a super admin immediately.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Email change notice failed:', { adminId: admin._id, error: error.message });
+            }
+        });
+
+        return this._formatProfile(admin);
+    }
+
+    async cancelEmailChange(adminId) {
+        const admin = await this._findAdminOrThrow(adminId);
+        if (!admin.pendingEmail) throw new Error('No email change is pending');
+
+        admin.pendingEmail = undefined;
+        admin.emailVerificationPin = undefined;
+        admin.emailVerificationExpire = undefined;
+        await admin.save();
+
+        return this._formatProfile(admin);
+    }
+
+    _pickProfileFields(data = {}) {
+        const updateData = {};
+        PROFILE_FIELDS.forEach(field => {
+            if (data[field] !== undefined) updateData[field] = String(data[field]).trim();
+        });
+        return updateData;
+    }
+
+    async _assertNameAvailable(admin, updateData) {
+        await checkIfAdminNameTaken(
+            updateData.firstName || admin.firstName,
+            updateData.lastName || admin.lastName,
+            admin._id
+        );
+    }
+
+    async _assertEmailChangeAllowed(admin, normalizedEmail, currentPassword) {
+        if (!currentPassword) throw new Error('Current password is required to change your email');
+
+        const isMatch = await bcrypt.compare(currentPassword, admin.password);
+        if (!isMatch) throw new Error('Current password is incorrect');
+
+        await checkIfUserExists(normalizedEmail);
+    }
+
+    _sendEmailChangeNotices(admin, verificationPin) {
+        const newEmail = admin.pendingEmail;
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    newEmail,
+                    'Confirm Your New Email Address',
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+Use the PIN below to confirm this address as the new email for your admin account:
+
+Verification TOKEN: ${verificationPin}
+
+This TOKEN will expire in 15 minutes.
+
+Best regards,
+Admin Team`
+                );
+                await sendEmail(
+                    admin.email,
+                    'Email Change Requested',
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+A request was made to change the email on your admin account to ${newEmail}.
+Time: ${new Date().toLocaleString()}
+
+Your email will not change until the new address is verified. If this wasn't you, change your password immediately.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Email change notification failed:', { adminId: admin._id, error: error.message });
+            }
+        });
+    }
+
+    async _findAdminOrThrow(adminId) {
+        const admin = await findAdminById(adminId);
+        if (!admin) throw new Error('Admin not found');
+        return admin;
+    }
+
+    _toValidationMessage(error) {
+        if (error.name === 'ValidationError' && error.errors) {
+            return new Error(Object.values(error.errors)[0].message);
+        }
+        return error;
+    }
+
+    _formatProfile(admin) {
+        return {
+            id: String(admin._id),
+            firstName: admin.firstName,
+            lastName: admin.lastName,
+            fullName: `${admin.firstName} ${admin.lastName}`,
+            email: admin.email,
+            pendingEmail: admin.pendingEmail || null,
+            role: admin.role,
+            isEmailVerified: admin.isEmailVerified,
+            twoFactorEnabled: Boolean(admin.twoFactorEnabled),
+            lastLogin: admin.lastLogin || null,
+            createdAt: admin.createdAt,
+            updatedAt: admin.updatedAt
+        };
+    }
+}
+
+module.exports = new AdminProfileService();
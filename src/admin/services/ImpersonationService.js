@@ -0,0 +1,151 @@
+const { findAdminById } = require('../data/repositories/adminRepository');
+const { createAuditLog, findAuditLogs } = require('../../audit/data/repositories/auditLogRepository');
+const { IMPERSONATION_EXPIRES_IN_MINUTES } = require('../../config/config');
+const { sendEmail } = require('../../utils/emailHandler');
+const { signToken } = require('../../utils/jwtHandler');
+const SessionService = require('../../session/services/SessionService');
+const AuditActionEnum = require('../../enums/auditActionEnum');
+const RoleEnum = require('../../enums/roleEnum');
+const { isValidObjectId } = require('../../utils/validation');
+
+class ImpersonationService {
+    async startImpersonation(impersonatorId, targetAdminId, reason, context = {}) {
+        if (!reason || !reason.trim()) throw new Error('A reason is required to impersonate an admin');
+        if (String(impersonatorId) === String(targetAdminId)) throw new Error('You cannot impersonate yourself');
+
+        const [impersonator, target] = await Promise.all([
+            findAdminById(impersonatorId),
+            isValidObjectId(targetAdminId) ? findAdminById(targetAdminId) : null
+        ]);
+        if (!impersonator) throw new Error('Admin not found');
+        if (!target) throw new Error('Admin not found');
+        if (target.role !== RoleEnum.ADMIN) throw new Error('Only admins without super admin rights can be impersonated');
+        if (!target.isActive) throw new Error('Deactivated admins cannot be impersonated');
+
+        const cleanedReason = reason.trim();
+        const expiresAt = new Date(Date.now() + IMPERSONATION_EXPIRES_IN_MINUTES * 60 * 1000);
+
+        // The session belongs to the target so every existing ownership check sees exactly what they see
+        const { session } = await SessionService.createSession(target._id, 'Admin', context, {
+            expiresAt,
+            impersonator: impersonator._id,
+            impersonationReason: cleanedReason
+        });
+
+        const token = signToken(
+            { id: target._id, role: target.role, sid: session._id, act: { sub: String(impersonator._id) } },
+            { expiresIn: `${IMPERSONATION_EXPIRES_IN_MINUTES}m` }
+        );
+
+        await createAuditLog({
+            action: AuditActionEnum.IMPERSONATION_STARTED,
+            actor: impersonator._id,
+            subject: target._id,
+            session: session._id,
+            reason: cleanedReason,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+        });
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    target.email,
+                    'Your Admin Account Is Being Accessed by Support',
+                    `Hi ${target.firstName} ${target.lastName},
+
+${impersonator.firstName} ${impersonator.lastName} (${impersonator.email}) has started a support session on your admin account and can see what you see.
+
+Reason: ${cleanedReason}
+Started: ${new Date().toLocaleString()}
+Expires: ${expiresAt.toLocaleString()}
+
+Every action taken during this session is recorded. It appears in your active sessions, where you can end it at any time.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Impersonation notification failed:', { adminId: target._id, error: error.message });
+            }
+        });
+
+        return {
+            token,
+            expiresIn: `${IMPERSONATION_EXPIRES_IN_MINUTES}m`,
+            expiresAt,
+            impersonating: {
+                id: String(target._id),
+                fullName: `${target.firstName} ${target.lastName}`,
+                email: target.email,
+                role: target.role
+            }
+        };
+    }
+
+    async endImpersonation(user, context = {}) {
+        if (!user || !user.impersonatorId) throw new Error('You are not impersonating anyone');
+
+        await SessionService.revokeSession(user.sid, 'impersonation_ended');
+        await createAuditLog({
+            action: AuditActionEnum.IMPERSONATION_ENDED,
+            actor: user.impersonatorId,
+            subject: user.id,
+            session: user.sid,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent
+        });
+
+        return { message: 'Impersonation ended' };
+    }
+
+    // Called for every request made with an impersonation token, once the response is known
+    async recordRequest(user, request, context = {}) {
+        try {
+            await createAuditLog({
+                action: AuditActionEnum.IMPERSONATION_REQUEST,
+                actor: user.impersonatorId,
+                subject: user.id,
+                session: user.sid,
+                method: request.method,
+                path: request.path,
+                statusCode: request.statusCode,
+                ipAddress: context.ipAddress,
+                userAgent: context.userAgent
+            });
+        } catch (error) {
+            console.error('Impersonation audit log failed:', { sessionId: user.sid, error: error.message });
+        }
+    }
+
+    async listAuditLogs(filters = {}, options = {}) {
+        const queryFilters = {};
+
+        for (const field of ['actor', 'subject', 'session']) {
+            if (filters[field] === undefined) continue;
+            if (!isValidObjectId(filters[field])) throw new Error(`Invalid ${field} ID`);
+            queryFilters[field] = filters[field];
+        }
+
+        if (filters.action) {
+            if (!Object.values(AuditActionEnum).includes(filters.action)) {
+                throw new Error(`Invalid action. Must be one of: ${Object.values(AuditActionEnum).join(', ')}`);
+            }
+            queryFilters.action = filters.action;
+        }
+
+        const page = Math.max(options.page || 1, 1);
+        const limit = Math.min(Math.max(options.limit || 20, 1), 100);
+
+        const { auditLogs, total } = await findAuditLogs(queryFilters, { page, limit });
+
+        return {
+            auditLogs: auditLogs.map(auditLog => auditLog.toJSON()),
+            page,
+            limit,
+            total
+        };
+    }
+}
+
+module.exports = new ImpersonationService();
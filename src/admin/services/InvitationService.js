@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const {
+    createInvitation,
+    findInvitationById,
+    findPendingInvitationByTokenHash,
+    findInvitations,
+    acceptInvitation,
+    updateInvitation,
+    revokePendingInvitationsByEmail
+} = require('../data/repositories/invitationRepository');
+const { findAdminByEmail } = require('../data/repositories/adminRepository');
+const { CLIENT_URL, INVITATION_EXPIRES_IN_HOURS } = require('../../config/config');
+const { sendEmail } = require('../../utils/emailHandler');
+const { hasPermission } = require('../../utils/permissions');
+const PermissionEnum = require('../../enums/permissionEnum');
+const RoleEnum = require('../../enums/roleEnum');
+const { isValidObjectId } = require('../../utils/validation');
+
+const INVITABLE_ROLES = [RoleEnum.ADMIN, RoleEnum.SUPER_ADMIN];
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+class InvitationService {
+    async createInvitation(inviter, email, role = RoleEnum.ADMIN) {
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw new Error('A valid email address is required');
+        }
+
+        if (!INVITABLE_ROLES.includes(role)) {
+            throw new Error(`Invalid role. Must be one of: ${INVITABLE_ROLES.join(', ')}`);
+        }
+
+        if (role === RoleEnum.SUPER_ADMIN && !hasPermission(inviter.role, PermissionEnum.ADMIN_MANAGE)) {
+            throw new Error('Only super admins can invite super admins');
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const existingAdmin = await findAdminByEmail(normalizedEmail);
+        if (existingAdmin) throw new Error('An admin with this email already exists');
+
+        // Only the most recent invitation for an address stays usable
+        await revokePendingInvitationsByEmail(normalizedEmail);
+
+        const rawToken = crypto.randomBytes(32).toString('hex');
+        const invitation = await createInvitation({
+            email: normalizedEmail,
+            role,
+            tokenHash: this._hashToken(rawToken),
+            invitedBy: inviter.id,
+            expiresAt: new Date(Date.now() + INVITATION_EXPIRES_IN_HOURS * 60 * 60 * 1000)
+        });
+
+        const invitationLink = CLIENT_URL ? `${CLIENT_URL}/signup?invite=${rawToken}` : rawToken;
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    normalizedEmail,
+                    'You have been invited to join the Heunets admin team',
+                    `Hello,
+
+You have been invited to create a Heunets ${role === RoleEnum.SUPER_ADMIN ? 'super admin' : 'admin'} account.
+
+Use the invitation below to sign up with this email address:
+${invitationLink}
+
+This invitation can only be used once and will expire in ${INVITATION_EXPIRES_IN_HOURS} hours.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Admin invitation email failed:', { invitationId: invitation._id, error: error.message });
+            }
+        });
+
+        return this._formatInvitation(invitation);
+    }
+
+    async listInvitations(status) {
+        if (status && !INVITATION_STATUSES.includes(status)) {
+            throw new Error(`Invalid status. Must be one of: ${INVITATION_STATUSES.join(', ')}`);
+        }
+
+        const filters = {};
+        const now = new Date();
+        if (status === 'pending') Object.assign(filters, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+        if (status === 'accepted') filters.acceptedAt = { $ne: null };
+        if (status === 'revoked') Object.assign(filters, { acceptedAt: null, revokedAt: { $ne: null } });
+        if (status === 'expired') Object.assign(filters, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+
+        const invitations = await findInvitations(filters);
+        return invitations.map(invitation => this._formatInvitation(invitation));
+    }
+
+    async revokeInvitation(invitationId) {
+        if (!isValidObjectId(invitationId)) throw new Error('Invitation not found');
+
+        const invitation = await findInvitationById(invitationId);
+        if (!invitation) throw new Error('Invitation not found');
+        if (invitation.acceptedAt) throw new Error('Invitation has already been accepted');
+        if (invitation.revokedAt) throw new Error('Invitation has already been revoked');
+
+        const revokedInvitation = await updateInvitation(invitationId, { $set: { revokedAt: new Date() } });
+        return this._formatInvitation(revokedInvitation);
+    }
+
+    async validateInvitation(token) {
+        if (!token) throw new Error('Invitation token is required');
+
+        const invitation = await findPendingInvitationByTokenHash(this._hashToken(token.trim()));
+        if (!invitation) throw new Error('Invalid or expired invitation');
+
+        return { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt };
+    }
+
+    async acceptInvitation(token, email) {
+        const tokenHash = this._hashToken(token.trim());
+
+        const invitation = await findPendingInvitationByTokenHash(tokenHash);
+        if (!invitation) throw new Error('Invalid or expired invitation');
+        if (invitation.email !== email.trim().toLowerCase()) {
+            throw new Error('This invitation was issued for a different email address');
+        }
+
+        const acceptedInvitation = await acceptInvitation(tokenHash);
+        if (!acceptedInvitation) throw new Error('Invalid or expired invitation');
+
+        return acceptedInvitation;
+    }
+
+    async completeInvitation(invitationId, adminId) {
+        return updateInvitation(invitationId, { $set: { acceptedBy: adminId } });
+    }
+
+    async releaseInvitation(invitationId) {
+        return updateInvitation(invitationId, { $unset: { acceptedAt: 1 } });
+    }
+
+    _formatInvitation(invitation) {
+        return {
+            id: String(invitation._id),
+            email: invitation.email,
+            role: invitation.role,
+            status: invitation.status,
+            invitedBy: invitation.invitedBy && invitation.invitedBy.email ? {
+                firstName: invitation.invitedBy.firstName,
+                lastName: invitation.invitedBy.lastName,
+                email: invitation.invitedBy.email,
+                fullName: `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+            } : null,
+            expiresAt: invitation.expiresAt,
+            acceptedAt: invitation.acceptedAt || null,
+            revokedAt: invitation.revokedAt || null,
+            createdAt: invitation.createdAt
+        };
+    }
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,183 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { findAdminById } = require('../data/repositories/adminRepository');
+const { TWO_FACTOR_ISSUER, TWO_FACTOR_CHALLENGE_EXPIRES_IN } = require('../../config/config');
+const { sendEmail } = require('../../utils/emailHandler');
+const { signToken, verifyToken } = require('../../utils/jwtHandler');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+    async beginEnrollment(adminId) {
+        const admin = await this._getAdmin(adminId);
+        if (admin.twoFactorEnabled) throw new Error('Two-factor authentication is already enabled');
+
+        // The secret only becomes active once the admin proves their app produces valid codes
+        const secret = generateSecret();
+        admin.twoFactorPendingSecret = secret;
+        await admin.save();
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri(secret, admin.email, TWO_FACTOR_ISSUER)
+        };
+    }
+
+    async confirmEnrollment(adminId, code) {
+        const admin = await this._getAdmin(adminId);
+        if (admin.twoFactorEnabled) throw new Error('Two-factor authentication is already enabled');
+        if (!admin.twoFactorPendingSecret) throw new Error('Two-factor setup has not been started');
+
+        const timeStep = verifyCode(admin.twoFactorPendingSecret, this._normalizeCode(code));
+        if (timeStep === null) throw new Error('Invalid authentication code');
+
+        const recoveryCodes = this._generateRecoveryCodes();
+        admin.twoFactorEnabled = true;
+        admin.twoFactorSecret = admin.twoFactorPendingSecret;
+        admin.twoFactorPendingSecret = undefined;
+        admin.twoFactorLastUsedStep = timeStep;
+        admin.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => this._hashRecoveryCode(recoveryCode));
+        await admin.save();
+
+        this._sendSecurityNotice(admin, 'Two-Factor Authentication Enabled', 'Two-factor authentication has been enabled on your admin account.');
+
+        return { recoveryCodes };
+    }
+
+    async disable(adminId, password, code) {
+        if (!password || !code) throw new Error('Password and authentication code are required');
+
+        const admin = await this._getAdmin(adminId);
+        if (!admin.twoFactorEnabled) throw new Error('Two-factor authentication is not enabled');
+
+        const isMatch = await bcrypt.compare(password, admin.password);
+        if (!isMatch) throw new Error('Password is incorrect');
+
+        await this.verifyLoginCode(admin, code);
+
+        admin.twoFactorEnabled = false;
+        admin.twoFactorSecret = undefined;
+        admin.twoFactorPendingSecret = undefined;
+        admin.twoFactorRecoveryCodes = undefined;
+        admin.twoFactorLastUsedStep = undefined;
+        await admin.save();
+
+        this._sendSecurityNotice(admin, 'Two-Factor Authentication Disabled', 'Two-factor authentication has been disabled on your admin account.');
+
+        return { message: 'Two-factor authentication disabled successfully' };
+    }
+
+    async regenerateRecoveryCodes(adminId, code) {
+        const admin = await this._getAdmin(adminId);
+        if (!admin.twoFactorEnabled) throw new Error('Two-factor authentication is not enabled');
+
+        const timeStep = this._verifyTotp(admin, code);
+        if (timeStep === null) throw new Error('Invalid authentication code');
+
+        const recoveryCodes = this._generateRecoveryCodes();
+        admin.twoFactorLastUsedStep = timeStep;
+        admin.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => this._hashRecoveryCode(recoveryCode));
+        await admin.save();
+
+        this._sendSecurityNotice(admin, 'Recovery Codes Regenerated', 'New two-factor recovery codes were generated for your admin account. Your previous codes no longer work.');
+
+        return { recoveryCodes };
+    }
+
+    // Accepts either a current TOTP code or an unused recovery code; recovery codes are single use
+    async verifyLoginCode(admin, code) {
+        if (typeof code !== 'string') throw new Error('Authentication code must be a string');
+
+        const timeStep = this._verifyTotp(admin, code);
+        if (timeStep !== null) {
+            admin.twoFactorLastUsedStep = timeStep;
+            await admin.save();
+            return { method: 'totp' };
+        }
+
+        const hashedRecoveryCode = this._hashRecoveryCode(code);
+        const recoveryCodes = admin.twoFactorRecoveryCodes || [];
+        if (!recoveryCodes.includes(hashedRecoveryCode)) throw new Error('Invalid authentication code');
+
+        admin.twoFactorRecoveryCodes = recoveryCodes.filter(stored => stored !== hashedRecoveryCode);
+        await admin.save();
+
+        const remainingRecoveryCodes = admin.twoFactorRecoveryCodes.length;
+        this._sendSecurityNotice(admin, 'Recovery Code Used', `A recovery code was used to sign in to your admin account. You have ${remainingRecoveryCodes} recovery codes left.`);
+
+        return { method: 'recovery_code', remainingRecoveryCodes };
+    }
+
+    createChallengeToken(adminId) {
+        return signToken({ id: adminId, purpose: 'two_factor_challenge' }, { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN });
+    }
+
+    verifyChallengeToken(challengeToken) {
+        let decoded;
+        try {
+            decoded = verifyToken(challengeToken);
+        } catch {
+            throw new Error('Invalid or expired login challenge');
+        }
+
+        if (!decoded || decoded.purpose !== 'two_factor_challenge' || !decoded.id) {
+            throw new Error('Invalid or expired login challenge');
+        }
+
+        return decoded.id;
+    }
+
+    _verifyTotp(admin, code) {
+        const timeStep = verifyCode(admin.twoFactorSecret, this._normalizeCode(code));
+        // A code that was already accepted cannot be replayed within its validity window
+        if (timeStep === null || timeStep <= (admin.twoFactorLastUsedStep || 0)) return null;
+        return timeStep;
+    }
+
+    async _getAdmin(adminId) {
+        const admin = await findAdminById(adminId);
+        if (!admin) throw new Error('Admin not found');
+        return admin;
+    }
+
+    _normalizeCode(code) {
+        return String(code || '').replace(/\s/g, '');
+    }
+
+    _generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    _hashRecoveryCode(code) {
+        const normalized = code.trim().toLowerCase();
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    _sendSecurityNotice(admin, subject, message) {
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    admin.email,
+                    subject,
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+${message}
+Time: ${new Date().toLocaleString()}
+
+If this wasn't you, change your password immediately and contact a super admin.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('Two-factor notification failed:', { adminId: admin._id, error: error.message });
+            }
+        });
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,49 @@
+const ApiKeyService = require('../services/ApiKeyService');
+const { errorResponse, successResponse, notFoundResponse } = require('../../utils/respondHandler');
+
+class ApiKeyController {
+    async createApiKey(req, res) {
+        try {
+            const { name, scopes, expiresInDays } = req.body;
+            if (!name || !scopes) {
+                return errorResponse(res, 'Name and scopes are required', 400);
+            }
+            const result = await ApiKeyService.createApiKey(req.user, { name, scopes, expiresInDays });
+            return successResponse(res, result, 'API key created. Copy it now, it will not be shown again', 201);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async listApiKeys(req, res) {
+        try {
+            const result = await ApiKeyService.listApiKeys(req.user.id);
+            return successResponse(res, result, 'API keys retrieved successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async listScopes(req, res) {
+        try {
+            const result = ApiKeyService.getGrantableScopes(req.user.role);
+            return successResponse(res, result, 'Available scopes retrieved successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async revokeApiKey(req, res) {
+        try {
+            const result = await ApiKeyService.revokeApiKey(req.user.id, req.params.id);
+            return successResponse(res, result, 'API key revoked successfully');
+        } catch (error) {
+            if (error.message === 'API key not found') {
+                return notFoundResponse(res, 'API key');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scopes: {
+        type: [String],
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    lastUsedIp: {
+        type: String,
+        trim: true
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+apiKeySchema.index({ owner: 1, revokedAt: 1 });
+
+// Virtual for checking if the key can still be used
+apiKeySchema.virtual('isValid').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to sanitize output
+apiKeySchema.methods.toJSON = function() {
+    const apiKeyObject = this.toObject({ virtuals: true });
+    delete apiKeyObject._id;
+    delete apiKeyObject.__v;
+    delete apiKeyObject.keyHash;
+    return apiKeyObject;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
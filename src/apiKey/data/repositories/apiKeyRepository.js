@@ -0,0 +1,49 @@
+const ApiKey = require('../models/apiKeyModel');
+
+const createApiKey = async (apiKeyData) => {
+    const newApiKey = new ApiKey(apiKeyData);
+    await newApiKey.save();
+    return newApiKey;
+};
+
+const findApiKeyById = async (id) => {
+    return ApiKey.findById(id);
+};
+
+const findUsableApiKeyByHash = async (keyHash) => {
+    return ApiKey.findOne({
+        keyHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+const findApiKeysByOwner = async (ownerId) => {
+    return ApiKey.find({ owner: ownerId }).sort('-createdAt');
+};
+
+const touchApiKey = async (id, ipAddress) => {
+    return ApiKey.findByIdAndUpdate(id, {
+        $set: {
+            lastUsedAt: new Date(),
+            ...(ipAddress && { lastUsedIp: ipAddress })
+        }
+    });
+};
+
+const revokeApiKey = async (id) => {
+    return ApiKey.findOneAndUpdate(
+        { _id: id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = {
+    createApiKey,
+    findApiKeyById,
+    findUsableApiKeyByHash,
+    findApiKeysByOwner,
+    touchApiKey,
+    revokeApiKey
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const {
+    createApiKey,
+    findApiKeyById,
+    findUsableApiKeyByHash,
+    findApiKeysByOwner,
+    touchApiKey,
+    revokeApiKey
+} = require('../data/repositories/apiKeyRepository');
+const { findAdminById } = require('../../admin/data/repositories/adminRepository');
+const { API_KEY_DEFAULT_EXPIRES_IN_DAYS, API_KEY_MAX_EXPIRES_IN_DAYS } = require('../../config/config');
+const { sendEmail } = require('../../utils/emailHandler');
+const { getPermissionsForRole } = require('../../utils/permissions');
+const PermissionEnum = require('../../enums/permissionEnum');
+const { isValidObjectId } = require('../../utils/validation');
+
+const KEY_PREFIX = 'hk';
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// A leaked key must not be able to mint more keys
+const NON_DELEGABLE_PERMISSIONS = [PermissionEnum.API_KEY_MANAGE, PermissionEnum.ADMIN_IMPERSONATE];
+
+class ApiKeyService {
+    async createApiKey(owner, { name, scopes, expiresInDays } = {}) {
+        if (!name || !name.trim()) throw new Error('Name is required');
+
+        const grantableScopes = this.getGrantableScopes(owner.role);
+        if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('At least one scope is required');
+
+        const invalidScopes = scopes.filter(scope => !grantableScopes.includes(scope));
+        if (invalidScopes.length > 0) throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+
+        const lifetimeDays = expiresInDays === undefined ? API_KEY_DEFAULT_EXPIRES_IN_DAYS : Number(expiresInDays);
+        if (!Number.isInteger(lifetimeDays) || lifetimeDays < 1 || lifetimeDays > API_KEY_MAX_EXPIRES_IN_DAYS) {
+            throw new Error(`Expiry must be between 1 and ${API_KEY_MAX_EXPIRES_IN_DAYS} days`);
+        }
+
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const rawKey = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+        const apiKey = await createApiKey({
+            name: name.trim(),
+            owner: owner.id,
+            prefix,
+            keyHash: this._hashKey(rawKey),
+            scopes: [...new Set(scopes)],
+            expiresAt: new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000)
+        });
+
+        this._notifyOwner(owner.id, 'New API Key Created', `A new API key named "${apiKey.name}" (${KEY_PREFIX}_${prefix}_...) was created on your admin account.
+Scopes: ${apiKey.scopes.join(', ')}
+Expires: ${apiKey.expiresAt.toLocaleString()}`);
+
+        // The raw key is only ever returned here
+        return { ...this._formatApiKey(apiKey), key: rawKey };
+    }
+
+    async listApiKeys(ownerId) {
+        const apiKeys = await findApiKeysByOwner(ownerId);
+        return apiKeys.map(apiKey => this._formatApiKey(apiKey));
+    }
+
+    async revokeApiKey(ownerId, apiKeyId) {
+        if (!isValidObjectId(apiKeyId)) throw new Error('API key not found');
+
+        const apiKey = await findApiKeyById(apiKeyId);
+        if (!apiKey || String(apiKey.owner) !== String(ownerId)) throw new Error('API key not found');
+        if (apiKey.revokedAt) throw new Error('API key has already been revoked');
+
+        const revokedApiKey = await revokeApiKey(apiKeyId);
+        if (!revokedApiKey) throw new Error('API key has already been revoked');
+
+        return this._formatApiKey(revokedApiKey);
+    }
+
+    // Resolves a raw key to its record and owner, or null when it cannot be used
+    async authenticate(rawKey, context = {}) {
+        if (!rawKey || !rawKey.startsWith(`${KEY_PREFIX}_`)) return null;
+
+        const apiKey = await findUsableApiKeyByHash(this._hashKey(rawKey.trim()));
+        if (!apiKey) return null;
+
+        const admin = await findAdminById(apiKey.owner);
+        if (!admin) return null;
+
+        const lastUsedAt = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+        if (Date.now() - lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+            await touchApiKey(apiKey._id, context.ipAddress);
+        }
+
+        // Scopes never outlive the owner's role, so a demoted admin's keys shrink with them
+        const ownerPermissions = getPermissionsForRole(admin.role);
+        const scopes = apiKey.scopes.filter(scope => ownerPermissions.includes(scope));
+
+        return { apiKey, admin, scopes };
+    }
+
+    getGrantableScopes(role) {
+        return getPermissionsForRole(role).filter(permission => !NON_DELEGABLE_PERMISSIONS.includes(permission));
+    }
+
+    _formatApiKey(apiKey) {
+        return {
+            id: String(apiKey._id),
+            name: apiKey.name,
+            keyPreview: `${KEY_PREFIX}_${apiKey.prefix}_...`,
+            scopes: apiKey.scopes,
+            expiresAt: apiKey.expiresAt,
+            lastUsedAt: apiKey.lastUsedAt || null,
+            lastUsedIp: apiKey.lastUsedIp || null,
+            revokedAt: apiKey.revokedAt || null,
+            isValid: !apiKey.revokedAt && new Date(apiKey.expiresAt) > new Date(),
+            createdAt: apiKey.createdAt
+        };
+    }
+
+    _hashKey(rawKey) {
+        return crypto.createHash('sha256').update(rawKey).digest('hex');
+    }
+
+    _notifyOwner(ownerId, subject, message) {
+        setImmediate(async () => {
+            try {
+                const admin = await findAdminById(ownerId);
+                if (!admin) return;
+
+                await sendEmail(
+                    admin.email,
+                    subject,
+                    `Hi ${admin.firstName} ${admin.lastName},
+
+${message}
+
+If this wasn't you, revoke the key immediately and change your password.
+
+Best regards,
+Admin Team`
+                );
+            } catch (error) {
+                console.error('API key notification failed:', { ownerId, error: error.message });
+            }
+        });
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const AuditActionEnum = require('../../../enums/auditActionEnum');
+
+// Append-only record of privileged actions; entries are never updated after they are written
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: Object.values(AuditActionEnum)
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    },
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    method: {
+        type: String
+    },
+    path: {
+        type: String
+    },
+    statusCode: {
+        type: Number
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ session: 1, createdAt: 1 });
+
+auditLogSchema.methods.toJSON = function() {
+    const auditLogObject = this.toObject();
+    auditLogObject.id = String(auditLogObject._id);
+    delete auditLogObject._id;
+    delete auditLogObject.__v;
+    return auditLogObject;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
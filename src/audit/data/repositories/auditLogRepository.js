@@ -0,0 +1,32 @@
+const AuditLog = require('../models/auditLogModel');
+
+const createAuditLog = async (entry) => {
+    return AuditLog.create(entry);
+};
+
+const findAuditLogs = async (filters = {}, options = {}) => {
+    const {
+        page = 1,
+        limit = 20,
+        sort = '-createdAt'
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [auditLogs, total] = await Promise.all([
+        AuditLog.find(filters)
+            .populate('actor', 'firstName lastName email')
+            .populate('subject', 'firstName lastName email')
+            .sort(sort)
+            .skip(skip)
+            .limit(limit),
+        AuditLog.countDocuments(filters)
+    ]);
+
+    return { auditLogs, total };
+};
+
+module.exports = {
+    createAuditLog,
+    findAuditLogs
+};
@@ -0,0 +1,74 @@
+const CommentService = require('../services/CommentService');
+const { getActor } = require('../../utils/requestContext');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../utils/respondHandler');
+
+const PERMISSION_ERRORS = [
+    'You do not have permission to access this work item',
+    'You can only edit your own comments',
+    'You do not have permission to delete this comment'
+];
+
+const NOT_FOUND_ERRORS = {
+    'Work item not found': 'Work item',
+    'Comment not found': 'Comment'
+};
+
+const handleError = (res, error, fallbackMessage) => {
+    if (NOT_FOUND_ERRORS[error.message]) {
+        return notFoundResponse(res, NOT_FOUND_ERRORS[error.message]);
+    }
+    if (PERMISSION_ERRORS.includes(error.message)) {
+        return forbiddenResponse(res, error.message);
+    }
+    return errorResponse(res, error.message || fallbackMessage, 400);
+};
+
+class CommentController {
+    async listComments(req, res) {
+        try {
+            const result = await CommentService.listComments(req.params.id, getActor(req));
+            return successResponse(res, result, 'Comments retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            return handleError(res, error, 'Failed to fetch comments');
+        }
+    }
+
+    async createComment(req, res) {
+        try {
+            const { body, parentId } = req.body;
+
+            const result = await CommentService.createComment(req.params.id, { body, parentId }, getActor(req));
+            return successResponse(res, result, parentId ? 'Reply posted successfully' : 'Comment posted successfully', 201);
+        } catch (error) {
+            console.error('Error creating comment:', error);
+            return handleError(res, error, 'Failed to post comment');
+        }
+    }
+
+    async updateComment(req, res) {
+        try {
+            const { id, commentId } = req.params;
+
+            const result = await CommentService.updateComment(id, commentId, { body: req.body.body }, getActor(req));
+            return successResponse(res, result, 'Comment updated successfully');
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            return handleError(res, error, 'Failed to update comment');
+        }
+    }
+
+    async deleteComment(req, res) {
+        try {
+            const { id, commentId } = req.params;
+
+            const result = await CommentService.deleteComment(id, commentId, getActor(req));
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            return handleError(res, error, 'Failed to delete comment');
+        }
+    }
+}
+
+module.exports = new CommentController();
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+    workItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkItem',
+        required: true
+    },
+    // Top-level comments have no parent; replies point at the comment they answer
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'authorModel',
+        required: true
+    },
+    authorModel: {
+        type: String,
+        required: true,
+        enum: ['Admin', 'User']
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    editedAt: {
+        type: Date
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+commentSchema.index({ workItem: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+commentSchema.methods.toJSON = function() {
+    const commentObject = this.toObject();
+    commentObject.id = String(commentObject._id);
+    delete commentObject._id;
+    delete commentObject.__v;
+    return commentObject;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,45 @@
+const Comment = require('../models/commentModel');
+
+const createComment = async (commentData) => {
+    const newComment = new Comment(commentData);
+    await newComment.save();
+    return newComment.populate('author', 'firstName lastName email');
+};
+
+const findCommentById = async (id) => {
+    return Comment.findById(id)
+        .populate('author', 'firstName lastName email');
+};
+
+const findCommentsByWorkItem = async (workItemId) => {
+    return Comment.find({ workItem: workItemId })
+        .populate('author', 'firstName lastName email')
+        .sort('createdAt');
+};
+
+const countReplies = async (commentId) => {
+    return Comment.countDocuments({ parent: commentId });
+};
+
+const updateComment = async (id, updateData) => {
+    return Comment.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
+        .populate('author', 'firstName lastName email');
+};
+
+const deleteComment = async (id) => {
+    return Comment.findByIdAndDelete(id);
+};
+
+const deleteCommentsByWorkItem = async (workItemId) => {
+    return Comment.deleteMany({ workItem: workItemId });
+};
+
+module.exports = {
+    createComment,
+    findCommentById,
+    findCommentsByWorkItem,
+    countReplies,
+    updateComment,
+    deleteComment,
+    deleteCommentsByWorkItem
+};
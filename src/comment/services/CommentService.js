@@ -0,0 +1,169 @@
+const {
+    createComment,
+    findCommentById,
+    findCommentsByWorkItem,
+    countReplies,
+    updateComment,
+    deleteComment
+} = require('../data/repositories/commentRepository');
+const WorkItemService = require('../../workItem/services/WorkItemService');
+const PermissionEnum = require('../../enums/permissionEnum');
+const { actorHasPermission } = require('../../utils/permissions');
+const { isValidObjectId } = require('../../utils/validation');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+class CommentService {
+    async listComments(workItemId, actor) {
+        await this._getWorkItem(workItemId, actor);
+
+        const comments = await findCommentsByWorkItem(workItemId);
+        return this._buildThreads(comments);
+    }
+
+    async createComment(workItemId, commentData, actor) {
+        const workItem = await this._getWorkItem(workItemId, actor);
+        if (!workItem.isActive) {
+            throw new Error('Cannot comment on a deleted work item');
+        }
+
+        const body = this._validateBody(commentData.body);
+
+        let parentId = null;
+        if (commentData.parentId) {
+            const parent = isValidObjectId(commentData.parentId)
+                ? await findCommentById(commentData.parentId)
+                : null;
+            // Replies must stay within the thread they were posted on
+            if (!parent || String(parent.workItem) !== String(workItemId)) {
+                throw new Error('Parent comment not found');
+            }
+            if (parent.isDeleted) {
+                throw new Error('Cannot reply to a deleted comment');
+            }
+            parentId = parent._id;
+        }
+
+        const comment = await createComment({
+            workItem: workItemId,
+            parent: parentId,
+            author: actor.id,
+            authorModel: actor.model,
+            body
+        });
+
+        return this._formatComment(comment);
+    }
+
+    async updateComment(workItemId, commentId, commentData, actor) {
+        await this._getWorkItem(workItemId, actor);
+        const comment = await this._getComment(workItemId, commentId);
+
+        if (comment.isDeleted) {
+            throw new Error('Deleted comments cannot be edited');
+        }
+        if (!this._isAuthor(comment, actor)) {
+            throw new Error('You can only edit your own comments');
+        }
+
+        const body = this._validateBody(commentData.body);
+        if (body === comment.body) {
+            return this._formatComment(comment);
+        }
+
+        const updatedComment = await updateComment(commentId, { body, editedAt: new Date() });
+        return this._formatComment(updatedComment);
+    }
+
+    async deleteComment(workItemId, commentId, actor) {
+        await this._getWorkItem(workItemId, actor);
+        const comment = await this._getComment(workItemId, commentId);
+
+        if (!this._isAuthor(comment, actor) && !actorHasPermission(actor, PermissionEnum.WORKITEM_UPDATE_ANY)) {
+            throw new Error('You do not have permission to delete this comment');
+        }
+
+        // Comments with replies keep their place in the thread so the conversation still reads in order
+        if (await countReplies(comment._id) > 0) {
+            if (!comment.isDeleted) {
+                await updateComment(commentId, { body: '', isDeleted: true, deletedAt: new Date() });
+            }
+        } else {
+            await deleteComment(commentId);
+        }
+
+        return { message: 'Comment deleted successfully' };
+    }
+
+    // Throws the same not-found and permission errors as reading the work item itself
+    async _getWorkItem(workItemId, actor) {
+        if (!isValidObjectId(workItemId)) {
+            throw new Error('Work item not found');
+        }
+        return WorkItemService.getWorkItemById(workItemId, actor);
+    }
+
+    async _getComment(workItemId, commentId) {
+        const comment = isValidObjectId(commentId) ? await findCommentById(commentId) : null;
+        if (!comment || String(comment.workItem) !== String(workItemId)) {
+            throw new Error('Comment not found');
+        }
+        return comment;
+    }
+
+    _validateBody(body) {
+        if (typeof body !== 'string' || !body.trim()) {
+            throw new Error('Comment body is required');
+        }
+        if (body.trim().length > MAX_COMMENT_LENGTH) {
+            throw new Error(`Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`);
+        }
+        return body.trim();
+    }
+
+    _isAuthor(comment, actor) {
+        return String(comment.author?._id || comment.author) === String(actor.id);
+    }
+
+    _buildThreads(comments) {
+        const formatted = comments.map(comment => this._formatComment(comment));
+        const byId = new Map(formatted.map(comment => [comment.id, comment]));
+        const threads = [];
+
+        for (const comment of formatted) {
+            const parent = comment.parent && byId.get(comment.parent);
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                threads.push(comment);
+            }
+        }
+
+        return threads;
+    }
+
+    _formatComment(comment) {
+        const commentObj = comment.toJSON();
+
+        const formattedComment = {
+            ...commentObj,
+            workItem: String(commentObj.workItem),
+            parent: commentObj.parent ? String(commentObj.parent) : null,
+            author: comment.author && !comment.isDeleted ? {
+                firstName: comment.author.firstName,
+                lastName: comment.author.lastName,
+                email: comment.author.email,
+                fullName: `${comment.author.firstName} ${comment.author.lastName}`
+            } : null,
+            isEdited: Boolean(commentObj.editedAt),
+            replies: []
+        };
+
+        delete formattedComment.authorModel;
+        if (formattedComment.isDeleted) formattedComment.body = null;
+
+        return formattedComment;
+    }
+}
+
+module.exports = new CommentService();
@@ -3,9 +3,78 @@ require('dotenv').config();
 module.exports = {
     MONGO_URI: process.env.MONGO_URI ,
     JWT_SECRET: process.env.JWT_SECRET,
-    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN ,
+    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+    JWT_SIGNING_KEYS: process.env.JWT_SIGNING_KEYS,
+    JWT_ACTIVE_KID: process.env.JWT_ACTIVE_KID,
+    JWT_KEY_GRACE_PERIOD_HOURS: process.env.JWT_KEY_GRACE_PERIOD_HOURS !== undefined
+        ? parseInt(process.env.JWT_KEY_GRACE_PERIOD_HOURS, 10)
+        : 24,
+    REFRESH_TOKEN_EXPIRES_IN_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30,
     NODE_ENV: process.env.NODE_ENV ,
     PORT: process.env.PORT ,
+    // Express "trust proxy" setting: false (default), true, a hop count, or addresses such as "loopback"
+    TRUST_PROXY: process.env.TRUST_PROXY === undefined || process.env.TRUST_PROXY === 'false'
+        ? false
+        : process.env.TRUST_PROXY === 'true'
+            ? true
+            : /^\d+$/.test(process.env.TRUST_PROXY)
+                ? parseInt(process.env.TRUST_PROXY, 10)
+                : process.env.TRUST_PROXY,
+    CLIENT_URL: process.env.CLIENT_URL,
+    ADMIN_OPEN_SIGNUP: process.env.ADMIN_OPEN_SIGNUP === 'true',
+    INVITATION_EXPIRES_IN_HOURS: parseInt(process.env.INVITATION_EXPIRES_IN_HOURS, 10) || 72,
+    TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Heunets',
+    TWO_FACTOR_CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    ADMIN_PASSWORDLESS_LOGIN: process.env.ADMIN_PASSWORDLESS_LOGIN !== 'false',
+    LOGIN_CODE_EXPIRES_IN_MINUTES: parseInt(process.env.LOGIN_CODE_EXPIRES_IN_MINUTES, 10) || 10,
+    MAX_FAILED_ATTEMPTS_PER_ACCOUNT: parseInt(process.env.MAX_FAILED_ATTEMPTS_PER_ACCOUNT, 10) || 5,
+    MAX_FAILED_ATTEMPTS_PER_IP: parseInt(process.env.MAX_FAILED_ATTEMPTS_PER_IP, 10) || 50,
+    FAILED_ATTEMPT_WINDOW_MINUTES: parseInt(process.env.FAILED_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+    LOCKOUT_DURATION_MINUTES: parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15,
+    PROGRESSIVE_DELAY_BASE_MS: process.env.PROGRESSIVE_DELAY_BASE_MS !== undefined
+        ? parseInt(process.env.PROGRESSIVE_DELAY_BASE_MS, 10)
+        : 500,
+    IMPERSONATION_EXPIRES_IN_MINUTES: parseInt(process.env.IMPERSONATION_EXPIRES_IN_MINUTES, 10) || 30,
+    SUBTASKS: {
+        // allow | block (while subtasks are open) | cascade (complete open subtasks too)
+        onParentComplete: process.env.SUBTASK_ON_PARENT_COMPLETE || 'allow',
+        // cascade (delete subtasks too) | orphan (detach them) | block (while subtasks are active)
+        onParentDelete: process.env.SUBTASK_ON_PARENT_DELETE || 'cascade',
+    },
+    WORKITEM_LINKS: {
+        // When true, the built-in workflow guards moves to in_progress and completed with no_open_blockers
+        enforceBlockers: process.env.WORKITEM_ENFORCE_BLOCKERS === 'true',
+    },
+    DEFAULT_PROJECT: {
+        key: process.env.DEFAULT_PROJECT_KEY || 'GEN',
+        name: process.env.DEFAULT_PROJECT_NAME || 'General',
+    },
+    API_KEY_DEFAULT_EXPIRES_IN_DAYS: parseInt(process.env.API_KEY_DEFAULT_EXPIRES_IN_DAYS, 10) || 90,
+    API_KEY_MAX_EXPIRES_IN_DAYS: parseInt(process.env.API_KEY_MAX_EXPIRES_IN_DAYS, 10) || 365,
+    PASSWORD_POLICY: {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+        requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+        requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+        requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+        requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+        historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined
+            ? parseInt(process.env.PASSWORD_HISTORY_SIZE, 10)
+            : 5,
+    },
+    OIDC: {
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        redirectUri: process.env.OIDC_REDIRECT_URI
+            || (process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/sso/callback` : undefined),
+        scopes: process.env.OIDC_SCOPES || 'openid email profile',
+        autoProvision: process.env.OIDC_AUTO_PROVISION === 'true',
+        allowedDomains: (process.env.OIDC_ALLOWED_DOMAINS || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean),
+        stateExpiresInMinutes: parseInt(process.env.OIDC_STATE_EXPIRES_IN_MINUTES, 10) || 10,
+    },
     SMTP_CONFIG: {
         host: process.env.SMTP_HOST ,
         port: process.env.SMTP_PORT ,
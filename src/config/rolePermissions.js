@@ -0,0 +1,45 @@
+const RoleEnum = require('../enums/roleEnum');
+const PermissionEnum = require('../enums/permissionEnum');
+
+// Permissions ending in ":any" lift the ownership checks applied to the base permission
+const USER_PERMISSIONS = [
+    PermissionEnum.WORKITEM_CREATE,
+    PermissionEnum.WORKITEM_READ,
+    PermissionEnum.WORKITEM_UPDATE,
+    PermissionEnum.WORKITEM_DELETE
+];
+
+const ADMIN_PERMISSIONS = [
+    ...USER_PERMISSIONS,
+    PermissionEnum.ADMIN_ACCESS,
+    PermissionEnum.ADMIN_INVITE,
+    PermissionEnum.API_KEY_MANAGE,
+    PermissionEnum.WORKITEM_READ_ANY,
+    PermissionEnum.WORKITEM_UPDATE_ANY,
+    PermissionEnum.WORKITEM_DELETE_ANY,
+    PermissionEnum.WORKITEM_DELETE_PERMANENT,
+    PermissionEnum.WORKITEM_RESTORE,
+    PermissionEnum.WORKITEM_BULK_UPDATE,
+    PermissionEnum.WORKITEM_STATS,
+    PermissionEnum.WORKITEM_HISTORY,
+    PermissionEnum.TAG_MANAGE,
+    PermissionEnum.WORKFLOW_MANAGE,
+    PermissionEnum.PROJECT_MANAGE
+];
+
+const SUPER_ADMIN_PERMISSIONS = [
+    ...ADMIN_PERMISSIONS,
+    PermissionEnum.ADMIN_MANAGE,
+    PermissionEnum.ADMIN_IMPERSONATE
+];
+
+const rolePermissions = {
+    [RoleEnum.USER]: USER_PERMISSIONS,
+    [RoleEnum.ADMIN]: ADMIN_PERMISSIONS,
+    [RoleEnum.SUPER_ADMIN]: SUPER_ADMIN_PERMISSIONS
+};
+
+Object.values(rolePermissions).forEach(permissions => Object.freeze(permissions));
+Object.freeze(rolePermissions);
+
+module.exports = rolePermissions;
@@ -0,0 +1,11 @@
+const AttemptActionEnum = {
+    LOGIN: 'login',
+    TWO_FACTOR: 'two_factor',
+    LOGIN_CODE: 'login_code',
+    VERIFY_EMAIL: 'verify_email',
+    PASSWORD_RESET: 'password_reset',
+};
+
+Object.freeze(AttemptActionEnum);
+
+module.exports = AttemptActionEnum;
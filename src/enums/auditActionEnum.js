@@ -0,0 +1,9 @@
+const AuditActionEnum = {
+    IMPERSONATION_STARTED: 'impersonation.started',
+    IMPERSONATION_REQUEST: 'impersonation.request',
+    IMPERSONATION_ENDED: 'impersonation.ended',
+};
+
+Object.freeze(AuditActionEnum);
+
+module.exports = AuditActionEnum;
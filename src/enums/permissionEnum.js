@@ -0,0 +1,26 @@
+const PermissionEnum = {
+    ADMIN_ACCESS: 'admin:access',
+    ADMIN_MANAGE: 'admin:manage',
+    ADMIN_INVITE: 'admin:invite',
+    ADMIN_IMPERSONATE: 'admin:impersonate',
+    API_KEY_MANAGE: 'apikey:manage',
+    WORKITEM_CREATE: 'workitem:create',
+    WORKITEM_READ: 'workitem:read',
+    WORKITEM_READ_ANY: 'workitem:read:any',
+    WORKITEM_UPDATE: 'workitem:update',
+    WORKITEM_UPDATE_ANY: 'workitem:update:any',
+    WORKITEM_DELETE: 'workitem:delete',
+    WORKITEM_DELETE_ANY: 'workitem:delete:any',
+    WORKITEM_DELETE_PERMANENT: 'workitem:delete:permanent',
+    WORKITEM_RESTORE: 'workitem:restore',
+    WORKITEM_BULK_UPDATE: 'workitem:bulk_update',
+    WORKITEM_STATS: 'workitem:stats',
+    WORKITEM_HISTORY: 'workitem:history',
+    TAG_MANAGE: 'tag:manage',
+    WORKFLOW_MANAGE: 'workflow:manage',
+    PROJECT_MANAGE: 'project:manage',
+};
+
+Object.freeze(PermissionEnum);
+
+module.exports = PermissionEnum;
@@ -1,6 +1,7 @@
 const RoleEnum = {
     USER: 'user',
     ADMIN: 'admin',
+    SUPER_ADMIN: 'super_admin',
 };
 
 Object.freeze(RoleEnum);
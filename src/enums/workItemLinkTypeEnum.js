@@ -0,0 +1,9 @@
+const WorkItemLinkTypeEnum = {
+    BLOCKS: 'blocks',
+    RELATES_TO: 'relates_to',
+    DUPLICATES: 'duplicates'
+};
+
+Object.freeze(WorkItemLinkTypeEnum);
+
+module.exports = WorkItemLinkTypeEnum;
@@ -0,0 +1,12 @@
+const WorkItemOperationEnum = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    BULK_UPDATED: 'bulk_updated',
+    DELETED: 'deleted',
+    RESTORED: 'restored',
+    PERMANENTLY_DELETED: 'permanently_deleted'
+};
+
+Object.freeze(WorkItemOperationEnum);
+
+module.exports = WorkItemOperationEnum;
@@ -0,0 +1,9 @@
+const WorkflowCategoryEnum = {
+    TODO: 'todo',
+    DOING: 'doing',
+    DONE: 'done'
+};
+
+Object.freeze(WorkflowCategoryEnum);
+
+module.exports = WorkflowCategoryEnum;
@@ -0,0 +1,10 @@
+const WorkflowGuardEnum = {
+    ASSIGNEE_REQUIRED: 'assignee_required',
+    DUE_DATE_REQUIRED: 'due_date_required',
+    NO_OPEN_SUBTASKS: 'no_open_subtasks',
+    NO_OPEN_BLOCKERS: 'no_open_blockers'
+};
+
+Object.freeze(WorkflowGuardEnum);
+
+module.exports = WorkflowGuardEnum;
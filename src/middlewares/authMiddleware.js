@@ -1,9 +1,64 @@
-const jwt = require('jsonwebtoken');
-const { JWT_SECRET } = require('../config/config');
 const Admin = require('../admin/data/models/adminModel');
+const User = require('../user/data/models/userModel');
+const SessionService = require('../session/services/SessionService');
+const ApiKeyService = require('../apiKey/services/ApiKeyService');
+const ImpersonationService = require('../admin/services/ImpersonationService');
+const { getRequestContext } = require('../utils/requestContext');
+const { verifyToken } = require('../utils/jwtHandler');
+const { hasPermission, actorHasPermission } = require('../utils/permissions');
+const RoleEnum = require('../enums/roleEnum');
+const PermissionEnum = require('../enums/permissionEnum');
 
 
+const authenticateApiKey = async (req, res, next, rawKey) => {
+    try {
+        const result = await ApiKeyService.authenticate(rawKey, getRequestContext(req));
+        if (!result) {
+            return res.status(401).json({ message: 'Invalid or expired API key' });
+        }
+
+        const { apiKey, admin, scopes } = result;
+        if (!admin.isActive) {
+            return res.status(401).json({ message: 'Account has been deactivated' });
+        }
+
+        req.user = { id: String(admin._id), role: admin.role, apiKeyId: String(apiKey._id), scopes };
+        req.admin = admin;
+
+        next();
+    } catch (err) {
+        return res.status(401).json({ message: 'Invalid or expired API key' });
+    }
+};
+
+// The impersonator must still be allowed to impersonate, and every request is written to the audit log
+const trackImpersonation = async (req, res) => {
+    const impersonator = await Admin.findById(req.user.impersonatorId);
+    if (!impersonator || !impersonator.isActive || !hasPermission(impersonator.role, PermissionEnum.ADMIN_IMPERSONATE)) {
+        return false;
+    }
+
+    req.impersonator = impersonator;
+    res.set('X-Impersonated-By', String(impersonator._id));
+
+    const context = getRequestContext(req);
+    res.on('finish', () => {
+        ImpersonationService.recordRequest(req.user, {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            statusCode: res.statusCode
+        }, context);
+    });
+
+    return true;
+};
+
 const authMiddleware = async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+        return authenticateApiKey(req, res, next, apiKey);
+    }
+
     const token = req.headers['authorization']?.split(' ')[1];
 
     if (!token) {
@@ -11,25 +66,44 @@ const authMiddleware = async (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = verifyToken(token);
 
         if (!decoded || !decoded.id || !decoded.role) {
             return res.status(401).json({ message: 'Invalid token structure' });
         }
 
+        const isSessionActive = await SessionService.validateSession(decoded.sid, decoded.id, getRequestContext(req));
+        if (!isSessionActive) {
+            return res.status(401).json({ message: 'Session has expired or been revoked' });
+        }
+
         req.user = decoded;
 
-        if (decoded.role === 'admin') {
+        if (decoded.act?.sub) {
+            req.user.impersonatorId = decoded.act.sub;
+            const isImpersonationAllowed = await trackImpersonation(req, res);
+            if (!isImpersonationAllowed) {
+                return res.status(401).json({ message: 'Impersonation is no longer permitted' });
+            }
+        }
+
+        if (decoded.role === RoleEnum.ADMIN || decoded.role === RoleEnum.SUPER_ADMIN) {
             const admin = await Admin.findById(decoded.id);
             if (!admin) {
                 return res.status(401).json({ message: 'Admin not found or unauthorized' });
             }
+            if (!admin.isActive) {
+                return res.status(401).json({ message: 'Account has been deactivated' });
+            }
             req.admin = admin;
-        } else if (decoded.role === 'user') {
+        } else if (decoded.role === RoleEnum.USER) {
             const user = await User.findById(decoded.id);
             if (!user) {
                 return res.status(401).json({ message: 'User not found or unauthorized' });
             }
+            if (!user.isActive) {
+                return res.status(401).json({ message: 'Account has been deactivated' });
+            }
             req.userDetails = user;
         } else {
             return res.status(403).json({ message: 'Invalid role' });
@@ -41,7 +115,21 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
-const authorize = (roles) => {
+const authorize = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        if (!permissions.every(permission => actorHasPermission(req.user, permission))) {
+            return res.status(403).json({ message: 'Insufficient permissions' });
+        }
+
+        next();
+    };
+};
+
+const requireRole = (...roles) => {
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({ message: 'Authentication required' });
@@ -55,7 +143,26 @@ const authorize = (roles) => {
     };
 };
 
+// API keys carry no session, so password and session routes would otherwise act on every session of the key owner
+const requireSession = (req, res, next) => {
+    if (!req.user?.sid || req.user.apiKeyId) {
+        return res.status(403).json({ message: 'This action requires a signed-in session' });
+    }
+    next();
+};
+
+// Account security settings stay with the real owner, even during a support session
+const denyDuringImpersonation = (req, res, next) => {
+    if (req.user?.impersonatorId) {
+        return res.status(403).json({ message: 'This action is not available while impersonating an admin' });
+    }
+    next();
+};
+
 module.exports = authMiddleware;
 module.exports.authenticate = authMiddleware;
 module.exports.authorize = authorize;
+module.exports.requireRole = requireRole;
+module.exports.requireSession = requireSession;
+module.exports.denyDuringImpersonation = denyDuringImpersonation;
 
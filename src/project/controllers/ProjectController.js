@@ -0,0 +1,117 @@
+const ProjectService = require('../services/ProjectService');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../utils/respondHandler');
+const { getActor } = require('../../utils/requestContext');
+
+const pickDetails = ({ key, name, description, members, defaultAssignee }) => (
+    { key, name, description, members, defaultAssignee }
+);
+
+const CONFLICT_ERRORS = [
+    'A project with this key already exists',
+    'This account is already a member of the project',
+    'Move or permanently delete the work items in this project first'
+];
+
+class ProjectController {
+    async listProjects(req, res) {
+        try {
+            const result = await ProjectService.listProjects(getActor(req));
+            return successResponse(res, result, 'Projects retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching projects:', error);
+            return errorResponse(res, error.message || 'Failed to fetch projects', 400);
+        }
+    }
+
+    async getProject(req, res) {
+        try {
+            const result = await ProjectService.getProject(req.params.id, getActor(req));
+            return successResponse(res, result, 'Project retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching project:', error);
+            if (error.message === 'Project not found') {
+                return notFoundResponse(res, 'Project');
+            }
+            if (error.message === 'You are not a member of this project') {
+                return forbiddenResponse(res, error.message);
+            }
+            return errorResponse(res, error.message || 'Failed to fetch project', 400);
+        }
+    }
+
+    async createProject(req, res) {
+        try {
+            const result = await ProjectService.createProject(pickDetails(req.body));
+            return successResponse(res, result, 'Project created successfully', 201);
+        } catch (error) {
+            console.error('Error creating project:', error);
+            if (CONFLICT_ERRORS.includes(error.message)) {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to create project', 400);
+        }
+    }
+
+    async updateProject(req, res) {
+        try {
+            const result = await ProjectService.updateProject(req.params.id, pickDetails(req.body));
+            return successResponse(res, result, 'Project updated successfully');
+        } catch (error) {
+            console.error('Error updating project:', error);
+            if (error.message === 'Project not found') {
+                return notFoundResponse(res, 'Project');
+            }
+            return errorResponse(res, error.message || 'Failed to update project', 400);
+        }
+    }
+
+    async addMember(req, res) {
+        try {
+            const result = await ProjectService.addMember(req.params.id, req.body.email);
+            return successResponse(res, result, 'Member added successfully', 201);
+        } catch (error) {
+            console.error('Error adding project member:', error);
+            if (error.message === 'Project not found') {
+                return notFoundResponse(res, 'Project');
+            }
+            if (CONFLICT_ERRORS.includes(error.message)) {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to add member', 400);
+        }
+    }
+
+    async removeMember(req, res) {
+        try {
+            const result = await ProjectService.removeMember(req.params.id, req.params.accountId);
+            return successResponse(res, result, 'Member removed successfully');
+        } catch (error) {
+            console.error('Error removing project member:', error);
+            if (error.message === 'Project not found') {
+                return notFoundResponse(res, 'Project');
+            }
+            if (error.message === 'Member not found') {
+                return notFoundResponse(res, 'Member');
+            }
+            return errorResponse(res, error.message || 'Failed to remove member', 400);
+        }
+    }
+
+    async deleteProject(req, res) {
+        try {
+            const result = await ProjectService.deleteProject(req.params.id);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            if (error.message === 'Project not found') {
+                return notFoundResponse(res, 'Project');
+            }
+            if (CONFLICT_ERRORS.includes(error.message)) {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to delete project', 400);
+        }
+    }
+}
+
+module.exports = new ProjectController();
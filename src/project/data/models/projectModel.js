@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'members.accountModel',
+        required: true
+    },
+    accountModel: {
+        type: String,
+        required: true,
+        enum: ['Admin', 'User']
+    }
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+    // Short uppercase code shown next to item numbers, e.g. HEU
+    key: {
+        type: String,
+        required: [true, 'Project key is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxlength: [10, 'Project key cannot exceed 10 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Project name is required'],
+        trim: true,
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    members: {
+        type: [memberSchema],
+        default: []
+    },
+    // Work items created without an assignee go to this account
+    defaultAssignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'defaultAssigneeModel'
+    },
+    defaultAssigneeModel: {
+        type: String,
+        enum: ['Admin', 'User']
+    },
+    // Items created without a project land in the default project
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    // Number of the last work item key handed out, e.g. 123 for HEU-123
+    itemCounter: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+projectSchema.index({ 'members.account': 1 });
+// At most one project can be the default
+projectSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+projectSchema.methods.toJSON = function() {
+    const projectObject = this.toObject();
+    projectObject.id = String(projectObject._id);
+    delete projectObject._id;
+    delete projectObject.__v;
+    delete projectObject.itemCounter;
+    return projectObject;
+};
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,101 @@
+const Project = require('../models/projectModel');
+const WorkItem = require('../../../workItem/data/models/workItemModel');
+
+const ACCOUNT_FIELDS = 'firstName lastName email';
+
+const populateProject = (query) => query
+    .populate('members.account', ACCOUNT_FIELDS)
+    .populate('defaultAssignee', ACCOUNT_FIELDS);
+
+const createProject = async (projectData) => {
+    const project = await Project.create(projectData);
+    return populateProject(Project.findById(project._id));
+};
+
+const findProjectById = async (id) => {
+    return populateProject(Project.findById(id));
+};
+
+const findProjectByKey = async (key) => {
+    return populateProject(Project.findOne({ key }));
+};
+
+const findAllProjects = async (filters = {}) => {
+    return populateProject(Project.find(filters).sort('key'));
+};
+
+const findProjectIdsByMember = async (accountId) => {
+    const projects = await Project.find({ 'members.account': accountId }, '_id');
+    return projects.map(project => project._id);
+};
+
+// Creates the default project on first use and moves items created before projects existed into it
+const ensureDefaultProject = async (projectData) => {
+    let result;
+    try {
+        result = await Project.findOneAndUpdate(
+            { isDefault: true },
+            { $setOnInsert: { ...projectData, isDefault: true } },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+    } catch (error) {
+        // A concurrent call created the default project first; the unique index turned this upsert away
+        if (error.code !== 11000) throw error;
+        return populateProject(Project.findOne({ isDefault: true }));
+    }
+
+    if (result.lastErrorObject && result.lastErrorObject.upserted) {
+        await WorkItem.updateMany({ project: { $exists: false } }, { $set: { project: result.value._id } });
+        await backfillItemKeys(result.value);
+    }
+
+    return populateProject(Project.findById(result.value._id));
+};
+
+// Numbers the project's unkeyed items oldest first. The counter is advanced by the whole block up front,
+// so items created meanwhile take numbers after it
+const backfillItemKeys = async (project) => {
+    const items = await WorkItem.find({ project: project._id, key: { $exists: false } }, '_id').sort('createdAt');
+    if (items.length === 0) return;
+
+    const { itemCounter } = await Project.findByIdAndUpdate(
+        project._id,
+        { $inc: { itemCounter: items.length } },
+        { new: true, projection: { itemCounter: 1 } }
+    );
+    const firstNumber = itemCounter - items.length + 1;
+
+    await WorkItem.bulkWrite(items.map((item, index) => ({
+        updateOne: {
+            filter: { _id: item._id },
+            update: { $set: { key: `${project.key}-${firstNumber + index}` } }
+        }
+    })));
+};
+
+// $inc is atomic, so concurrent creates never receive the same number
+const incrementItemCounter = async (id) => {
+    const project = await Project.findByIdAndUpdate(id, { $inc: { itemCounter: 1 } }, { new: true, projection: { itemCounter: 1 } });
+    if (!project) throw new Error('Project not found');
+    return project.itemCounter;
+};
+
+const updateProject = async (id, updateData) => {
+    return populateProject(Project.findByIdAndUpdate(id, { $set: updateData }, { new: true, runValidators: true }));
+};
+
+const deleteProject = async (id) => {
+    return Project.findByIdAndDelete(id);
+};
+
+module.exports = {
+    createProject,
+    findProjectById,
+    findProjectByKey,
+    findAllProjects,
+    findProjectIdsByMember,
+    ensureDefaultProject,
+    incrementItemCounter,
+    updateProject,
+    deleteProject
+};
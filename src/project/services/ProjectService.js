@@ -0,0 +1,285 @@
+const {
+    createProject,
+    findProjectById,
+    findProjectByKey,
+    findAllProjects,
+    findProjectIdsByMember,
+    ensureDefaultProject,
+    incrementItemCounter,
+    updateProject,
+    deleteProject
+} = require('../data/repositories/projectRepository');
+const { countWorkItemsByFilters } = require('../../workItem/data/repositories/workItemRepository');
+const Admin = require('../../admin/data/models/adminModel');
+const User = require('../../user/data/models/userModel');
+const PermissionEnum = require('../../enums/permissionEnum');
+const { actorHasPermission } = require('../../utils/permissions');
+const { DEFAULT_PROJECT } = require('../../config/config');
+const { isValidObjectId } = require('../../utils/validation');
+
+const KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+class ProjectService {
+    async getDefaultProject() {
+        return ensureDefaultProject({ key: DEFAULT_PROJECT.key, name: DEFAULT_PROJECT.name });
+    }
+
+    // Accepts a project ID or key; a missing reference means the default project
+    async resolveProject(reference) {
+        if (!reference) {
+            return this.getDefaultProject();
+        }
+
+        const project = isValidObjectId(reference)
+            ? await findProjectById(reference)
+            : await findProjectByKey(String(reference).trim().toUpperCase());
+        if (!project) {
+            throw new Error('Project not found');
+        }
+        return project;
+    }
+
+    // Hands out the next key in the project's sequence, e.g. HEU-124
+    async nextWorkItemKey(project) {
+        const number = await incrementItemCounter(project._id);
+        return `${project.key}-${number}`;
+    }
+
+    // IDs of the projects whose items the actor can see through membership
+    async getMemberProjectIds(actor) {
+        return (await findProjectIdsByMember(actor.id)) || [];
+    }
+
+    isMember(project, actor) {
+        return (project.members || []).some(member => String(member.account?._id || member.account) === String(actor.id));
+    }
+
+    // Anyone can file items in the default project; other projects are for their members
+    canUse(project, actor) {
+        return project.isDefault || this.isMember(project, actor) || actorHasPermission(actor, PermissionEnum.WORKITEM_READ_ANY);
+    }
+
+    async listProjects(actor) {
+        await this.getDefaultProject();
+
+        const filters = actorHasPermission(actor, PermissionEnum.WORKITEM_READ_ANY)
+            ? {}
+            : { $or: [{ isDefault: true }, { 'members.account': actor.id }] };
+        const projects = await findAllProjects(filters);
+
+        return projects.map(project => this._formatProject(project));
+    }
+
+    async getProject(reference, actor) {
+        const project = await this.resolveProject(reference);
+        if (!this.canUse(project, actor)) {
+            throw new Error('You are not a member of this project');
+        }
+        return this._formatProject(project);
+    }
+
+    async createProject(projectData) {
+        const key = this._normalizeKey(projectData.key);
+        if (await findProjectByKey(key)) {
+            throw new Error('A project with this key already exists');
+        }
+
+        const details = this._validateDetails(projectData, true);
+        const members = [];
+        for (const email of projectData.members || []) {
+            this._addMember(members, await this._findAccount(email));
+        }
+
+        let defaultAssignee = {};
+        if (projectData.defaultAssignee) {
+            const account = await this._findAssignee(projectData.defaultAssignee);
+            this._addMember(members, account);
+            defaultAssignee = { defaultAssignee: account.account._id, defaultAssigneeModel: account.model };
+        }
+
+        const project = await createProject({ key, ...details, members, ...defaultAssignee });
+        return this._formatProject(project);
+    }
+
+    async updateProject(reference, projectData) {
+        const project = await this.resolveProject(reference);
+        if (projectData.key !== undefined && this._normalizeKey(projectData.key) !== project.key) {
+            throw new Error('Project keys cannot be changed');
+        }
+
+        const updates = this._validateDetails(projectData, false);
+
+        if (projectData.defaultAssignee !== undefined) {
+            if (projectData.defaultAssignee) {
+                const account = await this._findAssignee(projectData.defaultAssignee);
+                const members = this._plainMembers(project);
+                this._addMember(members, account);
+                Object.assign(updates, { members, defaultAssignee: account.account._id, defaultAssigneeModel: account.model });
+            } else {
+                Object.assign(updates, { defaultAssignee: null, defaultAssigneeModel: null });
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            throw new Error('No valid update fields provided');
+        }
+
+        const updatedProject = await updateProject(project._id, updates);
+        return this._formatProject(updatedProject);
+    }
+
+    async addMember(reference, email) {
+        const project = await this.resolveProject(reference);
+        const account = await this._findAccount(email);
+
+        const members = this._plainMembers(project);
+        if (!this._addMember(members, account)) {
+            throw new Error('This account is already a member of the project');
+        }
+
+        const updatedProject = await updateProject(project._id, { members });
+        return this._formatProject(updatedProject);
+    }
+
+    async removeMember(reference, accountId) {
+        const project = await this.resolveProject(reference);
+
+        const members = this._plainMembers(project);
+        const remaining = members.filter(member => String(member.account) !== String(accountId));
+        if (remaining.length === members.length) {
+            throw new Error('Member not found');
+        }
+
+        // The default assignee has to be able to see the items it receives
+        const updates = { members: remaining };
+        if (String(project.defaultAssignee?._id || project.defaultAssignee) === String(accountId)) {
+            Object.assign(updates, { defaultAssignee: null, defaultAssigneeModel: null });
+        }
+
+        const updatedProject = await updateProject(project._id, updates);
+        return this._formatProject(updatedProject);
+    }
+
+    async deleteProject(reference) {
+        const project = await this.resolveProject(reference);
+        if (project.isDefault) {
+            throw new Error('The default project cannot be deleted');
+        }
+
+        // Deleted items still belong to the project until they are permanently deleted
+        if (await countWorkItemsByFilters({ project: project._id }) > 0) {
+            throw new Error('Move or permanently delete the work items in this project first');
+        }
+
+        await deleteProject(project._id);
+        return { message: 'Project deleted successfully' };
+    }
+
+    async _findAccount(email) {
+        if (typeof email !== 'string' || !email.trim()) {
+            throw new Error('Members must be given by email address');
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const admin = await Admin.findOne({ email: normalizedEmail, isActive: true });
+        if (admin) {
+            return { account: admin, model: 'Admin' };
+        }
+
+        const user = await User.findOne({ email: normalizedEmail, isActive: true });
+        if (user) {
+            return { account: user, model: 'User' };
+        }
+
+        throw new Error(`User with email ${normalizedEmail} does not exist`);
+    }
+
+    // Same rule as assigning a work item: team members must have verified their email
+    async _findAssignee(email) {
+        const assignee = await this._findAccount(email);
+        if (assignee.model === 'User' && !assignee.account.isEmailVerified) {
+            throw new Error(`User with email ${assignee.account.email} has not verified their email`);
+        }
+        return assignee;
+    }
+
+    // Returns false when the account is already listed
+    _addMember(members, { account, model }) {
+        if (members.some(member => String(member.account) === String(account._id))) {
+            return false;
+        }
+        members.push({ account: account._id, accountModel: model });
+        return true;
+    }
+
+    _plainMembers(project) {
+        return (project.members || []).map(member => ({
+            account: member.account?._id || member.account,
+            accountModel: member.accountModel
+        }));
+    }
+
+    _normalizeKey(key) {
+        const normalized = typeof key === 'string' ? key.trim().toUpperCase() : '';
+        if (!KEY_PATTERN.test(normalized)) {
+            throw new Error('Project key must be 2-10 letters or digits, starting with a letter');
+        }
+        return normalized;
+    }
+
+    _validateDetails(projectData, requireName) {
+        const details = {};
+
+        if (projectData.name !== undefined || requireName) {
+            if (typeof projectData.name !== 'string' || !projectData.name.trim()) {
+                throw new Error('Project name is required');
+            }
+            if (projectData.name.trim().length > MAX_NAME_LENGTH) {
+                throw new Error(`Project name cannot exceed ${MAX_NAME_LENGTH} characters`);
+            }
+            details.name = projectData.name.trim();
+        }
+
+        if (projectData.description !== undefined) {
+            const description = typeof projectData.description === 'string' ? projectData.description.trim() : '';
+            if (description.length > MAX_DESCRIPTION_LENGTH) {
+                throw new Error(`Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+            }
+            details.description = description;
+        }
+
+        return details;
+    }
+
+    _formatPerson(person) {
+        return {
+            id: String(person._id),
+            firstName: person.firstName,
+            lastName: person.lastName,
+            email: person.email,
+            fullName: `${person.firstName} ${person.lastName}`
+        };
+    }
+
+    _formatProject(project) {
+        const projectObj = project.toJSON();
+
+        const formattedProject = {
+            ...projectObj,
+            members: (project.members || [])
+                .filter(member => member.account && member.account.email)
+                .map(member => this._formatPerson(member.account)),
+            defaultAssignee: project.defaultAssignee && project.defaultAssignee.email
+                ? this._formatPerson(project.defaultAssignee)
+                : null
+        };
+
+        delete formattedProject.defaultAssigneeModel;
+
+        return formattedProject;
+    }
+}
+
+module.exports = new ProjectService();
@@ -1,19 +1,55 @@
 const express = require('express');
 const adminController = require('../admin/controllers/AdminAuthController');
+const sessionController = require('../session/controllers/SessionController');
+const invitationController = require('../admin/controllers/InvitationController');
+const twoFactorController = require('../admin/controllers/TwoFactorController');
+const profileController = require('../admin/controllers/AdminProfileController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize, requireSession, denyDuringImpersonation } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
 
 const router = express.Router();
 
 
 router.post('/login', adminController.login);
+router.post('/login/2fa', adminController.verifyTwoFactor);
+router.post('/login/code', adminController.requestLoginCode);
+router.post('/login/code/verify', adminController.verifyLoginCode);
+router.get('/login/oidc', adminController.startOidcLogin);
+router.post('/login/oidc/callback', adminController.completeOidcLogin);
 router.post('/signup', adminController.createAdmin);
 router.post('/verify-email', adminController.verifyEmail);
 router.post('/resend-verification-pin', adminController.resendVerificationToken);
 router.post('/forgot-password', adminController.forgotPassword);
 router.post('/validate-reset-token', adminController.validateResetToken);
 router.post('/reset-password', adminController.resetPassword);
-router.put('/change-password', authMiddleware, adminController.changePassword);
-router.post('/logout', adminController.logout);
+router.put('/change-password', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), requireSession, denyDuringImpersonation, adminController.changePassword);
+router.post('/refresh', adminController.refreshToken);
+router.post('/logout', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), requireSession, adminController.logout);
+
+// Profile
+router.get('/me', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), profileController.getProfile);
+router.patch('/me', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, profileController.updateProfile);
+router.post('/me/email/verify', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, profileController.confirmEmailChange);
+router.delete('/me/email', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, profileController.cancelEmailChange);
+
+// Session management
+router.post('/sessions/revoke', sessionController.revokeFromLoginAlert);
+router.get('/sessions', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), requireSession, sessionController.listSessions);
+router.delete('/sessions', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), requireSession, denyDuringImpersonation, sessionController.terminateOtherSessions);
+router.delete('/sessions/:id', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), requireSession, denyDuringImpersonation, sessionController.terminateSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, twoFactorController.beginEnrollment);
+router.post('/2fa/confirm', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, twoFactorController.confirmEnrollment);
+router.post('/2fa/disable', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authMiddleware, authorize(PermissionEnum.ADMIN_ACCESS), denyDuringImpersonation, twoFactorController.regenerateRecoveryCodes);
+
+// Admin invitations
+router.post('/invitations/validate', invitationController.validateInvitation);
+router.post('/invitations', authMiddleware, authorize(PermissionEnum.ADMIN_INVITE), denyDuringImpersonation, invitationController.createInvitation);
+router.get('/invitations', authMiddleware, authorize(PermissionEnum.ADMIN_INVITE), invitationController.listInvitations);
+router.delete('/invitations/:id', authMiddleware, authorize(PermissionEnum.ADMIN_INVITE), denyDuringImpersonation, invitationController.revokeInvitation);
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const adminManagementController = require('../admin/controllers/AdminManagementController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+const router = express.Router();
+
+router.use(authenticate, authorize(PermissionEnum.ADMIN_MANAGE));
+
+router.get('/', adminManagementController.listAdmins);
+router.get('/:id', adminManagementController.getAdmin);
+router.patch('/:id/deactivate', adminManagementController.deactivateAdmin);
+router.patch('/:id/reactivate', adminManagementController.reactivateAdmin);
+router.patch('/:id/unlock', adminManagementController.unlockAdmin);
+router.patch('/:id/role', adminManagementController.changeRole);
+router.delete('/:id', adminManagementController.deleteAdmin);
+
+module.exports = router;
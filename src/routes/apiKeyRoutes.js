@@ -0,0 +1,15 @@
+const express = require('express');
+const apiKeyController = require('../apiKey/controllers/ApiKeyController');
+const { authenticate, authorize, denyDuringImpersonation } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+const router = express.Router();
+
+router.use(authenticate, authorize(PermissionEnum.API_KEY_MANAGE), denyDuringImpersonation);
+
+router.get('/', apiKeyController.listApiKeys);
+router.get('/scopes', apiKeyController.listScopes);
+router.post('/', apiKeyController.createApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
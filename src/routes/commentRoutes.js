@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const commentController = require('../comment/controllers/CommentController');
+const { authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+// Mounted under /api/workitems/:id/comments, behind the work item router's authenticate.
+// Anyone who can see a work item may discuss it; authorship and ":any" checks live in CommentService
+router.get('/', authorize(PermissionEnum.WORKITEM_READ), commentController.listComments);
+router.post('/', authorize(PermissionEnum.WORKITEM_UPDATE), commentController.createComment);
+router.patch('/:commentId', authorize(PermissionEnum.WORKITEM_UPDATE), commentController.updateComment);
+router.delete('/:commentId', authorize(PermissionEnum.WORKITEM_UPDATE), commentController.deleteComment);
+
+module.exports = router;
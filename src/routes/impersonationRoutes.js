@@ -0,0 +1,14 @@
+const express = require('express');
+const impersonationController = require('../admin/controllers/ImpersonationController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+const router = express.Router();
+
+router.post('/', authenticate, authorize(PermissionEnum.ADMIN_IMPERSONATE), impersonationController.startImpersonation);
+router.get('/logs', authenticate, authorize(PermissionEnum.ADMIN_IMPERSONATE), impersonationController.listAuditLogs);
+
+// Called with the impersonation token itself to hand the session back
+router.delete('/', authenticate, impersonationController.endImpersonation);
+
+module.exports = router;
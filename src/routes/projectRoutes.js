@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const projectController = require('../project/controllers/ProjectController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+router.use(authenticate);
+
+// Projects are listed per member; only admins change them
+router.get('/', authorize(PermissionEnum.WORKITEM_READ), projectController.listProjects);
+router.get('/:id', authorize(PermissionEnum.WORKITEM_READ), projectController.getProject);
+router.post('/', authorize(PermissionEnum.PROJECT_MANAGE), projectController.createProject);
+router.patch('/:id', authorize(PermissionEnum.PROJECT_MANAGE), projectController.updateProject);
+router.post('/:id/members', authorize(PermissionEnum.PROJECT_MANAGE), projectController.addMember);
+router.delete('/:id/members/:accountId', authorize(PermissionEnum.PROJECT_MANAGE), projectController.removeMember);
+router.delete('/:id', authorize(PermissionEnum.PROJECT_MANAGE), projectController.deleteProject);
+
+module.exports = router;
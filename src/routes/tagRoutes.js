@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../tag/controllers/TagController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+router.use(authenticate);
+
+router.get('/', authorize(PermissionEnum.WORKITEM_READ), tagController.listTags);
+router.post('/', authorize(PermissionEnum.TAG_MANAGE), tagController.createTag);
+router.post('/:id/merge', authorize(PermissionEnum.TAG_MANAGE), tagController.mergeTags);
+router.patch('/:id', authorize(PermissionEnum.TAG_MANAGE), tagController.updateTag);
+router.delete('/:id', authorize(PermissionEnum.TAG_MANAGE), tagController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const userController = require('../user/controllers/UserAuthController');
+const sessionController = require('../session/controllers/SessionController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requireRole, requireSession } = require('../middlewares/authMiddleware');
+const RoleEnum = require('../enums/roleEnum');
+
+const router = express.Router();
+
+
+router.post('/login', userController.login);
+router.post('/signup', userController.createUser);
+router.post('/verify-email', userController.verifyEmail);
+router.post('/resend-verification-pin', userController.resendVerificationToken);
+router.post('/forgot-password', userController.forgotPassword);
+router.post('/validate-reset-token', userController.validateResetToken);
+router.post('/reset-password', userController.resetPassword);
+router.put('/change-password', authMiddleware, requireRole(RoleEnum.USER), requireSession, userController.changePassword);
+router.post('/refresh', userController.refreshToken);
+router.post('/logout', authMiddleware, requireRole(RoleEnum.USER), requireSession, userController.logout);
+
+// Session management
+router.post('/sessions/revoke', sessionController.revokeFromLoginAlert);
+router.get('/sessions', authMiddleware, requireRole(RoleEnum.USER), requireSession, sessionController.listSessions);
+router.delete('/sessions', authMiddleware, requireRole(RoleEnum.USER), requireSession, sessionController.terminateOtherSessions);
+router.delete('/sessions/:id', authMiddleware, requireRole(RoleEnum.USER), requireSession, sessionController.terminateSession);
+
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const workItemLinkController = require('../workItem/controllers/WorkItemLinkController');
+const { authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+// Mounted under /api/workitems/:id/links, behind the work item router's authenticate.
+// Visibility of both linked items is checked in WorkItemLinkService
+router.get('/', authorize(PermissionEnum.WORKITEM_READ), workItemLinkController.listLinks);
+router.post('/', authorize(PermissionEnum.WORKITEM_UPDATE), workItemLinkController.createLink);
+router.delete('/:linkId', authorize(PermissionEnum.WORKITEM_UPDATE), workItemLinkController.deleteLink);
+
+module.exports = router;
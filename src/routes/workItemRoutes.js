@@ -1,35 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const WorkItemController = require('../workItem/controllers/WorkItemController');
-const { authenticate } = require('../middlewares/authMiddleware');
-const isAdmin = require('../middlewares/isAdmin');
+const commentRoutes = require('./commentRoutes');
+const workItemLinkRoutes = require('./workItemLinkRoutes');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
 
-router.use(authenticate, isAdmin);
+// Ownership checks for team members live in WorkItemService; ":any" permissions lift them
+router.use(authenticate);
+
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/links', workItemLinkRoutes);
 
 // POST routes
-router.post('/', WorkItemController.createWorkItem);
-router.post('/:id/restore', WorkItemController.restoreWorkItem);
+router.post('/', authorize(PermissionEnum.WORKITEM_CREATE), WorkItemController.createWorkItem);
+router.post('/:id/subtasks', authorize(PermissionEnum.WORKITEM_CREATE), WorkItemController.createSubtask);
+router.post('/:id/restore', authorize(PermissionEnum.WORKITEM_RESTORE), WorkItemController.restoreWorkItem);
 
 // GET routes - SPECIFIC ROUTES FIRST
-router.get('/stats', WorkItemController.getWorkItemStats);
-router.get('/stats/my', WorkItemController.getMyWorkItemStats); // NEW ROUTE
-router.get('/my/assigned', WorkItemController.getMyAssignedWorkItems);
-router.get('/my/created', WorkItemController.getMyCreatedWorkItems);
-router.get('/overdue', WorkItemController.getOverdueWorkItems);
-router.get('/assignees/list', WorkItemController.getAssigneeList);
-router.get('/users/available', WorkItemController.getAvailableUsers);
-router.get('/status/:status', WorkItemController.getWorkItemsByStatus);
-router.get('/', WorkItemController.getAllWorkItems);
+router.get('/history', authorize(PermissionEnum.WORKITEM_HISTORY), WorkItemController.getHistory);
+router.get('/stats', authorize(PermissionEnum.WORKITEM_STATS), WorkItemController.getWorkItemStats);
+router.get('/stats/my', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getMyWorkItemStats); // NEW ROUTE
+router.get('/my/assigned', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getMyAssignedWorkItems);
+router.get('/my/created', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getMyCreatedWorkItems);
+router.get('/overdue', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getOverdueWorkItems);
+router.get('/assignees/list', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getAssigneeList);
+router.get('/users/available', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getAvailableUsers);
+router.get('/status/:status', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getWorkItemsByStatus);
+router.get('/', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getAllWorkItems);
 
 // ⚠️ DYNAMIC ROUTES SHOULD ALWAYS BE LAST
-router.get('/:id', WorkItemController.getWorkItemById);
+router.get('/:id/subtasks', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getSubtasks);
+router.get('/:id/history', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getWorkItemHistory);
+router.get('/:id', authorize(PermissionEnum.WORKITEM_READ), WorkItemController.getWorkItemById);
 
 // PUT routes
-router.put('/bulk', WorkItemController.bulkUpdateWorkItems)
-router.put('/:id', WorkItemController.updateWorkItem);
+router.put('/bulk', authorize(PermissionEnum.WORKITEM_BULK_UPDATE), WorkItemController.bulkUpdateWorkItems)
+router.put('/:id', authorize(PermissionEnum.WORKITEM_UPDATE), WorkItemController.updateWorkItem);
 
 // DELETE routes
-router.delete('/:id/permanent', WorkItemController.permanentlyDeleteWorkItem);
-router.delete('/:id', WorkItemController.deleteWorkItem);
+router.delete('/:id/permanent', authorize(PermissionEnum.WORKITEM_DELETE_PERMANENT), WorkItemController.permanentlyDeleteWorkItem);
+router.delete('/:id', authorize(PermissionEnum.WORKITEM_DELETE), WorkItemController.deleteWorkItem);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
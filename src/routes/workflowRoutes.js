@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const workflowController = require('../workflow/controllers/WorkflowController');
+const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const PermissionEnum = require('../enums/permissionEnum');
+
+router.use(authenticate);
+
+// Everyone who works on items needs to know the statuses and allowed moves
+router.get('/', authorize(PermissionEnum.WORKITEM_READ), workflowController.listWorkflows);
+router.get('/default', authorize(PermissionEnum.WORKITEM_READ), workflowController.getDefaultWorkflow);
+router.get('/:id', authorize(PermissionEnum.WORKITEM_READ), workflowController.getWorkflow);
+router.post('/', authorize(PermissionEnum.WORKFLOW_MANAGE), workflowController.createWorkflow);
+router.put('/:id', authorize(PermissionEnum.WORKFLOW_MANAGE), workflowController.updateWorkflow);
+router.delete('/:id', authorize(PermissionEnum.WORKFLOW_MANAGE), workflowController.deleteWorkflow);
+
+module.exports = router;
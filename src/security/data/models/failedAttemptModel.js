@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const AttemptActionEnum = require('../../../enums/attemptActionEnum');
+
+const failedAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: Object.values(AttemptActionEnum)
+    },
+    scope: {
+        type: String,
+        required: true,
+        enum: ['account', 'ip']
+    },
+    identifier: {
+        type: String,
+        required: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    lockedUntil: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+failedAttemptSchema.index({ scope: 1, identifier: 1 });
+
+// Counters disappear once both the attempt window and any lockout have passed
+failedAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the counter currently blocks attempts
+failedAttemptSchema.virtual('isLocked').get(function() {
+    return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+module.exports = mongoose.model('FailedAttempt', failedAttemptSchema);
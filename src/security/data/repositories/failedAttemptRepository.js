@@ -0,0 +1,47 @@
+const FailedAttempt = require('../models/failedAttemptModel');
+
+const findAttemptsByKeys = async (keys) => {
+    return FailedAttempt.find({ key: { $in: keys } });
+};
+
+const incrementFailures = async (key, details, windowStart, expiresAt) => {
+    // Failures older than the window no longer count towards a lockout
+    await FailedAttempt.updateOne(
+        { key, lastFailureAt: { $lt: windowStart } },
+        { $set: { failures: 0 } }
+    );
+
+    return FailedAttempt.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failures: 1 },
+            $set: { lastFailureAt: new Date(), expiresAt },
+            $setOnInsert: details
+        },
+        { upsert: true, new: true }
+    );
+};
+
+const lockAttempts = async (key, lockedUntil) => {
+    return FailedAttempt.findOneAndUpdate(
+        { key },
+        { $set: { lockedUntil, failures: 0, expiresAt: lockedUntil } },
+        { new: true }
+    );
+};
+
+const clearAttempts = async (key) => {
+    return FailedAttempt.deleteOne({ key });
+};
+
+const clearAttemptsByIdentifiers = async (scope, identifiers) => {
+    return FailedAttempt.deleteMany({ scope, identifier: { $in: identifiers } });
+};
+
+module.exports = {
+    findAttemptsByKeys,
+    incrementFailures,
+    lockAttempts,
+    clearAttempts,
+    clearAttemptsByIdentifiers
+};
@@ -0,0 +1,99 @@
+const {
+    findAttemptsByKeys,
+    incrementFailures,
+    lockAttempts,
+    clearAttempts,
+    clearAttemptsByIdentifiers
+} = require('../data/repositories/failedAttemptRepository');
+const {
+    MAX_FAILED_ATTEMPTS_PER_ACCOUNT,
+    MAX_FAILED_ATTEMPTS_PER_IP,
+    FAILED_ATTEMPT_WINDOW_MINUTES,
+    LOCKOUT_DURATION_MINUTES,
+    PROGRESSIVE_DELAY_BASE_MS
+} = require('../../config/config');
+
+const MAX_PROGRESSIVE_DELAY_MS = 8000;
+const LOCKED_MESSAGE = 'Too many failed attempts. Please try again later';
+
+class BruteForceService {
+    // identifiers is { account, ip }; either may be missing when the request cannot be tied to it
+    async assertNotLocked(action, identifiers) {
+        const counters = await findAttemptsByKeys(this._keysFor(action, identifiers).map(entry => entry.key));
+        const now = new Date();
+
+        if (counters.some(counter => counter.lockedUntil && counter.lockedUntil > now)) {
+            throw new Error(LOCKED_MESSAGE);
+        }
+
+        // Each recent failure doubles the wait before the next attempt is evaluated
+        const windowStart = this._windowStart();
+        const recentFailures = Math.max(0, ...counters
+            .filter(counter => counter.lastFailureAt && counter.lastFailureAt >= windowStart)
+            .map(counter => counter.failures));
+
+        if (recentFailures > 0 && PROGRESSIVE_DELAY_BASE_MS > 0) {
+            const delay = Math.min(PROGRESSIVE_DELAY_BASE_MS * 2 ** (recentFailures - 1), MAX_PROGRESSIVE_DELAY_MS);
+            await this._sleep(delay);
+        }
+    }
+
+    async recordFailure(action, identifiers) {
+        const windowStart = this._windowStart();
+        const windowEnd = new Date(Date.now() + FAILED_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+        const result = { accountLocked: false, ipLocked: false, lockedUntil: null };
+
+        for (const { key, scope, identifier } of this._keysFor(action, identifiers)) {
+            const counter = await incrementFailures(key, { action, scope, identifier }, windowStart, windowEnd);
+            const limit = scope === 'account' ? MAX_FAILED_ATTEMPTS_PER_ACCOUNT : MAX_FAILED_ATTEMPTS_PER_IP;
+
+            if (counter.failures >= limit) {
+                const lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MINUTES * 60 * 1000);
+                await lockAttempts(key, lockedUntil);
+
+                result[scope === 'account' ? 'accountLocked' : 'ipLocked'] = true;
+                result.lockedUntil = lockedUntil;
+            }
+        }
+
+        return result;
+    }
+
+    // A successful attempt only clears the account counter so one valid login cannot reset an IP's budget
+    async recordSuccess(action, identifiers) {
+        if (!identifiers.account) return;
+        await clearAttempts(this._buildKey(action, 'account', identifiers.account));
+    }
+
+    async unlockAccount(accountIdentifiers) {
+        const identifiers = accountIdentifiers.filter(Boolean).map(identifier => String(identifier).toLowerCase());
+        const result = await clearAttemptsByIdentifiers('account', identifiers);
+        return { clearedCount: result.deletedCount || 0 };
+    }
+
+    _keysFor(action, identifiers = {}) {
+        const keys = [];
+        if (identifiers.account) {
+            const identifier = String(identifiers.account).toLowerCase();
+            keys.push({ key: this._buildKey(action, 'account', identifier), scope: 'account', identifier });
+        }
+        if (identifiers.ip) {
+            keys.push({ key: this._buildKey(action, 'ip', identifiers.ip), scope: 'ip', identifier: identifiers.ip });
+        }
+        return keys;
+    }
+
+    _buildKey(action, scope, identifier) {
+        return `${action}:${scope}:${String(identifier).toLowerCase()}`;
+    }
+
+    _windowStart() {
+        return new Date(Date.now() - FAILED_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = new BruteForceService();
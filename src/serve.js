@@ -3,13 +3,24 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const connectDB = require("./config/DataBaseConfig");
+const { TRUST_PROXY } = require('./config/config');
+const { getJwks } = require('./utils/jwtHandler');
 const adminRoutes = require('./routes/adminAuthRoutes');
+const adminManagementRoutes = require('./routes/adminManagementRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const impersonationRoutes = require('./routes/impersonationRoutes');
+const userRoutes = require('./routes/userAuthRoutes');
 const workItemRoutes = require('./routes/workItemRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const workflowRoutes = require('./routes/workflowRoutes');
+const projectRoutes = require('./routes/projectRoutes');
 
 
 
 const app = express();
 
+// Client IPs drive login lockouts and audit logs, so only forwarded headers from known proxies count
+app.set('trust proxy', TRUST_PROXY);
 
 connectDB();
 
@@ -35,12 +46,26 @@ app.get("/health", (req, res) => {
 });
 
 
+// Public signing keys so other services can verify our tokens
+app.get("/.well-known/jwks.json", (req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(getJwks());
+});
+
+
 app.get("/", (req, res) => {
     res.send("🚴 Welcome to the Heunets tracking System!");
 });
 
+app.use('/api/admin/users', adminManagementRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/impersonation', impersonationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/workitems', workItemRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/projects', projectRoutes);
 
 
 const PORT = process.env.PORT || 5000;
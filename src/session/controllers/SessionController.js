@@ -0,0 +1,60 @@
+const SessionService = require('../services/SessionService');
+const { errorResponse, successResponse, notFoundResponse } = require('../../utils/respondHandler');
+
+class SessionController {
+    async listSessions(req, res) {
+        try {
+            if (!req.user) {
+                return errorResponse(res, 'Authentication required', 401);
+            }
+            const { id: ownerId, sid: sessionId } = req.user;
+            const sessions = await SessionService.listSessions(ownerId, sessionId);
+            return successResponse(res, sessions, 'Active sessions retrieved successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async terminateSession(req, res) {
+        try {
+            if (!req.user) {
+                return errorResponse(res, 'Authentication required', 401);
+            }
+            const result = await SessionService.terminateSession(req.user.id, req.params.id);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            if (error.message === 'Session not found') {
+                return notFoundResponse(res, 'Session');
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async terminateOtherSessions(req, res) {
+        try {
+            if (!req.user) {
+                return errorResponse(res, 'Authentication required', 401);
+            }
+            const { id: ownerId, sid: sessionId } = req.user;
+            const result = await SessionService.terminateOtherSessions(ownerId, sessionId);
+            return successResponse(res, { revokedCount: result.revokedCount }, result.message);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async revokeFromLoginAlert(req, res) {
+        try {
+            const { token } = req.body;
+            if (!token) {
+                return errorResponse(res, 'Revocation token is required', 400);
+            }
+            const result = await SessionService.revokeWithToken(token);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+}
+
+module.exports = new SessionController();
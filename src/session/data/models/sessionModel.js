@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'ownerModel',
+        required: true
+    },
+    ownerModel: {
+        type: String,
+        required: true,
+        enum: ['Admin', 'User']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastRefreshedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String
+    },
+    // Set when a super admin is acting as the owner; such sessions cannot be refreshed
+    impersonator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    impersonationReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ owner: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual('isValid').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to sanitize output
+sessionSchema.methods.toJSON = function() {
+    const sessionObject = this.toObject({ virtuals: true });
+    delete sessionObject._id;
+    delete sessionObject.__v;
+    delete sessionObject.refreshTokenHash;
+    return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
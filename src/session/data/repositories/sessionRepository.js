@@ -0,0 +1,72 @@
+const Session = require('../models/sessionModel');
+
+const createSession = async (sessionData) => {
+    const newSession = new Session(sessionData);
+    await newSession.save();
+    return newSession;
+};
+
+const findSessionById = async (id) => {
+    return Session.findById(id);
+};
+
+const findActiveSessionsByOwner = async (ownerId) => {
+    return Session.find({
+        owner: ownerId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort('-lastSeenAt');
+};
+
+// Matching on the current hash lets only one of two concurrent refreshes win; the loser gets null
+const updateRefreshToken = async (id, currentHash, refreshTokenHash, expiresAt, context = {}) => {
+    const now = new Date();
+    return Session.findOneAndUpdate(
+        { _id: id, refreshTokenHash: currentHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash,
+                expiresAt,
+                lastRefreshedAt: now,
+                lastSeenAt: now,
+                ...(context.ipAddress && { ipAddress: context.ipAddress }),
+                ...(context.userAgent && { userAgent: context.userAgent })
+            }
+        },
+        { new: true }
+    );
+};
+
+const touchSession = async (id, ipAddress) => {
+    return Session.updateOne(
+        { _id: id },
+        { $set: { lastSeenAt: new Date(), ...(ipAddress && { ipAddress }) } }
+    );
+};
+
+const revokeSession = async (id, reason) => {
+    return Session.findOneAndUpdate(
+        { _id: id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { new: true }
+    );
+};
+
+const revokeSessionsByOwner = async (ownerId, reason, exceptSessionId = null) => {
+    const filters = { owner: ownerId, revokedAt: null };
+    if (exceptSessionId) {
+        filters._id = { $ne: exceptSessionId };
+    }
+
+    return Session.updateMany(filters, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = {
+    createSession,
+    findSessionById,
+    findActiveSessionsByOwner,
+    updateRefreshToken,
+    touchSession,
+    revokeSession,
+    revokeSessionsByOwner
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const {
+    createSession,
+    findSessionById,
+    findActiveSessionsByOwner,
+    updateRefreshToken,
+    touchSession,
+    revokeSession,
+    revokeSessionsByOwner
+} = require('../data/repositories/sessionRepository');
+const { REFRESH_TOKEN_EXPIRES_IN_DAYS } = require('../../config/config');
+const { signToken, verifyToken } = require('../../utils/jwtHandler');
+const { isValidObjectId } = require('../../utils/validation');
+
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+class SessionService {
+    async createSession(ownerId, ownerModel, context = {}, options = {}) {
+        const secret = this._generateSecret();
+        const session = await createSession({
+            owner: ownerId,
+            ownerModel,
+            refreshTokenHash: this._hashSecret(secret),
+            expiresAt: options.expiresAt || this._refreshTokenExpiry(),
+            userAgent: context.userAgent,
+            ipAddress: context.ipAddress,
+            ...(options.impersonator && {
+                impersonator: options.impersonator,
+                impersonationReason: options.impersonationReason
+            })
+        });
+
+        return { session, refreshToken: `${session._id}.${secret}` };
+    }
+
+    async rotateSession(refreshToken, ownerModel, context = {}) {
+        const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.trim().split('.') : [];
+        if (!sessionId || !secret || !isValidObjectId(sessionId)) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const session = await findSessionById(sessionId);
+        if (!session || session.ownerModel !== ownerModel || session.impersonator) {
+            throw new Error('Invalid refresh token');
+        }
+
+        if (session.revokedAt || session.expiresAt <= new Date()) {
+            throw new Error('Session has expired or been revoked');
+        }
+
+        const currentHash = this._hashSecret(secret);
+        if (session.refreshTokenHash !== currentHash) {
+            return this._handleRefreshTokenReuse(sessionId);
+        }
+
+        const newSecret = this._generateSecret();
+        const updatedSession = await updateRefreshToken(sessionId, currentHash, this._hashSecret(newSecret), this._refreshTokenExpiry(), context);
+        if (!updatedSession) {
+            // Another request rotated the same token first
+            return this._handleRefreshTokenReuse(sessionId);
+        }
+
+        return { session: updatedSession, refreshToken: `${updatedSession._id}.${newSecret}` };
+    }
+
+    async validateSession(sessionId, ownerId, context = {}) {
+        if (!sessionId || !isValidObjectId(String(sessionId))) {
+            return false;
+        }
+
+        const session = await findSessionById(sessionId);
+        if (!session) {
+            return false;
+        }
+
+        const isActive = String(session.owner) === String(ownerId) && !session.revokedAt && session.expiresAt > new Date();
+
+        if (isActive && (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS)) {
+            await touchSession(sessionId, context.ipAddress);
+        }
+
+        return isActive;
+    }
+
+    async listSessions(ownerId, currentSessionId = null) {
+        const sessions = await findActiveSessionsByOwner(ownerId);
+        return sessions.map(session => this._formatSession(session, currentSessionId));
+    }
+
+    async terminateSession(ownerId, sessionId) {
+        if (!sessionId || !isValidObjectId(String(sessionId))) {
+            throw new Error('Session not found');
+        }
+
+        const session = await findSessionById(sessionId);
+        if (!session || String(session.owner) !== String(ownerId) || session.revokedAt) {
+            throw new Error('Session not found');
+        }
+
+        await revokeSession(sessionId, 'terminated_by_owner');
+        return { message: 'Session terminated successfully' };
+    }
+
+    async terminateOtherSessions(ownerId, currentSessionId) {
+        const { revokedCount } = await this.revokeAllSessions(ownerId, 'terminated_by_owner', currentSessionId);
+        return { message: 'All other sessions terminated successfully', revokedCount };
+    }
+
+    createRevocationToken(sessionId) {
+        return signToken({ sid: sessionId, purpose: 'session_revoke' }, { expiresIn: `${REFRESH_TOKEN_EXPIRES_IN_DAYS}d` });
+    }
+
+    async revokeWithToken(token) {
+        let decoded;
+        try {
+            decoded = verifyToken(token);
+        } catch {
+            throw new Error('Invalid or expired revocation link');
+        }
+
+        if (!decoded || decoded.purpose !== 'session_revoke' || !decoded.sid) {
+            throw new Error('Invalid or expired revocation link');
+        }
+
+        await revokeSession(decoded.sid, 'revoked_from_login_alert');
+        return { message: 'Session revoked successfully' };
+    }
+
+    async revokeSession(sessionId, reason = 'logout') {
+        if (!sessionId) {
+            throw new Error('Session ID is required');
+        }
+
+        await revokeSession(sessionId, reason);
+        return { message: 'Session revoked successfully' };
+    }
+
+    async revokeAllSessions(ownerId, reason, exceptSessionId = null) {
+        const result = await revokeSessionsByOwner(ownerId, reason, exceptSessionId);
+        return { revokedCount: result.modifiedCount };
+    }
+
+    // An already rotated token is being replayed, so the session must be considered stolen
+    async _handleRefreshTokenReuse(sessionId) {
+        await revokeSession(sessionId, 'refresh_token_reuse');
+        throw new Error('Refresh token reuse detected. Please log in again');
+    }
+
+    _formatSession(session, currentSessionId) {
+        return {
+            id: String(session._id),
+            userAgent: session.userAgent || 'Unknown device',
+            ipAddress: session.ipAddress || 'Unknown IP',
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: session.expiresAt,
+            current: currentSessionId ? String(session._id) === String(currentSessionId) : false,
+            impersonatedBy: session.impersonator ? String(session.impersonator) : null
+        };
+    }
+
+    _generateSecret() {
+        return crypto.randomBytes(48).toString('hex');
+    }
+
+    _hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    _refreshTokenExpiry() {
+        return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One record per pending OIDC sign-in, consumed when the IdP redirects back
+const oidcStateSchema = new mongoose.Schema({
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    // Hash of the secret kept in the starting browser's cookie, so a callback only completes where the sign-in began
+    bindingHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Abandoned sign-ins are cleaned up by MongoDB once they expire
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
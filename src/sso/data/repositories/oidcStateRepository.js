@@ -0,0 +1,18 @@
+const OidcState = require('../models/oidcStateModel');
+
+const createOidcState = async (details) => {
+    return OidcState.create(details);
+};
+
+// Deleting on read makes every state single-use, even with concurrent callbacks
+const consumeOidcState = async (stateHash) => {
+    return OidcState.findOneAndDelete({
+        stateHash,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+module.exports = {
+    createOidcState,
+    consumeOidcState
+};
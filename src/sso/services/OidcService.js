@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createOidcState, consumeOidcState } = require('../data/repositories/oidcStateRepository');
+const { OIDC } = require('../../config/config');
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+class OidcService {
+    constructor() {
+        this._discovery = null;
+        this._discoveryFetchedAt = 0;
+        this._jwks = null;
+    }
+
+    isEnabled() {
+        return Boolean(OIDC.issuer && OIDC.clientId && OIDC.redirectUri);
+    }
+
+    async beginLogin() {
+        this._assertEnabled();
+        const discovery = await this._getDiscovery();
+
+        const state = crypto.randomBytes(32).toString('base64url');
+        const nonce = crypto.randomBytes(32).toString('base64url');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        const browserBinding = crypto.randomBytes(32).toString('base64url');
+
+        await createOidcState({
+            stateHash: this._hash(state),
+            nonce,
+            codeVerifier,
+            bindingHash: this._hash(browserBinding),
+            expiresAt: new Date(Date.now() + OIDC.stateExpiresInMinutes * 60 * 1000)
+        });
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: OIDC.clientId,
+            redirect_uri: OIDC.redirectUri,
+            scope: OIDC.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+
+        return {
+            authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`,
+            state,
+            browserBinding,
+            expiresIn: OIDC.stateExpiresInMinutes * 60
+        };
+    }
+
+    async completeLogin(code, state, browserBinding) {
+        this._assertEnabled();
+        if (!code || !state) throw new Error('Authorization code and state are required');
+
+        // The state is burned even when the binding is wrong, so a leaked state cannot be retried
+        const pendingLogin = await consumeOidcState(this._hash(state));
+        if (!pendingLogin || !browserBinding || pendingLogin.bindingHash !== this._hash(browserBinding)) {
+            throw new Error('Invalid or expired sign-in request');
+        }
+
+        const discovery = await this._getDiscovery();
+        const tokens = await this._exchangeCode(discovery, code, pendingLogin.codeVerifier);
+        const claims = await this._verifyIdToken(tokens.id_token, discovery, pendingLogin.nonce);
+
+        if (!claims.email) throw new Error('Identity provider did not return an email address');
+        if (claims.email_verified === false) throw new Error('Identity provider has not verified this email address');
+
+        return {
+            subject: claims.sub,
+            email: claims.email.trim().toLowerCase(),
+            emailVerified: claims.email_verified === true,
+            firstName: claims.given_name,
+            lastName: claims.family_name,
+            name: claims.name
+        };
+    }
+
+    async _getDiscovery() {
+        if (this._discovery && Date.now() - this._discoveryFetchedAt < DISCOVERY_CACHE_MS) {
+            return this._discovery;
+        }
+
+        const issuer = OIDC.issuer.replace(/\/+$/, '');
+        const discovery = await this._fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+        // The spec requires the advertised issuer to match exactly, which stops mix-up attacks
+        if (discovery.issuer !== OIDC.issuer && discovery.issuer !== issuer) {
+            throw new Error('Identity provider issuer does not match OIDC_ISSUER');
+        }
+        if (!discovery.authorization_endpoint || !discovery.token_endpoint || !discovery.jwks_uri) {
+            throw new Error('Identity provider discovery document is incomplete');
+        }
+
+        this._discovery = discovery;
+        this._discoveryFetchedAt = Date.now();
+        this._jwks = null;
+        return discovery;
+    }
+
+    async _exchangeCode(discovery, code, codeVerifier) {
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: OIDC.redirectUri,
+            client_id: OIDC.clientId,
+            code_verifier: codeVerifier
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        if (OIDC.clientSecret) {
+            const credentials = `${encodeURIComponent(OIDC.clientId)}:${encodeURIComponent(OIDC.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+
+        const tokens = await this._fetchJson(discovery.token_endpoint, { method: 'POST', headers, body }, 'Invalid or expired authorization code');
+        if (!tokens.id_token) throw new Error('Identity provider did not return an ID token');
+
+        return tokens;
+    }
+
+    async _verifyIdToken(idToken, discovery, expectedNonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) throw new Error('Invalid ID token');
+
+        const publicKey = await this._getSigningKey(discovery, decoded.header);
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, publicKey, {
+                algorithms: [decoded.header.alg],
+                issuer: discovery.issuer,
+                audience: OIDC.clientId,
+                clockTolerance: CLOCK_TOLERANCE_SECONDS
+            });
+        } catch {
+            throw new Error('Invalid ID token');
+        }
+
+        if (claims.nonce !== expectedNonce) throw new Error('Invalid ID token');
+        if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== OIDC.clientId) {
+            throw new Error('Invalid ID token');
+        }
+        if (!claims.sub) throw new Error('Invalid ID token');
+
+        return claims;
+    }
+
+    async _getSigningKey(discovery, header) {
+        const findKey = (keys) => keys.find(key => (header.kid ? key.kid === header.kid : true)
+            && (!key.use || key.use === 'sig')
+            && (!key.alg || key.alg === header.alg));
+
+        let jwk = this._jwks && findKey(this._jwks);
+
+        // An unknown kid usually means the IdP rotated its keys since we last fetched them
+        if (!jwk) {
+            const { keys = [] } = await this._fetchJson(discovery.jwks_uri);
+            this._jwks = keys;
+            jwk = findKey(keys);
+        }
+        if (!jwk) throw new Error('Invalid ID token');
+
+        try {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        } catch {
+            throw new Error('Invalid ID token');
+        }
+    }
+
+    async _fetchJson(url, options = {}, rejectionMessage = 'Identity provider request failed') {
+        let response;
+        try {
+            response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        } catch (error) {
+            console.error('OIDC request failed:', { url, error: error.message });
+            throw new Error('Identity provider request failed');
+        }
+
+        if (!response.ok) {
+            console.error('OIDC request rejected:', { url, status: response.status });
+            throw new Error(response.status >= 500 ? 'Identity provider request failed' : rejectionMessage);
+        }
+
+        try {
+            return await response.json();
+        } catch {
+            throw new Error('Identity provider request failed');
+        }
+    }
+
+    _assertEnabled() {
+        if (!this.isEnabled()) throw new Error('Single sign-on is not configured');
+    }
+
+    _hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+}
+
+module.exports = new OidcService();
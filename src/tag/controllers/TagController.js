@@ -0,0 +1,81 @@
+const TagService = require('../services/TagService');
+const { successResponse, errorResponse, notFoundResponse } = require('../../utils/respondHandler');
+const { getActor } = require('../../utils/requestContext');
+
+class TagController {
+    async listTags(req, res) {
+        try {
+            const { search } = req.query;
+
+            const result = await TagService.listTags(search ? { search } : {}, getActor(req));
+            return successResponse(res, result, 'Tags retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching tags:', error);
+            return errorResponse(res, error.message || 'Failed to fetch tags', 400);
+        }
+    }
+
+    async createTag(req, res) {
+        try {
+            const { name, color, description } = req.body;
+
+            const result = await TagService.createTag({ name, color, description });
+            return successResponse(res, result, 'Tag created successfully', 201);
+        } catch (error) {
+            console.error('Error creating tag:', error);
+            if (error.message === 'A tag with this name already exists') {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to create tag', 400);
+        }
+    }
+
+    async updateTag(req, res) {
+        try {
+            const { name, color, description } = req.body;
+
+            const result = await TagService.updateTag(req.params.id, { name, color, description }, getActor(req));
+            return successResponse(res, result, 'Tag updated successfully');
+        } catch (error) {
+            console.error('Error updating tag:', error);
+            if (error.message === 'Tag not found') {
+                return notFoundResponse(res, 'Tag');
+            }
+            if (error.message.startsWith('A tag with this name already exists')) {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to update tag', 400);
+        }
+    }
+
+    async mergeTags(req, res) {
+        try {
+            const result = await TagService.mergeTags(req.params.id, req.body.targetId, getActor(req));
+            return successResponse(res, result, `Tag merged into ${result.tag.name}`);
+        } catch (error) {
+            console.error('Error merging tags:', error);
+            if (error.message === 'Tag not found') {
+                return notFoundResponse(res, 'Tag');
+            }
+            if (error.message === 'Target tag not found') {
+                return notFoundResponse(res, 'Target tag');
+            }
+            return errorResponse(res, error.message || 'Failed to merge tags', 400);
+        }
+    }
+
+    async deleteTag(req, res) {
+        try {
+            const result = await TagService.deleteTag(req.params.id, getActor(req));
+            return successResponse(res, { updatedWorkItems: result.updatedWorkItems }, result.message);
+        } catch (error) {
+            console.error('Error deleting tag:', error);
+            if (error.message === 'Tag not found') {
+                return notFoundResponse(res, 'Tag');
+            }
+            return errorResponse(res, error.message || 'Failed to delete tag', 400);
+        }
+    }
+}
+
+module.exports = new TagController();
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Work items store tag names; the catalog adds presentation and keeps names consistent
+const tagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tag name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Tag name cannot exceed 30 characters']
+    },
+    color: {
+        type: String,
+        trim: true,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1f6feb'],
+        default: '#6b7280'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    }
+}, {
+    timestamps: true
+});
+
+tagSchema.methods.toJSON = function() {
+    const tagObject = this.toObject();
+    tagObject.id = String(tagObject._id);
+    delete tagObject._id;
+    delete tagObject.__v;
+    return tagObject;
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -0,0 +1,48 @@
+const Tag = require('../models/tagModel');
+
+const createTag = async (tagData) => {
+    return Tag.create(tagData);
+};
+
+const findTagById = async (id) => {
+    return Tag.findById(id);
+};
+
+const findTagByName = async (name) => {
+    return Tag.findOne({ name });
+};
+
+const findAllTags = async (filters = {}) => {
+    return Tag.find(filters).sort('name');
+};
+
+const updateTag = async (id, updateData) => {
+    return Tag.findByIdAndUpdate(id, { $set: updateData }, { new: true, runValidators: true });
+};
+
+const deleteTag = async (id) => {
+    return Tag.findByIdAndDelete(id);
+};
+
+// Adds catalog entries for tag names first used on a work item, leaving existing ones untouched
+const ensureTags = async (names) => {
+    if (!names || names.length === 0) return;
+
+    await Tag.bulkWrite(names.map(name => ({
+        updateOne: {
+            filter: { name },
+            update: { $setOnInsert: { name } },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+module.exports = {
+    createTag,
+    findTagById,
+    findTagByName,
+    findAllTags,
+    updateTag,
+    deleteTag,
+    ensureTags
+};
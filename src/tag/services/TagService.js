@@ -0,0 +1,169 @@
+const {
+    createTag,
+    findTagById,
+    findTagByName,
+    findAllTags,
+    updateTag,
+    deleteTag
+} = require('../data/repositories/tagRepository');
+const {
+    countWorkItemsByTag,
+    findWorkItemsByTag,
+    replaceTagOnWorkItems,
+    removeTagFromWorkItems
+} = require('../../workItem/data/repositories/workItemRepository');
+const WorkItemService = require('../../workItem/services/WorkItemService');
+const { escapeRegExp } = require('../../utils/mentions');
+const { isValidObjectId } = require('../../utils/validation');
+
+const MAX_NAME_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 200;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+class TagService {
+    // Usage counts only cover the work items the actor can see
+    async listTags(filters = {}, actor) {
+        const queryFilters = {};
+        if (filters.search) {
+            queryFilters.name = { $regex: escapeRegExp(filters.search.trim().toLowerCase()) };
+        }
+
+        const visibilityFilter = await WorkItemService.getVisibilityFilter(actor);
+        const [tags, counts] = await Promise.all([
+            findAllTags(queryFilters),
+            countWorkItemsByTag(visibilityFilter)
+        ]);
+        const usage = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+        return tags.map(tag => this._formatTag(tag, usage.get(tag.name) || 0));
+    }
+
+    async createTag(tagData) {
+        const name = this._normalizeName(tagData.name);
+        if (await findTagByName(name)) {
+            throw new Error('A tag with this name already exists');
+        }
+
+        const tag = await createTag({
+            name,
+            ...this._validateDetails(tagData)
+        });
+
+        return this._formatTag(tag, 0);
+    }
+
+    async updateTag(id, tagData, actor) {
+        const tag = await this._getTag(id);
+        const updates = this._validateDetails(tagData);
+
+        if (tagData.name !== undefined) {
+            const name = this._normalizeName(tagData.name);
+            if (name !== tag.name) {
+                if (await findTagByName(name)) {
+                    throw new Error('A tag with this name already exists. Merge the tags instead');
+                }
+                updates.name = name;
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            throw new Error('No valid update fields provided');
+        }
+
+        const updatedTag = await updateTag(id, updates);
+        const updatedWorkItems = updates.name ? await this._rewriteTag(tag.name, updates.name, actor) : 0;
+
+        return { tag: this._formatTag(updatedTag), updatedWorkItems };
+    }
+
+    // Every item tagged with the source ends up tagged with the target, then the source is removed
+    async mergeTags(sourceId, targetId, actor) {
+        if (!targetId) {
+            throw new Error('Target tag ID is required');
+        }
+        if (String(sourceId) === String(targetId)) {
+            throw new Error('Cannot merge a tag into itself');
+        }
+
+        const source = await this._getTag(sourceId);
+        const target = isValidObjectId(targetId) ? await findTagById(targetId) : null;
+        if (!target) {
+            throw new Error('Target tag not found');
+        }
+
+        const updatedWorkItems = await this._rewriteTag(source.name, target.name, actor);
+        await deleteTag(source._id);
+
+        return { tag: this._formatTag(target), updatedWorkItems };
+    }
+
+    async deleteTag(id, actor) {
+        const tag = await this._getTag(id);
+
+        const updatedWorkItems = await this._rewriteTag(tag.name, null, actor);
+        await deleteTag(tag._id);
+
+        return { message: 'Tag deleted successfully', updatedWorkItems };
+    }
+
+    // Replaces `fromName` with `toName` on every item, or removes it when `toName` is null, and records the change per item
+    async _rewriteTag(fromName, toName, actor) {
+        const workItems = await findWorkItemsByTag(fromName);
+        const updatedWorkItems = toName
+            ? await replaceTagOnWorkItems(fromName, toName)
+            : await removeTagFromWorkItems(fromName);
+
+        await WorkItemService.recordTagChange(workItems, fromName, toName, actor);
+        return updatedWorkItems;
+    }
+
+    async _getTag(id) {
+        const tag = isValidObjectId(id) ? await findTagById(id) : null;
+        if (!tag) {
+            throw new Error('Tag not found');
+        }
+        return tag;
+    }
+
+    _normalizeName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Tag name is required');
+        }
+
+        const normalized = name.trim().toLowerCase();
+        if (normalized.length > MAX_NAME_LENGTH) {
+            throw new Error(`Tag names cannot exceed ${MAX_NAME_LENGTH} characters`);
+        }
+        return normalized;
+    }
+
+    _validateDetails(tagData) {
+        const details = {};
+
+        if (tagData.color !== undefined) {
+            if (typeof tagData.color !== 'string' || !COLOR_PATTERN.test(tagData.color)) {
+                throw new Error('Color must be a hex value like #1f6feb');
+            }
+            details.color = tagData.color.toLowerCase();
+        }
+
+        if (tagData.description !== undefined) {
+            const description = typeof tagData.description === 'string' ? tagData.description.trim() : '';
+            if (description.length > MAX_DESCRIPTION_LENGTH) {
+                throw new Error(`Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+            }
+            details.description = description;
+        }
+
+        return details;
+    }
+
+    _formatTag(tag, usageCount) {
+        return {
+            ...tag.toJSON(),
+            ...(usageCount !== undefined && { usageCount })
+        };
+    }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,156 @@
+const UserAuthService = require('../services/UserAuthService');
+const { errorResponse, successResponse } = require('../../utils/respondHandler');
+const { getRequestContext } = require('../../utils/requestContext');
+
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Too many failed attempts. Please try again later';
+
+class UserAuthController {
+    async login(req, res) {
+        try {
+            const { email, password } = req.body;
+            if (!email || !password) {
+                return errorResponse(res, 'Email and password are required', 400);
+            }
+            const result = await UserAuthService.authenticateUser(email, password, getRequestContext(req));
+            return successResponse(res, result, 'Login successful');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
+    async createUser(req, res) {
+        try {
+            const { firstName, lastName, email, password } = req.body;
+            if (!firstName || !lastName || !email || !password) {
+                return errorResponse(res, 'First name, last name, email, and password are required', 400);
+            }
+            const newUser = await UserAuthService.createUserAccount(firstName, lastName, email, password);
+            return successResponse(res, newUser, 'Account created successfully. Please check your email for verification TOKEN.', 201);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async verifyEmail(req, res) {
+        try {
+            const { email, pin } = req.body;
+            if (!email || !pin) {
+                return errorResponse(res, 'Email and verification PIN are required', 400);
+            }
+            const result = await UserAuthService.verifyEmail(email, pin, getRequestContext(req));
+            return successResponse(res, result, 'Email verified successfully');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async resendVerificationToken(req, res) {
+        try {
+            const { email } = req.body;
+            if (!email) {
+                return errorResponse(res, 'Email is required', 400);
+            }
+            await UserAuthService.resendVerificationToken(email);
+            return successResponse(res, null, 'New verification PIN has been sent to your email');
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async forgotPassword(req, res) {
+        try {
+            const { email } = req.body;
+            if (!email) {
+                return errorResponse(res, 'Email is required', 400);
+            }
+            await UserAuthService.forgotPassword(email);
+            return successResponse(res, null, 'Password reset token has been sent to your email');
+        } catch (error) {
+            return errorResponse(res, error.message, 404);
+        }
+    }
+
+    async validateResetToken(req, res) {
+        try {
+            const { email, token } = req.body;
+            if (!email || !token) {
+                return errorResponse(res, 'Email and reset token are required', 400);
+            }
+            const result = await UserAuthService.validateResetToken(email, token, getRequestContext(req));
+            return successResponse(res, result, 'Reset token is valid');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async resetPassword(req, res) {
+        try {
+            const { email, token, newPassword } = req.body;
+            if (!email || !token || !newPassword) {
+                return errorResponse(res, 'Email, token and new password are required', 400);
+            }
+            await UserAuthService.resetPassword(email, token, newPassword, getRequestContext(req));
+            return successResponse(res, null, 'Password has been reset successfully');
+        } catch (error) {
+            if (error.message === TOO_MANY_ATTEMPTS_MESSAGE) {
+                return errorResponse(res, error.message, 429);
+            }
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async changePassword(req, res) {
+        try {
+            if (!req.user) {
+                return errorResponse(res, 'Authentication required', 401);
+            }
+            const { id: userId, sid: sessionId } = req.user;
+            const { oldPassword, newPassword } = req.body;
+            if (!oldPassword || !newPassword) {
+                return errorResponse(res, 'Both old and new passwords are required', 400);
+            }
+            const result = await UserAuthService.changePassword(userId, oldPassword, newPassword, sessionId);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            return errorResponse(res, error.message, 400);
+        }
+    }
+
+    async refreshToken(req, res) {
+        try {
+            const { refreshToken } = req.body;
+            if (!refreshToken) {
+                return errorResponse(res, 'Refresh token is required', 400);
+            }
+            const result = await UserAuthService.refreshSession(refreshToken, getRequestContext(req));
+            return successResponse(res, result, 'Token refreshed successfully');
+        } catch (error) {
+            return errorResponse(res, error.message, 401);
+        }
+    }
+
+    async logout(req, res) {
+        try {
+            if (!req.user) {
+                return errorResponse(res, 'Authentication required', 401);
+            }
+            const result = await UserAuthService.logoutUser(req.user.sid);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            return errorResponse(res, error.message);
+        }
+    }
+
+
+}
+
+module.exports = new UserAuthController();
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const userSchema = new mongoose.Schema({
+    firstName: {
+        type: String,
+        required: [true, 'First name is required'],
+        trim: true,
+        minlength: [2, 'First name must be at least 2 characters long'],
+        maxlength: [30, 'First name cannot exceed 30 characters'],
+        validate: {
+            validator: function(v) {
+                return /^[a-zA-Z]+$/.test(v);
+            },
+            message: 'First name can only contain alphabets'
+        }
+    },
+    lastName: {
+        type: String,
+        required: [true, 'Last name is required'],
+        trim: true,
+        minlength: [2, 'Last name must be at least 2 characters long'],
+        maxlength: [30, 'Last name cannot exceed 30 characters'],
+        validate: {
+            validator: function(v) {
+                return /^[a-zA-Z]+$/.test(v);
+            },
+            message: 'Last name can only contain alphabets'
+        }
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        validate: {
+            validator: function(v) {
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+            },
+            message: 'Please enter a valid email'
+        }
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required']
+    },
+    passwordHistory: {
+        type: [String],
+        default: undefined
+    },
+    role: {
+        type: String,
+        enum: ['user'],
+        default: 'user'
+    },
+    resetPasswordToken: String,
+    resetPasswordExpire: Date,
+    emailVerificationPin: String,
+    emailVerificationExpire: Date,
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLogin: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+userSchema.virtual('fullName').get(function() {
+    return `${this.firstName} ${this.lastName}`;
+});
+
+userSchema.methods.createPasswordResetToken = function() {
+    const pin = crypto.randomInt(100000, 1000000).toString();
+    this.resetPasswordToken = crypto.createHash('sha256').update(pin).digest('hex');
+    this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+    return pin;
+};
+
+userSchema.methods.createEmailVerificationPin = function() {
+    const pin = crypto.randomInt(100000, 1000000).toString();
+    this.emailVerificationPin = crypto.createHash('sha256').update(pin).digest('hex');
+    this.emailVerificationExpire = Date.now() + 15 * 60 * 1000;
+    return pin;
+};
+
+userSchema.methods.toJSON = function() {
+    const userObject = this.toObject();
+    delete userObject.password;
+    delete userObject.passwordHistory;
+    delete userObject.resetPasswordToken;
+    delete userObject.resetPasswordExpire;
+    delete userObject.emailVerificationPin;
+    delete userObject.emailVerificationExpire;
+    delete userObject._id;
+    delete userObject.__v;
+    return userObject;
+};
+
+module.exports = mongoose.model('User', userSchema);
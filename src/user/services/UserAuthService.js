@@ -0,0 +1,377 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { findUserByEmail, createUser, updatePassword } = require('../data/repositories/userRepository');
+const { JWT_EXPIRES_IN, CLIENT_URL } = require('../../config/config');
+const { sendEmail } = require('../../utils/emailHandler');
+const { signToken } = require('../../utils/jwtHandler');
+const { checkIfUserExists } = require('../../utils/validation');
+const { validatePassword, assertPasswordNotReused, buildPasswordHistory } = require('../../utils/passwordPolicy');
+const User = require('../data/models/userModel');
+const SessionService = require('../../session/services/SessionService');
+const BruteForceService = require('../../security/services/BruteForceService');
+const AttemptActionEnum = require('../../enums/attemptActionEnum');
+
+const ATTEMPT_LABELS = {
+    [AttemptActionEnum.LOGIN]: 'login',
+    [AttemptActionEnum.VERIFY_EMAIL]: 'email verification',
+    [AttemptActionEnum.PASSWORD_RESET]: 'password reset'
+};
+
+class UserAuthService {
+    async authenticateUser(email, password, context = {}) {
+        const attemptIdentifiers = { account: email, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.LOGIN, attemptIdentifiers);
+
+        const user = await findUserByEmail(email);
+        if (!user) {
+            await this._recordFailedAttempt(AttemptActionEnum.LOGIN, attemptIdentifiers, null, context);
+            throw new Error('Invalid email or password');
+        }
+        if (!user.isEmailVerified) throw new Error('Please verify your email before logging in');
+
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            await this._recordFailedAttempt(AttemptActionEnum.LOGIN, attemptIdentifiers, user, context);
+            throw new Error('Invalid email or password');
+        }
+        if (!user.isActive) throw new Error('Your account has been deactivated. Please contact an administrator');
+
+        await BruteForceService.recordSuccess(AttemptActionEnum.LOGIN, attemptIdentifiers);
+
+        user.lastLogin = new Date();
+        await user.save();
+
+        const { session, refreshToken } = await SessionService.createSession(user._id, 'User', context);
+        const token = this._signAccessToken(user, session._id);
+
+        setImmediate(async () => {
+            try {
+                const revocationToken = SessionService.createRevocationToken(session._id);
+                const revocationLink = CLIENT_URL
+                    ? `${CLIENT_URL}/sessions/revoke?token=${revocationToken}`
+                    : revocationToken;
+
+                await sendEmail(
+                    user.email,
+                    'New Login Alert',
+                    `Hi ${user.firstName} ${user.lastName},
+
+New login detected on your account
+Time: ${new Date().toLocaleString()}
+Email: ${email}
+Device: ${context.userAgent || 'Unknown device'}
+IP address: ${context.ipAddress || 'Unknown IP'}
+
+If this wasn't you, sign this session out immediately using the link below and change your password:
+${revocationLink}
+
+Best regards,
+Heunets Team`
+                );
+            } catch (error) {
+                console.error('User login notification failed:', { userId: user._id, error: error.message });
+            }
+        });
+
+        const userData = user.toJSON();
+        return {
+            token,
+            refreshToken,
+            expiresIn: JWT_EXPIRES_IN,
+            user: {
+                firstName: userData.firstName,
+                lastName: userData.lastName,
+                email: userData.email,
+                role: userData.role,
+                isEmailVerified: userData.isEmailVerified,
+                createdAt: userData.createdAt,
+                updatedAt: userData.updatedAt
+            }
+        };
+    }
+
+    async createUserAccount(firstName, lastName, email, password) {
+        const cleanedFirstName = firstName.trim();
+        const cleanedLastName = lastName.trim();
+
+        if (!/^[a-zA-Z]+$/.test(cleanedFirstName)) throw new Error('First name can only contain letters');
+        if (!/^[a-zA-Z]+$/.test(cleanedLastName)) throw new Error('Last name can only contain letters');
+        validatePassword(password, { firstName: cleanedFirstName, lastName: cleanedLastName, email });
+
+        await checkIfUserExists(email);
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const newUser = await createUser(cleanedFirstName, cleanedLastName, email, hashedPassword);
+
+        const verificationPin = newUser.createEmailVerificationPin();
+        await newUser.save();
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    email,
+                    'Email Verification Required',
+                    `Welcome ${cleanedFirstName} ${cleanedLastName}!
+
+Your account has been created successfully. Please verify your email using the PIN below:
+
+Verification TOKEN: ${verificationPin}
+
+This TOKEN will expire in 15 minutes.
+
+Best regards,
+Heunets Team`
+                );
+            } catch (error) {
+                console.error('User verification email failed:', error.message);
+            }
+        });
+
+        return newUser.toJSON();
+    }
+
+    async verifyEmail(email, pin, context = {}) {
+        if (!pin || pin.length !== 6) throw new Error('Valid 6-digit PIN is required');
+
+        const attemptIdentifiers = { account: email, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
+
+        const hashedPin = crypto.createHash('sha256').update(pin.trim()).digest('hex');
+        const user = await User.findOne({
+            email: email.toLowerCase(),
+            emailVerificationPin: hashedPin,
+            emailVerificationExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            const accountOwner = await findUserByEmail(email.toLowerCase());
+            await this._recordFailedAttempt(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers, accountOwner, context);
+            throw new Error('Invalid or expired verification PIN');
+        }
+
+        await BruteForceService.recordSuccess(AttemptActionEnum.VERIFY_EMAIL, attemptIdentifiers);
+
+        user.isEmailVerified = true;
+        user.emailVerificationPin = undefined;
+        user.emailVerificationExpire = undefined;
+        await user.save();
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    user.email,
+                    'Email Verified Successfully',
+                    `Hi ${user.firstName} ${user.lastName},
+
+Your email has been verified successfully! You can now log in to your account.
+
+Best regards,
+Heunets Team`
+                );
+            } catch (error) {
+                console.error('Welcome email failed:', error.message);
+            }
+        });
+
+        return user.toJSON();
+    }
+
+    async resendVerificationToken(email) {
+        const user = await findUserByEmail(email);
+        if (!user) throw new Error('User not found with this email');
+        if (user.isEmailVerified) throw new Error('Email is already verified');
+
+        const verificationPin = user.createEmailVerificationPin();
+        await user.save();
+
+        await sendEmail(
+            email,
+            'New Email Verification PIN',
+            `Hi ${user.firstName} ${user.lastName},
+
+Here is your new email verification TOKEN:
+
+Verification TOKEN: ${verificationPin}
+
+This TOKEN will expire in 15 minutes.
+
+Best regards,
+Heunets Team`
+        );
+
+        return { message: 'New verification PIN sent to email' };
+    }
+
+    async forgotPassword(email) {
+        const user = await findUserByEmail(email);
+        if (!user) throw new Error('User not found with this email');
+        if (!user.isEmailVerified) throw new Error('Please verify your email first');
+
+        const rawResetToken = user.createPasswordResetToken();
+        await user.save();
+
+        try {
+            await sendEmail(
+                email,
+                'Password Reset Request',
+                `Hi ${user.firstName} ${user.lastName},
+
+Use this token to reset your password:
+${rawResetToken}
+
+This token will expire in 10 minutes.
+
+Best regards,
+Heunets Team`
+            );
+            console.log(`Password reset email sent successfully to ${email}`);
+        } catch (error) {
+            console.error(`Password reset email failed for ${email}:`, error.message);
+
+        }
+
+        return { message: 'Password reset token sent to email' };
+    }
+
+    async validateResetToken(email, token, context = {}) {
+        if (!email) throw new Error('Email is required');
+        if (!token) throw new Error('Reset token required');
+
+        await this._findUserByResetToken(email, token, context);
+        return { valid: true, message: 'Token is valid' };
+    }
+
+    async resetPassword(email, token, newPassword, context = {}) {
+        if (!email) throw new Error('Email is required');
+        if (!token) throw new Error('Reset token required');
+        if (!newPassword) throw new Error('New password is required');
+
+        const user = await this._findUserByResetToken(email, token, context);
+        validatePassword(newPassword, user);
+        await assertPasswordNotReused(newPassword, user);
+
+        user.passwordHistory = buildPasswordHistory(user);
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+
+        await SessionService.revokeAllSessions(user._id, 'password_reset');
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(user.email, 'Password Reset Complete', 'Your password has been reset successfully.');
+            } catch (error) {
+                console.error('Password reset email failed:', error.message);
+            }
+        });
+
+        return user.toJSON();
+    }
+
+    async changePassword(userId, oldPassword, newPassword, currentSessionId = null) {
+        const user = await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        const isOldValid = await bcrypt.compare(oldPassword, user.password);
+        if (!isOldValid) throw new Error('Current password is incorrect');
+        validatePassword(newPassword, user);
+        await assertPasswordNotReused(newPassword, user);
+
+        const hashedNew = await bcrypt.hash(newPassword, 10);
+        await updatePassword(userId, hashedNew, buildPasswordHistory(user));
+        await SessionService.revokeAllSessions(userId, 'password_changed', currentSessionId);
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(user.email, 'Password Changed', 'Your password has been changed successfully.');
+            } catch (error) {
+                console.error('Password change email failed:', error.message);
+            }
+        });
+
+        return { message: 'Password changed successfully' };
+    }
+
+    async refreshSession(refreshToken, context = {}) {
+        if (!refreshToken) throw new Error('Refresh token is required');
+
+        const { session, refreshToken: newRefreshToken } = await SessionService.rotateSession(refreshToken, 'User', context);
+
+        const user = await User.findById(session.owner);
+        if (!user) {
+            await SessionService.revokeSession(session._id, 'user_not_found');
+            throw new Error('Invalid refresh token');
+        }
+        if (!user.isActive) {
+            await SessionService.revokeSession(session._id, 'account_deactivated');
+            throw new Error('Your account has been deactivated. Please contact an administrator');
+        }
+
+        return {
+            token: this._signAccessToken(user, session._id),
+            refreshToken: newRefreshToken,
+            expiresIn: JWT_EXPIRES_IN
+        };
+    }
+
+    async logoutUser(sessionId) {
+        await SessionService.revokeSession(sessionId, 'logout');
+        return { message: 'Logout successful' };
+    }
+
+    // Scoping the lookup to one account stops a single guess from matching every outstanding reset PIN
+    async _findUserByResetToken(email, token, context) {
+        const normalizedEmail = email.trim().toLowerCase();
+        const attemptIdentifiers = { account: normalizedEmail, ip: context.ipAddress };
+        await BruteForceService.assertNotLocked(AttemptActionEnum.PASSWORD_RESET, attemptIdentifiers);
+
+        const hashedToken = crypto.createHash('sha256').update(token.trim()).digest('hex');
+        const user = await User.findOne({
+            email: normalizedEmail,
+            resetPasswordToken: hashedToken,
+            resetPasswordExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            const accountOwner = await findUserByEmail(normalizedEmail);
+            await this._recordFailedAttempt(AttemptActionEnum.PASSWORD_RESET, attemptIdentifiers, accountOwner, context);
+            throw new Error('Invalid or expired reset token');
+        }
+
+        await BruteForceService.recordSuccess(AttemptActionEnum.PASSWORD_RESET, attemptIdentifiers);
+        return user;
+    }
+
+    async _recordFailedAttempt(action, attemptIdentifiers, user, context) {
+        const { accountLocked, lockedUntil } = await BruteForceService.recordFailure(action, attemptIdentifiers);
+        if (!accountLocked || !user) return;
+
+        setImmediate(async () => {
+            try {
+                await sendEmail(
+                    user.email,
+                    'Account Temporarily Locked',
+                    `Hi ${user.firstName} ${user.lastName},
+
+Your account has been temporarily locked after too many failed ${ATTEMPT_LABELS[action]} attempts.
+Locked until: ${lockedUntil.toLocaleString()}
+Last attempt from IP address: ${context.ipAddress || 'Unknown IP'}
+
+If this wasn't you, someone may be trying to access your account. Consider resetting your password once the lock expires.
+
+Best regards,
+Heunets Team`
+                );
+            } catch (error) {
+                console.error('Account lockout notification failed:', { userId: user._id, error: error.message });
+            }
+        });
+    }
+
+    _signAccessToken(user, sessionId) {
+        return signToken({ id: user._id, role: user.role, sid: sessionId }, { expiresIn: JWT_EXPIRES_IN });
+    }
+
+}
+
+module.exports = new UserAuthService();
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, JWT_SIGNING_KEYS, JWT_ACTIVE_KID, JWT_KEY_GRACE_PERIOD_HOURS } = require('../config/config');
+
+// Tokens issued before key IDs existed carry no `kid` and were signed with JWT_SECRET
+const LEGACY_KID = 'default';
+const KEY_TYPES = {
+    HS256: null,
+    RS256: 'rsa',
+    ES256: 'ec'
+};
+
+let keyRing = null;
+
+const parseKeyConfig = () => {
+    if (!JWT_SIGNING_KEYS) return [];
+
+    let entries;
+    try {
+        entries = JSON.parse(JWT_SIGNING_KEYS);
+    } catch {
+        throw new Error('JWT_SIGNING_KEYS must be a JSON array');
+    }
+    if (!Array.isArray(entries)) throw new Error('JWT_SIGNING_KEYS must be a JSON array');
+
+    return entries;
+};
+
+const readPem = (value, path) => {
+    if (value) return value.replace(/\\n/g, '\n');
+    if (path) return fs.readFileSync(path, 'utf8');
+    return null;
+};
+
+const buildKey = (entry) => {
+    const { kid, alg = 'HS256', retiredAt } = entry;
+    if (!kid) throw new Error('Every JWT signing key needs a kid');
+    if (!(alg in KEY_TYPES)) throw new Error(`Unsupported JWT algorithm "${alg}" for key ${kid}`);
+
+    const key = { kid, alg, retiredAt: retiredAt ? new Date(retiredAt) : null };
+    if (key.retiredAt && isNaN(key.retiredAt.getTime())) throw new Error(`Invalid retiredAt for JWT key ${kid}`);
+
+    if (alg === 'HS256') {
+        if (!entry.secret) throw new Error(`JWT key ${kid} needs a secret`);
+        key.signingKey = entry.secret;
+        key.verificationKey = entry.secret;
+        return key;
+    }
+
+    const privatePem = readPem(entry.privateKey, entry.privateKeyPath);
+    const publicPem = readPem(entry.publicKey, entry.publicKeyPath);
+    if (!privatePem && !publicPem) throw new Error(`JWT key ${kid} needs a private or public key`);
+
+    // Keys kept only to verify old tokens may ship without their private half
+    key.signingKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    key.verificationKey = crypto.createPublicKey(publicPem || privatePem);
+
+    const { asymmetricKeyType, asymmetricKeyDetails } = key.verificationKey;
+    if (asymmetricKeyType !== KEY_TYPES[alg]) throw new Error(`JWT key ${kid} is not a valid ${alg} key`);
+    if (alg === 'ES256' && asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+        throw new Error(`JWT key ${kid} must use the P-256 curve for ES256`);
+    }
+
+    return key;
+};
+
+const loadKeyRing = () => {
+    if (keyRing) return keyRing;
+
+    const entries = parseKeyConfig();
+    const keys = entries.map(buildKey);
+
+    if (JWT_SECRET && !keys.some(key => key.kid === LEGACY_KID)) {
+        keys.push(buildKey({ kid: LEGACY_KID, alg: 'HS256', secret: JWT_SECRET }));
+    }
+    if (keys.length === 0) throw new Error('No JWT signing keys configured');
+
+    const activeKid = JWT_ACTIVE_KID || keys[0].kid;
+    const activeKey = keys.find(key => key.kid === activeKid);
+    if (!activeKey) throw new Error(`Active JWT key ${activeKid} is not configured`);
+    if (!activeKey.signingKey) throw new Error(`Active JWT key ${activeKid} has no private key`);
+    if (activeKey.retiredAt) throw new Error(`Active JWT key ${activeKid} cannot be retired`);
+
+    keyRing = { keys, activeKey };
+    return keyRing;
+};
+
+// Retired keys keep verifying for the grace period so rotation does not sign everyone out
+const isVerifiable = (key) => {
+    if (!key.retiredAt) return true;
+    return Date.now() < key.retiredAt.getTime() + JWT_KEY_GRACE_PERIOD_HOURS * 60 * 60 * 1000;
+};
+
+const signToken = (payload, options = {}) => {
+    const { activeKey } = loadKeyRing();
+    return jwt.sign(payload, activeKey.signingKey, { ...options, algorithm: activeKey.alg, keyid: activeKey.kid });
+};
+
+const verifyToken = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) throw new Error('Invalid token');
+
+    const kid = decoded.header.kid || LEGACY_KID;
+    const key = loadKeyRing().keys.find(candidate => candidate.kid === kid);
+    if (!key || !isVerifiable(key)) throw new Error('Token signed with an unknown or retired key');
+
+    // Pinning the algorithm to the key stops tokens from switching e.g. RS256 to HS256
+    return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
+};
+
+// Only asymmetric public keys are published; shared HS256 secrets never leave the server
+const getJwks = () => {
+    const keys = loadKeyRing().keys
+        .filter(key => key.alg !== 'HS256' && isVerifiable(key))
+        .map(key => ({
+            ...key.verificationKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.alg,
+            use: 'sig'
+        }));
+
+    return { keys };
+};
+
+module.exports = {
+    signToken,
+    verifyToken,
+    getJwks
+};
@@ -0,0 +1,24 @@
+// "@jane@example.com" or "@jane.doe"; the leading boundary stops plain email addresses from matching
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}|[A-Za-z][A-Za-z'-]*\.[A-Za-z][A-Za-z'-]*)/g;
+
+const extractMentions = (text) => {
+    const emails = new Set();
+    const names = new Map();
+
+    if (typeof text !== 'string') return { emails: [], names: [] };
+
+    for (const [, , handle] of text.matchAll(MENTION_PATTERN)) {
+        if (handle.includes('@')) {
+            emails.add(handle.toLowerCase());
+        } else {
+            const [firstName, lastName] = handle.split('.');
+            names.set(handle.toLowerCase(), { firstName, lastName });
+        }
+    }
+
+    return { emails: [...emails], names: [...names.values()] };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { extractMentions, escapeRegExp };
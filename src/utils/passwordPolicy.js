@@ -0,0 +1,81 @@
+const bcrypt = require('bcryptjs');
+const { PASSWORD_POLICY } = require('../config/config');
+const COMMON_PASSWORDS = require('../config/commonPasswords');
+
+// bcrypt ignores everything after the first 72 bytes, so longer passwords give a false sense of strength
+const MAX_PASSWORD_BYTES = 72;
+
+const isCommonPassword = (password) => {
+    const lowered = password.toLowerCase();
+    const withoutSuffix = lowered.replace(/[^a-z]+$/, '');
+    return COMMON_PASSWORDS.has(lowered) || (withoutSuffix.length >= 4 && COMMON_PASSWORDS.has(withoutSuffix));
+};
+
+const getPersonalTerms = ({ firstName, lastName, email } = {}) => {
+    const terms = [firstName, lastName];
+    if (email) terms.push(email.split('@')[0]);
+    return terms
+        .filter(term => typeof term === 'string' && term.trim().length >= 3)
+        .map(term => term.trim().toLowerCase());
+};
+
+// Throws on the first rule the password breaks; account supplies firstName, lastName and email when known
+const validatePassword = (password, account = {}, policy = PASSWORD_POLICY) => {
+    if (!password || typeof password !== 'string') throw new Error('Password is required');
+
+    if (password.length < policy.minLength) {
+        throw new Error(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+        throw new Error(`Password cannot exceed ${MAX_PASSWORD_BYTES} bytes`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        throw new Error('Password must contain at least one uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        throw new Error('Password must contain at least one lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        throw new Error('Password must contain at least one number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        throw new Error('Password must contain at least one symbol');
+    }
+
+    const lowered = password.toLowerCase();
+    if (getPersonalTerms(account).some(term => lowered.includes(term))) {
+        throw new Error('Password cannot contain your name or email');
+    }
+    if (isCommonPassword(password)) {
+        throw new Error('Password is too common. Please choose a less predictable password');
+    }
+};
+
+// Compares against the current password and the stored history of previous hashes
+const assertPasswordNotReused = async (password, account, policy = PASSWORD_POLICY) => {
+    if (policy.historySize <= 0) return;
+
+    const previousHashes = [account.password, ...(account.passwordHistory || [])]
+        .filter(Boolean)
+        .slice(0, policy.historySize);
+
+    for (const previousHash of previousHashes) {
+        if (await bcrypt.compare(password, previousHash)) {
+            throw new Error(`New password cannot match any of your last ${policy.historySize} passwords`);
+        }
+    }
+};
+
+// History of hashes to store alongside the new password, most recent first
+const buildPasswordHistory = (account, policy = PASSWORD_POLICY) => {
+    if (policy.historySize <= 1) return [];
+    return [account.password, ...(account.passwordHistory || [])]
+        .filter(Boolean)
+        .slice(0, policy.historySize - 1);
+};
+
+module.exports = {
+    validatePassword,
+    assertPasswordNotReused,
+    buildPasswordHistory
+};
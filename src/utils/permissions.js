@@ -0,0 +1,16 @@
+const rolePermissions = require('../config/rolePermissions');
+
+const getPermissionsForRole = (role) => {
+    return rolePermissions[role] || [];
+};
+
+const hasPermission = (role, permission) => {
+    return getPermissionsForRole(role).includes(permission);
+};
+
+// API key callers are further limited to the scopes granted to the key
+const actorHasPermission = (actor, permission) => {
+    return hasPermission(actor.role, permission) && (!actor.scopes || actor.scopes.includes(permission));
+};
+
+module.exports = { getPermissionsForRole, hasPermission, actorHasPermission };
@@ -0,0 +1,38 @@
+// Matches the maxlength on the session and audit log models, which would otherwise reject the whole write
+const MAX_USER_AGENT_LENGTH = 500;
+
+// req.ip only honours X-Forwarded-For from proxies trusted through TRUST_PROXY, so clients cannot pick their own IP
+const getRequestContext = (req) => ({
+    userAgent: (req.headers?.['user-agent'] || 'Unknown device').trim().slice(0, MAX_USER_AGENT_LENGTH),
+    ipAddress: req.ip || 'Unknown IP'
+});
+
+const getCookie = (req, name) => {
+    const cookies = (req.headers?.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const separatorIndex = cookie.indexOf('=');
+        if (separatorIndex > -1 && cookie.slice(0, separatorIndex).trim() === name) {
+            return decodeURIComponent(cookie.slice(separatorIndex + 1).trim());
+        }
+    }
+    return null;
+};
+
+// Admins and team members reach work item handlers through the same routes
+const getActor = (req) => {
+    const actor = req.userDetails
+        ? { id: req.userDetails.id, role: req.userDetails.role, model: 'User' }
+        : { id: req.admin.id, role: req.admin.role, model: 'Admin' };
+
+    // API keys keep their scopes so services never grant more than the key allows
+    if (req.user?.scopes) {
+        actor.scopes = req.user.scopes;
+    }
+    // Kept so audit trails name the super admin acting behind an impersonated account
+    if (req.user?.impersonatorId) {
+        actor.impersonatorId = req.user.impersonatorId;
+    }
+    return actor;
+};
+
+module.exports = { getRequestContext, getCookie, getActor };
@@ -1,13 +1,15 @@
 const { findAdminByFirstName, findAdminByLastName, findAdminByEmail } = require("../admin/data/repositories/adminRepository");
 const Admin = require("../admin/data/models/adminModel");
+const User = require("../user/data/models/userModel");
 
 
 const checkIfAdminExists = async (firstName, lastName, email) => {
-    const [existingAdminByEmail] = await Promise.all([
-        findAdminByEmail(email)
+    const [existingAdminByEmail, existingUserByEmail] = await Promise.all([
+        findAdminByEmail(email),
+        User.findOne({ email })
     ]);
 
-    if (existingAdminByEmail) {
+    if (existingAdminByEmail || existingUserByEmail) {
         throw new Error('Email is already in use. Please use a different email address.');
     }
 
@@ -22,12 +24,30 @@ const checkIfAdminExists = async (firstName, lastName, email) => {
     }
 };
 
+const checkIfAdminNameTaken = async (firstName, lastName, excludeAdminId) => {
+    const existingAdminByName = await Admin.findOne({
+        firstName: firstName,
+        lastName: lastName,
+        _id: { $ne: excludeAdminId }
+    });
+
+    if (existingAdminByName) {
+        throw new Error('An admin with this name combination already exists. Please use a different name.');
+    }
+};
+
 const checkIfUserExists = async (email) => {
-    const existingUser = await User.findOne({ email });
+    const [existingUser, existingAdmin] = await Promise.all([
+        User.findOne({ email }),
+        findAdminByEmail(email)
+    ]);
 
-    if (existingUser) {
+    if (existingUser || existingAdmin) {
         throw new Error('Email is already in use');
     }
 };
 
-module.exports = { checkIfAdminExists, checkIfUserExists };
\ No newline at end of file
+// Lets services answer "not found" for malformed IDs instead of surfacing a mongoose CastError
+const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id));
+
+module.exports = { checkIfAdminExists, checkIfAdminNameTaken, checkIfUserExists, isValidObjectId };
\ No newline at end of file
@@ -1,29 +1,90 @@
 const WorkItemService = require('../services/WorkItemService');
-const { successResponse, errorResponse, notFoundResponse } = require('../../utils/respondHandler');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../utils/respondHandler');
+const { getActor } = require('../../utils/requestContext');
+
+const PERMISSION_ERRORS = [
+    'You do not have permission to access this work item',
+    'You do not have permission to modify this work item',
+    'You can only update the status of work items assigned to you',
+    'You are not a member of this project',
+    'You do not have permission to modify every subtask of this work item'
+];
+
+const CONFLICT_ERRORS = [
+    'Blocked by open work items. Complete or unlink the blockers first'
+];
 
 class WorkItemController {
     static async createWorkItem(req, res) {
         try {
-            const { title, description, status, priority, assignedTo, tags, dueDate } = req.body;
-            const createdById = req.admin.id;
+            const { title, description, status, priority, project, assignedTo, tags, dueDate } = req.body;
+            const actor = getActor(req);
 
             const result = await WorkItemService.createWorkItem(
-                { title, description, status, priority, assignedTo, tags, dueDate },
-                createdById
+                { title, description, status, priority, project, assignedTo, tags, dueDate },
+                actor.id,
+                actor.model,
+                actor
             );
 
             return successResponse(res, result, 'Work item created successfully', 201);
         } catch (error) {
             console.error('Error creating work item:', error);
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
             return errorResponse(res, error.message || 'Failed to create work item', 400);
         }
     }
 
+    static async createSubtask(req, res) {
+        try {
+            const { id } = req.params;
+            const { title, description, status, priority, project, assignedTo, tags, dueDate } = req.body;
+
+            const result = await WorkItemService.createSubtask(
+                id,
+                { title, description, status, priority, project, assignedTo, tags, dueDate },
+                getActor(req)
+            );
+
+            return successResponse(res, result, 'Subtask created successfully', 201);
+        } catch (error) {
+            console.error('Error creating subtask:', error);
+            if (error.message === 'Parent work item not found') {
+                return notFoundResponse(res, 'Work item');
+            }
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
+            return errorResponse(res, error.message || 'Failed to create subtask', 400);
+        }
+    }
+
+    static async getSubtasks(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await WorkItemService.getSubtasks(id, getActor(req));
+
+            return successResponse(res, result, 'Subtasks retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching subtasks:', error);
+            if (error.message === 'Work item not found') {
+                return notFoundResponse(res, 'Work item');
+            }
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
+            return errorResponse(res, error.message || 'Failed to fetch subtasks', 400);
+        }
+    }
+
     static async getWorkItemById(req, res) {
         try {
             const { id } = req.params;
 
-            const result = await WorkItemService.getWorkItemById(id);
+            const result = await WorkItemService.getWorkItemById(id, getActor(req));
 
             return successResponse(res, result, 'Work item retrieved successfully');
         } catch (error) {
@@ -31,6 +92,9 @@ class WorkItemController {
             if (error.message === 'Work item not found') {
                 return notFoundResponse(res, 'Work item');
             }
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
             return errorResponse(res, error.message || 'Failed to fetch work item', 400);
         }
     }
@@ -60,6 +124,7 @@ class WorkItemController {
             const {
                 status,
                 priority,
+                project,
                 assignedTo,
                 createdBy,
                 tags,
@@ -74,6 +139,7 @@ class WorkItemController {
             const filters = {};
             if (status) filters.status = status.split(',');
             if (priority) filters.priority = priority.split(',');
+            if (project) filters.project = project;
             if (assignedTo) filters.assignedTo = assignedTo;
             if (createdBy) filters.createdBy = createdBy;
             if (tags) filters.tags = tags.split(',');
@@ -86,7 +152,7 @@ class WorkItemController {
             if (sortBy) options.sortBy = sortBy;
             if (sortOrder) options.sortOrder = sortOrder;
 
-            const result = await WorkItemService.getAllWorkItems(filters, options);
+            const result = await WorkItemService.getAllWorkItems(filters, options, getActor(req));
 
             return successResponse(res, result, 'Work items retrieved successfully');
         } catch (error) {
@@ -100,7 +166,7 @@ class WorkItemController {
             const { id } = req.params;
             const updateData = req.body;
 
-            const result = await WorkItemService.updateWorkItem(id, updateData);
+            const result = await WorkItemService.updateWorkItem(id, updateData, getActor(req));
 
             return successResponse(res, result, 'Work item updated successfully');
         } catch (error) {
@@ -108,6 +174,12 @@ class WorkItemController {
             if (error.message === 'Work item not found') {
                 return notFoundResponse(res, 'Work item');
             }
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
+            if (CONFLICT_ERRORS.includes(error.message)) {
+                return errorResponse(res, error.message, 409);
+            }
             return errorResponse(res, error.message || 'Failed to update work item', 400);
         }
     }
@@ -116,7 +188,7 @@ class WorkItemController {
         try {
             const { id } = req.params;
 
-            const result = await WorkItemService.deleteWorkItem(id);
+            const result = await WorkItemService.deleteWorkItem(id, getActor(req));
 
             return successResponse(res, result, 'Work item deleted successfully');
         } catch (error) {
@@ -124,6 +196,9 @@ class WorkItemController {
             if (error.message === 'Work item not found') {
                 return notFoundResponse(res, 'Work item');
             }
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
             return errorResponse(res, error.message || 'Failed to delete work item', 400);
         }
     }
@@ -132,7 +207,7 @@ class WorkItemController {
         try {
             const { id } = req.params;
 
-            const result = await WorkItemService.permanentlyDeleteWorkItem(id);
+            const result = await WorkItemService.permanentlyDeleteWorkItem(id, getActor(req));
 
             return successResponse(res, result, 'Work item permanently deleted successfully');
         } catch (error) {
@@ -148,7 +223,7 @@ class WorkItemController {
         try {
             const { id } = req.params;
 
-            const result = await WorkItemService.restoreWorkItem(id);
+            const result = await WorkItemService.restoreWorkItem(id, getActor(req));
 
             return successResponse(res, result, 'Work item restored successfully');
         } catch (error) {
@@ -160,11 +235,59 @@ class WorkItemController {
         }
     }
 
+    static async getWorkItemHistory(req, res) {
+        try {
+            const { id } = req.params;
+            const { page, limit } = req.query;
+
+            const options = {};
+            if (page) options.page = parseInt(page);
+            if (limit) options.limit = parseInt(limit);
+
+            const result = await WorkItemService.getWorkItemHistory(id, getActor(req), options);
+
+            return successResponse(res, result, 'Work item history retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching work item history:', error);
+            if (error.message === 'Work item not found') {
+                return notFoundResponse(res, 'Work item');
+            }
+            if (PERMISSION_ERRORS.includes(error.message)) {
+                return forbiddenResponse(res, error.message);
+            }
+            return errorResponse(res, error.message || 'Failed to fetch work item history', 400);
+        }
+    }
+
+    static async getHistory(req, res) {
+        try {
+            const { actor, workItem, operation, from, to, page, limit } = req.query;
+
+            const filters = {};
+            if (actor) filters.actor = actor;
+            if (workItem) filters.workItem = workItem;
+            if (operation) filters.operation = operation;
+            if (from) filters.from = from;
+            if (to) filters.to = to;
+
+            const options = {};
+            if (page) options.page = parseInt(page);
+            if (limit) options.limit = parseInt(limit);
+
+            const result = await WorkItemService.getHistory(filters, options);
+
+            return successResponse(res, result, 'Work item history retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching work item history:', error);
+            return errorResponse(res, error.message || 'Failed to fetch work item history', 400);
+        }
+    }
+
     static async getWorkItemsByStatus(req, res) {
         try {
             const { status } = req.params;
 
-            const result = await WorkItemService.getWorkItemsByStatus(status);
+            const result = await WorkItemService.getWorkItemsByStatus(status, getActor(req));
 
             return successResponse(res, result, 'Work items retrieved successfully');
         } catch (error) {
@@ -175,9 +298,7 @@ class WorkItemController {
 
     static async getMyAssignedWorkItems(req, res) {
         try {
-            const userId = req.admin.id;
-
-            const result = await WorkItemService.getMyAssignedWorkItems(userId);
+            const result = await WorkItemService.getMyAssignedWorkItems(getActor(req));
 
             return successResponse(res, result, 'Assigned work items retrieved successfully');
         } catch (error) {
@@ -188,9 +309,7 @@ class WorkItemController {
 
     static async getMyCreatedWorkItems(req, res) {
         try {
-            const userId = req.admin.id;
-
-            const result = await WorkItemService.getMyCreatedWorkItems(userId);
+            const result = await WorkItemService.getMyCreatedWorkItems(getActor(req));
 
             return successResponse(res, result, 'Created work items retrieved successfully');
         } catch (error) {
@@ -201,7 +320,7 @@ class WorkItemController {
 
     static async getOverdueWorkItems(req, res) {
         try {
-            const result = await WorkItemService.getOverdueWorkItems();
+            const result = await WorkItemService.getOverdueWorkItems(getActor(req));
 
             return successResponse(res, result, 'Overdue work items retrieved successfully');
         } catch (error) {
@@ -212,11 +331,12 @@ class WorkItemController {
 
     static async getWorkItemStats(req, res) {
         try {
-            const { createdBy, assignedTo } = req.query;
+            const { createdBy, assignedTo, project } = req.query;
 
             const filters = {};
             if (createdBy) filters.createdBy = createdBy;
             if (assignedTo) filters.assignedTo = assignedTo;
+            if (project) filters.project = project;
 
             const result = await WorkItemService.getWorkItemStats(filters);
 
@@ -230,7 +350,7 @@ class WorkItemController {
     // NEW METHOD: Get current user's work item stats
     static async getMyWorkItemStats(req, res) {
         try {
-            const userId = req.admin.id;
+            const userId = getActor(req).id;
 
             const result = await WorkItemService.getMyWorkItemStats(userId);
 
@@ -249,11 +369,14 @@ class WorkItemController {
                 return errorResponse(res, 'IDs and update data are required', 400);
             }
 
-            const result = await WorkItemService.bulkUpdateWorkItems(ids, updateData);
+            const result = await WorkItemService.bulkUpdateWorkItems(ids, updateData, getActor(req));
 
             return successResponse(res, result, 'Work items bulk updated successfully');
         } catch (error) {
             console.error('Error bulk updating work items:', error);
+            if (CONFLICT_ERRORS.includes(error.message)) {
+                return errorResponse(res, error.message, 409);
+            }
             return errorResponse(res, error.message || 'Failed to bulk update work items', 400);
         }
     }
@@ -0,0 +1,65 @@
+const WorkItemLinkService = require('../services/WorkItemLinkService');
+const { getActor } = require('../../utils/requestContext');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../utils/respondHandler');
+
+const PERMISSION_ERRORS = [
+    'You do not have permission to access this work item',
+    'You do not have permission to modify this work item'
+];
+
+const NOT_FOUND_ERRORS = {
+    'Work item not found': 'Work item',
+    'Linked work item not found': 'Linked work item',
+    'Link not found': 'Link'
+};
+
+const handleError = (res, error, fallbackMessage) => {
+    if (NOT_FOUND_ERRORS[error.message]) {
+        return notFoundResponse(res, NOT_FOUND_ERRORS[error.message]);
+    }
+    if (PERMISSION_ERRORS.includes(error.message)) {
+        return forbiddenResponse(res, error.message);
+    }
+    if (error.message === 'These work items are already linked') {
+        return errorResponse(res, error.message, 409);
+    }
+    return errorResponse(res, error.message || fallbackMessage, 400);
+};
+
+class WorkItemLinkController {
+    async listLinks(req, res) {
+        try {
+            const result = await WorkItemLinkService.listLinks(req.params.id, getActor(req));
+            return successResponse(res, result, 'Links retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching work item links:', error);
+            return handleError(res, error, 'Failed to fetch links');
+        }
+    }
+
+    async createLink(req, res) {
+        try {
+            const { type, targetId } = req.body;
+
+            const result = await WorkItemLinkService.createLink(req.params.id, { type, targetId }, getActor(req));
+            return successResponse(res, result, 'Link created successfully', 201);
+        } catch (error) {
+            console.error('Error creating work item link:', error);
+            return handleError(res, error, 'Failed to create link');
+        }
+    }
+
+    async deleteLink(req, res) {
+        try {
+            const { id, linkId } = req.params;
+
+            const result = await WorkItemLinkService.deleteLink(id, linkId, getActor(req));
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            console.error('Error removing work item link:', error);
+            return handleError(res, error, 'Failed to remove link');
+        }
+    }
+}
+
+module.exports = new WorkItemLinkController();
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const WorkItemOperationEnum = require('../../../enums/workItemOperationEnum');
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    to: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, { _id: false });
+
+// Append-only change log; entries outlive their work item so permanent deletions stay traceable
+const workItemHistorySchema = new mongoose.Schema({
+    workItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Title at the time of the change, so entries still read well after the item is gone
+    title: {
+        type: String
+    },
+    operation: {
+        type: String,
+        required: true,
+        enum: Object.values(WorkItemOperationEnum)
+    },
+    // Empty for changes made by the system rather than a signed-in account
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'actorModel'
+    },
+    actorModel: {
+        type: String,
+        enum: ['Admin', 'User']
+    },
+    // Set when a super admin made the change while impersonating the actor
+    impersonator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    changes: {
+        type: [changeSchema],
+        default: []
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+workItemHistorySchema.index({ workItem: 1, createdAt: -1 });
+workItemHistorySchema.index({ actor: 1, createdAt: -1 });
+workItemHistorySchema.index({ createdAt: -1 });
+
+workItemHistorySchema.methods.toJSON = function() {
+    const historyObject = this.toObject();
+    historyObject.id = String(historyObject._id);
+    delete historyObject._id;
+    delete historyObject.__v;
+    return historyObject;
+};
+
+module.exports = mongoose.model('WorkItemHistory', workItemHistorySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const WorkItemLinkTypeEnum = require('../../../enums/workItemLinkTypeEnum');
+
+// Links are directional: the source blocks or duplicates the target. "relates_to" reads the same both ways
+const workItemLinkSchema = new mongoose.Schema({
+    source: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkItem',
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkItem',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: Object.values(WorkItemLinkTypeEnum)
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'creatorModel'
+    },
+    creatorModel: {
+        type: String,
+        enum: ['Admin', 'User']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+workItemLinkSchema.index({ source: 1, target: 1, type: 1 }, { unique: true });
+workItemLinkSchema.index({ target: 1, type: 1 });
+
+workItemLinkSchema.methods.toJSON = function() {
+    const linkObject = this.toObject();
+    linkObject.id = String(linkObject._id);
+    delete linkObject._id;
+    delete linkObject.__v;
+    return linkObject;
+};
+
+module.exports = mongoose.model('WorkItemLink', workItemLinkSchema);
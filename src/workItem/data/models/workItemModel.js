@@ -15,16 +15,28 @@ const workItemSchema = new mongoose.Schema({
         minlength: [10, 'Description must be at least 10 characters long'],
         maxlength: [500, 'Description cannot exceed 500 characters']
     },
+    // A status key from the item's workflow; WorkItemService validates it and its transitions
     status: {
         type: String,
-        enum: ['pending', 'in_progress', 'completed', 'cancelled'],
-        default: 'pending'
+        required: true,
+        trim: true
     },
     priority: {
         type: String,
         enum: ['low', 'medium', 'high', 'urgent'],
         default: 'medium'
     },
+    // Project key plus a per-project sequence number, e.g. HEU-123. It does not change when the item moves
+    key: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // Items created before projects existed are moved into the default project when it is first created
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         refPath: 'creatorModel',
@@ -43,6 +55,24 @@ const workItemSchema = new mongoose.Schema({
         type: String,
         enum: ['Admin', 'User']
     },
+    // Lowercase tag names; see the tag catalog for colors and descriptions
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    // Admins @mentioned in the description
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }],
+    // Subtasks point at the work item they break down
+    parentItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkItem',
+        default: null
+    },
     dueDate: {
         type: Date
     },
@@ -61,22 +91,20 @@ const workItemSchema = new mongoose.Schema({
 workItemSchema.index({ createdBy: 1, status: 1 });
 workItemSchema.index({ assignedTo: 1, status: 1 });
 workItemSchema.index({ createdAt: -1 });
+workItemSchema.index({ tags: 1 });
+workItemSchema.index({ parentItem: 1, isActive: 1 });
+workItemSchema.index({ project: 1, status: 1 });
+workItemSchema.index({ key: 1 }, { unique: true, sparse: true });
 
 // Virtual for checking if overdue
 workItemSchema.virtual('isOverdue').get(function() {
-    if (!this.dueDate || this.status === 'completed' || this.status === 'cancelled') {
+    // completedAt is set whenever an item reaches a done status of its workflow; responses recheck the status itself
+    if (!this.dueDate || this.completedAt) {
         return false;
     }
     return new Date() > this.dueDate;
 });
 
-// Method to mark as completed
-workItemSchema.methods.markAsCompleted = function() {
-    this.status = 'completed';
-    this.completedAt = new Date();
-    return this.save();
-};
-
 // Method to sanitize output
 workItemSchema.methods.toJSON = function() {
     const workItemObject = this.toObject({ virtuals: true });
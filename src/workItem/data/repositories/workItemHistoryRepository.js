@@ -0,0 +1,40 @@
+const WorkItemHistory = require('../models/workItemHistoryModel');
+
+const createWorkItemHistory = async (entries) => {
+    return WorkItemHistory.insertMany(Array.isArray(entries) ? entries : [entries]);
+};
+
+const findWorkItemHistory = async (filters = {}, options = {}) => {
+    const {
+        page = 1,
+        limit = 20,
+        sort = '-createdAt'
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [history, total] = await Promise.all([
+        WorkItemHistory.find(filters)
+            .populate('actor', 'firstName lastName email')
+            .populate('impersonator', 'firstName lastName email')
+            .sort(sort)
+            .skip(skip)
+            .limit(limit),
+        WorkItemHistory.countDocuments(filters)
+    ]);
+
+    return {
+        history,
+        pagination: {
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            limit
+        }
+    };
+};
+
+module.exports = {
+    createWorkItemHistory,
+    findWorkItemHistory
+};
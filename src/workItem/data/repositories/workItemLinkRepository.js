@@ -0,0 +1,63 @@
+const WorkItemLink = require('../models/workItemLinkModel');
+const WorkItemLinkTypeEnum = require('../../../enums/workItemLinkTypeEnum');
+
+// Ownership and project are needed to hide linked items the caller cannot see
+const LINKED_ITEM_FIELDS = 'key title status isActive createdBy assignedTo project';
+
+const createWorkItemLink = async (linkData) => {
+    const newLink = new WorkItemLink(linkData);
+    await newLink.save();
+    return newLink.populate([
+        { path: 'source', select: LINKED_ITEM_FIELDS },
+        { path: 'target', select: LINKED_ITEM_FIELDS }
+    ]);
+};
+
+const findWorkItemLinkById = async (id) => {
+    return WorkItemLink.findById(id);
+};
+
+const findLinksByWorkItem = async (workItemId) => {
+    return WorkItemLink.find({ $or: [{ source: workItemId }, { target: workItemId }] })
+        .populate('source', LINKED_ITEM_FIELDS)
+        .populate('target', LINKED_ITEM_FIELDS)
+        .sort('createdAt');
+};
+
+const findLinksBetween = async (firstId, secondId) => {
+    return WorkItemLink.find({
+        $or: [
+            { source: firstId, target: secondId },
+            { source: secondId, target: firstId }
+        ]
+    });
+};
+
+const findLinksFrom = async (sourceIds, type) => {
+    return WorkItemLink.find({ source: { $in: sourceIds }, type }, 'source target');
+};
+
+// Blocking links pointing at any of the given items, with the blocker populated
+const findBlockersByWorkItems = async (workItemIds) => {
+    return WorkItemLink.find({ target: { $in: workItemIds }, type: WorkItemLinkTypeEnum.BLOCKS })
+        .populate('source', LINKED_ITEM_FIELDS);
+};
+
+const deleteWorkItemLink = async (id) => {
+    return WorkItemLink.findByIdAndDelete(id);
+};
+
+const deleteLinksByWorkItem = async (workItemId) => {
+    return WorkItemLink.deleteMany({ $or: [{ source: workItemId }, { target: workItemId }] });
+};
+
+module.exports = {
+    createWorkItemLink,
+    findWorkItemLinkById,
+    findLinksByWorkItem,
+    findLinksBetween,
+    findLinksFrom,
+    findBlockersByWorkItems,
+    deleteWorkItemLink,
+    deleteLinksByWorkItem
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const WorkItem = require('../models/workItemModel');
 
 const createWorkItem = async (workItemData) => {
@@ -9,7 +10,17 @@ const createWorkItem = async (workItemData) => {
 const findWorkItemById = async (id) => {
     return WorkItem.findById(id)
         .populate('createdBy', 'firstName lastName email')
-        .populate('assignedTo', 'firstName lastName email');
+        .populate('assignedTo', 'firstName lastName email')
+        .populate('mentions', 'firstName lastName email')
+        .populate('project', 'key name');
+};
+
+const findWorkItemByKey = async (key) => {
+    return WorkItem.findOne({ key })
+        .populate('createdBy', 'firstName lastName email')
+        .populate('assignedTo', 'firstName lastName email')
+        .populate('mentions', 'firstName lastName email')
+        .populate('project', 'key name');
 };
 
 const findAllWorkItems = async (filters = {}, options = {}) => {
@@ -30,7 +41,9 @@ const findAllWorkItems = async (filters = {}, options = {}) => {
     if (populate) {
         query = query
             .populate('createdBy', 'firstName lastName email')
-            .populate('assignedTo', 'firstName lastName email');
+            .populate('assignedTo', 'firstName lastName email')
+            .populate('mentions', 'firstName lastName email')
+            .populate('project', 'key name');
     }
 
     const [workItems, total] = await Promise.all([
@@ -68,7 +81,9 @@ const updateWorkItem = async (id, updateData) => {
         { new: true, runValidators: true }
     )
         .populate('createdBy', 'firstName lastName email')
-        .populate('assignedTo', 'firstName lastName email');
+        .populate('assignedTo', 'firstName lastName email')
+        .populate('mentions', 'firstName lastName email')
+        .populate('project', 'key name');
 
     if (!workItem) throw new Error('Work item not found');
     return workItem;
@@ -97,9 +112,62 @@ const countWorkItemsByFilters = async (filters) => {
     return WorkItem.countDocuments(filters);
 };
 
+// Aggregation skips schema casting, so the filters are cast the way find() would cast them
+const countWorkItemsByStatus = async (filters) => {
+    return WorkItem.aggregate([
+        { $match: WorkItem.find(filters).cast() },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+};
+
+// Subtasks in any of `doneStatuses` count as completed
+const countSubtasksByParent = async (parentIds, doneStatuses) => {
+    return WorkItem.aggregate([
+        {
+            $match: {
+                parentItem: { $in: parentIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+                isActive: true
+            }
+        },
+        {
+            $group: {
+                _id: '$parentItem',
+                total: { $sum: 1 },
+                completed: { $sum: { $cond: [{ $in: ['$status', doneStatuses] }, 1, 0] } }
+            }
+        }
+    ]);
+};
+
+// `filters` narrows the count to the items a caller can see
+const countWorkItemsByTag = async (filters = {}) => {
+    return WorkItem.aggregate([
+        { $match: WorkItem.find({ isActive: true, ...filters }).cast() },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+};
+
+const findWorkItemsByTag = async (name) => {
+    return WorkItem.find({ tags: name }, 'title tags');
+};
+
+// Two passes so items that already carry the new name do not end up with it twice
+const replaceTagOnWorkItems = async (fromName, toName) => {
+    await WorkItem.updateMany({ tags: fromName }, { $addToSet: { tags: toName } });
+    const result = await WorkItem.updateMany({ tags: fromName }, { $pull: { tags: fromName } });
+    return result.modifiedCount;
+};
+
+const removeTagFromWorkItems = async (name) => {
+    const result = await WorkItem.updateMany({ tags: name }, { $pull: { tags: name } });
+    return result.modifiedCount;
+};
+
 module.exports = {
     createWorkItem,
     findWorkItemById,
+    findWorkItemByKey,
     findAllWorkItems,
     findWorkItemsByCreator,
     findWorkItemsByAssignee,
@@ -107,5 +175,11 @@ module.exports = {
     updateWorkItem,
     deleteWorkItem,
     hardDeleteWorkItem,
-    countWorkItemsByFilters
+    countWorkItemsByFilters,
+    countWorkItemsByStatus,
+    countSubtasksByParent,
+    countWorkItemsByTag,
+    findWorkItemsByTag,
+    replaceTagOnWorkItems,
+    removeTagFromWorkItems
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+const {
+    createWorkItemLink,
+    findWorkItemLinkById,
+    findLinksByWorkItem,
+    findLinksBetween,
+    findLinksFrom,
+    deleteWorkItemLink
+} = require('../data/repositories/workItemLinkRepository');
+const WorkItemService = require('./WorkItemService');
+const WorkItemLinkTypeEnum = require('../../enums/workItemLinkTypeEnum');
+const { isValidObjectId } = require('../../utils/validation');
+
+// Clients may describe a link from either end; the inverse names are stored as the forward type with the ends swapped
+const INVERSE_TYPES = {
+    blocked_by: WorkItemLinkTypeEnum.BLOCKS,
+    duplicated_by: WorkItemLinkTypeEnum.DUPLICATES
+};
+const INVERSE_NAMES = {
+    [WorkItemLinkTypeEnum.BLOCKS]: 'blocked_by',
+    [WorkItemLinkTypeEnum.DUPLICATES]: 'duplicated_by'
+};
+const DIRECTED_TYPES = [WorkItemLinkTypeEnum.BLOCKS, WorkItemLinkTypeEnum.DUPLICATES];
+const LINK_TYPES = [...Object.values(WorkItemLinkTypeEnum), ...Object.keys(INVERSE_TYPES)];
+
+class WorkItemLinkService {
+    async listLinks(workItemId, actor) {
+        await this._getWorkItem(workItemId, actor);
+
+        const links = (await findLinksByWorkItem(workItemId))
+            .filter(link => link.source && link.target && link.source.isActive && link.target.isActive);
+
+        // Links to items the actor cannot open are left out, so their titles and statuses do not leak
+        const visibleItems = await WorkItemService.filterVisibleWorkItems(links.map(link => this._otherEnd(link, workItemId)), actor);
+        const visibleIds = new Set(visibleItems.map(item => String(item._id)));
+
+        return links
+            .filter(link => visibleIds.has(String(this._otherEnd(link, workItemId)._id)))
+            .map(link => this._formatLink(link, workItemId));
+    }
+
+    async createLink(workItemId, linkData, actor) {
+        const { type, targetId } = linkData;
+
+        if (!LINK_TYPES.includes(type)) {
+            throw new Error(`Invalid link type. Must be one of: ${LINK_TYPES.join(', ')}`);
+        }
+        if (!targetId) {
+            throw new Error('Target work item ID is required');
+        }
+        if (String(targetId) === String(workItemId)) {
+            throw new Error('A work item cannot be linked to itself');
+        }
+
+        const workItem = await this._getModifiableWorkItem(workItemId, actor);
+        if (!workItem.isActive) {
+            throw new Error('Cannot link a deleted work item');
+        }
+
+        // Items the actor cannot see are reported as missing rather than forbidden
+        const target = await this._getWorkItem(targetId, actor).catch(() => null);
+        if (!target || !target.isActive) {
+            throw new Error('Linked work item not found');
+        }
+
+        const linkType = INVERSE_TYPES[type] || type;
+        const [source, destination] = INVERSE_TYPES[type] ? [targetId, workItemId] : [workItemId, targetId];
+
+        const existingLinks = await findLinksBetween(source, destination);
+        const alreadyLinked = existingLinks.some(link => link.type === linkType
+            && (!DIRECTED_TYPES.includes(linkType) || String(link.source) === String(source)));
+        if (alreadyLinked) {
+            throw new Error('These work items are already linked');
+        }
+
+        if (DIRECTED_TYPES.includes(linkType) && await this._reaches(destination, source, linkType)) {
+            throw new Error('This link would create a circular dependency');
+        }
+
+        const link = await createWorkItemLink({
+            source,
+            target: destination,
+            type: linkType,
+            createdBy: actor.id,
+            creatorModel: actor.model
+        });
+
+        return this._formatLink(link, workItemId);
+    }
+
+    async deleteLink(workItemId, linkId, actor) {
+        await this._getModifiableWorkItem(workItemId, actor);
+
+        const link = isValidObjectId(linkId) ? await findWorkItemLinkById(linkId) : null;
+        if (!link || ![String(link.source), String(link.target)].includes(String(workItemId))) {
+            throw new Error('Link not found');
+        }
+
+        await deleteWorkItemLink(linkId);
+        return { message: 'Link removed successfully' };
+    }
+
+    // Follows links of one type outward from `fromId`, looking for `toId`
+    async _reaches(fromId, toId, type) {
+        const visited = new Set([String(fromId)]);
+        let frontier = [fromId];
+
+        while (frontier.length > 0) {
+            const links = await findLinksFrom(frontier, type);
+            frontier = [];
+
+            for (const link of links) {
+                const next = String(link.target);
+                if (next === String(toId)) {
+                    return true;
+                }
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    frontier.push(link.target);
+                }
+            }
+        }
+
+        return false;
+    }
+
+    // Throws the same not-found and permission errors as reading the work item itself
+    async _getWorkItem(workItemId, actor) {
+        if (!isValidObjectId(workItemId)) {
+            throw new Error('Work item not found');
+        }
+        return WorkItemService.getWorkItemById(workItemId, actor);
+    }
+
+    // Adding or removing a blocker changes the item's workflow, so only those who may edit the item can do it
+    async _getModifiableWorkItem(workItemId, actor) {
+        if (!isValidObjectId(workItemId)) {
+            throw new Error('Work item not found');
+        }
+        return WorkItemService.getModifiableWorkItem(workItemId, actor);
+    }
+
+    _otherEnd(link, workItemId) {
+        return String(link.source._id || link.source) === String(workItemId) ? link.target : link.source;
+    }
+
+    // Describes the link from the point of view of `workItemId`
+    _formatLink(link, workItemId) {
+        const isSource = String(link.source._id || link.source) === String(workItemId);
+        const other = this._otherEnd(link, workItemId);
+
+        return {
+            id: String(link._id),
+            type: isSource ? link.type : (INVERSE_NAMES[link.type] || link.type),
+            workItem: {
+                id: String(other._id || other),
+                key: other.key,
+                title: other.title,
+                status: other.status
+            },
+            createdAt: link.createdAt
+        };
+    }
+}
+
+module.exports = new WorkItemLinkService();
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const {
     createWorkItem,
     findWorkItemById,
+    findWorkItemByKey,
     findAllWorkItems,
     findWorkItemsByCreator,
     findWorkItemsByAssignee,
@@ -9,16 +10,40 @@ const {
     updateWorkItem,
     deleteWorkItem,
     hardDeleteWorkItem,
-    countWorkItemsByFilters
+    countWorkItemsByFilters,
+    countWorkItemsByStatus,
+    countSubtasksByParent
 } = require('../data/repositories/workItemRepository');
+const { createWorkItemHistory, findWorkItemHistory } = require('../data/repositories/workItemHistoryRepository');
+const { findBlockersByWorkItems, deleteLinksByWorkItem } = require('../data/repositories/workItemLinkRepository');
+const { deleteCommentsByWorkItem } = require('../../comment/data/repositories/commentRepository');
+const { ensureTags } = require('../../tag/data/repositories/tagRepository');
 const updateWorkItemRepo = updateWorkItem;
 const deleteWorkItemRepo = deleteWorkItem;
 const WorkItem = require('../data/models/workItemModel');
 const Admin = require('../../admin/data/models/adminModel');
+const User = require('../../user/data/models/userModel');
+const PermissionEnum = require('../../enums/permissionEnum');
+const WorkItemOperationEnum = require('../../enums/workItemOperationEnum');
+const { actorHasPermission } = require('../../utils/permissions');
+const { extractMentions, escapeRegExp } = require('../../utils/mentions');
+const { sendEmail } = require('../../utils/emailHandler');
+const WorkflowService = require('../../workflow/services/WorkflowService');
+const ProjectService = require('../../project/services/ProjectService');
+const WorkflowGuardEnum = require('../../enums/workflowGuardEnum');
+const WorkflowCategoryEnum = require('../../enums/workflowCategoryEnum');
+const { CLIENT_URL, SUBTASKS } = require('../../config/config');
+const { isValidObjectId } = require('../../utils/validation');
+
+const ASSIGNEE_UPDATABLE_FIELDS = ['status'];
+const WORK_ITEM_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-\d+$/;
+const MAX_TAG_LENGTH = 30;
+const HISTORY_FIELDS = ['title', 'description', 'status', 'priority', 'project', 'assignedTo', 'parentItem', 'tags', 'dueDate', 'completedAt', 'isActive'];
 
 class WorkItemService {
-    async createWorkItem(workItemData, createdById) {
-        const { title, description, status, priority, assignedTo, tags, dueDate } = workItemData;
+    // creator is the full actor when known, so project access follows its role and API key scopes
+    async createWorkItem(workItemData, createdById, creatorModel = 'Admin', creator = null) {
+        const { title, description, status, priority, assignedTo, tags, dueDate, parentItem, project: projectRef } = workItemData;
 
         if (!title || title.trim().length < 3) {
             throw new Error('Title must be at least 3 characters long');
@@ -35,29 +60,14 @@ class WorkItemService {
             }
         }
 
+        const workflow = await this._getWorkflow();
         if (status) {
-            const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
-            if (!validStatuses.includes(status)) {
-                throw new Error('Invalid status. Must be one of: pending, in_progress, completed, cancelled');
-            }
+            WorkflowService.assertStatus(workflow, status);
         }
 
-        let assignedToId = null;
+        let assignee = null;
         if (assignedTo) {
-            if (typeof assignedTo !== 'string') {
-                throw new Error('assignedTo must be a string (email address)');
-            }
-
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(assignedTo)) {
-                throw new Error('assignedTo must be a valid email address');
-            }
-
-            const assignedUser = await Admin.findOne({ email: assignedTo.toLowerCase() });
-            if (!assignedUser) {
-                throw new Error(`User with email ${assignedTo} does not exist`);
-            }
-            assignedToId = assignedUser._id;
+            assignee = await this._resolveAssignee(assignedTo);
         }
 
         if (dueDate) {
@@ -70,38 +80,102 @@ class WorkItemService {
             }
         }
 
+        let parentWorkItem = null;
+        if (parentItem) {
+            parentWorkItem = isValidObjectId(parentItem) ? await findWorkItemById(parentItem) : null;
+            if (!parentWorkItem || !parentWorkItem.isActive) {
+                throw new Error('Parent work item not found');
+            }
+        }
+
+        // Subtasks land in their parent's project unless another one is given
+        const project = await ProjectService.resolveProject(projectRef || this._refId(parentWorkItem && parentWorkItem.project));
+        if (!ProjectService.canUse(project, creator || { id: createdById, role: null, model: creatorModel })) {
+            throw new Error('You are not a member of this project');
+        }
+        if (!assignee && project.defaultAssignee) {
+            assignee = { id: this._refId(project.defaultAssignee), model: project.defaultAssigneeModel };
+        }
+
+        const normalizedTags = tags !== undefined ? this._normalizeTags(tags) : [];
+        const mentionedAdmins = await this._resolveMentions(description);
+        const key = await ProjectService.nextWorkItemKey(project);
+
         const newWorkItemData = {
+            key,
             title: title.trim(),
             description: description.trim(),
             createdBy: createdById,
-            creatorModel: 'Admin',
-            status: status || 'pending',
+            creatorModel,
+            status: status || workflow.initialStatus,
             priority: priority || 'medium',
-            ...(assignedToId && { assignedTo: assignedToId, assigneeModel: 'Admin' }),
-            ...(tags && Array.isArray(tags) && { tags }),
+            project: project._id,
+            ...(assignee && { assignedTo: assignee.id, assigneeModel: assignee.model }),
+            ...(parentItem && { parentItem }),
+            ...(mentionedAdmins.length > 0 && { mentions: mentionedAdmins.map(admin => admin._id) }),
+            ...(normalizedTags.length > 0 && { tags: normalizedTags }),
             ...(dueDate && { dueDate })
         };
 
         const newWorkItem = await createWorkItem(newWorkItemData);
+        await ensureTags(normalizedTags);
+        await this._recordHistory(
+            newWorkItem,
+            WorkItemOperationEnum.CREATED,
+            { id: createdById, model: creatorModel },
+            this._diffChanges({}, {
+                ...newWorkItemData,
+                project: project.key,
+                ...(assignee && { assignedTo: assignedTo ? assignedTo.toLowerCase() : project.defaultAssignee.email })
+            })
+        );
 
         const populatedWorkItem = await WorkItem.findById(newWorkItem._id)
             .populate([
                 { path: 'createdBy', select: 'firstName lastName email' },
-                { path: 'assignedTo', select: 'firstName lastName email' }
+                { path: 'assignedTo', select: 'firstName lastName email' },
+                { path: 'mentions', select: 'firstName lastName email' },
+                { path: 'project', select: 'key name' }
             ]);
 
-        return this._formatWorkItem(populatedWorkItem);
+        this._notifyMentions(populatedWorkItem, mentionedAdmins, { id: createdById, model: creatorModel });
+
+        return this._formatWorkItemWithProgress(populatedWorkItem, creator);
     }
 
-    async getWorkItemById(id) {
-        const workItem = await findWorkItemById(id);
+    async createSubtask(parentId, workItemData, actor) {
+        await this._resolveParent(parentId, actor);
+        return this.createWorkItem({ ...workItemData, parentItem: parentId }, actor.id, actor.model, actor);
+    }
+
+    async getSubtasks(parentId, actor) {
+        const parent = isValidObjectId(parentId) ? await findWorkItemById(parentId) : null;
+        if (!parent) {
+            throw new Error('Work item not found');
+        }
+        await this._assertCanView(parent, actor);
+
+        const result = await findAllWorkItems({
+            parentItem: parent._id,
+            isActive: true,
+            ...(!this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY) && await this._visibilityFilter(actor))
+        }, { limit: 1000, sort: 'createdAt' });
+
+        return this._formatWorkItems(result.workItems, actor);
+    }
+
+    // Accepts the item's ID or its key, e.g. HEU-123
+    async getWorkItemById(id, actor) {
+        const workItem = await this._findByIdOrKey(id);
         if (!workItem) {
             throw new Error('Work item not found');
         }
-        return this._formatWorkItem(workItem);
+
+        await this._assertCanView(workItem, actor);
+        return this._formatWorkItemWithProgress(workItem, actor);
     }
 
-    async getAllWorkItems(filters = {}, options = {}) {
+    async getAllWorkItems(filters = {}, options = {}, actor) {
         const queryFilters = {};
 
         if (!filters.includeDeleted) {
@@ -117,19 +191,23 @@ class WorkItemService {
         }
 
         if (filters.assignedTo) {
-            const assignedUser = await Admin.findOne({ email: filters.assignedTo.toLowerCase() });
-            if (!assignedUser) {
+            const assignedAccount = await this._findAccountByEmail(filters.assignedTo);
+            if (!assignedAccount) {
                 throw new Error(`User with email ${filters.assignedTo} does not exist`);
             }
-            queryFilters.assignedTo = assignedUser._id;
+            queryFilters.assignedTo = assignedAccount.account._id;
         }
 
         if (filters.createdBy) {
             queryFilters.createdBy = filters.createdBy;
         }
 
+        if (filters.project) {
+            queryFilters.project = (await ProjectService.resolveProject(filters.project))._id;
+        }
+
         if (filters.tags && filters.tags.length > 0) {
-            queryFilters.tags = { $in: filters.tags };
+            queryFilters.tags = { $in: filters.tags.map(tag => String(tag).trim().toLowerCase()) };
         }
 
         if (filters.search) {
@@ -139,6 +217,10 @@ class WorkItemService {
             ];
         }
 
+        if (!this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY)) {
+            queryFilters.$and = [await this._visibilityFilter(actor)];
+        }
+
         const queryOptions = {
             page: options.page || 1,
             limit: options.limit || 10,
@@ -150,18 +232,23 @@ class WorkItemService {
         const result = await findAllWorkItems(queryFilters, queryOptions);
 
         return {
-            workItems: result.workItems.map(item => this._formatWorkItem(item)),
+            workItems: await this._formatWorkItems(result.workItems, actor),
             pagination: result.pagination
         };
     }
 
-    async updateWorkItem(id, updateData) {
+    async updateWorkItem(id, updateData, actor) {
         const workItem = await findWorkItemById(id);
         if (!workItem) {
             throw new Error('Work item not found');
         }
 
-        const allowedUpdates = ['title', 'description', 'status', 'priority', 'assignedTo', 'tags', 'dueDate'];
+        await this._assertCanView(workItem, actor);
+        this._assertCanModify(workItem, actor);
+
+        const canUpdateAny = this._canActOnAny(actor, PermissionEnum.WORKITEM_UPDATE_ANY);
+
+        const allowedUpdates = ['title', 'description', 'status', 'priority', 'project', 'assignedTo', 'parentItem', 'tags', 'dueDate'];
         const updates = {};
 
         Object.keys(updateData).forEach(key => {
@@ -170,29 +257,45 @@ class WorkItemService {
             }
         });
 
-        if (updates.assignedTo) {
-            if (typeof updates.assignedTo !== 'string') {
-                throw new Error('assignedTo must be a string (email address)');
+        // Assignees who did not create the item may only move it through its statuses
+        if (!canUpdateAny && !this._isCreator(workItem, actor)) {
+            const restrictedFields = Object.keys(updates).filter(key => !ASSIGNEE_UPDATABLE_FIELDS.includes(key));
+            if (restrictedFields.length > 0) {
+                throw new Error('You can only update the status of work items assigned to you');
             }
+        }
 
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(updates.assignedTo)) {
-                throw new Error('assignedTo must be a valid email address');
-            }
+        // History shows assignees by email rather than by account ID
+        let assigneeEmail = null;
+        if (updates.assignedTo) {
+            const assignee = await this._resolveAssignee(updates.assignedTo);
+            assigneeEmail = updates.assignedTo.toLowerCase();
+            updates.assignedTo = assignee.id;
+            updates.assigneeModel = assignee.model;
+        }
 
-            const assignedUser = await Admin.findOne({ email: updates.assignedTo.toLowerCase() });
-            if (!assignedUser) {
-                throw new Error(`User with email ${updates.assignedTo} does not exist`);
+        if (updates.tags !== undefined) {
+            updates.tags = this._normalizeTags(updates.tags);
+        }
+
+        // Moving an item needs access to the project it is moved into
+        let projectKey = null;
+        if (updates.project !== undefined) {
+            const project = await ProjectService.resolveProject(updates.project);
+            if (actor && !ProjectService.canUse(project, actor)) {
+                throw new Error('You are not a member of this project');
             }
-            updates.assignedTo = assignedUser._id;
-            updates.assigneeModel = 'Admin';
+            projectKey = project.key;
+            updates.project = project._id;
+        }
+
+        if (updates.parentItem !== undefined) {
+            updates.parentItem = await this._resolveParent(updates.parentItem, actor, workItem._id);
         }
 
+        const workflow = await this._getWorkflow();
         if (updates.status) {
-            const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
-            if (!validStatuses.includes(updates.status)) {
-                throw new Error('Invalid status');
-            }
+            WorkflowService.assertStatus(workflow, updates.status);
         }
 
         if (updates.priority) {
@@ -202,98 +305,154 @@ class WorkItemService {
             }
         }
 
-        if (updates.status === 'completed' && workItem.status !== 'completed') {
+        const isStatusChange = updates.status !== undefined && updates.status !== workItem.status;
+        const isClosing = isStatusChange
+            && WorkflowService.isDone(workflow, updates.status)
+            && !WorkflowService.isDone(workflow, workItem.status);
+        const isReopening = isStatusChange
+            && !WorkflowService.isDone(workflow, updates.status)
+            && WorkflowService.isDone(workflow, workItem.status);
+
+        if (isStatusChange) {
+            await this._assertTransition(workflow, workItem, updates.status, updates);
+        }
+
+        if (isClosing) {
+            await this._applyParentCompletionPolicy(workflow, [workItem._id], updates.status, actor);
+        }
+
+        // Only people who were not already mentioned hear about an edited description
+        let newlyMentioned = [];
+        if (updates.description !== undefined) {
+            const mentionedAdmins = await this._resolveMentions(updates.description);
+            const previousMentions = (workItem.mentions || []).map(mention => this._refId(mention));
+            updates.mentions = mentionedAdmins.map(admin => admin._id);
+            newlyMentioned = mentionedAdmins.filter(admin => !previousMentions.includes(String(admin._id)));
+        }
+
+        if (isClosing) {
             updates.completedAt = new Date();
         }
 
-        if (updates.status && updates.status !== 'completed' && workItem.status === 'completed') {
+        if (isReopening) {
             updates.completedAt = null;
         }
 
         const updatedWorkItem = await updateWorkItemRepo(id, updates);
-        return this._formatWorkItem(updatedWorkItem);
+        await ensureTags(updates.tags);
+        await this._recordHistory(
+            updatedWorkItem,
+            WorkItemOperationEnum.UPDATED,
+            actor,
+            this._diffChanges(workItem, {
+                ...updates,
+                ...(assigneeEmail && { assignedTo: assigneeEmail }),
+                ...(projectKey && { project: projectKey })
+            })
+        );
+        this._notifyMentions(updatedWorkItem, newlyMentioned, actor);
+
+        return this._formatWorkItemWithProgress(updatedWorkItem, actor);
     }
 
-    async deleteWorkItem(id) {
+    async deleteWorkItem(id, actor) {
         const workItem = await findWorkItemById(id);
         if (!workItem) {
             throw new Error('Work item not found');
         }
 
+        if (!this._canActOnAny(actor, PermissionEnum.WORKITEM_DELETE_ANY) && !this._isCreator(workItem, actor)) {
+            throw new Error('You do not have permission to modify this work item');
+        }
+
+        await this._applyParentDeletionPolicy(workItem, actor);
         await deleteWorkItemRepo(id);
+        await this._recordHistory(workItem, WorkItemOperationEnum.DELETED, actor, this._diffChanges(workItem, { isActive: false }));
         return { message: 'Work item deleted successfully' };
     }
 
-    async permanentlyDeleteWorkItem(id) {
+    async permanentlyDeleteWorkItem(id, actor) {
         const workItem = await WorkItem.findById(id);
         if (!workItem) {
             throw new Error('Work item not found');
         }
 
+        if (!this._canActOnAny(actor, PermissionEnum.WORKITEM_DELETE_PERMANENT)) {
+            throw new Error('You do not have permission to modify this work item');
+        }
+
         await hardDeleteWorkItem(id);
+        await deleteCommentsByWorkItem(id);
+        await deleteLinksByWorkItem(id);
+        // Subtasks outlive a permanently deleted parent as top-level items
+        await WorkItem.updateMany({ parentItem: id }, { $set: { parentItem: null } });
+        await this._recordHistory(workItem, WorkItemOperationEnum.PERMANENTLY_DELETED, actor);
         return { message: 'Work item permanently deleted successfully' };
     }
 
-    async restoreWorkItem(id) {
+    async restoreWorkItem(id, actor) {
         const workItem = await WorkItem.findById(id);
         if (!workItem) {
             throw new Error('Deleted work item not found');
         }
 
+        if (!this._canActOnAny(actor, PermissionEnum.WORKITEM_RESTORE)) {
+            throw new Error('You do not have permission to modify this work item');
+        }
+
         if (workItem.isActive) {
             throw new Error('Work item is not deleted');
         }
 
         workItem.isActive = true;
         await workItem.save();
+        await this._recordHistory(workItem, WorkItemOperationEnum.RESTORED, actor, [{ field: 'isActive', from: false, to: true }]);
 
         const populatedWorkItem = await WorkItem.findById(id)
             .populate([
                 { path: 'createdBy', select: 'firstName lastName email' },
-                { path: 'assignedTo', select: 'firstName lastName email' }
+                { path: 'assignedTo', select: 'firstName lastName email' },
+                { path: 'mentions', select: 'firstName lastName email' },
+                { path: 'project', select: 'key name' }
             ]);
 
-        return this._formatWorkItem(populatedWorkItem);
+        return this._formatWorkItemWithProgress(populatedWorkItem, actor);
     }
 
-    async getWorkItemsByStatus(status) {
-        const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            throw new Error('Invalid status. Must be one of: pending, in_progress, completed, cancelled');
-        }
+    async getWorkItemsByStatus(status, actor) {
+        WorkflowService.assertStatus(await this._getWorkflow(), status);
 
-        const result = await findWorkItemsByStatus(status, { limit: 1000 });
-        const workItems = (result && Array.isArray(result.workItems)) ? result.workItems : [];
-        return workItems.map(item => this._formatWorkItem(item));
+        const result = this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY)
+            ? await findWorkItemsByStatus(status, { limit: 1000 })
+            : await findAllWorkItems({ status, isActive: true, ...await this._visibilityFilter(actor) }, { limit: 1000 });
+        return this._formatWorkItems(result.workItems, actor);
     }
 
-    async getMyAssignedWorkItems(userId) {
-        const result = await findWorkItemsByAssignee(userId, { limit: 1000 });
-        const workItems = (result && Array.isArray(result.workItems)) ? result.workItems : [];
-        return workItems.map(item => this._formatWorkItem(item));
+    async getMyAssignedWorkItems(actor) {
+        const result = await findWorkItemsByAssignee(actor.id, { limit: 1000 });
+        return this._formatWorkItems(result.workItems, actor);
     }
 
-    async getMyCreatedWorkItems(userId) {
-        const result = await findWorkItemsByCreator(userId, { limit: 1000 });
-        const workItems = (result && Array.isArray(result.workItems)) ? result.workItems : [];
-        return workItems.map(item => this._formatWorkItem(item));
+    async getMyCreatedWorkItems(actor) {
+        const result = await findWorkItemsByCreator(actor.id, { limit: 1000 });
+        return this._formatWorkItems(result.workItems, actor);
     }
 
-    async getOverdueWorkItems() {
+    async getOverdueWorkItems(actor) {
+        const doneStatuses = WorkflowService.getDoneStatuses(await this._getWorkflow());
         const workItems = await WorkItem.find({
             isActive: true,
-            status: { $nin: ['completed', 'cancelled'] },
-            dueDate: { $lt: new Date() }
+            status: { $nin: doneStatuses },
+            dueDate: { $lt: new Date() },
+            ...(!this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY) && await this._visibilityFilter(actor))
         })
             .populate('createdBy', 'firstName lastName email')
             .populate('assignedTo', 'firstName lastName email')
-            .sort('-dueDate') || []; // Ensure workItems is always an array
+            .populate('mentions', 'firstName lastName email')
+            .populate('project', 'key name')
+            .sort('-dueDate');
 
-        if (!Array.isArray(workItems)) {
-            throw new Error('Expected workItems to be an array');
-        }
-
-        return workItems.map(item => this._formatWorkItem(item));
+        return this._formatWorkItems(workItems, actor);
     }
 
     async getWorkItemStats(filters = {}) {
@@ -302,15 +461,12 @@ class WorkItemService {
         if (filters.createdBy) {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             if (emailRegex.test(filters.createdBy)) {
-                const createdUser = await Admin.findOne({
-                    email: filters.createdBy.toLowerCase(),
-                    isActive: true
-                });
+                const createdUser = await this._findAccountByEmail(filters.createdBy, { isActive: true });
                 if (!createdUser) {
                     throw new Error(`User with email ${filters.createdBy} does not exist`);
                 }
-                queryFilters.createdBy = createdUser._id;
-            } else if (this._isValidObjectId(filters.createdBy)) {
+                queryFilters.createdBy = createdUser.account._id;
+            } else if (isValidObjectId(filters.createdBy)) {
                 queryFilters.createdBy = filters.createdBy;
             } else {
                 throw new Error('createdBy must be a valid user ID or email address');
@@ -318,35 +474,29 @@ class WorkItemService {
         }
 
         if (filters.assignedTo) {
-            const assignedUser = await Admin.findOne({
-                email: filters.assignedTo.toLowerCase(),
-                isActive: true
-            });
+            const assignedUser = await this._findAccountByEmail(filters.assignedTo, { isActive: true });
             if (!assignedUser) {
                 throw new Error(`User with email ${filters.assignedTo} does not exist`);
             }
-            queryFilters.assignedTo = assignedUser._id;
+            queryFilters.assignedTo = assignedUser.account._id;
         }
 
-        const [total, pending, inProgress, completed, cancelled, overdue] = await Promise.all([
-            countWorkItemsByFilters(queryFilters),
-            countWorkItemsByFilters({ ...queryFilters, status: 'pending' }),
-            countWorkItemsByFilters({ ...queryFilters, status: 'in_progress' }),
-            countWorkItemsByFilters({ ...queryFilters, status: 'completed' }),
-            countWorkItemsByFilters({ ...queryFilters, status: 'cancelled' }),
+        if (filters.project) {
+            queryFilters.project = (await ProjectService.resolveProject(filters.project))._id;
+        }
+
+        const workflow = await this._getWorkflow();
+        const [statusCounts, overdue] = await Promise.all([
+            this._countByStatus(queryFilters, workflow),
             WorkItem.countDocuments({
                 ...queryFilters,
-                status: { $nin: ['completed', 'cancelled'] },
+                status: { $nin: WorkflowService.getDoneStatuses(workflow) },
                 dueDate: { $lt: new Date() }
             })
         ]);
 
         return {
-            total,
-            pending,
-            inProgress,
-            completed,
-            cancelled,
+            ...statusCounts,
             overdue
         };
     }
@@ -364,15 +514,12 @@ class WorkItemService {
             ]
         };
 
-        const [total, pending, inProgress, completed, cancelled, overdue, assigned, created] = await Promise.all([
-            countWorkItemsByFilters(queryFilters),
-            countWorkItemsByFilters({ ...queryFilters, status: 'pending' }),
-            countWorkItemsByFilters({ ...queryFilters, status: 'in_progress' }),
-            countWorkItemsByFilters({ ...queryFilters, status: 'completed' }),
-            countWorkItemsByFilters({ ...queryFilters, status: 'cancelled' }),
+        const workflow = await this._getWorkflow();
+        const [statusCounts, overdue, assigned, created] = await Promise.all([
+            this._countByStatus(queryFilters, workflow),
             WorkItem.countDocuments({
                 ...queryFilters,
-                status: { $nin: ['completed', 'cancelled'] },
+                status: { $nin: WorkflowService.getDoneStatuses(workflow) },
                 dueDate: { $lt: new Date() }
             }),
             countWorkItemsByFilters({
@@ -385,12 +532,10 @@ class WorkItemService {
             })
         ]);
 
+        const { total, completed } = statusCounts;
+
         return {
-            total,
-            pending,
-            inProgress,
-            completed,
-            cancelled,
+            ...statusCounts,
             overdue,
             assigned,
             created,
@@ -399,7 +544,33 @@ class WorkItemService {
         };
     }
 
-    async bulkUpdateWorkItems(ids, updateData) {
+    // One count per status of the workflow, plus totals per category; statuses outside the workflow only add to the total.
+    // The flat counts predate workflows and are kept for existing clients, mapped from the categories
+    async _countByStatus(queryFilters, workflow) {
+        const counts = new Map((await countWorkItemsByStatus(queryFilters)).map(row => [row._id, row.count]));
+        const byStatus = {};
+        const byCategory = Object.fromEntries(Object.values(WorkflowCategoryEnum).map(category => [category, 0]));
+
+        workflow.statuses.forEach(status => {
+            byStatus[status.key] = counts.get(status.key) || 0;
+            byCategory[status.category] += byStatus[status.key];
+        });
+
+        const cancelled = WorkflowService.getCancellationStatuses(workflow)
+            .reduce((sum, key) => sum + byStatus[key], 0);
+
+        return {
+            total: [...counts.values()].reduce((sum, count) => sum + count, 0),
+            pending: byCategory[WorkflowCategoryEnum.TODO],
+            inProgress: byCategory[WorkflowCategoryEnum.DOING],
+            completed: byCategory[WorkflowCategoryEnum.DONE] - cancelled,
+            cancelled,
+            byStatus,
+            byCategory
+        };
+    }
+
+    async bulkUpdateWorkItems(ids, updateData, actor) {
         if (!ids || ids.length === 0) {
             throw new Error('No work item IDs provided');
         }
@@ -413,33 +584,25 @@ class WorkItemService {
             }
         });
 
+        let assigneeEmail = null;
         if (updates.assignedTo) {
-            if (typeof updates.assignedTo !== 'string') {
-                throw new Error('assignedTo must be a string (email address)');
-            }
-
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(updates.assignedTo)) {
-                throw new Error('assignedTo must be a valid email address');
-            }
-
-            const assignedUser = await Admin.findOne({ email: updates.assignedTo.toLowerCase() });
-            if (!assignedUser) {
-                throw new Error(`User with email ${updates.assignedTo} does not exist`);
-            }
-            updates.assignedTo = assignedUser._id;
-            updates.assigneeModel = 'Admin';
+            const assignee = await this._resolveAssignee(updates.assignedTo);
+            assigneeEmail = updates.assignedTo.toLowerCase();
+            updates.assignedTo = assignee.id;
+            updates.assigneeModel = assignee.model;
         }
 
         if (Object.keys(updates).length === 0) {
             throw new Error('No valid update fields provided');
         }
 
+        if (updates.tags !== undefined) {
+            updates.tags = this._normalizeTags(updates.tags);
+        }
+
+        const workflow = await this._getWorkflow();
         if (updates.status) {
-            const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
-            if (!validStatuses.includes(updates.status)) {
-                throw new Error('Invalid status');
-            }
+            WorkflowService.assertStatus(workflow, updates.status);
         }
 
         if (updates.priority) {
@@ -449,10 +612,54 @@ class WorkItemService {
             }
         }
 
+        // Snapshot the items first so each one gets its own before/after entry
+        const { workItems: previousWorkItems = [] } = await findAllWorkItems(
+            { _id: { $in: ids }, isActive: true },
+            { limit: ids.length }
+        ) || {};
+
+        // Every item must be allowed to make the move, or none of them are updated
+        if (updates.status) {
+            for (const workItem of previousWorkItems.filter(item => item.status !== updates.status)) {
+                await this._assertTransition(workflow, workItem, updates.status, updates);
+            }
+        }
+
+        if (updates.status && WorkflowService.isDone(workflow, updates.status)) {
+            await this._applyParentCompletionPolicy(workflow, ids, updates.status, actor);
+        }
+
         const result = await WorkItem.updateMany(
             { _id: { $in: ids }, isActive: true },
             { $set: updates }
         );
+        await ensureTags(updates.tags);
+
+        // Like single updates, items entering a done status are stamped and items leaving one are cleared
+        const completedAtChanges = new Map();
+        if (updates.status) {
+            const isDone = WorkflowService.isDone(workflow, updates.status);
+            const completedAt = isDone ? new Date() : null;
+            const changedIds = previousWorkItems
+                .filter(workItem => WorkflowService.isDone(workflow, workItem.status) !== isDone)
+                .map(workItem => workItem._id);
+
+            if (changedIds.length > 0) {
+                await WorkItem.updateMany({ _id: { $in: changedIds } }, { $set: { completedAt } });
+                changedIds.forEach(id => completedAtChanges.set(String(id), completedAt));
+            }
+        }
+
+        const historyValues = { ...updates, ...(assigneeEmail && { assignedTo: assigneeEmail }) };
+        await this._recordHistory(
+            previousWorkItems,
+            WorkItemOperationEnum.BULK_UPDATED,
+            actor,
+            workItem => this._diffChanges(workItem, {
+                ...historyValues,
+                ...(completedAtChanges.has(String(workItem._id)) && { completedAt: completedAtChanges.get(String(workItem._id)) })
+            })
+        );
 
         return {
             message: 'Work items bulk updated successfully',
@@ -471,12 +678,18 @@ class WorkItemService {
                 return [];
             }
 
-            const assignedUsers = await Admin.find({
-                _id: { $in: assignedUserIds },
-                isActive: true
-            }, 'firstName lastName email').sort('firstName lastName');
+            const [assignedAdmins, assignedMembers] = await Promise.all([
+                Admin.find({
+                    _id: { $in: assignedUserIds },
+                    isActive: true
+                }, 'firstName lastName email').sort('firstName lastName'),
+                User.find({
+                    _id: { $in: assignedUserIds },
+                    isActive: true
+                }, 'firstName lastName email').sort('firstName lastName')
+            ]);
 
-            return assignedUsers.map(user => ({
+            return this._sortByName([...assignedAdmins, ...assignedMembers]).map(user => ({
                 firstName: user.firstName || '',
                 lastName: user.lastName || '',
                 email: user.email || '',
@@ -490,11 +703,17 @@ class WorkItemService {
 
     async getAvailableUsers() {
         try {
-            const users = await Admin.find({
-                isActive: true
-            }, 'firstName lastName email').sort('firstName lastName');
+            const [admins, users] = await Promise.all([
+                Admin.find({
+                    isActive: true
+                }, 'firstName lastName email').sort('firstName lastName'),
+                User.find({
+                    isActive: true,
+                    isEmailVerified: true
+                }, 'firstName lastName email').sort('firstName lastName')
+            ]);
 
-            return users.map(user => ({
+            return this._sortByName([...admins, ...users]).map(user => ({
                 firstName: user.firstName,
                 lastName: user.lastName,
                 email: user.email,
@@ -505,15 +724,614 @@ class WorkItemService {
         }
     }
 
-    _isValidObjectId(id) {
-        return /^[0-9a-fA-F]{24}$/.test(id);
+    // Links change how an item moves through its workflow, so editing them follows the same rule as editing the item
+    async getModifiableWorkItem(id, actor) {
+        const workItem = await findWorkItemById(id);
+        if (!workItem) {
+            throw new Error('Work item not found');
+        }
+
+        await this._assertCanView(workItem, actor);
+        this._assertCanModify(workItem, actor);
+        return workItem;
+    }
+
+    // Query filter for the items the actor may see; empty for those who can see every item
+    async getVisibilityFilter(actor) {
+        return this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY) ? {} : this._visibilityFilter(actor);
+    }
+
+    // Tag renames, merges and deletions rewrite items outside the update path, so their history is written here
+    async recordTagChange(workItems, fromName, toName, actor) {
+        await this._recordHistory(workItems, WorkItemOperationEnum.BULK_UPDATED, actor, workItem => {
+            const tags = workItem.tags.filter(tag => tag !== fromName);
+            return this._diffChanges(workItem, { tags: toName && !tags.includes(toName) ? [...tags, toName] : tags });
+        });
+    }
+
+    // Checks fail closed: a call path that has no actor gets no access
+    _canActOnAny(actor, permission) {
+        return Boolean(actor) && actorHasPermission(actor, permission);
+    }
+
+    _isCreator(workItem, actor) {
+        return Boolean(actor) && this._refId(workItem.createdBy) === String(actor.id);
+    }
+
+    _isAssignee(workItem, actor) {
+        return Boolean(actor) && this._refId(workItem.assignedTo) === String(actor.id);
+    }
+
+    _assertCanModify(workItem, actor) {
+        const canUpdateAny = this._canActOnAny(actor, PermissionEnum.WORKITEM_UPDATE_ANY);
+        if (!canUpdateAny && !this._isCreator(workItem, actor) && !this._isAssignee(workItem, actor)) {
+            throw new Error('You do not have permission to modify this work item');
+        }
+    }
+
+    // Cascades must not reach items the actor could not have changed one by one
+    _assertCanModifyAll(workItems, actor, anyPermission, { allowAssignee = false } = {}) {
+        if (this._canActOnAny(actor, anyPermission)) {
+            return;
+        }
+
+        const outOfScope = workItems.some(item => !this._isCreator(item, actor) && !(allowAssignee && this._isAssignee(item, actor)));
+        if (outOfScope) {
+            throw new Error('You do not have permission to modify every subtask of this work item');
+        }
+    }
+
+    async _assertCanView(workItem, actor) {
+        const [visibleItem] = await this.filterVisibleWorkItems([workItem], actor);
+        if (!visibleItem) {
+            throw new Error('You do not have permission to access this work item');
+        }
+    }
+
+    // Keeps the items the actor may open; the actor's projects are only looked up when ownership is not enough
+    async filterVisibleWorkItems(workItems, actor) {
+        if (this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY)) {
+            return workItems;
+        }
+
+        const isOwn = item => this._isCreator(item, actor) || this._isAssignee(item, actor);
+        if (!actor || workItems.every(isOwn)) {
+            return workItems.filter(isOwn);
+        }
+
+        // Project members see every item in the project
+        const projectIds = (await ProjectService.getMemberProjectIds(actor)).map(id => String(id));
+        return workItems.filter(item => isOwn(item) || (item.project && projectIds.includes(this._refId(item.project))));
+    }
+
+    async _visibilityFilter(actor) {
+        if (!actor) {
+            return { _id: { $in: [] } };
+        }
+
+        const projectIds = await ProjectService.getMemberProjectIds(actor);
+
+        return {
+            $or: [
+                { createdBy: actor.id },
+                { assignedTo: actor.id },
+                ...(projectIds.length > 0 ? [{ project: { $in: projectIds } }] : [])
+            ]
+        };
+    }
+
+    async _findByIdOrKey(reference) {
+        if (isValidObjectId(reference)) {
+            return findWorkItemById(reference);
+        }
+
+        const key = String(reference).trim().toUpperCase();
+        return WORK_ITEM_KEY_PATTERN.test(key) ? findWorkItemByKey(key) : null;
+    }
+
+    _refId(ref) {
+        if (!ref) return null;
+        return String(ref._id || ref);
+    }
+
+    async _findAccountByEmail(email, extraFilters = {}) {
+        const normalizedEmail = email.toLowerCase();
+
+        const admin = await Admin.findOne({ email: normalizedEmail, ...extraFilters });
+        if (admin) {
+            return { account: admin, model: 'Admin' };
+        }
+
+        const user = await User.findOne({ email: normalizedEmail, ...extraFilters });
+        if (user) {
+            return { account: user, model: 'User' };
+        }
+
+        return null;
+    }
+
+    async _resolveAssignee(email) {
+        if (typeof email !== 'string') {
+            throw new Error('assignedTo must be a string (email address)');
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            throw new Error('assignedTo must be a valid email address');
+        }
+
+        const assignee = await this._findAccountByEmail(email);
+        if (!assignee) {
+            throw new Error(`User with email ${email} does not exist`);
+        }
+        // Same rule as getAvailableUsers: team members can only be assigned once their email is verified
+        if (assignee.model === 'User' && !assignee.account.isEmailVerified) {
+            throw new Error(`User with email ${email} has not verified their email`);
+        }
+
+        return { id: assignee.account._id, model: assignee.model };
+    }
+
+    async getWorkItemHistory(id, actor, options = {}) {
+        if (!isValidObjectId(id)) {
+            throw new Error('Work item not found');
+        }
+
+        // Permanently deleted items keep their history, but only for those who could see every item
+        const workItem = await findWorkItemById(id);
+        if (workItem) {
+            await this._assertCanView(workItem, actor);
+        } else if (!this._canActOnAny(actor, PermissionEnum.WORKITEM_READ_ANY)) {
+            throw new Error('Work item not found');
+        }
+
+        const result = await findWorkItemHistory({ workItem: id }, this._historyQueryOptions(options));
+        if (!workItem && result.pagination.total === 0) {
+            throw new Error('Work item not found');
+        }
+
+        return {
+            history: result.history.map(entry => this._formatHistoryEntry(entry)),
+            pagination: result.pagination
+        };
+    }
+
+    async getHistory(filters = {}, options = {}) {
+        const queryFilters = {};
+
+        if (filters.actor) {
+            if (!isValidObjectId(filters.actor)) {
+                throw new Error('Invalid actor ID');
+            }
+            queryFilters.actor = filters.actor;
+        }
+
+        if (filters.workItem) {
+            if (!isValidObjectId(filters.workItem)) {
+                throw new Error('Invalid work item ID');
+            }
+            queryFilters.workItem = filters.workItem;
+        }
+
+        if (filters.operation) {
+            if (!Object.values(WorkItemOperationEnum).includes(filters.operation)) {
+                throw new Error(`Invalid operation. Must be one of: ${Object.values(WorkItemOperationEnum).join(', ')}`);
+            }
+            queryFilters.operation = filters.operation;
+        }
+
+        for (const [key, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (!filters[key]) continue;
+            const date = new Date(filters[key]);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid ${key} date`);
+            }
+            queryFilters.createdAt = { ...queryFilters.createdAt, [operator]: date };
+        }
+
+        const result = await findWorkItemHistory(queryFilters, this._historyQueryOptions(options));
+
+        return {
+            history: result.history.map(entry => this._formatHistoryEntry(entry)),
+            pagination: result.pagination
+        };
+    }
+
+    // History is written after the change is saved, so a failed write is logged with the items it missed rather than
+    // turning a committed change into an error
+    async _recordHistory(workItems, operation, actor, changes = []) {
+        const skipUnchanged = operation === WorkItemOperationEnum.UPDATED || operation === WorkItemOperationEnum.BULK_UPDATED;
+        const entries = (Array.isArray(workItems) ? workItems : [workItems])
+            .map(workItem => ({
+                workItem: workItem._id,
+                title: workItem.title,
+                operation,
+                ...(actor && { actor: actor.id, actorModel: actor.model }),
+                ...(actor?.impersonatorId && { impersonator: actor.impersonatorId }),
+                changes: typeof changes === 'function' ? changes(workItem) : changes
+            }))
+            .filter(entry => !skipUnchanged || entry.changes.length > 0);
+
+        if (entries.length === 0) {
+            return;
+        }
+
+        try {
+            await createWorkItemHistory(entries);
+        } catch (error) {
+            console.error('Work item history write failed:', {
+                operation,
+                workItemIds: entries.map(entry => String(entry.workItem)),
+                error: error.message
+            });
+        }
+    }
+
+    _diffChanges(before, after) {
+        return HISTORY_FIELDS
+            .filter(field => after[field] !== undefined)
+            .map(field => ({
+                field,
+                from: this._historyValue(field, before[field]),
+                to: this._historyValue(field, after[field])
+            }))
+            .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+    }
+
+    _historyValue(field, value) {
+        if (value === undefined || value === null) return null;
+        if (field === 'assignedTo') return value.email || String(value);
+        if (field === 'parentItem') return String(value._id || value);
+        if (field === 'project') return value.key || String(value._id || value);
+        if (field === 'dueDate' || field === 'completedAt') return new Date(value).toISOString();
+        if (Array.isArray(value)) return [...value];
+        return value;
+    }
+
+    _historyQueryOptions(options) {
+        return {
+            page: Math.max(options.page || 1, 1),
+            limit: Math.min(Math.max(options.limit || 20, 1), 100)
+        };
+    }
+
+    _formatHistoryEntry(entry) {
+        const entryObj = entry.toJSON();
+
+        const formattedEntry = {
+            ...entryObj,
+            workItem: String(entryObj.workItem),
+            actor: this._formatHistoryAccount(entry.actor),
+            impersonator: this._formatHistoryAccount(entry.impersonator)
+        };
+
+        delete formattedEntry.actorModel;
+
+        return formattedEntry;
+    }
+
+    _formatHistoryAccount(account) {
+        return account && account.email ? {
+            firstName: account.firstName,
+            lastName: account.lastName,
+            email: account.email,
+            fullName: `${account.firstName} ${account.lastName}`
+        } : null;
     }
 
-    _formatWorkItem(item) {
+    async _resolveParent(parentId, actor, workItemId = null) {
+        if (parentId === null || parentId === '') {
+            return null;
+        }
+        if (workItemId && String(parentId) === String(workItemId)) {
+            throw new Error('A work item cannot be its own parent');
+        }
+
+        const parent = isValidObjectId(parentId) ? await findWorkItemById(parentId) : null;
+        if (!parent || !parent.isActive) {
+            throw new Error('Parent work item not found');
+        }
+        await this._assertCanView(parent, actor);
+
+        // Walk up from the new parent; meeting the item itself means the move would close a loop
+        if (workItemId) {
+            const visited = new Set([String(parent._id)]);
+            let ancestorId = parent.parentItem;
+            while (ancestorId && !visited.has(String(ancestorId))) {
+                if (String(ancestorId) === String(workItemId)) {
+                    throw new Error('A work item cannot be moved under one of its own subtasks');
+                }
+                visited.add(String(ancestorId));
+                const ancestor = await WorkItem.findById(ancestorId, 'parentItem');
+                ancestorId = ancestor ? ancestor.parentItem : null;
+            }
+        }
+
+        return parent._id;
+    }
+
+    // Every item follows the default workflow
+    async _getWorkflow() {
+        return WorkflowService.getDefaultWorkflow();
+    }
+
+    // closingIds lists items that move to a done status together with this one, so they no longer count as open
+    async _assertTransition(workflow, workItem, toStatus, updates = {}, closingIds = []) {
+        const transition = WorkflowService.findTransition(workflow, workItem.status, toStatus);
+        const target = WorkflowService.getStatus(workflow, toStatus);
+        if (!transition) {
+            throw new Error(`Cannot move a work item from "${workItem.status}" to "${toStatus}"`);
+        }
+
+        for (const guard of transition.guards || []) {
+            if (guard === WorkflowGuardEnum.ASSIGNEE_REQUIRED) {
+                const assignedTo = updates.assignedTo !== undefined ? updates.assignedTo : workItem.assignedTo;
+                if (!assignedTo) {
+                    throw new Error(`Assign the work item before moving it to ${target.name}`);
+                }
+            }
+
+            if (guard === WorkflowGuardEnum.DUE_DATE_REQUIRED) {
+                const dueDate = updates.dueDate !== undefined ? updates.dueDate : workItem.dueDate;
+                if (!dueDate) {
+                    throw new Error(`Set a due date before moving the work item to ${target.name}`);
+                }
+            }
+
+            if (guard === WorkflowGuardEnum.NO_OPEN_SUBTASKS) {
+                const openSubtasks = await countWorkItemsByFilters({
+                    parentItem: workItem._id,
+                    ...(closingIds.length > 0 && { _id: { $nin: closingIds } }),
+                    isActive: true,
+                    status: { $nin: WorkflowService.getDoneStatuses(workflow) }
+                });
+                if (openSubtasks > 0) {
+                    throw new Error('Complete or cancel the open subtasks first');
+                }
+            }
+
+            if (guard === WorkflowGuardEnum.NO_OPEN_BLOCKERS) {
+                const closing = closingIds.map(id => String(id));
+                const blockers = (await this._findOpenBlockers([workItem._id], workflow)).get(String(workItem._id)) || [];
+                if (blockers.some(blocker => !closing.includes(String(blocker._id)))) {
+                    throw new Error('Blocked by open work items. Complete or unlink the blockers first');
+                }
+            }
+        }
+    }
+
+    // SUBTASKS.onParentComplete decides what happens to open subtasks of items moved to a done status
+    async _applyParentCompletionPolicy(workflow, parentIds, status, actor) {
+        const doneStatuses = WorkflowService.getDoneStatuses(workflow);
+
+        if (SUBTASKS.onParentComplete === 'block') {
+            const openSubtasks = await countWorkItemsByFilters({
+                parentItem: { $in: parentIds },
+                _id: { $nin: parentIds },
+                isActive: true,
+                status: { $nin: doneStatuses }
+            });
+            if (openSubtasks > 0) {
+                throw new Error('Complete or cancel the open subtasks first');
+            }
+            return;
+        }
+
+        // Open subtasks follow their parent into the same done status
+        if (SUBTASKS.onParentComplete === 'cascade') {
+            const openDescendants = (await this._findDescendants(parentIds))
+                .filter(item => !doneStatuses.includes(item.status));
+            if (openDescendants.length === 0) {
+                return;
+            }
+
+            // Each subtask must be one the actor could have closed on its own, through a transition the workflow allows
+            this._assertCanModifyAll(openDescendants, actor, PermissionEnum.WORKITEM_UPDATE_ANY, { allowAssignee: true });
+            const closingIds = [...parentIds, ...openDescendants.map(item => item._id)];
+            for (const item of openDescendants) {
+                await this._assertTransition(workflow, item, status, {}, closingIds);
+            }
+
+            const completedAt = new Date();
+            await WorkItem.updateMany(
+                { _id: { $in: openDescendants.map(item => item._id) } },
+                { $set: { status, completedAt } }
+            );
+            await this._recordHistory(
+                openDescendants,
+                WorkItemOperationEnum.UPDATED,
+                actor,
+                item => this._diffChanges(item, { status, completedAt })
+            );
+        }
+    }
+
+    // SUBTASKS.onParentDelete decides what happens to the subtasks of a soft-deleted item
+    async _applyParentDeletionPolicy(workItem, actor) {
+        if (SUBTASKS.onParentDelete === 'block') {
+            const activeSubtasks = await countWorkItemsByFilters({ parentItem: workItem._id, isActive: true });
+            if (activeSubtasks > 0) {
+                throw new Error('Delete or move the subtasks first');
+            }
+            return;
+        }
+
+        if (SUBTASKS.onParentDelete === 'orphan') {
+            const result = await findAllWorkItems({ parentItem: workItem._id, isActive: true }, { limit: 1000, populate: false });
+            const subtasks = result.workItems;
+            if (subtasks.length === 0) {
+                return;
+            }
+
+            this._assertCanModifyAll(subtasks, actor, PermissionEnum.WORKITEM_UPDATE_ANY);
+            await WorkItem.updateMany({ _id: { $in: subtasks.map(item => item._id) } }, { $set: { parentItem: null } });
+            await this._recordHistory(subtasks, WorkItemOperationEnum.UPDATED, actor, item => this._diffChanges(item, { parentItem: null }));
+            return;
+        }
+
+        const descendants = await this._findDescendants([workItem._id]);
+        if (descendants.length === 0) {
+            return;
+        }
+
+        this._assertCanModifyAll(descendants, actor, PermissionEnum.WORKITEM_DELETE_ANY);
+        await WorkItem.updateMany({ _id: { $in: descendants.map(item => item._id) } }, { $set: { isActive: false } });
+        await this._recordHistory(descendants, WorkItemOperationEnum.DELETED, actor, [{ field: 'isActive', from: true, to: false }]);
+    }
+
+    async _findDescendants(rootIds) {
+        const visited = new Set(rootIds.map(id => String(id)));
+        const descendants = [];
+        let frontier = [...rootIds];
+
+        while (frontier.length > 0) {
+            const result = await findAllWorkItems(
+                { parentItem: { $in: frontier }, isActive: true },
+                { limit: 1000, populate: false }
+            );
+            const children = result.workItems.filter(item => !visited.has(String(item._id)));
+
+            children.forEach(item => visited.add(String(item._id)));
+            descendants.push(...children);
+            frontier = children.map(item => item._id);
+        }
+
+        return descendants;
+    }
+
+    async _formatWorkItems(items, actor) {
+        if (!items || items.length === 0) {
+            return [];
+        }
+
+        const ids = items.map(item => item._id);
+        const workflow = await this._getWorkflow();
+        const [counts, openBlockers] = await Promise.all([
+            countSubtasksByParent(ids, WorkflowService.getDoneStatuses(workflow)),
+            this._findOpenBlockers(ids, workflow)
+        ]);
+        const subtaskCounts = new Map(counts.map(count => [String(count._id), count]));
+        const blockers = await this._visibleBlockers(openBlockers, actor);
+
+        return items.map(item => this._formatWorkItem(item, { subtaskCounts, blockers, workflow }));
+    }
+
+    // blockedBy leaves out blockers the actor cannot open, so their titles and statuses do not leak
+    async _visibleBlockers(blockers, actor) {
+        const allBlockers = [...blockers.values()].flat();
+        if (allBlockers.length === 0) {
+            return blockers;
+        }
+
+        const visibleIds = new Set((await this.filterVisibleWorkItems(allBlockers, actor)).map(blocker => String(blocker._id)));
+        return new Map([...blockers].map(([key, list]) => [key, list.filter(blocker => visibleIds.has(String(blocker._id)))]));
+    }
+
+    // Open blockers of each item, keyed by the blocked item's ID
+    async _findOpenBlockers(workItemIds, workflow) {
+        const links = await findBlockersByWorkItems(workItemIds);
+        const blockers = new Map();
+
+        links
+            .filter(link => link.source && link.source.isActive && !WorkflowService.isDone(workflow, link.source.status))
+            .forEach(link => {
+                const key = String(link.target);
+                blockers.set(key, [...(blockers.get(key) || []), link.source]);
+            });
+
+        return blockers;
+    }
+
+    async _formatWorkItemWithProgress(item, actor) {
+        const [formattedItem] = await this._formatWorkItems([item], actor);
+        return formattedItem;
+    }
+
+    _normalizeTags(tags) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new Error('Tags must be an array of strings');
+        }
+
+        const normalizedTags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        if (normalizedTags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            throw new Error(`Tags cannot exceed ${MAX_TAG_LENGTH} characters`);
+        }
+
+        return normalizedTags;
+    }
+
+    // Unknown handles are ignored so ordinary text containing "@" never blocks a save
+    async _resolveMentions(text) {
+        const { emails, names } = extractMentions(text);
+        if (emails.length === 0 && names.length === 0) {
+            return [];
+        }
+
+        const conditions = [
+            ...(emails.length > 0 ? [{ email: { $in: emails } }] : []),
+            ...names.map(({ firstName, lastName }) => ({
+                firstName: new RegExp(`^${escapeRegExp(firstName)}$`, 'i'),
+                lastName: new RegExp(`^${escapeRegExp(lastName)}$`, 'i')
+            }))
+        ];
+
+        return Admin.find({ isActive: true, $or: conditions }, 'firstName lastName email');
+    }
+
+    _notifyMentions(workItem, mentionedAdmins, mentionedBy) {
+        const recipients = mentionedAdmins.filter(admin => !mentionedBy || String(admin._id) !== String(mentionedBy.id));
+        if (recipients.length === 0) {
+            return;
+        }
+
+        setImmediate(async () => {
+            let authorName = 'A teammate';
+            try {
+                const author = mentionedBy && await (mentionedBy.model === 'User' ? User : Admin).findById(mentionedBy.id);
+                if (author) authorName = `${author.firstName} ${author.lastName}`;
+            } catch (error) {
+                console.error('Mention author lookup failed:', { workItemId: workItem._id, error: error.message });
+            }
+            const link = CLIENT_URL ? `\n\nView it here: ${CLIENT_URL}/workitems/${workItem._id}` : '';
+            const label = workItem.key ? `${workItem.key} "${workItem.title}"` : `"${workItem.title}"`;
+
+            for (const admin of recipients) {
+                try {
+                    await sendEmail(
+                        admin.email,
+                        `You were mentioned in ${label}`,
+                        `Hi ${admin.firstName} ${admin.lastName},
+
+${authorName} mentioned you in the work item ${label}:
+
+${workItem.description}${link}
+
+Best regards,
+Admin Team`
+                    );
+                } catch (error) {
+                    console.error('Mention notification failed:', { adminId: admin._id, workItemId: workItem._id, error: error.message });
+                }
+            }
+        });
+    }
+
+    _sortByName(accounts) {
+        return accounts.sort((a, b) =>
+            `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)
+        );
+    }
+
+    _formatWorkItem(item, { subtaskCounts = new Map(), blockers = new Map(), workflow = null } = {}) {
         const itemObj = item.toJSON();
+        const subtasks = subtaskCounts.get(String(item._id));
+        const status = workflow && WorkflowService.getStatus(workflow, itemObj.status);
 
         const formattedItem = {
             ...itemObj,
+            statusCategory: status ? status.category : null,
+            // Items closed before workflows existed may be done without a completedAt
+            isOverdue: Boolean(itemObj.isOverdue) && !(status && status.category === WorkflowCategoryEnum.DONE),
             createdBy: item.createdBy ? {
                 firstName: item.createdBy.firstName,
                 lastName: item.createdBy.lastName,
@@ -525,7 +1343,32 @@ class WorkItemService {
                 lastName: item.assignedTo.lastName,
                 email: item.assignedTo.email,
                 fullName: `${item.assignedTo.firstName} ${item.assignedTo.lastName}`
-            } : null
+            } : null,
+            mentions: (item.mentions || [])
+                .filter(mention => mention && mention.email)
+                .map(mention => ({
+                    firstName: mention.firstName,
+                    lastName: mention.lastName,
+                    email: mention.email,
+                    fullName: `${mention.firstName} ${mention.lastName}`
+                })),
+            project: item.project && item.project.key ? {
+                id: String(item.project._id),
+                key: item.project.key,
+                name: item.project.name
+            } : null,
+            // Roll-up of the item's subtasks; null when it has none
+            progress: subtasks ? {
+                total: subtasks.total,
+                completed: subtasks.completed,
+                percentage: Math.round((subtasks.completed / subtasks.total) * 100)
+            } : null,
+            blockedBy: (blockers.get(String(item._id)) || []).map(blocker => ({
+                id: String(blocker._id),
+                key: blocker.key,
+                title: blocker.title,
+                status: blocker.status
+            }))
         };
 
         delete formattedItem._id;
@@ -0,0 +1,85 @@
+const WorkflowService = require('../services/WorkflowService');
+const { successResponse, errorResponse, notFoundResponse } = require('../../utils/respondHandler');
+
+const pickDefinition = ({ name, description, statuses, initialStatus, transitions, isDefault }) => (
+    { name, description, statuses, initialStatus, transitions, isDefault }
+);
+
+class WorkflowController {
+    async listWorkflows(req, res) {
+        try {
+            const result = await WorkflowService.listWorkflows();
+            return successResponse(res, result, 'Workflows retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching workflows:', error);
+            return errorResponse(res, error.message || 'Failed to fetch workflows', 400);
+        }
+    }
+
+    async getDefaultWorkflow(req, res) {
+        try {
+            const result = await WorkflowService.getDefaultWorkflow();
+            return successResponse(res, result, 'Default workflow retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching default workflow:', error);
+            return errorResponse(res, error.message || 'Failed to fetch default workflow', 400);
+        }
+    }
+
+    async getWorkflow(req, res) {
+        try {
+            const result = await WorkflowService.getWorkflow(req.params.id);
+            return successResponse(res, result, 'Workflow retrieved successfully');
+        } catch (error) {
+            console.error('Error fetching workflow:', error);
+            if (error.message === 'Workflow not found') {
+                return notFoundResponse(res, 'Workflow');
+            }
+            return errorResponse(res, error.message || 'Failed to fetch workflow', 400);
+        }
+    }
+
+    async createWorkflow(req, res) {
+        try {
+            const result = await WorkflowService.createWorkflow(pickDefinition(req.body));
+            return successResponse(res, result, 'Workflow created successfully', 201);
+        } catch (error) {
+            console.error('Error creating workflow:', error);
+            if (error.message === 'Work items still use statuses missing from this workflow') {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to create workflow', 400);
+        }
+    }
+
+    async updateWorkflow(req, res) {
+        try {
+            const result = await WorkflowService.updateWorkflow(req.params.id, pickDefinition(req.body));
+            return successResponse(res, result, 'Workflow updated successfully');
+        } catch (error) {
+            console.error('Error updating workflow:', error);
+            if (error.message === 'Workflow not found') {
+                return notFoundResponse(res, 'Workflow');
+            }
+            if (error.message === 'Work items still use statuses missing from this workflow') {
+                return errorResponse(res, error.message, 409);
+            }
+            return errorResponse(res, error.message || 'Failed to update workflow', 400);
+        }
+    }
+
+    async deleteWorkflow(req, res) {
+        try {
+            const result = await WorkflowService.deleteWorkflow(req.params.id);
+            return successResponse(res, null, result.message);
+        } catch (error) {
+            console.error('Error deleting workflow:', error);
+            if (error.message === 'Workflow not found') {
+                return notFoundResponse(res, 'Workflow');
+            }
+            return errorResponse(res, error.message || 'Failed to delete workflow', 400);
+        }
+    }
+}
+
+module.exports = new WorkflowController();
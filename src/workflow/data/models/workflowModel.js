@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const WorkflowCategoryEnum = require('../../../enums/workflowCategoryEnum');
+const WorkflowGuardEnum = require('../../../enums/workflowGuardEnum');
+
+const statusSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Status keys cannot exceed 30 characters']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [50, 'Status names cannot exceed 50 characters']
+    },
+    category: {
+        type: String,
+        required: true,
+        enum: Object.values(WorkflowCategoryEnum)
+    },
+    // Done statuses that close an item without finishing it, left out of completion rates
+    isCancellation: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// "from" may be "*" to allow the move from any status
+const transitionSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        required: true
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    guards: [{
+        type: String,
+        enum: Object.values(WorkflowGuardEnum)
+    }]
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Workflow name is required'],
+        trim: true,
+        maxlength: [50, 'Workflow name cannot exceed 50 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    statuses: {
+        type: [statusSchema],
+        required: true
+    },
+    initialStatus: {
+        type: String,
+        required: true
+    },
+    transitions: {
+        type: [transitionSchema],
+        default: []
+    },
+    // The default workflow applies to every work item
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+workflowSchema.index({ isDefault: 1 });
+
+workflowSchema.methods.toJSON = function() {
+    const workflowObject = this.toObject();
+    workflowObject.id = String(workflowObject._id);
+    delete workflowObject._id;
+    delete workflowObject.__v;
+    return workflowObject;
+};
+
+module.exports = mongoose.model('Workflow', workflowSchema);
@@ -0,0 +1,40 @@
+const Workflow = require('../models/workflowModel');
+
+const createWorkflow = async (workflowData) => {
+    return Workflow.create(workflowData);
+};
+
+const findWorkflowById = async (id) => {
+    return Workflow.findById(id);
+};
+
+const findDefaultWorkflow = async () => {
+    return Workflow.findOne({ isDefault: true });
+};
+
+const findAllWorkflows = async () => {
+    return Workflow.find().sort('name');
+};
+
+const updateWorkflow = async (id, updateData) => {
+    return Workflow.findByIdAndUpdate(id, { $set: updateData }, { new: true, runValidators: true });
+};
+
+// Leaves `exceptId` as the only default workflow
+const clearDefaultWorkflow = async (exceptId) => {
+    return Workflow.updateMany({ _id: { $ne: exceptId }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+const deleteWorkflow = async (id) => {
+    return Workflow.findByIdAndDelete(id);
+};
+
+module.exports = {
+    createWorkflow,
+    findWorkflowById,
+    findDefaultWorkflow,
+    findAllWorkflows,
+    updateWorkflow,
+    clearDefaultWorkflow,
+    deleteWorkflow
+};
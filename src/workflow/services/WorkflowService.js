@@ -0,0 +1,261 @@
+const {
+    createWorkflow,
+    findWorkflowById,
+    findDefaultWorkflow,
+    findAllWorkflows,
+    updateWorkflow,
+    clearDefaultWorkflow,
+    deleteWorkflow
+} = require('../data/repositories/workflowRepository');
+const { countWorkItemsByFilters } = require('../../workItem/data/repositories/workItemRepository');
+const WorkflowCategoryEnum = require('../../enums/workflowCategoryEnum');
+const WorkflowGuardEnum = require('../../enums/workflowGuardEnum');
+const { WORKITEM_LINKS } = require('../../config/config');
+const { isValidObjectId } = require('../../utils/validation');
+
+const STATUS_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+const ANY_STATUS = '*';
+
+const BUILT_IN_STATUSES = [
+    { key: 'pending', name: 'Pending', category: WorkflowCategoryEnum.TODO },
+    { key: 'in_progress', name: 'In Progress', category: WorkflowCategoryEnum.DOING },
+    { key: 'completed', name: 'Completed', category: WorkflowCategoryEnum.DONE },
+    { key: 'cancelled', name: 'Cancelled', category: WorkflowCategoryEnum.DONE, isCancellation: true }
+];
+
+class WorkflowService {
+    // The saved default workflow, or the built-in one until an admin saves a default
+    async getDefaultWorkflow() {
+        const workflow = await findDefaultWorkflow();
+        return workflow ? this._formatWorkflow(workflow) : this._builtInWorkflow();
+    }
+
+    async listWorkflows() {
+        const workflows = await findAllWorkflows();
+        return workflows.map(workflow => this._formatWorkflow(workflow));
+    }
+
+    async getWorkflow(id) {
+        return this._formatWorkflow(await this._getWorkflow(id));
+    }
+
+    async createWorkflow(workflowData) {
+        const definition = this._validateDefinition(workflowData);
+        const isDefault = workflowData.isDefault === true;
+
+        if (isDefault) {
+            await this._assertCoversStatusesInUse(definition.statuses);
+        }
+
+        const workflow = await createWorkflow({ ...definition, isDefault });
+        if (isDefault) {
+            await clearDefaultWorkflow(workflow._id);
+        }
+
+        return this._formatWorkflow(workflow);
+    }
+
+    async updateWorkflow(id, workflowData) {
+        const workflow = await this._getWorkflow(id);
+        if (workflowData.isDefault === false && workflow.isDefault) {
+            throw new Error('Make another workflow the default instead');
+        }
+
+        // Statuses, transitions and the initial status are replaced together so they stay consistent
+        const definition = this._validateDefinition({ ...this._formatWorkflow(workflow), ...workflowData });
+        const isDefault = workflow.isDefault || workflowData.isDefault === true;
+
+        if (isDefault) {
+            await this._assertCoversStatusesInUse(definition.statuses);
+        }
+
+        const updatedWorkflow = await updateWorkflow(id, { ...definition, isDefault });
+        if (isDefault && !workflow.isDefault) {
+            await clearDefaultWorkflow(workflow._id);
+        }
+
+        return this._formatWorkflow(updatedWorkflow);
+    }
+
+    async deleteWorkflow(id) {
+        const workflow = await this._getWorkflow(id);
+        if (workflow.isDefault) {
+            throw new Error('The default workflow cannot be deleted');
+        }
+
+        await deleteWorkflow(workflow._id);
+        return { message: 'Workflow deleted successfully' };
+    }
+
+    getStatus(workflow, key) {
+        return workflow.statuses.find(status => status.key === key) || null;
+    }
+
+    assertStatus(workflow, key) {
+        if (!this.getStatus(workflow, key)) {
+            throw new Error(`Invalid status. Must be one of: ${workflow.statuses.map(status => status.key).join(', ')}`);
+        }
+    }
+
+    isDone(workflow, key) {
+        return this.getStatus(workflow, key)?.category === WorkflowCategoryEnum.DONE;
+    }
+
+    getDoneStatuses(workflow) {
+        return workflow.statuses
+            .filter(status => status.category === WorkflowCategoryEnum.DONE)
+            .map(status => status.key);
+    }
+
+    getCancellationStatuses(workflow) {
+        return workflow.statuses
+            .filter(status => status.category === WorkflowCategoryEnum.DONE && status.isCancellation)
+            .map(status => status.key);
+    }
+
+    // A transition written for the exact pair wins over a "*" one
+    findTransition(workflow, from, to) {
+        return workflow.transitions.find(transition => transition.from === from && transition.to === to)
+            || workflow.transitions.find(transition => transition.from === ANY_STATUS && transition.to === to)
+            || null;
+    }
+
+    async _getWorkflow(id) {
+        const workflow = isValidObjectId(id) ? await findWorkflowById(id) : null;
+        if (!workflow) {
+            throw new Error('Workflow not found');
+        }
+        return workflow;
+    }
+
+    // Items keep their status when the default workflow changes, so every status in use must survive
+    async _assertCoversStatusesInUse(statuses) {
+        const keys = statuses.map(status => status.key);
+        const itemsWithMissingStatus = await countWorkItemsByFilters({ status: { $nin: keys } });
+        if (itemsWithMissingStatus > 0) {
+            throw new Error('Work items still use statuses missing from this workflow');
+        }
+    }
+
+    _validateDefinition(workflowData) {
+        const { name, description, statuses, initialStatus, transitions = [] } = workflowData;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Workflow name is required');
+        }
+        if (name.trim().length > MAX_NAME_LENGTH) {
+            throw new Error(`Workflow name cannot exceed ${MAX_NAME_LENGTH} characters`);
+        }
+        if (description !== undefined && description !== null
+            && (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+            throw new Error(`Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        if (!Array.isArray(statuses) || statuses.length === 0) {
+            throw new Error('A workflow needs at least one status');
+        }
+
+        const categories = Object.values(WorkflowCategoryEnum);
+        const validatedStatuses = statuses.map(status => {
+            const key = typeof status?.key === 'string' ? status.key.trim().toLowerCase() : '';
+            if (!STATUS_KEY_PATTERN.test(key)) {
+                throw new Error(`Invalid status key "${key}". Use up to 30 lowercase letters, numbers and underscores`);
+            }
+            if (typeof status.name !== 'string' || !status.name.trim() || status.name.trim().length > MAX_NAME_LENGTH) {
+                throw new Error(`Status "${key}" needs a name of up to ${MAX_NAME_LENGTH} characters`);
+            }
+            if (!categories.includes(status.category)) {
+                throw new Error(`Invalid category for status "${key}". Must be one of: ${categories.join(', ')}`);
+            }
+            if (status.isCancellation !== undefined && typeof status.isCancellation !== 'boolean') {
+                throw new Error(`isCancellation for status "${key}" must be true or false`);
+            }
+            if (status.isCancellation && status.category !== WorkflowCategoryEnum.DONE) {
+                throw new Error(`Only done statuses can be cancellations ("${key}")`);
+            }
+            return {
+                key,
+                name: status.name.trim(),
+                category: status.category,
+                ...(status.isCancellation && { isCancellation: true })
+            };
+        });
+
+        const keys = validatedStatuses.map(status => status.key);
+        const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+        if (duplicate) {
+            throw new Error(`Duplicate status "${duplicate}"`);
+        }
+        if (!validatedStatuses.some(status => status.category === WorkflowCategoryEnum.DONE)) {
+            throw new Error('A workflow needs at least one done status');
+        }
+
+        const initial = initialStatus || keys[0];
+        if (!keys.includes(initial)) {
+            throw new Error('Initial status must be one of the workflow statuses');
+        }
+
+        if (!Array.isArray(transitions)) {
+            throw new Error('Transitions must be an array');
+        }
+
+        const guards = Object.values(WorkflowGuardEnum);
+        const seen = new Set();
+        const validatedTransitions = transitions.map(transition => {
+            const { from, to, guards: transitionGuards = [] } = transition || {};
+            if (!(from === ANY_STATUS || keys.includes(from)) || !keys.includes(to)) {
+                throw new Error('Transitions can only use the workflow statuses');
+            }
+            if (from === to) {
+                throw new Error(`A status cannot transition to itself ("${to}")`);
+            }
+            if (seen.has(`${from}>${to}`)) {
+                throw new Error(`Duplicate transition from "${from}" to "${to}"`);
+            }
+            seen.add(`${from}>${to}`);
+
+            if (!Array.isArray(transitionGuards) || transitionGuards.some(guard => !guards.includes(guard))) {
+                throw new Error(`Invalid guard. Must be one of: ${guards.join(', ')}`);
+            }
+            return { from, to, guards: [...new Set(transitionGuards)] };
+        });
+
+        return {
+            name: name.trim(),
+            ...(description !== undefined && { description: description ? description.trim() : '' }),
+            statuses: validatedStatuses,
+            initialStatus: initial,
+            transitions: validatedTransitions
+        };
+    }
+
+    // Any status can move to any other, as before workflows existed
+    _builtInWorkflow() {
+        const blockerGuards = WORKITEM_LINKS.enforceBlockers ? [WorkflowGuardEnum.NO_OPEN_BLOCKERS] : [];
+
+        return {
+            id: null,
+            name: 'Default',
+            isDefault: true,
+            isBuiltIn: true,
+            statuses: BUILT_IN_STATUSES.map(status => ({ ...status })),
+            initialStatus: 'pending',
+            transitions: BUILT_IN_STATUSES.map(status => ({
+                from: ANY_STATUS,
+                to: status.key,
+                guards: ['in_progress', 'completed'].includes(status.key) ? blockerGuards : []
+            }))
+        };
+    }
+
+    _formatWorkflow(workflow) {
+        return {
+            ...workflow.toJSON(),
+            isBuiltIn: false
+        };
+    }
+}
+
+module.exports = new WorkflowService();
@@ -1,8 +1,10 @@
 const AdminController = require('../../../src/admin/controllers/AdminAuthController');
 const AdminAuthService = require('../../../src/admin/services/AdminAuthService');
+const OidcService = require('../../../src/sso/services/OidcService');
 const { errorResponse, successResponse } = require('../../../src/utils/respondHandler');
 
 jest.mock('../../../src/admin/services/AdminAuthService');
+jest.mock('../../../src/sso/services/OidcService');
 jest.mock('../../../src/utils/respondHandler');
 
 describe('AdminController', () => {
@@ -16,7 +18,9 @@ describe('AdminController', () => {
         };
         res = {
             status: jest.fn().mockReturnThis(),
-            json: jest.fn().mockReturnThis()
+            json: jest.fn().mockReturnThis(),
+            cookie: jest.fn().mockReturnThis(),
+            clearCookie: jest.fn().mockReturnThis()
         };
 
         jest.clearAllMocks();
@@ -38,7 +42,10 @@ describe('AdminController', () => {
 
             await AdminController.login(req, res);
 
-            expect(AdminAuthService.authenticateAdmin).toHaveBeenCalledWith('admin@test.com', 'password123');
+            expect(AdminAuthService.authenticateAdmin).toHaveBeenCalledWith('admin@test.com', 'password123', expect.objectContaining({
+                userAgent: expect.any(String),
+                ipAddress: expect.any(String)
+            }));
             expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Login successful');
         });
 
@@ -67,9 +74,211 @@ describe('AdminController', () => {
 
             await AdminController.login(req, res);
 
-            expect(AdminAuthService.authenticateAdmin).toHaveBeenCalledWith('admin@test.com', 'wrongpassword');
+            expect(AdminAuthService.authenticateAdmin).toHaveBeenCalledWith('admin@test.com', 'wrongpassword', expect.any(Object));
             expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 401);
         });
+
+        it('should ask for a second factor when two-factor is enabled', async () => {
+            req.body = { email: 'admin@test.com', password: 'password123' };
+            const mockResult = { twoFactorRequired: true, challengeToken: 'challenge.token', expiresIn: '5m' };
+            AdminAuthService.authenticateAdmin.mockResolvedValue(mockResult);
+
+            await AdminController.login(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Two-factor authentication required');
+        });
+
+        it('should return 429 while login attempts are locked', async () => {
+            req.body = { email: 'admin@test.com', password: 'password123' };
+            const errorMessage = 'Too many failed attempts. Please try again later';
+            AdminAuthService.authenticateAdmin.mockRejectedValue(new Error(errorMessage));
+
+            await AdminController.login(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 429);
+        });
+    });
+
+    describe('verifyTwoFactor', () => {
+        it('should complete the login with a valid code', async () => {
+            req.body = { challengeToken: 'challenge.token', code: '123456' };
+            const mockResult = { token: 'mock-jwt-token' };
+            AdminAuthService.verifyTwoFactorLogin.mockResolvedValue(mockResult);
+
+            await AdminController.verifyTwoFactor(req, res);
+
+            expect(AdminAuthService.verifyTwoFactorLogin).toHaveBeenCalledWith('challenge.token', '123456', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Login successful');
+        });
+
+        it('should require the challenge token and code', async () => {
+            req.body = { challengeToken: 'challenge.token' };
+
+            await AdminController.verifyTwoFactor(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Challenge token and authentication code are required', 400);
+            expect(AdminAuthService.verifyTwoFactorLogin).not.toHaveBeenCalled();
+        });
+
+        it('should reject codes that are not strings', async () => {
+            req.body = { challengeToken: 'challenge.token', code: ['AAAAA-BBBBB'] };
+
+            await AdminController.verifyTwoFactor(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authentication code must be a string', 400);
+            expect(AdminAuthService.verifyTwoFactorLogin).not.toHaveBeenCalled();
+        });
+
+        it('should return 401 for an invalid code', async () => {
+            req.body = { challengeToken: 'challenge.token', code: '000000' };
+            AdminAuthService.verifyTwoFactorLogin.mockRejectedValue(new Error('Invalid authentication code'));
+
+            await AdminController.verifyTwoFactor(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid authentication code', 401);
+        });
+    });
+
+    describe('requestLoginCode', () => {
+        it('should send a login code', async () => {
+            req.body = { email: 'john@example.com' };
+            AdminAuthService.requestLoginCode.mockResolvedValue({ message: 'If an active admin account exists for this email, a login code has been sent' });
+
+            await AdminController.requestLoginCode(req, res);
+
+            expect(AdminAuthService.requestLoginCode).toHaveBeenCalledWith('john@example.com', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'If an active admin account exists for this email, a login code has been sent');
+        });
+
+        it('should require an email', async () => {
+            await AdminController.requestLoginCode(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email is required', 400);
+        });
+
+        it('should return 403 when passwordless login is disabled', async () => {
+            req.body = { email: 'john@example.com' };
+            AdminAuthService.requestLoginCode.mockRejectedValue(new Error('Passwordless login is disabled'));
+
+            await AdminController.requestLoginCode(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Passwordless login is disabled', 403);
+        });
+    });
+
+    describe('verifyLoginCode', () => {
+        it('should complete the login with a valid code', async () => {
+            req.body = { email: 'john@example.com', code: '654321' };
+            const mockResult = { token: 'mock-jwt-token' };
+            AdminAuthService.verifyLoginCode.mockResolvedValue(mockResult);
+
+            await AdminController.verifyLoginCode(req, res);
+
+            expect(AdminAuthService.verifyLoginCode).toHaveBeenCalledWith('john@example.com', '654321', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Login successful');
+        });
+
+        it('should ask for the second factor when 2FA is enabled', async () => {
+            req.body = { email: 'john@example.com', code: '654321' };
+            const mockResult = { twoFactorRequired: true, challengeToken: 'challenge.token', expiresIn: '5m' };
+            AdminAuthService.verifyLoginCode.mockResolvedValue(mockResult);
+
+            await AdminController.verifyLoginCode(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Two-factor authentication required');
+        });
+
+        it('should return 401 for an invalid code', async () => {
+            req.body = { email: 'john@example.com', code: '000000' };
+            AdminAuthService.verifyLoginCode.mockRejectedValue(new Error('Invalid or expired login code'));
+
+            await AdminController.verifyLoginCode(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid or expired login code', 401);
+        });
+
+        it('should return 429 while locked', async () => {
+            req.body = { email: 'john@example.com', code: '000000' };
+            AdminAuthService.verifyLoginCode.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await AdminController.verifyLoginCode(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Too many failed attempts. Please try again later', 429);
+        });
+    });
+
+    describe('startOidcLogin', () => {
+        it('should return the authorization URL', async () => {
+            const mockResult = { authorizationUrl: 'https://idp.example.com/authorize?state=abc', state: 'abc', expiresIn: 600 };
+            OidcService.beginLogin.mockResolvedValue({ ...mockResult, browserBinding: 'browser-binding' });
+
+            await AdminController.startOidcLogin(req, res);
+
+            expect(res.cookie).toHaveBeenCalledWith('oidc_binding', 'browser-binding', expect.objectContaining({
+                httpOnly: true,
+                sameSite: 'lax',
+                maxAge: 600000
+            }));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Redirect to the identity provider to sign in');
+        });
+
+        it('should return 404 when SSO is not configured', async () => {
+            OidcService.beginLogin.mockRejectedValue(new Error('Single sign-on is not configured'));
+
+            await AdminController.startOidcLogin(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Single sign-on is not configured', 404);
+        });
+
+        it('should return 502 when the identity provider cannot be reached', async () => {
+            OidcService.beginLogin.mockRejectedValue(new Error('Identity provider issuer does not match OIDC_ISSUER'));
+
+            await AdminController.startOidcLogin(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Identity provider request failed', 502);
+        });
+    });
+
+    describe('completeOidcLogin', () => {
+        it('should complete the login', async () => {
+            req.body = { code: 'auth-code', state: 'abc' };
+            req.headers = { cookie: 'theme=dark; oidc_binding=browser-binding' };
+            const mockResult = { token: 'mock-jwt-token' };
+            AdminAuthService.authenticateWithOidc.mockResolvedValue(mockResult);
+
+            await AdminController.completeOidcLogin(req, res);
+
+            expect(AdminAuthService.authenticateWithOidc).toHaveBeenCalledWith('auth-code', 'abc', 'browser-binding', expect.any(Object));
+            expect(res.clearCookie).toHaveBeenCalledWith('oidc_binding', expect.objectContaining({ path: '/api/admin/login/oidc' }));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Login successful');
+        });
+
+        it('should ask for the second factor when 2FA is enabled', async () => {
+            req.body = { code: 'auth-code', state: 'abc' };
+            const mockResult = { twoFactorRequired: true, challengeToken: 'challenge.token' };
+            AdminAuthService.authenticateWithOidc.mockResolvedValue(mockResult);
+
+            await AdminController.completeOidcLogin(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Two-factor authentication required');
+        });
+
+        it('should require the code and state', async () => {
+            req.body = { code: 'auth-code' };
+
+            await AdminController.completeOidcLogin(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authorization code and state are required', 400);
+        });
+
+        it('should return 401 for a rejected sign-in', async () => {
+            req.body = { code: 'auth-code', state: 'abc' };
+            AdminAuthService.authenticateWithOidc.mockRejectedValue(new Error('No admin account is linked to this email'));
+
+            await AdminController.completeOidcLogin(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'No admin account is linked to this email', 401);
+        });
     });
 
     describe('createAdmin', () => {
@@ -78,7 +287,8 @@ describe('AdminController', () => {
                 firstName: 'John',
                 lastName: 'Doe',
                 email: 'john@test.com',
-                password: 'password123'
+                password: 'password123',
+                inviteToken: 'invitetoken'
             };
             const mockNewAdmin = {
                 firstName: 'John',
@@ -90,7 +300,7 @@ describe('AdminController', () => {
 
             await AdminController.createAdmin(req, res);
 
-            expect(AdminAuthService.createAdminAccount).toHaveBeenCalledWith('John', 'Doe', 'john@test.com', 'password123');
+            expect(AdminAuthService.createAdminAccount).toHaveBeenCalledWith('John', 'Doe', 'john@test.com', 'password123', 'invitetoken');
             expect(successResponse).toHaveBeenCalledWith(res, mockNewAdmin, 'Admin account created successfully. Please check your email for verification TOKEN.', 201);
         });
 
@@ -132,9 +342,24 @@ describe('AdminController', () => {
 
             await AdminController.createAdmin(req, res);
 
-            expect(AdminAuthService.createAdminAccount).toHaveBeenCalledWith('John', 'Doe', 'existing@test.com', 'password123');
+            expect(AdminAuthService.createAdminAccount).toHaveBeenCalledWith('John', 'Doe', 'existing@test.com', 'password123', undefined);
             expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
         });
+
+        it('should return 403 when signup requires an invitation', async () => {
+            req.body = {
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john@test.com',
+                password: 'password123'
+            };
+            const errorMessage = 'An invitation is required to create an admin account';
+            AdminAuthService.createAdminAccount.mockRejectedValue(new Error(errorMessage));
+
+            await AdminController.createAdmin(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 403);
+        });
     });
 
     describe('verifyEmail', () => {
@@ -145,7 +370,7 @@ describe('AdminController', () => {
 
             await AdminController.verifyEmail(req, res);
 
-            expect(AdminAuthService.verifyEmail).toHaveBeenCalledWith('admin@test.com', '123456');
+            expect(AdminAuthService.verifyEmail).toHaveBeenCalledWith('admin@test.com', '123456', expect.any(Object));
             expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Email verified successfully');
         });
 
@@ -174,7 +399,7 @@ describe('AdminController', () => {
 
             await AdminController.verifyEmail(req, res);
 
-            expect(AdminAuthService.verifyEmail).toHaveBeenCalledWith('admin@test.com', '000000');
+            expect(AdminAuthService.verifyEmail).toHaveBeenCalledWith('admin@test.com', '000000', expect.any(Object));
             expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
         });
     });
@@ -245,88 +470,107 @@ describe('AdminController', () => {
 
     describe('validateResetToken', () => {
         it('should validate reset token successfully', async () => {
-            req.body = { token: 'valid-reset-token' };
+            req.body = { email: 'john@example.com', token: 'valid-reset-token' };
             const mockResult = { valid: true, message: 'Token is valid' };
             AdminAuthService.validateResetToken.mockResolvedValue(mockResult);
 
             await AdminController.validateResetToken(req, res);
 
-            expect(AdminAuthService.validateResetToken).toHaveBeenCalledWith('valid-reset-token');
+            expect(AdminAuthService.validateResetToken).toHaveBeenCalledWith('john@example.com', 'valid-reset-token', expect.any(Object));
             expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Reset token is valid');
         });
 
         it('should return error when token is missing', async () => {
-            req.body = {};
+            req.body = { email: 'john@example.com' };
 
             await AdminController.validateResetToken(req, res);
 
-            expect(errorResponse).toHaveBeenCalledWith(res, 'Reset token is required', 400);
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email and reset token are required', 400);
             expect(AdminAuthService.validateResetToken).not.toHaveBeenCalled();
         });
 
         it('should handle invalid token error', async () => {
-            req.body = { token: 'invalid-token' };
+            req.body = { email: 'john@example.com', token: 'invalid-token' };
             const errorMessage = 'Invalid or expired reset token';
             AdminAuthService.validateResetToken.mockRejectedValue(new Error(errorMessage));
 
             await AdminController.validateResetToken(req, res);
 
-            expect(AdminAuthService.validateResetToken).toHaveBeenCalledWith('invalid-token');
+            expect(AdminAuthService.validateResetToken).toHaveBeenCalledWith('john@example.com', 'invalid-token', expect.any(Object));
             expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
         });
+
+        it('should return 429 while reset token guesses are locked', async () => {
+            req.body = { email: 'john@example.com', token: 'some-token' };
+            const errorMessage = 'Too many failed attempts. Please try again later';
+            AdminAuthService.validateResetToken.mockRejectedValue(new Error(errorMessage));
+
+            await AdminController.validateResetToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 429);
+        });
     });
 
     describe('resetPassword', () => {
         it('should reset password successfully', async () => {
-            req.body = { token: 'valid-token', newPassword: 'newPassword123' };
+            req.body = { email: 'john@example.com', token: 'valid-token', newPassword: 'newPassword123' };
             AdminAuthService.resetPassword.mockResolvedValue();
 
             await AdminController.resetPassword(req, res);
 
-            expect(AdminAuthService.resetPassword).toHaveBeenCalledWith('valid-token', 'newPassword123');
+            expect(AdminAuthService.resetPassword).toHaveBeenCalledWith('john@example.com', 'valid-token', 'newPassword123', expect.any(Object));
             expect(successResponse).toHaveBeenCalledWith(res, null, 'Password has been reset successfully');
         });
 
         it('should return error when token is missing', async () => {
-            req.body = { newPassword: 'newPassword123' };
+            req.body = { email: 'john@example.com', newPassword: 'newPassword123' };
+
+            await AdminController.resetPassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email, token and new password are required', 400);
+            expect(AdminAuthService.resetPassword).not.toHaveBeenCalled();
+        });
+
+        it('should return error when email is missing', async () => {
+            req.body = { token: 'valid-token', newPassword: 'newPassword123' };
 
             await AdminController.resetPassword(req, res);
 
-            expect(errorResponse).toHaveBeenCalledWith(res, 'Token and new password are required', 400);
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email, token and new password are required', 400);
             expect(AdminAuthService.resetPassword).not.toHaveBeenCalled();
         });
 
         it('should return error when new password is missing', async () => {
-            req.body = { token: 'valid-token' };
+            req.body = { email: 'john@example.com', token: 'valid-token' };
 
             await AdminController.resetPassword(req, res);
 
-            expect(errorResponse).toHaveBeenCalledWith(res, 'Token and new password are required', 400);
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email, token and new password are required', 400);
             expect(AdminAuthService.resetPassword).not.toHaveBeenCalled();
         });
 
         it('should handle service errors', async () => {
-            req.body = { token: 'invalid-token', newPassword: 'newPassword123' };
+            req.body = { email: 'john@example.com', token: 'invalid-token', newPassword: 'newPassword123' };
             const errorMessage = 'Invalid or expired reset token';
             AdminAuthService.resetPassword.mockRejectedValue(new Error(errorMessage));
 
             await AdminController.resetPassword(req, res);
 
-            expect(AdminAuthService.resetPassword).toHaveBeenCalledWith('invalid-token', 'newPassword123');
+            expect(AdminAuthService.resetPassword).toHaveBeenCalledWith('john@example.com', 'invalid-token', 'newPassword123', expect.any(Object));
             expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
         });
     });
 
     describe('changePassword', () => {
         it('should change password successfully', async () => {
-            req.user = { id: 'admin-id' };
+            req.user = { id: 'admin-id', sid: 'session-id' };
             req.body = { oldPassword: 'oldPassword123', newPassword: 'newPassword123' };
             const mockResult = { message: 'Password changed successfully' };
             AdminAuthService.changePassword.mockResolvedValue(mockResult);
 
             await AdminController.changePassword(req, res);
 
-            expect(AdminAuthService.changePassword).toHaveBeenCalledWith('admin-id', 'oldPassword123', 'newPassword123');
+            expect(AdminAuthService.changePassword).toHaveBeenCalledWith('admin-id', 'oldPassword123', 'newPassword123', 'session-id');
             expect(successResponse).toHaveBeenCalledWith(res, null, mockResult.message);
         });
 
@@ -368,27 +612,64 @@ describe('AdminController', () => {
 
             await AdminController.changePassword(req, res);
 
-            expect(AdminAuthService.changePassword).toHaveBeenCalledWith('admin-id', 'wrongPassword', 'newPassword123');
+            expect(AdminAuthService.changePassword).toHaveBeenCalledWith('admin-id', 'wrongPassword', 'newPassword123', undefined);
             expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
         });
     });
 
+    describe('refreshToken', () => {
+        it('should refresh tokens successfully', async () => {
+            req.body = { refreshToken: 'session-id.secret' };
+            const mockResult = { token: 'new-jwt', refreshToken: 'session-id.newsecret', expiresIn: '15m' };
+            AdminAuthService.refreshSession.mockResolvedValue(mockResult);
+
+            await AdminController.refreshToken(req, res);
+
+            expect(AdminAuthService.refreshSession).toHaveBeenCalledWith('session-id.secret', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Token refreshed successfully');
+        });
+
+        it('should return error when refresh token is missing', async () => {
+            await AdminController.refreshToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Refresh token is required', 400);
+            expect(AdminAuthService.refreshSession).not.toHaveBeenCalled();
+        });
+
+        it('should return unauthorized when refresh fails', async () => {
+            req.body = { refreshToken: 'session-id.secret' };
+            AdminAuthService.refreshSession.mockRejectedValue(new Error('Session has expired or been revoked'));
+
+            await AdminController.refreshToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Session has expired or been revoked', 401);
+        });
+    });
+
     describe('logout', () => {
         it('should logout successfully', async () => {
+            req.user = { id: 'admin-id', sid: 'session-id' };
             const mockResult = { message: 'Logout successful' };
-            AdminAuthService.logoutUser.mockReturnValue(mockResult);
+            AdminAuthService.logoutUser.mockResolvedValue(mockResult);
 
             await AdminController.logout(req, res);
 
-            expect(AdminAuthService.logoutUser).toHaveBeenCalled();
+            expect(AdminAuthService.logoutUser).toHaveBeenCalledWith('session-id');
             expect(successResponse).toHaveBeenCalledWith(res, null, mockResult.message);
         });
 
+        it('should return error when user is not authenticated', async () => {
+            req.user = null;
+
+            await AdminController.logout(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authentication required', 401);
+            expect(AdminAuthService.logoutUser).not.toHaveBeenCalled();
+        });
+
         it('should handle logout errors', async () => {
             const errorMessage = 'Logout failed';
-            AdminAuthService.logoutUser.mockImplementation(() => {
-                throw new Error(errorMessage);
-            });
+            AdminAuthService.logoutUser.mockRejectedValue(new Error(errorMessage));
 
             await AdminController.logout(req, res);
 
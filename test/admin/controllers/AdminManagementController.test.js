@@ -0,0 +1,159 @@
+const AdminManagementController = require('../../../src/admin/controllers/AdminManagementController');
+const AdminManagementService = require('../../../src/admin/services/AdminManagementService');
+const {
+    errorResponse,
+    successResponse,
+    notFoundResponse,
+    paginatedResponse,
+    createPaginationInfo
+} = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/admin/services/AdminManagementService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('AdminManagementController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: { id: 'target-id' },
+            query: {},
+            user: { id: 'super-admin-id', role: 'super_admin' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('listAdmins', () => {
+        it('should parse query filters and return a paginated response', async () => {
+            req.query = { search: 'john', role: 'admin', isActive: 'false', page: '2', limit: '5' };
+            const admins = [{ id: 'target-id' }];
+            const paginationInfo = { page: 2, limit: 5, totalItems: 6 };
+            AdminManagementService.listAdmins.mockResolvedValue({ admins, page: 2, limit: 5, total: 6 });
+            createPaginationInfo.mockReturnValue(paginationInfo);
+
+            await AdminManagementController.listAdmins(req, res);
+
+            expect(AdminManagementService.listAdmins).toHaveBeenCalledWith(
+                { search: 'john', role: 'admin', isActive: false },
+                { page: 2, limit: 5 }
+            );
+            expect(createPaginationInfo).toHaveBeenCalledWith(2, 5, 6);
+            expect(paginatedResponse).toHaveBeenCalledWith(res, admins, paginationInfo, 'Admins retrieved successfully');
+        });
+
+        it('should handle service errors', async () => {
+            AdminManagementService.listAdmins.mockRejectedValue(new Error('Invalid role. Must be one of: admin, super_admin'));
+
+            await AdminManagementController.listAdmins(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid role. Must be one of: admin, super_admin', 400);
+        });
+    });
+
+    describe('getAdmin', () => {
+        it('should return not found for unknown admins', async () => {
+            AdminManagementService.getAdmin.mockRejectedValue(new Error('Admin not found'));
+
+            await AdminManagementController.getAdmin(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Admin');
+        });
+    });
+
+    describe('deactivateAdmin', () => {
+        it('should deactivate the admin on behalf of the current super admin', async () => {
+            const result = { id: 'target-id', isActive: false };
+            AdminManagementService.deactivateAdmin.mockResolvedValue(result);
+
+            await AdminManagementController.deactivateAdmin(req, res);
+
+            expect(AdminManagementService.deactivateAdmin).toHaveBeenCalledWith('super-admin-id', 'target-id');
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Admin deactivated successfully');
+        });
+
+        it('should surface business rule errors', async () => {
+            AdminManagementService.deactivateAdmin.mockRejectedValue(new Error('You cannot deactivate your own account'));
+
+            await AdminManagementController.deactivateAdmin(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'You cannot deactivate your own account', 400);
+        });
+    });
+
+    describe('reactivateAdmin', () => {
+        it('should reactivate the admin', async () => {
+            const result = { id: 'target-id', isActive: true };
+            AdminManagementService.reactivateAdmin.mockResolvedValue(result);
+
+            await AdminManagementController.reactivateAdmin(req, res);
+
+            expect(AdminManagementService.reactivateAdmin).toHaveBeenCalledWith('target-id');
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Admin reactivated successfully');
+        });
+    });
+
+    describe('unlockAdmin', () => {
+        it('should unlock the admin', async () => {
+            const result = { id: 'target-id', clearedCount: 1 };
+            AdminManagementService.unlockAdmin.mockResolvedValue(result);
+
+            await AdminManagementController.unlockAdmin(req, res);
+
+            expect(AdminManagementService.unlockAdmin).toHaveBeenCalledWith('target-id');
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Admin unlocked successfully');
+        });
+
+        it('should return 404 when the admin does not exist', async () => {
+            AdminManagementService.unlockAdmin.mockRejectedValue(new Error('Admin not found'));
+
+            await AdminManagementController.unlockAdmin(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Admin');
+        });
+    });
+
+    describe('changeRole', () => {
+        it('should change the role of the admin', async () => {
+            req.body = { role: 'super_admin' };
+            const result = { id: 'target-id', role: 'super_admin' };
+            AdminManagementService.changeRole.mockResolvedValue(result);
+
+            await AdminManagementController.changeRole(req, res);
+
+            expect(AdminManagementService.changeRole).toHaveBeenCalledWith('super-admin-id', 'target-id', 'super_admin');
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Admin role updated successfully');
+        });
+
+        it('should return error when role is missing', async () => {
+            await AdminManagementController.changeRole(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Role is required', 400);
+            expect(AdminManagementService.changeRole).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteAdmin', () => {
+        it('should delete the admin', async () => {
+            AdminManagementService.deleteAdminAccount.mockResolvedValue({ message: 'Admin deleted successfully' });
+
+            await AdminManagementController.deleteAdmin(req, res);
+
+            expect(AdminManagementService.deleteAdminAccount).toHaveBeenCalledWith('super-admin-id', 'target-id');
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Admin deleted successfully');
+        });
+
+        it('should return not found for unknown admins', async () => {
+            AdminManagementService.deleteAdminAccount.mockRejectedValue(new Error('Admin not found'));
+
+            await AdminManagementController.deleteAdmin(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Admin');
+        });
+    });
+});
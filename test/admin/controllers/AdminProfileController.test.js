@@ -0,0 +1,142 @@
+const AdminProfileController = require('../../../src/admin/controllers/AdminProfileController');
+const AdminProfileService = require('../../../src/admin/services/AdminProfileService');
+const { errorResponse, successResponse, notFoundResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/admin/services/AdminProfileService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('AdminProfileController', () => {
+    let req, res;
+    const profile = { id: 'admin-id', firstName: 'John', lastName: 'Doe', email: 'john@example.com' };
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            headers: {},
+            user: { id: 'admin-id', role: 'admin', sid: 'session-id' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('getProfile', () => {
+        it('should return the current admin profile', async () => {
+            AdminProfileService.getProfile.mockResolvedValue(profile);
+
+            await AdminProfileController.getProfile(req, res);
+
+            expect(AdminProfileService.getProfile).toHaveBeenCalledWith('admin-id');
+            expect(successResponse).toHaveBeenCalledWith(res, profile, 'Profile retrieved successfully');
+        });
+
+        it('should return 404 when the admin no longer exists', async () => {
+            AdminProfileService.getProfile.mockRejectedValue(new Error('Admin not found'));
+
+            await AdminProfileController.getProfile(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Admin');
+        });
+    });
+
+    describe('updateProfile', () => {
+        it('should update the name', async () => {
+            req.body = { firstName: 'Johnny' };
+            AdminProfileService.updateProfile.mockResolvedValue({ ...profile, firstName: 'Johnny' });
+
+            await AdminProfileController.updateProfile(req, res);
+
+            expect(AdminProfileService.updateProfile).toHaveBeenCalledWith('admin-id', { firstName: 'Johnny', lastName: undefined });
+            expect(AdminProfileService.updateProfileAndEmail).not.toHaveBeenCalled();
+            expect(successResponse).toHaveBeenCalledWith(res, { ...profile, firstName: 'Johnny' }, 'Profile updated successfully');
+        });
+
+        it('should start an email change when the email differs', async () => {
+            req.body = { firstName: 'Johnny', email: 'New@example.com', currentPassword: 'password' };
+            AdminProfileService.updateProfileAndEmail.mockResolvedValue({ ...profile, pendingEmail: 'new@example.com' });
+
+            await AdminProfileController.updateProfile(req, res);
+
+            expect(AdminProfileService.updateProfile).not.toHaveBeenCalled();
+            expect(AdminProfileService.updateProfileAndEmail).toHaveBeenCalledWith(
+                'admin-id',
+                { firstName: 'Johnny', lastName: undefined },
+                'New@example.com',
+                'password'
+            );
+            expect(successResponse).toHaveBeenCalledWith(
+                res,
+                { ...profile, pendingEmail: 'new@example.com' },
+                expect.stringContaining('new@example.com')
+            );
+        });
+
+        it('should ignore an unchanged email', async () => {
+            req.body = { firstName: 'Johnny', email: 'JOHN@example.com' };
+            AdminProfileService.updateProfileAndEmail.mockResolvedValue({ ...profile, firstName: 'Johnny', pendingEmail: null });
+
+            await AdminProfileController.updateProfile(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(
+                res,
+                { ...profile, firstName: 'Johnny', pendingEmail: null },
+                'Profile updated successfully'
+            );
+        });
+
+        it('should require at least one field', async () => {
+            await AdminProfileController.updateProfile(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Provide firstName, lastName or email to update', 400);
+        });
+
+        it('should surface validation errors', async () => {
+            req.body = { firstName: 'J0hn' };
+            AdminProfileService.updateProfile.mockRejectedValue(new Error('First name can only contain alphabets'));
+
+            await AdminProfileController.updateProfile(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'First name can only contain alphabets', 400);
+        });
+    });
+
+    describe('confirmEmailChange', () => {
+        it('should confirm the email change', async () => {
+            req.body = { pin: '123456' };
+            AdminProfileService.confirmEmailChange.mockResolvedValue({ ...profile, email: 'new@example.com' });
+
+            await AdminProfileController.confirmEmailChange(req, res);
+
+            expect(AdminProfileService.confirmEmailChange).toHaveBeenCalledWith('admin-id', '123456', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, { ...profile, email: 'new@example.com' }, 'Email changed successfully');
+        });
+
+        it('should require a PIN', async () => {
+            await AdminProfileController.confirmEmailChange(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Verification PIN is required', 400);
+        });
+
+        it('should return 429 while locked', async () => {
+            req.body = { pin: '123456' };
+            AdminProfileService.confirmEmailChange.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await AdminProfileController.confirmEmailChange(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Too many failed attempts. Please try again later', 429);
+        });
+    });
+
+    describe('cancelEmailChange', () => {
+        it('should cancel the pending change', async () => {
+            AdminProfileService.cancelEmailChange.mockResolvedValue(profile);
+
+            await AdminProfileController.cancelEmailChange(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, profile, 'Email change cancelled');
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const ImpersonationController = require('../../../src/admin/controllers/ImpersonationController');
+const ImpersonationService = require('../../../src/admin/services/ImpersonationService');
+const { errorResponse, successResponse, notFoundResponse, paginatedResponse, createPaginationInfo } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/admin/services/ImpersonationService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('ImpersonationController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            query: {},
+            headers: {},
+            user: { id: 'super-admin-id', role: 'super_admin', sid: 'session-id' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('startImpersonation', () => {
+        it('should start impersonating the admin', async () => {
+            req.body = { adminId: 'target-id', reason: 'Cannot see items' };
+            const mockResult = { token: 'impersonation.jwt', impersonating: { fullName: 'John Doe' } };
+            ImpersonationService.startImpersonation.mockResolvedValue(mockResult);
+
+            await ImpersonationController.startImpersonation(req, res);
+
+            expect(ImpersonationService.startImpersonation).toHaveBeenCalledWith('super-admin-id', 'target-id', 'Cannot see items', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Now impersonating John Doe', 201);
+        });
+
+        it('should require the admin ID and reason', async () => {
+            req.body = { adminId: 'target-id' };
+
+            await ImpersonationController.startImpersonation(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Admin ID and reason are required', 400);
+            expect(ImpersonationService.startImpersonation).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for unknown admins', async () => {
+            req.body = { adminId: 'missing-id', reason: 'Testing' };
+            ImpersonationService.startImpersonation.mockRejectedValue(new Error('Admin not found'));
+
+            await ImpersonationController.startImpersonation(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Admin');
+        });
+    });
+
+    describe('endImpersonation', () => {
+        it('should end the impersonation session', async () => {
+            req.user = { id: 'target-id', sid: 'session-id', impersonatorId: 'super-admin-id' };
+            ImpersonationService.endImpersonation.mockResolvedValue({ message: 'Impersonation ended' });
+
+            await ImpersonationController.endImpersonation(req, res);
+
+            expect(ImpersonationService.endImpersonation).toHaveBeenCalledWith(req.user, expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Impersonation ended');
+        });
+
+        it('should return 400 for regular sessions', async () => {
+            ImpersonationService.endImpersonation.mockRejectedValue(new Error('You are not impersonating anyone'));
+
+            await ImpersonationController.endImpersonation(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'You are not impersonating anyone', 400);
+        });
+    });
+
+    describe('listAuditLogs', () => {
+        it('should return paginated audit logs', async () => {
+            req.query = { subject: 'target-id', page: '2', limit: '10' };
+            ImpersonationService.listAuditLogs.mockResolvedValue({ auditLogs: [{ id: 'log1' }], page: 2, limit: 10, total: 11 });
+            createPaginationInfo.mockReturnValue({ page: 2 });
+
+            await ImpersonationController.listAuditLogs(req, res);
+
+            expect(ImpersonationService.listAuditLogs).toHaveBeenCalledWith({ subject: 'target-id' }, { page: 2, limit: 10 });
+            expect(paginatedResponse).toHaveBeenCalledWith(res, [{ id: 'log1' }], { page: 2 }, 'Audit logs retrieved successfully');
+        });
+
+        it('should return 400 for invalid filters', async () => {
+            ImpersonationService.listAuditLogs.mockRejectedValue(new Error('Invalid actor ID'));
+
+            await ImpersonationController.listAuditLogs(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid actor ID', 400);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const InvitationController = require('../../../src/admin/controllers/InvitationController');
+const InvitationService = require('../../../src/admin/services/InvitationService');
+const {
+    errorResponse,
+    successResponse,
+    notFoundResponse,
+    forbiddenResponse
+} = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/admin/services/InvitationService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('InvitationController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: { id: 'invite-id' },
+            query: {},
+            user: { id: 'admin-id', role: 'admin' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('createInvitation', () => {
+        it('should create an invitation for the requesting admin', async () => {
+            req.body = { email: 'new@example.com', role: 'admin' };
+            const invitation = { id: 'invite-id', email: 'new@example.com' };
+            InvitationService.createInvitation.mockResolvedValue(invitation);
+
+            await InvitationController.createInvitation(req, res);
+
+            expect(InvitationService.createInvitation).toHaveBeenCalledWith(req.user, 'new@example.com', 'admin');
+            expect(successResponse).toHaveBeenCalledWith(res, invitation, 'Invitation sent successfully', 201);
+        });
+
+        it('should require an email', async () => {
+            await InvitationController.createInvitation(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email is required', 400);
+            expect(InvitationService.createInvitation).not.toHaveBeenCalled();
+        });
+
+        it('should return 403 when the inviter cannot grant the role', async () => {
+            req.body = { email: 'new@example.com', role: 'super_admin' };
+            InvitationService.createInvitation.mockRejectedValue(new Error('Only super admins can invite super admins'));
+
+            await InvitationController.createInvitation(req, res);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(res, 'Only super admins can invite super admins');
+        });
+    });
+
+    describe('listInvitations', () => {
+        it('should pass the status filter through', async () => {
+            req.query = { status: 'pending' };
+            InvitationService.listInvitations.mockResolvedValue([]);
+
+            await InvitationController.listInvitations(req, res);
+
+            expect(InvitationService.listInvitations).toHaveBeenCalledWith('pending');
+            expect(successResponse).toHaveBeenCalledWith(res, [], 'Invitations retrieved successfully');
+        });
+    });
+
+    describe('revokeInvitation', () => {
+        it('should revoke the invitation', async () => {
+            const invitation = { id: 'invite-id', status: 'revoked' };
+            InvitationService.revokeInvitation.mockResolvedValue(invitation);
+
+            await InvitationController.revokeInvitation(req, res);
+
+            expect(InvitationService.revokeInvitation).toHaveBeenCalledWith('invite-id');
+            expect(successResponse).toHaveBeenCalledWith(res, invitation, 'Invitation revoked successfully');
+        });
+
+        it('should return 404 when the invitation does not exist', async () => {
+            InvitationService.revokeInvitation.mockRejectedValue(new Error('Invitation not found'));
+
+            await InvitationController.revokeInvitation(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Invitation');
+        });
+    });
+
+    describe('validateInvitation', () => {
+        it('should return the invitation details', async () => {
+            req.body = { token: 'rawtoken' };
+            const details = { email: 'new@example.com', role: 'admin' };
+            InvitationService.validateInvitation.mockResolvedValue(details);
+
+            await InvitationController.validateInvitation(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, details, 'Invitation is valid');
+        });
+
+        it('should require a token', async () => {
+            await InvitationController.validateInvitation(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invitation token is required', 400);
+        });
+
+        it('should surface invalid tokens as bad requests', async () => {
+            req.body = { token: 'rawtoken' };
+            InvitationService.validateInvitation.mockRejectedValue(new Error('Invalid or expired invitation'));
+
+            await InvitationController.validateInvitation(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid or expired invitation', 400);
+        });
+    });
+});
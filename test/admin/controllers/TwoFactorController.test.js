@@ -0,0 +1,105 @@
+const TwoFactorController = require('../../../src/admin/controllers/TwoFactorController');
+const TwoFactorService = require('../../../src/admin/services/TwoFactorService');
+const { errorResponse, successResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/admin/services/TwoFactorService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('TwoFactorController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            user: { id: 'admin-id', role: 'admin', sid: 'session-id' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('beginEnrollment', () => {
+        it('should return the secret and otpauth URI', async () => {
+            const result = { secret: 'SECRET', otpauthUri: 'otpauth://totp/x' };
+            TwoFactorService.beginEnrollment.mockResolvedValue(result);
+
+            await TwoFactorController.beginEnrollment(req, res);
+
+            expect(TwoFactorService.beginEnrollment).toHaveBeenCalledWith('admin-id');
+            expect(successResponse).toHaveBeenCalledWith(res, result, expect.any(String));
+        });
+
+        it('should surface service errors', async () => {
+            TwoFactorService.beginEnrollment.mockRejectedValue(new Error('Two-factor authentication is already enabled'));
+
+            await TwoFactorController.beginEnrollment(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Two-factor authentication is already enabled', 400);
+        });
+    });
+
+    describe('confirmEnrollment', () => {
+        it('should return the recovery codes', async () => {
+            req.body = { code: '123456' };
+            const result = { recoveryCodes: ['aaaaa-bbbbb'] };
+            TwoFactorService.confirmEnrollment.mockResolvedValue(result);
+
+            await TwoFactorController.confirmEnrollment(req, res);
+
+            expect(TwoFactorService.confirmEnrollment).toHaveBeenCalledWith('admin-id', '123456');
+            expect(successResponse).toHaveBeenCalledWith(res, result, expect.stringContaining('recovery codes'));
+        });
+
+        it('should require a code', async () => {
+            await TwoFactorController.confirmEnrollment(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authentication code is required', 400);
+            expect(TwoFactorService.confirmEnrollment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('disable', () => {
+        it('should disable two-factor', async () => {
+            req.body = { password: 'password123', code: '123456' };
+            TwoFactorService.disable.mockResolvedValue({ message: 'ok' });
+
+            await TwoFactorController.disable(req, res);
+
+            expect(TwoFactorService.disable).toHaveBeenCalledWith('admin-id', 'password123', '123456');
+            expect(successResponse).toHaveBeenCalledWith(res, { message: 'ok' }, 'Two-factor authentication disabled successfully');
+        });
+
+        it('should require the password and code', async () => {
+            req.body = { code: '123456' };
+
+            await TwoFactorController.disable(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Password and authentication code are required', 400);
+        });
+    });
+
+    describe('regenerateRecoveryCodes', () => {
+        it('should return new recovery codes', async () => {
+            req.body = { code: '123456' };
+            const result = { recoveryCodes: ['ccccc-ddddd'] };
+            TwoFactorService.regenerateRecoveryCodes.mockResolvedValue(result);
+
+            await TwoFactorController.regenerateRecoveryCodes(req, res);
+
+            expect(TwoFactorService.regenerateRecoveryCodes).toHaveBeenCalledWith('admin-id', '123456');
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Recovery codes regenerated successfully');
+        });
+
+        it('should surface invalid codes', async () => {
+            req.body = { code: '000000' };
+            TwoFactorService.regenerateRecoveryCodes.mockRejectedValue(new Error('Invalid authentication code'));
+
+            await TwoFactorController.regenerateRecoveryCodes(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid authentication code', 400);
+        });
+    });
+});
@@ -3,21 +3,32 @@ jest.mock('../../../src/utils/emailHandler', () => ({
 }));
 
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { signToken } = require('../../../src/utils/jwtHandler');
 const crypto = require('crypto');
 const AdminAuthService = require('../../../src/admin/services/AdminAuthService.js');
-const { findAdminByEmail, createAdmin, updatePassword } = require('../../../src/admin/data/repositories/adminRepository');
+const { findAdminByEmail, findAdminById, createAdmin, updatePassword, countAdmins } = require('../../../src/admin/data/repositories/adminRepository');
 const { sendEmail } = require('../../../src/utils/emailHandler');
-const { checkIfAdminExists } = require('../../../src/utils/validation');
+const { checkIfAdminExists, checkIfUserExists } = require('../../../src/utils/validation');
 const Admin = require('../../../src/admin/data/models/adminModel');
+const SessionService = require('../../../src/session/services/SessionService');
+const InvitationService = require('../../../src/admin/services/InvitationService');
+const TwoFactorService = require('../../../src/admin/services/TwoFactorService');
+const BruteForceService = require('../../../src/security/services/BruteForceService');
+const OidcService = require('../../../src/sso/services/OidcService');
+const { OIDC } = require('../../../src/config/config');
 
 jest.mock('bcryptjs');
-jest.mock('jsonwebtoken');
+jest.mock('../../../src/utils/jwtHandler');
 jest.mock('crypto');
 jest.mock('../../../src/admin/data/repositories/adminRepository');
 jest.mock('../../../src/utils/emailHandler');
 jest.mock('../../../src/utils/validation');
 jest.mock('../../../src/admin/data/models/adminModel');
+jest.mock('../../../src/session/services/SessionService');
+jest.mock('../../../src/admin/services/InvitationService');
+jest.mock('../../../src/admin/services/TwoFactorService');
+jest.mock('../../../src/security/services/BruteForceService');
+jest.mock('../../../src/sso/services/OidcService');
 
 describe('AdminAuthService', () => {
     let mockAdmin;
@@ -33,6 +44,7 @@ describe('AdminAuthService', () => {
             password: 'hashedpassword',
             role: 'admin',
             isEmailVerified: true,
+            isActive: true,
             lastLogin: null,
             createdAt: '2023-01-01',
             updatedAt: '2023-01-01',
@@ -47,9 +59,18 @@ describe('AdminAuthService', () => {
                 updatedAt: '2023-01-01'
             }),
             createEmailVerificationPin: jest.fn().mockReturnValue('123456'),
-            createPasswordResetToken: jest.fn().mockReturnValue('resettoken123')
+            createPasswordResetToken: jest.fn().mockReturnValue('resettoken123'),
+            createLoginCode: jest.fn().mockReturnValue('654321')
         };
 
+        SessionService.createSession.mockResolvedValue({
+            session: { _id: 'session123' },
+            refreshToken: 'session123.refreshsecret'
+        });
+        SessionService.revokeAllSessions.mockResolvedValue({ revokedCount: 1 });
+        BruteForceService.assertNotLocked.mockResolvedValue();
+        BruteForceService.recordFailure.mockResolvedValue({ accountLocked: false, ipLocked: false, lockedUntil: null });
+
         global.setImmediate = jest.fn((callback) => callback());
     });
 
@@ -61,20 +82,28 @@ describe('AdminAuthService', () => {
         it('should authenticate admin successfully', async () => {
             findAdminByEmail.mockResolvedValue(mockAdmin);
             bcrypt.compare.mockResolvedValue(true);
-            jwt.sign.mockReturnValue('jwt.token.here');
+            signToken.mockReturnValue('jwt.token.here');
             sendEmail.mockResolvedValue(true);
 
-            const result = await AdminAuthService.authenticateAdmin('john@example.com', 'password123');
+            const context = { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+            const result = await AdminAuthService.authenticateAdmin('john@example.com', 'password123', context);
 
             expect(findAdminByEmail).toHaveBeenCalledWith('john@example.com');
             expect(bcrypt.compare).toHaveBeenCalledWith('password123', 'hashedpassword');
-            expect(jwt.sign).toHaveBeenCalledWith(
-                { id: 'admin123', role: 'admin' },
-                process.env.JWT_SECRET,
-                { expiresIn: '3h' }
+            expect(SessionService.createSession).toHaveBeenCalledWith('admin123', 'Admin', context);
+            expect(signToken).toHaveBeenCalledWith(
+                { id: 'admin123', role: 'admin', sid: 'session123' },
+                { expiresIn: '15m' }
             );
             expect(mockAdmin.save).toHaveBeenCalled();
             expect(result.token).toBe('jwt.token.here');
+            expect(result.refreshToken).toBe('session123.refreshsecret');
+            expect(SessionService.createRevocationToken).toHaveBeenCalledWith('session123');
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'New Admin Login Alert',
+                expect.stringContaining('IP address: 10.0.0.1')
+            );
             expect(result.admin.firstName).toBe('John');
         });
 
@@ -100,20 +129,406 @@ describe('AdminAuthService', () => {
             await expect(AdminAuthService.authenticateAdmin('john@example.com', 'wrongpassword'))
                 .rejects.toThrow('Invalid email or password');
         });
+
+        it('should throw error if account is deactivated', async () => {
+            mockAdmin.isActive = false;
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await expect(AdminAuthService.authenticateAdmin('john@example.com', 'password123'))
+                .rejects.toThrow('Your account has been deactivated. Please contact a super admin');
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should return a challenge instead of tokens when two-factor is enabled', async () => {
+            mockAdmin.twoFactorEnabled = true;
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(true);
+            TwoFactorService.createChallengeToken.mockReturnValue('challenge.token');
+
+            const result = await AdminAuthService.authenticateAdmin('john@example.com', 'password123');
+
+            expect(TwoFactorService.createChallengeToken).toHaveBeenCalledWith('admin123');
+            expect(result).toEqual({ twoFactorRequired: true, challengeToken: 'challenge.token', expiresIn: '5m' });
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to check credentials while the account or IP is locked', async () => {
+            BruteForceService.assertNotLocked.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await expect(AdminAuthService.authenticateAdmin('john@example.com', 'password123', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Too many failed attempts. Please try again later');
+
+            expect(BruteForceService.assertNotLocked).toHaveBeenCalledWith('login', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(findAdminByEmail).not.toHaveBeenCalled();
+        });
+
+        it('should record a failed attempt for a wrong password', async () => {
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(false);
+
+            await expect(AdminAuthService.authenticateAdmin('john@example.com', 'wrongpassword', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid email or password');
+
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('login', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should record a failed attempt for an unknown email', async () => {
+            findAdminByEmail.mockResolvedValue(null);
+
+            await expect(AdminAuthService.authenticateAdmin('nobody@example.com', 'password123', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid email or password');
+
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('login', { account: 'nobody@example.com', ip: '10.0.0.1' });
+        });
+
+        it('should email the admin when their account gets locked', async () => {
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(false);
+            BruteForceService.recordFailure.mockResolvedValue({
+                accountLocked: true,
+                ipLocked: false,
+                lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+            });
+
+            await expect(AdminAuthService.authenticateAdmin('john@example.com', 'wrongpassword', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid email or password');
+
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'Admin Account Temporarily Locked',
+                expect.stringContaining('too many failed login attempts')
+            );
+        });
+
+        it('should clear the account counter after a successful login', async () => {
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(true);
+            signToken.mockReturnValue('jwt.token.here');
+
+            await AdminAuthService.authenticateAdmin('john@example.com', 'password123', { ipAddress: '10.0.0.1' });
+
+            expect(BruteForceService.recordSuccess).toHaveBeenCalledWith('login', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(BruteForceService.recordFailure).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verifyTwoFactorLogin', () => {
+        beforeEach(() => {
+            mockAdmin.twoFactorEnabled = true;
+            TwoFactorService.verifyChallengeToken.mockReturnValue('admin123');
+            findAdminById.mockResolvedValue(mockAdmin);
+            signToken.mockReturnValue('jwt.token.here');
+        });
+
+        it('should complete the login once the code is verified', async () => {
+            TwoFactorService.verifyLoginCode.mockResolvedValue({ method: 'totp' });
+
+            const context = { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+            const result = await AdminAuthService.verifyTwoFactorLogin('challenge.token', '123456', context);
+
+            expect(TwoFactorService.verifyChallengeToken).toHaveBeenCalledWith('challenge.token');
+            expect(TwoFactorService.verifyLoginCode).toHaveBeenCalledWith(mockAdmin, '123456');
+            expect(SessionService.createSession).toHaveBeenCalledWith('admin123', 'Admin', context);
+            expect(result.token).toBe('jwt.token.here');
+        });
+
+        it('should not create a session when the code is invalid', async () => {
+            TwoFactorService.verifyLoginCode.mockRejectedValue(new Error('Invalid authentication code'));
+
+            await expect(AdminAuthService.verifyTwoFactorLogin('challenge.token', '000000', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid authentication code');
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('two_factor', { account: 'admin123', ip: '10.0.0.1' });
+        });
+
+        it('should reject an invalid challenge token', async () => {
+            TwoFactorService.verifyChallengeToken.mockImplementation(() => {
+                throw new Error('Invalid or expired login challenge');
+            });
+
+            await expect(AdminAuthService.verifyTwoFactorLogin('bad.token', '123456'))
+                .rejects.toThrow('Invalid or expired login challenge');
+        });
+
+        it('should reject admins that were deactivated mid-login', async () => {
+            mockAdmin.isActive = false;
+
+            await expect(AdminAuthService.verifyTwoFactorLogin('challenge.token', '123456'))
+                .rejects.toThrow('Your account has been deactivated. Please contact a super admin');
+            expect(TwoFactorService.verifyLoginCode).not.toHaveBeenCalled();
+        });
+
+        it('should require both the challenge token and code', async () => {
+            await expect(AdminAuthService.verifyTwoFactorLogin('challenge.token'))
+                .rejects.toThrow('Challenge token and authentication code are required');
+        });
+    });
+
+    describe('requestLoginCode', () => {
+        it('should email a single-use code to an active admin', async () => {
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+
+            const result = await AdminAuthService.requestLoginCode(' John@Example.com ', { ipAddress: '10.0.0.1' });
+
+            expect(BruteForceService.assertNotLocked).toHaveBeenCalledWith('login_code', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(findAdminByEmail).toHaveBeenCalledWith('john@example.com');
+            expect(mockAdmin.createLoginCode).toHaveBeenCalledWith(10);
+            expect(mockAdmin.save).toHaveBeenCalled();
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Your Admin Login Code', expect.stringContaining('654321'));
+            expect(result.message).toBe('If an active admin account exists for this email, a login code has been sent');
+        });
+
+        it('should give the same answer for unknown emails without sending anything', async () => {
+            findAdminByEmail.mockResolvedValue(null);
+
+            const result = await AdminAuthService.requestLoginCode('nobody@example.com');
+
+            expect(sendEmail).not.toHaveBeenCalled();
+            expect(result.message).toBe('If an active admin account exists for this email, a login code has been sent');
+        });
+
+        it('should not send codes to unverified or deactivated admins', async () => {
+            findAdminByEmail.mockResolvedValue({ ...mockAdmin, isActive: false });
+
+            await AdminAuthService.requestLoginCode('john@example.com');
+
+            expect(mockAdmin.createLoginCode).not.toHaveBeenCalled();
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should require an email', async () => {
+            await expect(AdminAuthService.requestLoginCode('')).rejects.toThrow('Email is required');
+        });
+    });
+
+    describe('verifyLoginCode', () => {
+        beforeEach(() => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedcode')
+                })
+            });
+            mockAdmin.loginCode = 'hashedcode';
+            mockAdmin.loginCodeExpire = Date.now() + 60 * 1000;
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            signToken.mockReturnValue('jwt.token.here');
+        });
+
+        it('should exchange a valid code for a session and burn the code', async () => {
+            const context = { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+            const result = await AdminAuthService.verifyLoginCode('john@example.com', '654321', context);
+
+            expect(mockAdmin.loginCode).toBeUndefined();
+            expect(mockAdmin.loginCodeExpire).toBeUndefined();
+            expect(BruteForceService.recordSuccess).toHaveBeenCalledWith('login_code', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(SessionService.createSession).toHaveBeenCalledWith('admin123', 'Admin', context);
+            expect(result.token).toBe('jwt.token.here');
+        });
+
+        it('should still require the second factor when 2FA is enabled', async () => {
+            mockAdmin.twoFactorEnabled = true;
+            TwoFactorService.createChallengeToken.mockReturnValue('challenge.token');
+
+            const result = await AdminAuthService.verifyLoginCode('john@example.com', '654321');
+
+            expect(result).toEqual({ twoFactorRequired: true, challengeToken: 'challenge.token', expiresIn: '5m' });
+            expect(mockAdmin.loginCode).toBeUndefined();
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should record a failed attempt for a wrong code', async () => {
+            mockAdmin.loginCode = 'othercode';
+
+            await expect(AdminAuthService.verifyLoginCode('john@example.com', '000000', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid or expired login code');
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('login_code', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should reject an expired code', async () => {
+            mockAdmin.loginCodeExpire = Date.now() - 1000;
+
+            await expect(AdminAuthService.verifyLoginCode('john@example.com', '654321'))
+                .rejects.toThrow('Invalid or expired login code');
+        });
+
+        it('should reject codes for unknown emails', async () => {
+            findAdminByEmail.mockResolvedValue(null);
+
+            await expect(AdminAuthService.verifyLoginCode('nobody@example.com', '654321'))
+                .rejects.toThrow('Invalid or expired login code');
+        });
+
+        it('should reject admins that were deactivated after the code was sent', async () => {
+            mockAdmin.isActive = false;
+
+            await expect(AdminAuthService.verifyLoginCode('john@example.com', '654321'))
+                .rejects.toThrow('Your account has been deactivated. Please contact a super admin');
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('authenticateWithOidc', () => {
+        const identity = {
+            subject: 'idp-user-1',
+            email: 'john@example.com',
+            emailVerified: true,
+            firstName: 'John',
+            lastName: 'Doe'
+        };
+
+        beforeEach(() => {
+            OidcService.completeLogin.mockResolvedValue(identity);
+            signToken.mockReturnValue('jwt.token.here');
+            OIDC.autoProvision = false;
+            OIDC.allowedDomains = [];
+        });
+
+        it('should sign in the admin with the matching email and link the IdP subject', async () => {
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+
+            const context = { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+            const result = await AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding', context);
+
+            expect(OidcService.completeLogin).toHaveBeenCalledWith('auth-code', 'state', 'browser-binding');
+            expect(findAdminByEmail).toHaveBeenCalledWith('john@example.com');
+            expect(mockAdmin.oidcSubject).toBe('idp-user-1');
+            expect(SessionService.createSession).toHaveBeenCalledWith('admin123', 'Admin', context);
+            expect(result.token).toBe('jwt.token.here');
+            expect(result.refreshToken).toBe('session123.refreshsecret');
+        });
+
+        it('should still require the second factor when 2FA is enabled', async () => {
+            mockAdmin.twoFactorEnabled = true;
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            TwoFactorService.createChallengeToken.mockReturnValue('challenge.token');
+
+            const result = await AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding');
+
+            expect(result.twoFactorRequired).toBe(true);
+            expect(mockAdmin.save).toHaveBeenCalled();
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should reject an admin linked to a different IdP account', async () => {
+            findAdminByEmail.mockResolvedValue({ ...mockAdmin, oidcSubject: 'idp-user-2' });
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('This admin account is linked to a different identity provider account');
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should not link an email the identity provider has not verified', async () => {
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            OidcService.completeLogin.mockResolvedValue({ ...identity, emailVerified: false });
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('Identity provider has not verified this email address');
+            expect(mockAdmin.oidcSubject).toBeUndefined();
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should not link existing admins outside the allowed domains', async () => {
+            OIDC.allowedDomains = ['heunets.com'];
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('No admin account is linked to this email');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should keep signing in an already linked admin', async () => {
+            OIDC.allowedDomains = ['heunets.com'];
+            findAdminByEmail.mockResolvedValue({ ...mockAdmin, oidcSubject: 'idp-user-1' });
+
+            const result = await AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding');
+
+            expect(result.token).toBe('jwt.token.here');
+        });
+
+        it('should reject deactivated admins', async () => {
+            findAdminByEmail.mockResolvedValue({ ...mockAdmin, isActive: false });
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('Your account has been deactivated. Please contact a super admin');
+        });
+
+        it('should refuse unknown emails when auto-provisioning is off', async () => {
+            findAdminByEmail.mockResolvedValue(null);
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('No admin account is linked to this email');
+            expect(createAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should provision a verified admin on first login when allowed', async () => {
+            OIDC.autoProvision = true;
+            findAdminByEmail.mockResolvedValue(null);
+            checkIfUserExists.mockResolvedValue();
+            crypto.randomBytes.mockReturnValue({ toString: () => 'random-password' });
+            bcrypt.hash.mockResolvedValue('unusable-hash');
+            createAdmin.mockResolvedValue(mockAdmin);
+            OidcService.completeLogin.mockResolvedValue({ ...identity, firstName: 'Jean-Luc', lastName: undefined, name: 'Jean-Luc Picard' });
+
+            const result = await AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding');
+
+            expect(createAdmin).toHaveBeenCalledWith('JeanLuc', 'Picard', 'john@example.com', 'unusable-hash', 'admin');
+            expect(mockAdmin.isEmailVerified).toBe(true);
+            expect(mockAdmin.oidcSubject).toBe('idp-user-1');
+            expect(result.token).toBe('jwt.token.here');
+        });
+
+        it('should not provision emails outside the allowed domains', async () => {
+            OIDC.autoProvision = true;
+            OIDC.allowedDomains = ['heunets.com'];
+            findAdminByEmail.mockResolvedValue(null);
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('No admin account is linked to this email');
+            expect(createAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should not turn a team member into an admin', async () => {
+            OIDC.autoProvision = true;
+            findAdminByEmail.mockResolvedValue(null);
+            checkIfUserExists.mockRejectedValue(new Error('Email is already in use'));
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding'))
+                .rejects.toThrow('No admin account is linked to this email');
+            expect(createAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should pass through identity provider errors', async () => {
+            OidcService.completeLogin.mockRejectedValue(new Error('Invalid ID token'));
+
+            await expect(AdminAuthService.authenticateWithOidc('auth-code', 'state', 'browser-binding')).rejects.toThrow('Invalid ID token');
+            expect(findAdminByEmail).not.toHaveBeenCalled();
+        });
     });
 
     describe('createAdminAccount', () => {
-        it('should create admin account successfully', async () => {
+        beforeEach(() => {
             checkIfAdminExists.mockResolvedValue(true);
             bcrypt.hash.mockResolvedValue('hashedpassword');
             createAdmin.mockResolvedValue(mockAdmin);
+            countAdmins.mockResolvedValue(3);
+        });
+
+        it('should create admin account successfully', async () => {
+            const invitation = { _id: 'invite123', email: 'john@example.com', role: 'admin' };
+            InvitationService.acceptInvitation.mockResolvedValue(invitation);
             sendEmail.mockResolvedValue(true);
 
-            const result = await AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'password123');
+            const result = await AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp', 'invitetoken');
 
             expect(checkIfAdminExists).toHaveBeenCalledWith('John', 'Doe', 'john@example.com');
-            expect(bcrypt.hash).toHaveBeenCalledWith('password123', 10);
-            expect(createAdmin).toHaveBeenCalledWith('John', 'Doe', 'john@example.com', 'hashedpassword');
+            expect(InvitationService.acceptInvitation).toHaveBeenCalledWith('invitetoken', 'john@example.com');
+            expect(bcrypt.hash).toHaveBeenCalledWith('Tr1cky-Harbor-Lamp', 10);
+            expect(createAdmin).toHaveBeenCalledWith('John', 'Doe', 'john@example.com', 'hashedpassword', 'admin');
+            expect(InvitationService.completeInvitation).toHaveBeenCalledWith('invite123', 'admin123');
             expect(mockAdmin.createEmailVerificationPin).toHaveBeenCalled();
             expect(mockAdmin.save).toHaveBeenCalled();
             expect(sendEmail).toHaveBeenCalledWith(
@@ -124,14 +539,68 @@ describe('AdminAuthService', () => {
         });
 
         it('should throw error for invalid first name', async () => {
-            await expect(AdminAuthService.createAdminAccount('John123', 'Doe', 'john@example.com', 'password123'))
+            await expect(AdminAuthService.createAdminAccount('John123', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp'))
                 .rejects.toThrow('First name can only contain letters');
         });
 
         it('should throw error for invalid last name', async () => {
-            await expect(AdminAuthService.createAdminAccount('John', 'Doe123', 'john@example.com', 'password123'))
+            await expect(AdminAuthService.createAdminAccount('John', 'Doe123', 'john@example.com', 'Tr1cky-Harbor-Lamp'))
                 .rejects.toThrow('Last name can only contain letters');
         });
+
+        it('should reject passwords containing the account name', async () => {
+            await expect(AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Johnny-B3-Goode'))
+                .rejects.toThrow('Password cannot contain your name or email');
+        });
+
+        it('should reject passwords missing a character class', async () => {
+            await expect(AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'tr1cky-harbor-lamp'))
+                .rejects.toThrow('Password must contain at least one uppercase letter');
+        });
+
+        it('should use the role granted by the invitation', async () => {
+            InvitationService.acceptInvitation.mockResolvedValue({ _id: 'invite123', role: 'super_admin' });
+
+            await AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp', 'invitetoken');
+
+            expect(createAdmin).toHaveBeenCalledWith('John', 'Doe', 'john@example.com', 'hashedpassword', 'super_admin');
+        });
+
+        it('should require an invitation when admins already exist', async () => {
+            await expect(AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('An invitation is required to create an admin account');
+
+            expect(createAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should make the first admin a super admin without an invitation', async () => {
+            countAdmins.mockResolvedValue(0);
+
+            await AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp');
+
+            expect(InvitationService.acceptInvitation).not.toHaveBeenCalled();
+            expect(createAdmin).toHaveBeenCalledWith('John', 'Doe', 'john@example.com', 'hashedpassword', 'super_admin');
+        });
+
+        it('should not create the account when the invitation is rejected', async () => {
+            InvitationService.acceptInvitation.mockRejectedValue(new Error('Invalid or expired invitation'));
+
+            await expect(AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp', 'badtoken'))
+                .rejects.toThrow('Invalid or expired invitation');
+
+            expect(createAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should release the invitation if account creation fails', async () => {
+            InvitationService.acceptInvitation.mockResolvedValue({ _id: 'invite123', role: 'admin' });
+            createAdmin.mockRejectedValue(new Error('Database error'));
+
+            await expect(AdminAuthService.createAdminAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp', 'invitetoken'))
+                .rejects.toThrow('Database error');
+
+            expect(InvitationService.releaseInvitation).toHaveBeenCalledWith('invite123');
+            expect(InvitationService.completeInvitation).not.toHaveBeenCalled();
+        });
     });
 
     describe('verifyEmail', () => {
@@ -173,6 +642,35 @@ describe('AdminAuthService', () => {
             await expect(AdminAuthService.verifyEmail('john@example.com', '123456'))
                 .rejects.toThrow('Invalid or expired verification PIN');
         });
+
+        it('should record failed PIN guesses against the account and IP', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedpin')
+                })
+            });
+            Admin.findOne.mockResolvedValue(null);
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            BruteForceService.recordFailure.mockResolvedValue({ accountLocked: true, lockedUntil: new Date() });
+
+            await expect(AdminAuthService.verifyEmail('john@example.com', '123456', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid or expired verification PIN');
+
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('verify_email', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'Admin Account Temporarily Locked',
+                expect.stringContaining('email verification')
+            );
+        });
+
+        it('should not check the PIN while locked', async () => {
+            BruteForceService.assertNotLocked.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await expect(AdminAuthService.verifyEmail('john@example.com', '123456'))
+                .rejects.toThrow('Too many failed attempts. Please try again later');
+            expect(Admin.findOne).not.toHaveBeenCalled();
+        });
     });
 
     describe('resendVerificationToken', () => {
@@ -244,9 +742,10 @@ describe('AdminAuthService', () => {
             });
             Admin.findOne.mockResolvedValue(mockAdmin);
 
-            const result = await AdminAuthService.validateResetToken('resettoken123');
+            const result = await AdminAuthService.validateResetToken('John@Example.com', 'resettoken123');
 
             expect(Admin.findOne).toHaveBeenCalledWith({
+                email: 'john@example.com',
                 resetPasswordToken: 'hashedtoken',
                 resetPasswordExpire: { $gt: expect.any(Number) }
             });
@@ -255,10 +754,15 @@ describe('AdminAuthService', () => {
         });
 
         it('should throw error for missing token', async () => {
-            await expect(AdminAuthService.validateResetToken(null))
+            await expect(AdminAuthService.validateResetToken('john@example.com', null))
                 .rejects.toThrow('Reset token required');
         });
 
+        it('should throw error for missing email', async () => {
+            await expect(AdminAuthService.validateResetToken(undefined, 'resettoken123'))
+                .rejects.toThrow('Email is required');
+        });
+
         it('should throw error for invalid token', async () => {
             crypto.createHash.mockReturnValue({
                 update: jest.fn().mockReturnValue({
@@ -267,8 +771,35 @@ describe('AdminAuthService', () => {
             });
             Admin.findOne.mockResolvedValue(null);
 
-            await expect(AdminAuthService.validateResetToken('invalidtoken'))
+            await expect(AdminAuthService.validateResetToken('john@example.com', 'invalidtoken', { ipAddress: '10.0.0.1' }))
                 .rejects.toThrow('Invalid or expired reset token');
+
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('password_reset', { account: 'john@example.com', ip: '10.0.0.1' });
+        });
+
+        it('should tell the account owner when reset guesses lock the account', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            Admin.findOne.mockResolvedValue(null);
+            findAdminByEmail.mockResolvedValue(mockAdmin);
+            BruteForceService.recordFailure.mockResolvedValue({ accountLocked: true, lockedUntil: new Date() });
+            sendEmail.mockResolvedValue(true);
+
+            await expect(AdminAuthService.validateResetToken('john@example.com', 'invalidtoken', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid or expired reset token');
+
+            expect(sendEmail).toHaveBeenCalledWith(mockAdmin.email, 'Admin Account Temporarily Locked', expect.any(String));
+        });
+
+        it('should not check the token while the IP is locked', async () => {
+            BruteForceService.assertNotLocked.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await expect(AdminAuthService.validateResetToken('john@example.com', 'sometoken', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Too many failed attempts. Please try again later');
+            expect(Admin.findOne).not.toHaveBeenCalled();
         });
     });
 
@@ -280,54 +811,82 @@ describe('AdminAuthService', () => {
                 })
             });
             Admin.findOne.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(false);
             bcrypt.hash.mockResolvedValue('newhashedpassword');
             sendEmail.mockResolvedValue(true);
 
-            const result = await AdminAuthService.resetPassword('resettoken123', 'newpassword123');
+            const result = await AdminAuthService.resetPassword('john@example.com', 'resettoken123', 'Tr1cky-Harbor-Lamp');
 
             expect(Admin.findOne).toHaveBeenCalledWith({
+                email: 'john@example.com',
                 resetPasswordToken: 'hashedtoken',
                 resetPasswordExpire: { $gt: expect.any(Number) }
             });
-            expect(bcrypt.hash).toHaveBeenCalledWith('newpassword123', 10);
+            expect(bcrypt.hash).toHaveBeenCalledWith('Tr1cky-Harbor-Lamp', 10);
             expect(mockAdmin.password).toBe('newhashedpassword');
+            expect(mockAdmin.passwordHistory).toEqual(['hashedpassword']);
             expect(mockAdmin.resetPasswordToken).toBeUndefined();
             expect(mockAdmin.resetPasswordExpire).toBeUndefined();
             expect(mockAdmin.save).toHaveBeenCalled();
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith('admin123', 'password_reset');
         });
 
         it('should throw error for missing token', async () => {
-            await expect(AdminAuthService.resetPassword(null, 'newpassword123'))
+            await expect(AdminAuthService.resetPassword('john@example.com', null, 'Tr1cky-Harbor-Lamp'))
                 .rejects.toThrow('Reset token required');
         });
 
         it('should throw error for short password', async () => {
-            await expect(AdminAuthService.resetPassword('token', '12345'))
-                .rejects.toThrow('New password must be at least 6 characters long');
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            Admin.findOne.mockResolvedValue(mockAdmin);
+
+            await expect(AdminAuthService.resetPassword('john@example.com', 'token', 'Sh0rt!'))
+                .rejects.toThrow('Password must be at least 10 characters long');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should reject a password from the history', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            mockAdmin.passwordHistory = ['olderhash'];
+            Admin.findOne.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockImplementation(async (password, hash) => hash === 'olderhash');
+
+            await expect(AdminAuthService.resetPassword('john@example.com', 'token', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('New password cannot match any of your last 5 passwords');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
         });
     });
 
     describe('changePassword', () => {
         it('should change password successfully', async () => {
             Admin.findById.mockResolvedValue(mockAdmin);
-            bcrypt.compare.mockResolvedValue(true);
+            bcrypt.compare.mockResolvedValueOnce(true).mockResolvedValue(false);
             bcrypt.hash.mockResolvedValue('newhashedpassword');
             updatePassword.mockResolvedValue(mockAdmin);
             sendEmail.mockResolvedValue(true);
 
-            const result = await AdminAuthService.changePassword('admin123', 'oldpassword', 'newpassword123');
+            const result = await AdminAuthService.changePassword('admin123', 'oldpassword', 'Tr1cky-Harbor-Lamp', 'session123');
 
             expect(Admin.findById).toHaveBeenCalledWith('admin123');
             expect(bcrypt.compare).toHaveBeenCalledWith('oldpassword', 'hashedpassword');
-            expect(bcrypt.hash).toHaveBeenCalledWith('newpassword123', 10);
-            expect(updatePassword).toHaveBeenCalledWith('admin123', 'newhashedpassword');
+            expect(bcrypt.hash).toHaveBeenCalledWith('Tr1cky-Harbor-Lamp', 10);
+            expect(updatePassword).toHaveBeenCalledWith('admin123', 'newhashedpassword', ['hashedpassword']);
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith('admin123', 'password_changed', 'session123');
             expect(result.message).toBe('Password changed successfully');
         });
 
         it('should throw error if admin not found', async () => {
             Admin.findById.mockResolvedValue(null);
 
-            await expect(AdminAuthService.changePassword('wrongid', 'oldpassword', 'newpassword123'))
+            await expect(AdminAuthService.changePassword('wrongid', 'oldpassword', 'Tr1cky-Harbor-Lamp'))
                 .rejects.toThrow('Admin not found');
         });
 
@@ -335,14 +894,97 @@ describe('AdminAuthService', () => {
             Admin.findById.mockResolvedValue(mockAdmin);
             bcrypt.compare.mockResolvedValue(false);
 
-            await expect(AdminAuthService.changePassword('admin123', 'wrongpassword', 'newpassword123'))
+            await expect(AdminAuthService.changePassword('admin123', 'wrongpassword', 'Tr1cky-Harbor-Lamp'))
                 .rejects.toThrow('Current password is incorrect');
         });
+
+        it('should enforce the password policy', async () => {
+            Admin.findById.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await expect(AdminAuthService.changePassword('admin123', 'oldpassword', 'Password123!'))
+                .rejects.toThrow('Password is too common. Please choose a less predictable password');
+            expect(updatePassword).not.toHaveBeenCalled();
+        });
+
+        it('should reject reusing the current password', async () => {
+            Admin.findById.mockResolvedValue(mockAdmin);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await expect(AdminAuthService.changePassword('admin123', 'Tr1cky-Harbor-Lamp', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('New password cannot match any of your last 5 passwords');
+            expect(updatePassword).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('refreshSession', () => {
+        it('should rotate the refresh token and issue a new access token', async () => {
+            SessionService.rotateSession.mockResolvedValue({
+                session: { _id: 'session123', owner: 'admin123' },
+                refreshToken: 'session123.newsecret'
+            });
+            Admin.findById.mockResolvedValue(mockAdmin);
+            signToken.mockReturnValue('new.jwt.token');
+
+            const result = await AdminAuthService.refreshSession('session123.oldsecret');
+
+            expect(SessionService.rotateSession).toHaveBeenCalledWith('session123.oldsecret', 'Admin', {});
+            expect(Admin.findById).toHaveBeenCalledWith('admin123');
+            expect(signToken).toHaveBeenCalledWith(
+                { id: 'admin123', role: 'admin', sid: 'session123' },
+                { expiresIn: '15m' }
+            );
+            expect(result).toEqual({
+                token: 'new.jwt.token',
+                refreshToken: 'session123.newsecret',
+                expiresIn: '15m'
+            });
+        });
+
+        it('should throw error for missing refresh token', async () => {
+            await expect(AdminAuthService.refreshSession(undefined))
+                .rejects.toThrow('Refresh token is required');
+        });
+
+        it('should revoke the session if the admin no longer exists', async () => {
+            SessionService.rotateSession.mockResolvedValue({
+                session: { _id: 'session123', owner: 'admin123' },
+                refreshToken: 'session123.newsecret'
+            });
+            Admin.findById.mockResolvedValue(null);
+
+            await expect(AdminAuthService.refreshSession('session123.oldsecret'))
+                .rejects.toThrow('Invalid refresh token');
+            expect(SessionService.revokeSession).toHaveBeenCalledWith('session123', 'admin_not_found');
+        });
+
+        it('should refuse to refresh sessions of deactivated accounts', async () => {
+            SessionService.rotateSession.mockResolvedValue({
+                session: { _id: 'session123', owner: 'admin123' },
+                refreshToken: 'session123.newsecret'
+            });
+            Admin.findById.mockResolvedValue({ ...mockAdmin, isActive: false });
+
+            await expect(AdminAuthService.refreshSession('session123.oldsecret'))
+                .rejects.toThrow('Your account has been deactivated. Please contact a super admin');
+            expect(SessionService.revokeSession).toHaveBeenCalledWith('session123', 'account_deactivated');
+        });
+
+        it('should propagate session rotation errors', async () => {
+            SessionService.rotateSession.mockRejectedValue(new Error('Session has expired or been revoked'));
+
+            await expect(AdminAuthService.refreshSession('session123.oldsecret'))
+                .rejects.toThrow('Session has expired or been revoked');
+        });
     });
 
     describe('logoutUser', () => {
-        it('should return logout success message', () => {
-            const result = AdminAuthService.logoutUser();
+        it('should revoke the current session and return logout success message', async () => {
+            SessionService.revokeSession.mockResolvedValue({ message: 'Session revoked successfully' });
+
+            const result = await AdminAuthService.logoutUser('session123');
+
+            expect(SessionService.revokeSession).toHaveBeenCalledWith('session123', 'logout');
             expect(result.message).toBe('Logout successful');
         });
     });
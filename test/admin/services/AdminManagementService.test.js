@@ -0,0 +1,252 @@
+const AdminManagementService = require('../../../src/admin/services/AdminManagementService');
+const {
+    findAdminById,
+    findAdmins,
+    countAdmins,
+    updateAdmin,
+    deleteAdmin
+} = require('../../../src/admin/data/repositories/adminRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const SessionService = require('../../../src/session/services/SessionService');
+const BruteForceService = require('../../../src/security/services/BruteForceService');
+
+jest.mock('../../../src/admin/data/repositories/adminRepository');
+jest.mock('../../../src/utils/emailHandler');
+jest.mock('../../../src/session/services/SessionService');
+jest.mock('../../../src/security/services/BruteForceService');
+
+describe('AdminManagementService', () => {
+    const actorId = '507f1f77bcf86cd799439001';
+    const adminId = '507f1f77bcf86cd799439011';
+    let mockAdmin;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockAdmin = {
+            _id: adminId,
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john@example.com',
+            role: 'admin',
+            isActive: true,
+            isEmailVerified: true,
+            createdAt: '2023-01-01',
+            updatedAt: '2023-01-01'
+        };
+
+        findAdminById.mockResolvedValue(mockAdmin);
+        updateAdmin.mockImplementation(async (id, data) => ({ ...mockAdmin, ...data }));
+        countAdmins.mockResolvedValue(2);
+        SessionService.revokeAllSessions.mockResolvedValue({ revokedCount: 1 });
+        sendEmail.mockResolvedValue(true);
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('listAdmins', () => {
+        it('should search admins and paginate the results', async () => {
+            findAdmins.mockResolvedValue({ admins: [mockAdmin], total: 1 });
+
+            const result = await AdminManagementService.listAdmins(
+                { search: 'john', role: 'admin', isActive: true },
+                { page: 2, limit: 5 }
+            );
+
+            expect(findAdmins).toHaveBeenCalledWith(
+                {
+                    role: 'admin',
+                    isActive: true,
+                    $or: [
+                        { firstName: { $regex: 'john', $options: 'i' } },
+                        { lastName: { $regex: 'john', $options: 'i' } },
+                        { email: { $regex: 'john', $options: 'i' } }
+                    ]
+                },
+                { page: 2, limit: 5, sort: 'firstName lastName' }
+            );
+            expect(result.total).toBe(1);
+            expect(result.admins[0]).toEqual(expect.objectContaining({
+                id: adminId,
+                email: 'john@example.com',
+                fullName: 'John Doe'
+            }));
+            expect(result.admins[0].password).toBeUndefined();
+        });
+
+        it('should escape regex characters in the search term', async () => {
+            findAdmins.mockResolvedValue({ admins: [], total: 0 });
+
+            await AdminManagementService.listAdmins({ search: 'a.b' });
+
+            expect(findAdmins).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    $or: expect.arrayContaining([{ email: { $regex: 'a\\.b', $options: 'i' } }])
+                }),
+                expect.any(Object)
+            );
+        });
+
+        it('should cap the page size', async () => {
+            findAdmins.mockResolvedValue({ admins: [], total: 0 });
+
+            const result = await AdminManagementService.listAdmins({}, { limit: 1000 });
+
+            expect(result.limit).toBe(100);
+        });
+
+        it('should reject unknown roles', async () => {
+            await expect(AdminManagementService.listAdmins({ role: 'owner' }))
+                .rejects.toThrow('Invalid role. Must be one of: admin, super_admin');
+        });
+    });
+
+    describe('getAdmin', () => {
+        it('should throw error for invalid IDs', async () => {
+            await expect(AdminManagementService.getAdmin('invalid'))
+                .rejects.toThrow('Admin not found');
+            expect(findAdminById).not.toHaveBeenCalled();
+        });
+
+        it('should throw error if admin does not exist', async () => {
+            findAdminById.mockResolvedValue(null);
+
+            await expect(AdminManagementService.getAdmin(adminId))
+                .rejects.toThrow('Admin not found');
+        });
+    });
+
+    describe('deactivateAdmin', () => {
+        it('should deactivate the admin and revoke their sessions', async () => {
+            const result = await AdminManagementService.deactivateAdmin(actorId, adminId);
+
+            expect(updateAdmin).toHaveBeenCalledWith(adminId, { isActive: false });
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith(adminId, 'account_deactivated');
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Admin Account Deactivated', expect.any(String));
+            expect(result.isActive).toBe(false);
+        });
+
+        it('should not allow deactivating yourself', async () => {
+            await expect(AdminManagementService.deactivateAdmin(adminId, adminId))
+                .rejects.toThrow('You cannot deactivate your own account');
+        });
+
+        it('should not deactivate the last active super admin', async () => {
+            mockAdmin.role = 'super_admin';
+            countAdmins.mockResolvedValue(1);
+
+            await expect(AdminManagementService.deactivateAdmin(actorId, adminId))
+                .rejects.toThrow('At least one active super admin is required');
+            expect(updateAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should throw error if admin is already deactivated', async () => {
+            mockAdmin.isActive = false;
+
+            await expect(AdminManagementService.deactivateAdmin(actorId, adminId))
+                .rejects.toThrow('Admin is already deactivated');
+        });
+    });
+
+    describe('reactivateAdmin', () => {
+        it('should reactivate a deactivated admin', async () => {
+            mockAdmin.isActive = false;
+
+            const result = await AdminManagementService.reactivateAdmin(adminId);
+
+            expect(updateAdmin).toHaveBeenCalledWith(adminId, { isActive: true });
+            expect(result.isActive).toBe(true);
+        });
+
+        it('should throw error if admin is already active', async () => {
+            await expect(AdminManagementService.reactivateAdmin(adminId))
+                .rejects.toThrow('Admin is already active');
+        });
+    });
+
+    describe('unlockAdmin', () => {
+        it('should clear lockouts keyed by email and admin id', async () => {
+            BruteForceService.unlockAccount.mockResolvedValue({ clearedCount: 2 });
+
+            const result = await AdminManagementService.unlockAdmin(adminId);
+
+            expect(BruteForceService.unlockAccount).toHaveBeenCalledWith(['john@example.com', adminId]);
+            expect(result.clearedCount).toBe(2);
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Admin Account Unlocked', expect.any(String));
+        });
+
+        it('should not notify the admin when nothing was locked', async () => {
+            BruteForceService.unlockAccount.mockResolvedValue({ clearedCount: 0 });
+
+            await AdminManagementService.unlockAdmin(adminId);
+
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should throw error if admin does not exist', async () => {
+            findAdminById.mockResolvedValue(null);
+
+            await expect(AdminManagementService.unlockAdmin(adminId)).rejects.toThrow('Admin not found');
+        });
+    });
+
+    describe('changeRole', () => {
+        it('should promote an admin and force a new login', async () => {
+            const result = await AdminManagementService.changeRole(actorId, adminId, 'super_admin');
+
+            expect(updateAdmin).toHaveBeenCalledWith(adminId, { role: 'super_admin' });
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith(adminId, 'role_changed');
+            expect(result.role).toBe('super_admin');
+        });
+
+        it('should reject invalid roles', async () => {
+            await expect(AdminManagementService.changeRole(actorId, adminId, 'user'))
+                .rejects.toThrow('Invalid role. Must be one of: admin, super_admin');
+        });
+
+        it('should not allow changing your own role', async () => {
+            await expect(AdminManagementService.changeRole(adminId, adminId, 'super_admin'))
+                .rejects.toThrow('You cannot change your own role');
+        });
+
+        it('should not demote the last active super admin', async () => {
+            mockAdmin.role = 'super_admin';
+            countAdmins.mockResolvedValue(1);
+
+            await expect(AdminManagementService.changeRole(actorId, adminId, 'admin'))
+                .rejects.toThrow('At least one active super admin is required');
+            expect(countAdmins).toHaveBeenCalledWith({ role: 'super_admin', isActive: true });
+        });
+
+        it('should allow demoting an inactive super admin', async () => {
+            mockAdmin.role = 'super_admin';
+            mockAdmin.isActive = false;
+            countAdmins.mockResolvedValue(1);
+
+            await AdminManagementService.changeRole(actorId, adminId, 'admin');
+
+            expect(countAdmins).not.toHaveBeenCalled();
+            expect(updateAdmin).toHaveBeenCalledWith(adminId, { role: 'admin' });
+        });
+    });
+
+    describe('deleteAdminAccount', () => {
+        it('should revoke sessions and delete the admin', async () => {
+            const result = await AdminManagementService.deleteAdminAccount(actorId, adminId);
+
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith(adminId, 'account_deleted');
+            expect(deleteAdmin).toHaveBeenCalledWith(adminId);
+            expect(result.message).toBe('Admin deleted successfully');
+        });
+
+        it('should not allow deleting yourself', async () => {
+            await expect(AdminManagementService.deleteAdminAccount(adminId, adminId))
+                .rejects.toThrow('You cannot delete your own account');
+            expect(deleteAdmin).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,247 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const AdminProfileService = require('../../../src/admin/services/AdminProfileService');
+const { findAdminById, updateAdmin } = require('../../../src/admin/data/repositories/adminRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const { checkIfAdminNameTaken, checkIfUserExists } = require('../../../src/utils/validation');
+const BruteForceService = require('../../../src/security/services/BruteForceService');
+
+jest.mock('bcryptjs');
+jest.mock('../../../src/admin/data/repositories/adminRepository');
+jest.mock('../../../src/utils/emailHandler');
+jest.mock('../../../src/utils/validation');
+jest.mock('../../../src/security/services/BruteForceService');
+
+const hashPin = (pin) => crypto.createHash('sha256').update(pin).digest('hex');
+
+describe('AdminProfileService', () => {
+    const adminId = '507f1f77bcf86cd799439011';
+    let mockAdmin;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockAdmin = {
+            _id: adminId,
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john@example.com',
+            password: 'hashedpassword',
+            role: 'admin',
+            isEmailVerified: true,
+            createdAt: '2023-01-01',
+            updatedAt: '2023-01-01',
+            save: jest.fn().mockResolvedValue(true),
+            createEmailVerificationPin: jest.fn(function() {
+                this.emailVerificationPin = hashPin('123456');
+                this.emailVerificationExpire = Date.now() + 15 * 60 * 1000;
+                return '123456';
+            })
+        };
+
+        findAdminById.mockResolvedValue(mockAdmin);
+        checkIfAdminNameTaken.mockResolvedValue();
+        checkIfUserExists.mockResolvedValue();
+        BruteForceService.assertNotLocked.mockResolvedValue();
+        BruteForceService.recordFailure.mockResolvedValue({ accountLocked: false });
+        sendEmail.mockResolvedValue(true);
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('getProfile', () => {
+        it('should return the formatted profile', async () => {
+            const result = await AdminProfileService.getProfile(adminId);
+
+            expect(result).toMatchObject({ id: adminId, fullName: 'John Doe', email: 'john@example.com', pendingEmail: null });
+            expect(result.password).toBeUndefined();
+        });
+
+        it('should throw when the admin does not exist', async () => {
+            findAdminById.mockResolvedValue(null);
+
+            await expect(AdminProfileService.getProfile(adminId)).rejects.toThrow('Admin not found');
+        });
+    });
+
+    describe('updateProfile', () => {
+        it('should update only the name fields', async () => {
+            updateAdmin.mockResolvedValue({ ...mockAdmin, firstName: 'Johnny' });
+
+            const result = await AdminProfileService.updateProfile(adminId, { firstName: ' Johnny ', role: 'super_admin' });
+
+            expect(checkIfAdminNameTaken).toHaveBeenCalledWith('Johnny', 'Doe', adminId);
+            expect(updateAdmin).toHaveBeenCalledWith(adminId, { firstName: 'Johnny' });
+            expect(result.firstName).toBe('Johnny');
+        });
+
+        it('should surface model validation messages', async () => {
+            const validationError = new Error('Validation failed');
+            validationError.name = 'ValidationError';
+            validationError.errors = { firstName: { message: 'First name can only contain alphabets' } };
+            updateAdmin.mockRejectedValue(validationError);
+
+            await expect(AdminProfileService.updateProfile(adminId, { firstName: 'J0hn' }))
+                .rejects.toThrow('First name can only contain alphabets');
+        });
+
+        it('should reject a taken name combination', async () => {
+            checkIfAdminNameTaken.mockRejectedValue(new Error('An admin with this name combination already exists. Please use a different name.'));
+
+            await expect(AdminProfileService.updateProfile(adminId, { lastName: 'Smith' }))
+                .rejects.toThrow('An admin with this name combination already exists');
+            expect(updateAdmin).not.toHaveBeenCalled();
+        });
+
+        it('should reject updates without profile fields', async () => {
+            await expect(AdminProfileService.updateProfile(adminId, { email: 'x@example.com' }))
+                .rejects.toThrow('No valid fields to update');
+        });
+    });
+
+    describe('updateProfileAndEmail', () => {
+        it('should store the pending email and notify both addresses', async () => {
+            bcrypt.compare.mockResolvedValue(true);
+
+            const result = await AdminProfileService.updateProfileAndEmail(adminId, {}, ' New@Example.com ', 'password');
+
+            expect(checkIfUserExists).toHaveBeenCalledWith('new@example.com');
+            expect(mockAdmin.pendingEmail).toBe('new@example.com');
+            expect(mockAdmin.email).toBe('john@example.com');
+            expect(mockAdmin.createEmailVerificationPin).toHaveBeenCalled();
+            expect(sendEmail).toHaveBeenCalledWith('new@example.com', 'Confirm Your New Email Address', expect.stringContaining('123456'));
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Email Change Requested', expect.stringContaining('new@example.com'));
+            expect(result.pendingEmail).toBe('new@example.com');
+        });
+
+        it('should save the name and the pending email together', async () => {
+            bcrypt.compare.mockResolvedValue(true);
+
+            const result = await AdminProfileService.updateProfileAndEmail(adminId, { firstName: ' Johnny ' }, 'new@example.com', 'password');
+
+            expect(checkIfAdminNameTaken).toHaveBeenCalledWith('Johnny', 'Doe', adminId);
+            expect(mockAdmin.save).toHaveBeenCalledTimes(1);
+            expect(updateAdmin).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ firstName: 'Johnny', pendingEmail: 'new@example.com' });
+        });
+
+        it('should leave the name unchanged when the email change is rejected', async () => {
+            bcrypt.compare.mockResolvedValue(false);
+
+            await expect(AdminProfileService.updateProfileAndEmail(adminId, { firstName: 'Johnny' }, 'new@example.com', 'wrong'))
+                .rejects.toThrow('Current password is incorrect');
+            expect(mockAdmin.firstName).toBe('John');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should not start an email change when the name is taken', async () => {
+            checkIfAdminNameTaken.mockRejectedValue(new Error('An admin with this name combination already exists. Please use a different name.'));
+
+            await expect(AdminProfileService.updateProfileAndEmail(adminId, { lastName: 'Smith' }, 'new@example.com', 'password'))
+                .rejects.toThrow('An admin with this name combination already exists');
+            expect(mockAdmin.createEmailVerificationPin).not.toHaveBeenCalled();
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should require the current password for a new email', async () => {
+            await expect(AdminProfileService.updateProfileAndEmail(adminId, {}, 'new@example.com'))
+                .rejects.toThrow('Current password is required to change your email');
+            expect(bcrypt.compare).not.toHaveBeenCalled();
+        });
+
+        it('should reject an email that is already in use', async () => {
+            bcrypt.compare.mockResolvedValue(true);
+            checkIfUserExists.mockRejectedValue(new Error('Email is already in use'));
+
+            await expect(AdminProfileService.updateProfileAndEmail(adminId, {}, 'taken@example.com', 'password'))
+                .rejects.toThrow('Email is already in use');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should only update the name when the email is unchanged', async () => {
+            const result = await AdminProfileService.updateProfileAndEmail(adminId, { firstName: 'Johnny' }, 'JOHN@example.com');
+
+            expect(bcrypt.compare).not.toHaveBeenCalled();
+            expect(mockAdmin.createEmailVerificationPin).not.toHaveBeenCalled();
+            expect(sendEmail).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ firstName: 'Johnny', pendingEmail: null });
+        });
+
+        it('should surface model validation messages without saving part of the change', async () => {
+            bcrypt.compare.mockResolvedValue(true);
+            const validationError = new Error('Validation failed');
+            validationError.name = 'ValidationError';
+            validationError.errors = { firstName: { message: 'First name can only contain alphabets' } };
+            mockAdmin.save.mockRejectedValue(validationError);
+
+            await expect(AdminProfileService.updateProfileAndEmail(adminId, { firstName: 'J0hn' }, 'new@example.com', 'password'))
+                .rejects.toThrow('First name can only contain alphabets');
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('confirmEmailChange', () => {
+        beforeEach(() => {
+            mockAdmin.pendingEmail = 'new@example.com';
+            mockAdmin.emailVerificationPin = hashPin('123456');
+            mockAdmin.emailVerificationExpire = Date.now() + 60 * 1000;
+        });
+
+        it('should switch the email and notify the old address', async () => {
+            const result = await AdminProfileService.confirmEmailChange(adminId, '123456', { ipAddress: '10.0.0.1' });
+
+            expect(mockAdmin.email).toBe('new@example.com');
+            expect(mockAdmin.pendingEmail).toBeUndefined();
+            expect(mockAdmin.emailVerificationPin).toBeUndefined();
+            expect(mockAdmin.save).toHaveBeenCalled();
+            expect(BruteForceService.recordSuccess).toHaveBeenCalledWith('verify_email', { account: adminId, ip: '10.0.0.1' });
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Admin Email Changed', expect.stringContaining('new@example.com'));
+            expect(result.email).toBe('new@example.com');
+        });
+
+        it('should record a failed attempt for a wrong PIN', async () => {
+            await expect(AdminProfileService.confirmEmailChange(adminId, '654321', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid or expired verification PIN');
+
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('verify_email', { account: adminId, ip: '10.0.0.1' });
+            expect(mockAdmin.email).toBe('john@example.com');
+        });
+
+        it('should reject an expired PIN', async () => {
+            mockAdmin.emailVerificationExpire = Date.now() - 1000;
+
+            await expect(AdminProfileService.confirmEmailChange(adminId, '123456'))
+                .rejects.toThrow('Invalid or expired verification PIN');
+        });
+
+        it('should fail when the address was claimed in the meantime', async () => {
+            checkIfUserExists.mockRejectedValue(new Error('Email is already in use'));
+
+            await expect(AdminProfileService.confirmEmailChange(adminId, '123456'))
+                .rejects.toThrow('Email is already in use');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+
+        it('should require a pending change', async () => {
+            mockAdmin.pendingEmail = undefined;
+
+            await expect(AdminProfileService.confirmEmailChange(adminId, '123456'))
+                .rejects.toThrow('No email change is pending');
+        });
+    });
+
+    describe('cancelEmailChange', () => {
+        it('should clear the pending email', async () => {
+            mockAdmin.pendingEmail = 'new@example.com';
+
+            const result = await AdminProfileService.cancelEmailChange(adminId);
+
+            expect(mockAdmin.pendingEmail).toBeUndefined();
+            expect(result.pendingEmail).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,192 @@
+const ImpersonationService = require('../../../src/admin/services/ImpersonationService');
+const { findAdminById } = require('../../../src/admin/data/repositories/adminRepository');
+const { createAuditLog, findAuditLogs } = require('../../../src/audit/data/repositories/auditLogRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const { signToken } = require('../../../src/utils/jwtHandler');
+const SessionService = require('../../../src/session/services/SessionService');
+
+jest.mock('../../../src/admin/data/repositories/adminRepository');
+jest.mock('../../../src/audit/data/repositories/auditLogRepository');
+jest.mock('../../../src/utils/emailHandler');
+jest.mock('../../../src/utils/jwtHandler');
+jest.mock('../../../src/session/services/SessionService');
+
+describe('ImpersonationService', () => {
+    const superAdminId = '507f1f77bcf86cd799439011';
+    const targetId = '507f1f77bcf86cd799439022';
+    const sessionId = '507f1f77bcf86cd799439099';
+    let superAdmin, target;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        superAdmin = {
+            _id: superAdminId,
+            firstName: 'Sue',
+            lastName: 'Perr',
+            email: 'sue@example.com',
+            role: 'super_admin',
+            isActive: true
+        };
+        target = {
+            _id: targetId,
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john@example.com',
+            role: 'admin',
+            isActive: true
+        };
+
+        findAdminById.mockImplementation(async (id) => ({ [superAdminId]: superAdmin, [targetId]: target }[String(id)] || null));
+        SessionService.createSession.mockResolvedValue({ session: { _id: sessionId }, refreshToken: 'unused' });
+        signToken.mockReturnValue('impersonation.jwt');
+        createAuditLog.mockResolvedValue({});
+        sendEmail.mockResolvedValue(true);
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('startImpersonation', () => {
+        const context = { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+
+        it('should issue a short-lived token for a session owned by the target', async () => {
+            const result = await ImpersonationService.startImpersonation(superAdminId, targetId, ' Cannot see items ', context);
+
+            expect(SessionService.createSession).toHaveBeenCalledWith(targetId, 'Admin', context, {
+                expiresAt: expect.any(Date),
+                impersonator: superAdminId,
+                impersonationReason: 'Cannot see items'
+            });
+            expect(signToken).toHaveBeenCalledWith(
+                { id: targetId, role: 'admin', sid: sessionId, act: { sub: superAdminId } },
+                { expiresIn: '30m' }
+            );
+            expect(result).toEqual(expect.objectContaining({
+                token: 'impersonation.jwt',
+                expiresIn: '30m',
+                impersonating: { id: targetId, fullName: 'John Doe', email: 'john@example.com', role: 'admin' }
+            }));
+            expect(result.refreshToken).toBeUndefined();
+        });
+
+        it('should record the start in the audit log and notify the target', async () => {
+            await ImpersonationService.startImpersonation(superAdminId, targetId, 'Cannot see items', context);
+
+            expect(createAuditLog).toHaveBeenCalledWith({
+                action: 'impersonation.started',
+                actor: superAdminId,
+                subject: targetId,
+                session: sessionId,
+                reason: 'Cannot see items',
+                ipAddress: '10.0.0.1',
+                userAgent: 'Mozilla/5.0'
+            });
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'Your Admin Account Is Being Accessed by Support',
+                expect.stringContaining('Sue Perr (sue@example.com)')
+            );
+        });
+
+        it('should require a reason', async () => {
+            await expect(ImpersonationService.startImpersonation(superAdminId, targetId, '   '))
+                .rejects.toThrow('A reason is required to impersonate an admin');
+        });
+
+        it('should not impersonate yourself', async () => {
+            await expect(ImpersonationService.startImpersonation(superAdminId, superAdminId, 'Testing'))
+                .rejects.toThrow('You cannot impersonate yourself');
+        });
+
+        it('should not impersonate super admins', async () => {
+            target.role = 'super_admin';
+
+            await expect(ImpersonationService.startImpersonation(superAdminId, targetId, 'Testing'))
+                .rejects.toThrow('Only admins without super admin rights can be impersonated');
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should not impersonate deactivated admins', async () => {
+            target.isActive = false;
+
+            await expect(ImpersonationService.startImpersonation(superAdminId, targetId, 'Testing'))
+                .rejects.toThrow('Deactivated admins cannot be impersonated');
+        });
+
+        it('should throw when the target does not exist', async () => {
+            await expect(ImpersonationService.startImpersonation(superAdminId, 'not-an-id', 'Testing'))
+                .rejects.toThrow('Admin not found');
+        });
+    });
+
+    describe('endImpersonation', () => {
+        it('should revoke the impersonation session and record it', async () => {
+            const user = { id: targetId, sid: sessionId, impersonatorId: superAdminId };
+
+            const result = await ImpersonationService.endImpersonation(user, { ipAddress: '10.0.0.1' });
+
+            expect(SessionService.revokeSession).toHaveBeenCalledWith(sessionId, 'impersonation_ended');
+            expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'impersonation.ended',
+                actor: superAdminId,
+                subject: targetId,
+                session: sessionId
+            }));
+            expect(result.message).toBe('Impersonation ended');
+        });
+
+        it('should reject regular sessions', async () => {
+            await expect(ImpersonationService.endImpersonation({ id: targetId, sid: sessionId }))
+                .rejects.toThrow('You are not impersonating anyone');
+            expect(SessionService.revokeSession).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordRequest', () => {
+        const user = { id: targetId, sid: sessionId, impersonatorId: superAdminId };
+
+        it('should write the request to the audit log', async () => {
+            await ImpersonationService.recordRequest(user, { method: 'GET', path: '/api/workitems/my/assigned', statusCode: 200 }, { ipAddress: '10.0.0.1' });
+
+            expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'impersonation.request',
+                actor: superAdminId,
+                subject: targetId,
+                session: sessionId,
+                method: 'GET',
+                path: '/api/workitems/my/assigned',
+                statusCode: 200
+            }));
+        });
+
+        it('should not throw when the audit log cannot be written', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            createAuditLog.mockRejectedValue(new Error('Database down'));
+
+            await expect(ImpersonationService.recordRequest(user, { method: 'GET', path: '/', statusCode: 200 })).resolves.toBeUndefined();
+            expect(consoleSpy).toHaveBeenCalled();
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('listAuditLogs', () => {
+        it('should filter and paginate audit logs', async () => {
+            const entry = { toJSON: () => ({ id: 'log1', action: 'impersonation.request' }) };
+            findAuditLogs.mockResolvedValue({ auditLogs: [entry], total: 1 });
+
+            const result = await ImpersonationService.listAuditLogs({ subject: targetId, action: 'impersonation.request' }, { page: 2, limit: 500 });
+
+            expect(findAuditLogs).toHaveBeenCalledWith({ subject: targetId, action: 'impersonation.request' }, { page: 2, limit: 100 });
+            expect(result).toEqual({ auditLogs: [{ id: 'log1', action: 'impersonation.request' }], page: 2, limit: 100, total: 1 });
+        });
+
+        it('should reject invalid filters', async () => {
+            await expect(ImpersonationService.listAuditLogs({ actor: 'bad' })).rejects.toThrow('Invalid actor ID');
+            await expect(ImpersonationService.listAuditLogs({ action: 'login' })).rejects.toThrow('Invalid action');
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const InvitationService = require('../../../src/admin/services/InvitationService');
+const {
+    createInvitation,
+    findInvitationById,
+    findPendingInvitationByTokenHash,
+    findInvitations,
+    acceptInvitation,
+    updateInvitation,
+    revokePendingInvitationsByEmail
+} = require('../../../src/admin/data/repositories/invitationRepository');
+const { findAdminByEmail } = require('../../../src/admin/data/repositories/adminRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+
+jest.mock('../../../src/admin/data/repositories/invitationRepository');
+jest.mock('../../../src/admin/data/repositories/adminRepository');
+jest.mock('../../../src/utils/emailHandler');
+
+describe('InvitationService', () => {
+    const invitationId = '507f1f77bcf86cd799439021';
+    const inviter = { id: '507f1f77bcf86cd799439001', role: 'admin' };
+    let mockInvitation;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockInvitation = {
+            _id: invitationId,
+            email: 'new@example.com',
+            role: 'admin',
+            status: 'pending',
+            invitedBy: { firstName: 'Jane', lastName: 'Smith', email: 'jane@example.com' },
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            createdAt: '2023-01-01'
+        };
+
+        findAdminByEmail.mockResolvedValue(null);
+        createInvitation.mockImplementation(async (data) => ({ ...mockInvitation, ...data, _id: invitationId }));
+        revokePendingInvitationsByEmail.mockResolvedValue({ modifiedCount: 0 });
+        sendEmail.mockResolvedValue(true);
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('createInvitation', () => {
+        it('should store a hashed token and email the raw token to the invitee', async () => {
+            const result = await InvitationService.createInvitation(inviter, 'New@Example.com');
+
+            expect(revokePendingInvitationsByEmail).toHaveBeenCalledWith('new@example.com');
+            const stored = createInvitation.mock.calls[0][0];
+            expect(stored).toMatchObject({ email: 'new@example.com', role: 'admin', invitedBy: inviter.id });
+            expect(stored.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+            expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+            const emailBody = sendEmail.mock.calls[0][2];
+            expect(sendEmail).toHaveBeenCalledWith('new@example.com', expect.stringContaining('invited'), expect.any(String));
+            expect(emailBody).not.toContain(stored.tokenHash);
+            expect(emailBody).toMatch(/[0-9a-f]{64}/);
+
+            expect(result).toMatchObject({ id: invitationId, email: 'new@example.com', role: 'admin' });
+            expect(result.tokenHash).toBeUndefined();
+        });
+
+        it('should reject an invalid email', async () => {
+            await expect(InvitationService.createInvitation(inviter, 'not-an-email'))
+                .rejects.toThrow('A valid email address is required');
+        });
+
+        it('should reject an invalid role', async () => {
+            await expect(InvitationService.createInvitation(inviter, 'new@example.com', 'user'))
+                .rejects.toThrow('Invalid role');
+        });
+
+        it('should not let an admin invite a super admin', async () => {
+            await expect(InvitationService.createInvitation(inviter, 'new@example.com', 'super_admin'))
+                .rejects.toThrow('Only super admins can invite super admins');
+            expect(createInvitation).not.toHaveBeenCalled();
+        });
+
+        it('should let a super admin invite a super admin', async () => {
+            await InvitationService.createInvitation({ ...inviter, role: 'super_admin' }, 'new@example.com', 'super_admin');
+
+            expect(createInvitation).toHaveBeenCalledWith(expect.objectContaining({ role: 'super_admin' }));
+        });
+
+        it('should reject an email that already belongs to an admin', async () => {
+            findAdminByEmail.mockResolvedValue({ _id: 'existing' });
+
+            await expect(InvitationService.createInvitation(inviter, 'new@example.com'))
+                .rejects.toThrow('An admin with this email already exists');
+        });
+    });
+
+    describe('listInvitations', () => {
+        it('should filter pending invitations', async () => {
+            findInvitations.mockResolvedValue([mockInvitation]);
+
+            const result = await InvitationService.listInvitations('pending');
+
+            expect(findInvitations).toHaveBeenCalledWith({
+                acceptedAt: null,
+                revokedAt: null,
+                expiresAt: { $gt: expect.any(Date) }
+            });
+            expect(result[0]).toMatchObject({ id: invitationId, status: 'pending' });
+            expect(result[0].invitedBy.fullName).toBe('Jane Smith');
+        });
+
+        it('should list every invitation without a status', async () => {
+            findInvitations.mockResolvedValue([]);
+
+            await InvitationService.listInvitations();
+
+            expect(findInvitations).toHaveBeenCalledWith({});
+        });
+
+        it('should reject an unknown status', async () => {
+            await expect(InvitationService.listInvitations('unknown')).rejects.toThrow('Invalid status');
+        });
+    });
+
+    describe('revokeInvitation', () => {
+        it('should revoke a pending invitation', async () => {
+            findInvitationById.mockResolvedValue(mockInvitation);
+            updateInvitation.mockResolvedValue({ ...mockInvitation, status: 'revoked', revokedAt: new Date() });
+
+            const result = await InvitationService.revokeInvitation(invitationId);
+
+            expect(updateInvitation).toHaveBeenCalledWith(invitationId, { $set: { revokedAt: expect.any(Date) } });
+            expect(result.status).toBe('revoked');
+        });
+
+        it('should throw when the invitation does not exist', async () => {
+            findInvitationById.mockResolvedValue(null);
+
+            await expect(InvitationService.revokeInvitation(invitationId)).rejects.toThrow('Invitation not found');
+        });
+
+        it('should not revoke an accepted invitation', async () => {
+            findInvitationById.mockResolvedValue({ ...mockInvitation, acceptedAt: new Date() });
+
+            await expect(InvitationService.revokeInvitation(invitationId))
+                .rejects.toThrow('Invitation has already been accepted');
+        });
+    });
+
+    describe('validateInvitation', () => {
+        it('should return the invited email and role', async () => {
+            findPendingInvitationByTokenHash.mockResolvedValue(mockInvitation);
+
+            const result = await InvitationService.validateInvitation('rawtoken');
+
+            expect(findPendingInvitationByTokenHash).toHaveBeenCalledWith(expect.stringMatching(/^[0-9a-f]{64}$/));
+            expect(result).toEqual({ email: 'new@example.com', role: 'admin', expiresAt: mockInvitation.expiresAt });
+        });
+
+        it('should reject an unknown or expired token', async () => {
+            findPendingInvitationByTokenHash.mockResolvedValue(null);
+
+            await expect(InvitationService.validateInvitation('rawtoken')).rejects.toThrow('Invalid or expired invitation');
+        });
+    });
+
+    describe('acceptInvitation', () => {
+        it('should consume the invitation for the invited email', async () => {
+            findPendingInvitationByTokenHash.mockResolvedValue(mockInvitation);
+            acceptInvitation.mockResolvedValue({ ...mockInvitation, acceptedAt: new Date() });
+
+            const result = await InvitationService.acceptInvitation('rawtoken', 'NEW@example.com');
+
+            expect(acceptInvitation).toHaveBeenCalledWith(findPendingInvitationByTokenHash.mock.calls[0][0]);
+            expect(result.acceptedAt).toBeInstanceOf(Date);
+        });
+
+        it('should reject a different email address', async () => {
+            findPendingInvitationByTokenHash.mockResolvedValue(mockInvitation);
+
+            await expect(InvitationService.acceptInvitation('rawtoken', 'other@example.com'))
+                .rejects.toThrow('This invitation was issued for a different email address');
+            expect(acceptInvitation).not.toHaveBeenCalled();
+        });
+
+        it('should reject an invitation consumed by a concurrent signup', async () => {
+            findPendingInvitationByTokenHash.mockResolvedValue(mockInvitation);
+            acceptInvitation.mockResolvedValue(null);
+
+            await expect(InvitationService.acceptInvitation('rawtoken', 'new@example.com'))
+                .rejects.toThrow('Invalid or expired invitation');
+        });
+    });
+
+    describe('releaseInvitation', () => {
+        it('should make the invitation usable again', async () => {
+            await InvitationService.releaseInvitation(invitationId);
+
+            expect(updateInvitation).toHaveBeenCalledWith(invitationId, { $unset: { acceptedAt: 1 } });
+        });
+    });
+});
@@ -0,0 +1,215 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const TwoFactorService = require('../../../src/admin/services/TwoFactorService');
+const { findAdminById } = require('../../../src/admin/data/repositories/adminRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const { generateSecret, generateCode } = require('../../../src/utils/totp');
+
+jest.mock('bcryptjs');
+jest.mock('../../../src/admin/data/repositories/adminRepository');
+jest.mock('../../../src/utils/emailHandler');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('TwoFactorService', () => {
+    let mockAdmin;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockAdmin = {
+            _id: 'admin123',
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john@example.com',
+            password: 'hashedpassword',
+            twoFactorEnabled: false,
+            save: jest.fn().mockResolvedValue(true)
+        };
+
+        findAdminById.mockResolvedValue(mockAdmin);
+        sendEmail.mockResolvedValue(true);
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('beginEnrollment', () => {
+        it('should store a pending secret and return an otpauth URI', async () => {
+            const result = await TwoFactorService.beginEnrollment('admin123');
+
+            expect(result.secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(result.otpauthUri).toContain(`otpauth://totp/Heunets%3Ajohn%40example.com?secret=${result.secret}`);
+            expect(mockAdmin.twoFactorPendingSecret).toBe(result.secret);
+            expect(mockAdmin.twoFactorEnabled).toBe(false);
+            expect(mockAdmin.save).toHaveBeenCalled();
+        });
+
+        it('should reject admins who already have two-factor enabled', async () => {
+            mockAdmin.twoFactorEnabled = true;
+
+            await expect(TwoFactorService.beginEnrollment('admin123'))
+                .rejects.toThrow('Two-factor authentication is already enabled');
+        });
+
+        it('should throw when the admin does not exist', async () => {
+            findAdminById.mockResolvedValue(null);
+
+            await expect(TwoFactorService.beginEnrollment('missing')).rejects.toThrow('Admin not found');
+        });
+    });
+
+    describe('confirmEnrollment', () => {
+        it('should enable two-factor and return hashed-at-rest recovery codes', async () => {
+            const secret = generateSecret();
+            mockAdmin.twoFactorPendingSecret = secret;
+
+            const result = await TwoFactorService.confirmEnrollment('admin123', generateCode(secret));
+
+            expect(mockAdmin.twoFactorEnabled).toBe(true);
+            expect(mockAdmin.twoFactorSecret).toBe(secret);
+            expect(mockAdmin.twoFactorPendingSecret).toBeUndefined();
+            expect(result.recoveryCodes).toHaveLength(10);
+            expect(mockAdmin.twoFactorRecoveryCodes).toEqual(result.recoveryCodes.map(hashRecoveryCode));
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Two-Factor Authentication Enabled', expect.any(String));
+        });
+
+        it('should reject an invalid code', async () => {
+            mockAdmin.twoFactorPendingSecret = generateSecret();
+
+            await expect(TwoFactorService.confirmEnrollment('admin123', 'abcdef'))
+                .rejects.toThrow('Invalid authentication code');
+            expect(mockAdmin.twoFactorEnabled).toBe(false);
+        });
+
+        it('should require setup to have been started', async () => {
+            await expect(TwoFactorService.confirmEnrollment('admin123', '123456'))
+                .rejects.toThrow('Two-factor setup has not been started');
+        });
+    });
+
+    describe('verifyLoginCode', () => {
+        let secret;
+
+        beforeEach(() => {
+            secret = generateSecret();
+            Object.assign(mockAdmin, {
+                twoFactorEnabled: true,
+                twoFactorSecret: secret,
+                twoFactorRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb'), hashRecoveryCode('ccccc-ddddd')]
+            });
+        });
+
+        it('should accept a current TOTP code and remember its time step', async () => {
+            const result = await TwoFactorService.verifyLoginCode(mockAdmin, generateCode(secret));
+
+            expect(result).toEqual({ method: 'totp' });
+            expect(mockAdmin.twoFactorLastUsedStep).toBe(currentStep());
+        });
+
+        it('should reject a TOTP code that was already used', async () => {
+            mockAdmin.twoFactorLastUsedStep = currentStep();
+
+            await expect(TwoFactorService.verifyLoginCode(mockAdmin, generateCode(secret)))
+                .rejects.toThrow('Invalid authentication code');
+        });
+
+        it('should accept a recovery code only once', async () => {
+            const result = await TwoFactorService.verifyLoginCode(mockAdmin, 'AAAAA-BBBBB');
+
+            expect(result).toEqual({ method: 'recovery_code', remainingRecoveryCodes: 1 });
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Recovery Code Used', expect.stringContaining('1 recovery codes left'));
+
+            await expect(TwoFactorService.verifyLoginCode(mockAdmin, 'aaaaa-bbbbb'))
+                .rejects.toThrow('Invalid authentication code');
+        });
+
+        it('should reject an unknown code', async () => {
+            await expect(TwoFactorService.verifyLoginCode(mockAdmin, 'zzzzz-zzzzz'))
+                .rejects.toThrow('Invalid authentication code');
+        });
+
+        it('should reject codes that are not strings', async () => {
+            await expect(TwoFactorService.verifyLoginCode(mockAdmin, { code: 'AAAAA-BBBBB' }))
+                .rejects.toThrow('Authentication code must be a string');
+            expect(mockAdmin.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('disable', () => {
+        beforeEach(() => {
+            Object.assign(mockAdmin, {
+                twoFactorEnabled: true,
+                twoFactorSecret: generateSecret(),
+                twoFactorRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb')]
+            });
+        });
+
+        it('should clear two-factor settings with a valid password and code', async () => {
+            bcrypt.compare.mockResolvedValue(true);
+
+            await TwoFactorService.disable('admin123', 'password123', 'aaaaa-bbbbb');
+
+            expect(mockAdmin.twoFactorEnabled).toBe(false);
+            expect(mockAdmin.twoFactorSecret).toBeUndefined();
+            expect(mockAdmin.twoFactorRecoveryCodes).toBeUndefined();
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'Two-Factor Authentication Disabled', expect.any(String));
+        });
+
+        it('should reject a wrong password', async () => {
+            bcrypt.compare.mockResolvedValue(false);
+
+            await expect(TwoFactorService.disable('admin123', 'wrong', 'aaaaa-bbbbb'))
+                .rejects.toThrow('Password is incorrect');
+            expect(mockAdmin.twoFactorEnabled).toBe(true);
+        });
+    });
+
+    describe('regenerateRecoveryCodes', () => {
+        it('should replace the recovery codes when given a valid TOTP code', async () => {
+            const secret = generateSecret();
+            Object.assign(mockAdmin, {
+                twoFactorEnabled: true,
+                twoFactorSecret: secret,
+                twoFactorRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb')]
+            });
+
+            const result = await TwoFactorService.regenerateRecoveryCodes('admin123', generateCode(secret));
+
+            expect(result.recoveryCodes).toHaveLength(10);
+            expect(mockAdmin.twoFactorRecoveryCodes).not.toContain(hashRecoveryCode('aaaaa-bbbbb'));
+        });
+
+        it('should not accept a recovery code as proof', async () => {
+            Object.assign(mockAdmin, {
+                twoFactorEnabled: true,
+                twoFactorSecret: generateSecret(),
+                twoFactorRecoveryCodes: [hashRecoveryCode('aaaaa-bbbbb')]
+            });
+
+            await expect(TwoFactorService.regenerateRecoveryCodes('admin123', 'aaaaa-bbbbb'))
+                .rejects.toThrow('Invalid authentication code');
+        });
+    });
+
+    describe('challenge tokens', () => {
+        it('should round-trip the admin id', () => {
+            const token = TwoFactorService.createChallengeToken('admin123');
+
+            expect(TwoFactorService.verifyChallengeToken(token)).toBe('admin123');
+        });
+
+        it('should reject tokens issued for another purpose', () => {
+            const jwt = require('jsonwebtoken');
+            const token = jwt.sign({ id: 'admin123', role: 'admin' }, process.env.JWT_SECRET);
+
+            expect(() => TwoFactorService.verifyChallengeToken(token)).toThrow('Invalid or expired login challenge');
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const ApiKeyController = require('../../../src/apiKey/controllers/ApiKeyController');
+const ApiKeyService = require('../../../src/apiKey/services/ApiKeyService');
+const { errorResponse, successResponse, notFoundResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/apiKey/services/ApiKeyService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('ApiKeyController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: { id: 'key-id' },
+            user: { id: 'admin-id', role: 'admin', sid: 'session-id' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('createApiKey', () => {
+        it('should create a key for the current admin', async () => {
+            req.body = { name: 'CI', scopes: ['workitem:read'], expiresInDays: 30 };
+            const result = { id: 'key-id', key: 'hk_abcd1234_secret' };
+            ApiKeyService.createApiKey.mockResolvedValue(result);
+
+            await ApiKeyController.createApiKey(req, res);
+
+            expect(ApiKeyService.createApiKey).toHaveBeenCalledWith(req.user, { name: 'CI', scopes: ['workitem:read'], expiresInDays: 30 });
+            expect(successResponse).toHaveBeenCalledWith(res, result, expect.stringContaining('will not be shown again'), 201);
+        });
+
+        it('should require a name and scopes', async () => {
+            req.body = { name: 'CI' };
+
+            await ApiKeyController.createApiKey(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Name and scopes are required', 400);
+            expect(ApiKeyService.createApiKey).not.toHaveBeenCalled();
+        });
+
+        it('should surface validation errors', async () => {
+            req.body = { name: 'CI', scopes: ['admin:manage'] };
+            ApiKeyService.createApiKey.mockRejectedValue(new Error('Invalid scopes: admin:manage'));
+
+            await ApiKeyController.createApiKey(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid scopes: admin:manage', 400);
+        });
+    });
+
+    describe('listApiKeys', () => {
+        it('should list the current admin keys', async () => {
+            ApiKeyService.listApiKeys.mockResolvedValue([]);
+
+            await ApiKeyController.listApiKeys(req, res);
+
+            expect(ApiKeyService.listApiKeys).toHaveBeenCalledWith('admin-id');
+            expect(successResponse).toHaveBeenCalledWith(res, [], 'API keys retrieved successfully');
+        });
+    });
+
+    describe('listScopes', () => {
+        it('should return the scopes the admin can grant', async () => {
+            ApiKeyService.getGrantableScopes.mockReturnValue(['workitem:read']);
+
+            await ApiKeyController.listScopes(req, res);
+
+            expect(ApiKeyService.getGrantableScopes).toHaveBeenCalledWith('admin');
+            expect(successResponse).toHaveBeenCalledWith(res, ['workitem:read'], 'Available scopes retrieved successfully');
+        });
+    });
+
+    describe('revokeApiKey', () => {
+        it('should revoke the key', async () => {
+            const result = { id: 'key-id', isValid: false };
+            ApiKeyService.revokeApiKey.mockResolvedValue(result);
+
+            await ApiKeyController.revokeApiKey(req, res);
+
+            expect(ApiKeyService.revokeApiKey).toHaveBeenCalledWith('admin-id', 'key-id');
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'API key revoked successfully');
+        });
+
+        it('should return 404 for unknown keys', async () => {
+            ApiKeyService.revokeApiKey.mockRejectedValue(new Error('API key not found'));
+
+            await ApiKeyController.revokeApiKey(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'API key');
+        });
+    });
+});
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const ApiKeyService = require('../../../src/apiKey/services/ApiKeyService');
+const {
+    createApiKey,
+    findApiKeyById,
+    findUsableApiKeyByHash,
+    findApiKeysByOwner,
+    touchApiKey,
+    revokeApiKey
+} = require('../../../src/apiKey/data/repositories/apiKeyRepository');
+const { findAdminById } = require('../../../src/admin/data/repositories/adminRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+
+jest.mock('../../../src/apiKey/data/repositories/apiKeyRepository');
+jest.mock('../../../src/admin/data/repositories/adminRepository');
+jest.mock('../../../src/utils/emailHandler');
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+describe('ApiKeyService', () => {
+    const ownerId = '507f1f77bcf86cd799439001';
+    const apiKeyId = '507f1f77bcf86cd799439031';
+    const owner = { id: ownerId, role: 'admin' };
+    let mockAdmin;
+    let mockApiKey;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockAdmin = {
+            _id: ownerId,
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john@example.com',
+            role: 'admin',
+            isActive: true
+        };
+        mockApiKey = {
+            _id: apiKeyId,
+            name: 'CI pipeline',
+            owner: ownerId,
+            prefix: 'abcd1234',
+            scopes: ['workitem:read', 'workitem:create'],
+            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            createdAt: '2023-01-01'
+        };
+
+        findAdminById.mockResolvedValue(mockAdmin);
+        createApiKey.mockImplementation(async (data) => ({ _id: apiKeyId, createdAt: '2023-01-01', ...data }));
+        sendEmail.mockResolvedValue(true);
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('createApiKey', () => {
+        it('should store only the hash and return the raw key once', async () => {
+            const result = await ApiKeyService.createApiKey(owner, {
+                name: ' CI pipeline ',
+                scopes: ['workitem:read', 'workitem:read', 'workitem:create']
+            });
+
+            const stored = createApiKey.mock.calls[0][0];
+            expect(result.key).toMatch(/^hk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+            expect(stored.keyHash).toBe(hashKey(result.key));
+            expect(stored).toMatchObject({ name: 'CI pipeline', owner: ownerId, scopes: ['workitem:read', 'workitem:create'] });
+            expect(result.keyPreview).toBe(`hk_${stored.prefix}_...`);
+            expect(result.keyHash).toBeUndefined();
+            expect(sendEmail).toHaveBeenCalledWith('john@example.com', 'New API Key Created', expect.stringContaining('CI pipeline'));
+        });
+
+        it('should default the expiry', async () => {
+            await ApiKeyService.createApiKey(owner, { name: 'CI', scopes: ['workitem:read'] });
+
+            const { expiresAt } = createApiKey.mock.calls[0][0];
+            const days = (expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+            expect(Math.round(days)).toBe(90);
+        });
+
+        it('should reject an expiry beyond the maximum', async () => {
+            await expect(ApiKeyService.createApiKey(owner, { name: 'CI', scopes: ['workitem:read'], expiresInDays: 400 }))
+                .rejects.toThrow('Expiry must be between 1 and 365 days');
+        });
+
+        it('should reject scopes the owner does not have', async () => {
+            await expect(ApiKeyService.createApiKey(owner, { name: 'CI', scopes: ['admin:manage'] }))
+                .rejects.toThrow('Invalid scopes: admin:manage');
+            expect(createApiKey).not.toHaveBeenCalled();
+        });
+
+        it('should never grant key management to a key', async () => {
+            await expect(ApiKeyService.createApiKey(owner, { name: 'CI', scopes: ['apikey:manage'] }))
+                .rejects.toThrow('Invalid scopes: apikey:manage');
+        });
+
+        it('should require a name and at least one scope', async () => {
+            await expect(ApiKeyService.createApiKey(owner, { scopes: ['workitem:read'] }))
+                .rejects.toThrow('Name is required');
+            await expect(ApiKeyService.createApiKey(owner, { name: 'CI', scopes: [] }))
+                .rejects.toThrow('At least one scope is required');
+        });
+    });
+
+    describe('listApiKeys', () => {
+        it('should format the owner keys', async () => {
+            findApiKeysByOwner.mockResolvedValue([mockApiKey]);
+
+            const result = await ApiKeyService.listApiKeys(ownerId);
+
+            expect(findApiKeysByOwner).toHaveBeenCalledWith(ownerId);
+            expect(result[0]).toMatchObject({ id: apiKeyId, name: 'CI pipeline', keyPreview: 'hk_abcd1234_...', isValid: true });
+        });
+    });
+
+    describe('revokeApiKey', () => {
+        it('should revoke a key owned by the admin', async () => {
+            findApiKeyById.mockResolvedValue(mockApiKey);
+            revokeApiKey.mockResolvedValue({ ...mockApiKey, revokedAt: new Date() });
+
+            const result = await ApiKeyService.revokeApiKey(ownerId, apiKeyId);
+
+            expect(revokeApiKey).toHaveBeenCalledWith(apiKeyId);
+            expect(result.isValid).toBe(false);
+        });
+
+        it('should hide keys owned by someone else', async () => {
+            findApiKeyById.mockResolvedValue({ ...mockApiKey, owner: '507f1f77bcf86cd799439099' });
+
+            await expect(ApiKeyService.revokeApiKey(ownerId, apiKeyId)).rejects.toThrow('API key not found');
+            expect(revokeApiKey).not.toHaveBeenCalled();
+        });
+
+        it('should reject keys that are already revoked', async () => {
+            findApiKeyById.mockResolvedValue({ ...mockApiKey, revokedAt: new Date() });
+
+            await expect(ApiKeyService.revokeApiKey(ownerId, apiKeyId)).rejects.toThrow('API key has already been revoked');
+        });
+    });
+
+    describe('authenticate', () => {
+        const rawKey = 'hk_abcd1234_secretvalue';
+
+        it('should resolve the key, owner and effective scopes', async () => {
+            findUsableApiKeyByHash.mockResolvedValue(mockApiKey);
+
+            const result = await ApiKeyService.authenticate(rawKey, { ipAddress: '10.0.0.1' });
+
+            expect(findUsableApiKeyByHash).toHaveBeenCalledWith(hashKey(rawKey));
+            expect(touchApiKey).toHaveBeenCalledWith(apiKeyId, '10.0.0.1');
+            expect(result).toEqual({ apiKey: mockApiKey, admin: mockAdmin, scopes: ['workitem:read', 'workitem:create'] });
+        });
+
+        it('should not touch a key used within the last minute', async () => {
+            findUsableApiKeyByHash.mockResolvedValue({ ...mockApiKey, lastUsedAt: new Date() });
+
+            await ApiKeyService.authenticate(rawKey);
+
+            expect(touchApiKey).not.toHaveBeenCalled();
+        });
+
+        it('should drop scopes the owner no longer holds', async () => {
+            findUsableApiKeyByHash.mockResolvedValue({ ...mockApiKey, scopes: ['workitem:read', 'admin:manage'] });
+
+            const result = await ApiKeyService.authenticate(rawKey);
+
+            expect(result.scopes).toEqual(['workitem:read']);
+        });
+
+        it('should return null for unknown, revoked or expired keys', async () => {
+            findUsableApiKeyByHash.mockResolvedValue(null);
+
+            await expect(ApiKeyService.authenticate(rawKey)).resolves.toBeNull();
+        });
+
+        it('should return null for malformed keys without a lookup', async () => {
+            await expect(ApiKeyService.authenticate('not-a-key')).resolves.toBeNull();
+            expect(findUsableApiKeyByHash).not.toHaveBeenCalled();
+        });
+    });
+});
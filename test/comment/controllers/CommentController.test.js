@@ -0,0 +1,142 @@
+const CommentController = require('../../../src/comment/controllers/CommentController');
+const CommentService = require('../../../src/comment/services/CommentService');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/comment/services/CommentService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('CommentController', () => {
+    let req, res;
+    const userActor = { id: 'user123', role: 'user', model: 'User' };
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: { id: 'workitem123' },
+            query: {},
+            userDetails: { id: 'user123', role: 'user' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('listComments', () => {
+        it('should return the comment threads', async () => {
+            const threads = [{ id: 'comment123', replies: [] }];
+            CommentService.listComments.mockResolvedValue(threads);
+
+            await CommentController.listComments(req, res);
+
+            expect(CommentService.listComments).toHaveBeenCalledWith('workitem123', userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, threads, 'Comments retrieved successfully');
+        });
+
+        it('should act as the admin when an admin is signed in', async () => {
+            delete req.userDetails;
+            req.admin = { id: 'admin123', role: 'admin' };
+            CommentService.listComments.mockResolvedValue([]);
+
+            await CommentController.listComments(req, res);
+
+            expect(CommentService.listComments).toHaveBeenCalledWith('workitem123', { id: 'admin123', role: 'admin', model: 'Admin' });
+        });
+
+        it('should return 404 when the work item does not exist', async () => {
+            CommentService.listComments.mockRejectedValue(new Error('Work item not found'));
+
+            await CommentController.listComments(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Work item');
+        });
+
+        it('should return 403 when the work item is not visible', async () => {
+            CommentService.listComments.mockRejectedValue(new Error('You do not have permission to access this work item'));
+
+            await CommentController.listComments(req, res);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(res, 'You do not have permission to access this work item');
+        });
+    });
+
+    describe('createComment', () => {
+        it('should post a comment', async () => {
+            req.body = { body: 'Looks good' };
+            const comment = { id: 'comment123', body: 'Looks good' };
+            CommentService.createComment.mockResolvedValue(comment);
+
+            await CommentController.createComment(req, res);
+
+            expect(CommentService.createComment).toHaveBeenCalledWith('workitem123', { body: 'Looks good', parentId: undefined }, userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, comment, 'Comment posted successfully', 201);
+        });
+
+        it('should post a reply', async () => {
+            req.body = { body: 'Agreed', parentId: 'comment123' };
+            CommentService.createComment.mockResolvedValue({ id: 'reply123' });
+
+            await CommentController.createComment(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, { id: 'reply123' }, 'Reply posted successfully', 201);
+        });
+
+        it('should return 400 for validation errors', async () => {
+            CommentService.createComment.mockRejectedValue(new Error('Comment body is required'));
+
+            await CommentController.createComment(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Comment body is required', 400);
+        });
+    });
+
+    describe('updateComment', () => {
+        it('should update the comment', async () => {
+            req.params.commentId = 'comment123';
+            req.body = { body: 'Edited' };
+            CommentService.updateComment.mockResolvedValue({ id: 'comment123', isEdited: true });
+
+            await CommentController.updateComment(req, res);
+
+            expect(CommentService.updateComment).toHaveBeenCalledWith('workitem123', 'comment123', { body: 'Edited' }, userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, { id: 'comment123', isEdited: true }, 'Comment updated successfully');
+        });
+
+        it('should return 403 when editing someone else\'s comment', async () => {
+            req.params.commentId = 'comment123';
+            CommentService.updateComment.mockRejectedValue(new Error('You can only edit your own comments'));
+
+            await CommentController.updateComment(req, res);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(res, 'You can only edit your own comments');
+        });
+    });
+
+    describe('deleteComment', () => {
+        it('should delete the comment', async () => {
+            req.params.commentId = 'comment123';
+            CommentService.deleteComment.mockResolvedValue({ message: 'Comment deleted successfully' });
+
+            await CommentController.deleteComment(req, res);
+
+            expect(CommentService.deleteComment).toHaveBeenCalledWith('workitem123', 'comment123', userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Comment deleted successfully');
+        });
+
+        it('should return 404 when the comment does not exist', async () => {
+            req.params.commentId = 'missing';
+            CommentService.deleteComment.mockRejectedValue(new Error('Comment not found'));
+
+            await CommentController.deleteComment(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Comment');
+        });
+    });
+});
@@ -0,0 +1,261 @@
+const CommentService = require('../../../src/comment/services/CommentService');
+const WorkItemService = require('../../../src/workItem/services/WorkItemService');
+const {
+    createComment,
+    findCommentById,
+    findCommentsByWorkItem,
+    countReplies,
+    updateComment,
+    deleteComment
+} = require('../../../src/comment/data/repositories/commentRepository');
+
+jest.mock('../../../src/comment/data/repositories/commentRepository');
+jest.mock('../../../src/workItem/services/WorkItemService');
+
+describe('CommentService', () => {
+    const workItemId = '507f1f77bcf86cd799439011';
+    const commentId = '507f1f77bcf86cd799439022';
+    const replyId = '507f1f77bcf86cd799439033';
+    const authorId = '507f1f77bcf86cd799439044';
+    const otherUserId = '507f1f77bcf86cd799439055';
+
+    const author = { _id: authorId, firstName: 'John', lastName: 'Doe', email: 'john@example.com' };
+    const userActor = { id: authorId, role: 'user', model: 'User' };
+    const otherUserActor = { id: otherUserId, role: 'user', model: 'User' };
+    const adminActor = { id: '507f1f77bcf86cd799439066', role: 'admin', model: 'Admin' };
+
+    const createMockComment = (overrides = {}) => {
+        const comment = {
+            _id: commentId,
+            workItem: workItemId,
+            parent: null,
+            author,
+            authorModel: 'User',
+            body: 'Looks good to me',
+            isDeleted: false,
+            createdAt: new Date('2026-01-01T10:00:00Z'),
+            ...overrides
+        };
+        comment.toJSON = () => {
+            const { toJSON, _id, ...rest } = comment;
+            return { ...rest, id: String(_id) };
+        };
+        return comment;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        WorkItemService.getWorkItemById.mockResolvedValue({ title: 'Fix login', isActive: true });
+    });
+
+    describe('listComments', () => {
+        it('should nest replies under the comment they answer', async () => {
+            findCommentsByWorkItem.mockResolvedValue([
+                createMockComment(),
+                createMockComment({ _id: replyId, parent: commentId, body: 'Agreed' }),
+                createMockComment({ _id: '507f1f77bcf86cd799439077', body: 'Second thread' })
+            ]);
+
+            const result = await CommentService.listComments(workItemId, userActor);
+
+            expect(WorkItemService.getWorkItemById).toHaveBeenCalledWith(workItemId, userActor);
+            expect(result).toHaveLength(2);
+            expect(result[0].id).toBe(commentId);
+            expect(result[0].replies).toHaveLength(1);
+            expect(result[0].replies[0]).toMatchObject({ id: replyId, parent: commentId, body: 'Agreed' });
+            expect(result[1].replies).toEqual([]);
+        });
+
+        it('should format the author like work item creators', async () => {
+            findCommentsByWorkItem.mockResolvedValue([createMockComment()]);
+
+            const [comment] = await CommentService.listComments(workItemId, userActor);
+
+            expect(comment.author).toEqual({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john@example.com',
+                fullName: 'John Doe'
+            });
+            expect(comment.authorModel).toBeUndefined();
+            expect(comment.isEdited).toBe(false);
+        });
+
+        it('should hide the body and author of deleted comments', async () => {
+            findCommentsByWorkItem.mockResolvedValue([
+                createMockComment({ body: '', isDeleted: true, deletedAt: new Date() }),
+                createMockComment({ _id: replyId, parent: commentId })
+            ]);
+
+            const [comment] = await CommentService.listComments(workItemId, userActor);
+
+            expect(comment.isDeleted).toBe(true);
+            expect(comment.body).toBeNull();
+            expect(comment.author).toBeNull();
+            expect(comment.replies).toHaveLength(1);
+        });
+
+        it('should not list comments on work items the actor cannot see', async () => {
+            WorkItemService.getWorkItemById.mockRejectedValue(new Error('You do not have permission to access this work item'));
+
+            await expect(CommentService.listComments(workItemId, otherUserActor))
+                .rejects.toThrow('You do not have permission to access this work item');
+            expect(findCommentsByWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should reject malformed work item IDs', async () => {
+            await expect(CommentService.listComments('not-an-id', userActor)).rejects.toThrow('Work item not found');
+            expect(WorkItemService.getWorkItemById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createComment', () => {
+        it('should post a comment as the actor', async () => {
+            createComment.mockResolvedValue(createMockComment({ body: 'Ready for review' }));
+
+            const result = await CommentService.createComment(workItemId, { body: '  Ready for review  ' }, userActor);
+
+            expect(createComment).toHaveBeenCalledWith({
+                workItem: workItemId,
+                parent: null,
+                author: authorId,
+                authorModel: 'User',
+                body: 'Ready for review'
+            });
+            expect(result.body).toBe('Ready for review');
+            expect(result.author.fullName).toBe('John Doe');
+        });
+
+        it('should post a reply to a comment on the same work item', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+            createComment.mockResolvedValue(createMockComment({ _id: replyId, parent: commentId }));
+
+            const result = await CommentService.createComment(workItemId, { body: 'Agreed', parentId: commentId }, userActor);
+
+            expect(createComment).toHaveBeenCalledWith(expect.objectContaining({ parent: commentId }));
+            expect(result.parent).toBe(commentId);
+        });
+
+        it('should reject replies to comments on another work item', async () => {
+            findCommentById.mockResolvedValue(createMockComment({ workItem: '507f1f77bcf86cd799439099' }));
+
+            await expect(CommentService.createComment(workItemId, { body: 'Agreed', parentId: commentId }, userActor))
+                .rejects.toThrow('Parent comment not found');
+            expect(createComment).not.toHaveBeenCalled();
+        });
+
+        it('should reject replies to deleted comments', async () => {
+            findCommentById.mockResolvedValue(createMockComment({ isDeleted: true }));
+
+            await expect(CommentService.createComment(workItemId, { body: 'Agreed', parentId: commentId }, userActor))
+                .rejects.toThrow('Cannot reply to a deleted comment');
+        });
+
+        it('should require a body', async () => {
+            await expect(CommentService.createComment(workItemId, { body: '   ' }, userActor))
+                .rejects.toThrow('Comment body is required');
+        });
+
+        it('should reject bodies over the length limit', async () => {
+            await expect(CommentService.createComment(workItemId, { body: 'a'.repeat(2001) }, userActor))
+                .rejects.toThrow('Comment cannot exceed 2000 characters');
+        });
+
+        it('should not allow comments on deleted work items', async () => {
+            WorkItemService.getWorkItemById.mockResolvedValue({ isActive: false });
+
+            await expect(CommentService.createComment(workItemId, { body: 'Hello' }, userActor))
+                .rejects.toThrow('Cannot comment on a deleted work item');
+        });
+    });
+
+    describe('updateComment', () => {
+        it('should update the body and mark the comment as edited', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+            const editedAt = new Date();
+            updateComment.mockResolvedValue(createMockComment({ body: 'Updated text', editedAt }));
+
+            const result = await CommentService.updateComment(workItemId, commentId, { body: 'Updated text' }, userActor);
+
+            expect(updateComment).toHaveBeenCalledWith(commentId, { body: 'Updated text', editedAt: expect.any(Date) });
+            expect(result.isEdited).toBe(true);
+            expect(result.editedAt).toBe(editedAt);
+        });
+
+        it('should not mark unchanged comments as edited', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+
+            const result = await CommentService.updateComment(workItemId, commentId, { body: 'Looks good to me' }, userActor);
+
+            expect(updateComment).not.toHaveBeenCalled();
+            expect(result.isEdited).toBe(false);
+        });
+
+        it('should only let authors edit their comments', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+
+            await expect(CommentService.updateComment(workItemId, commentId, { body: 'Hijacked' }, adminActor))
+                .rejects.toThrow('You can only edit your own comments');
+        });
+
+        it('should not edit deleted comments', async () => {
+            findCommentById.mockResolvedValue(createMockComment({ isDeleted: true }));
+
+            await expect(CommentService.updateComment(workItemId, commentId, { body: 'Back again' }, userActor))
+                .rejects.toThrow('Deleted comments cannot be edited');
+        });
+
+        it('should not find comments through another work item', async () => {
+            findCommentById.mockResolvedValue(createMockComment({ workItem: '507f1f77bcf86cd799439099' }));
+
+            await expect(CommentService.updateComment(workItemId, commentId, { body: 'Updated' }, userActor))
+                .rejects.toThrow('Comment not found');
+        });
+    });
+
+    describe('deleteComment', () => {
+        it('should remove comments without replies', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+            countReplies.mockResolvedValue(0);
+
+            const result = await CommentService.deleteComment(workItemId, commentId, userActor);
+
+            expect(deleteComment).toHaveBeenCalledWith(commentId);
+            expect(result).toEqual({ message: 'Comment deleted successfully' });
+        });
+
+        it('should keep comments with replies in the thread as deleted placeholders', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+            countReplies.mockResolvedValue(2);
+
+            await CommentService.deleteComment(workItemId, commentId, userActor);
+
+            expect(updateComment).toHaveBeenCalledWith(commentId, { body: '', isDeleted: true, deletedAt: expect.any(Date) });
+            expect(deleteComment).not.toHaveBeenCalled();
+        });
+
+        it('should let admins delete comments by others', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+            countReplies.mockResolvedValue(0);
+
+            await CommentService.deleteComment(workItemId, commentId, adminActor);
+
+            expect(deleteComment).toHaveBeenCalledWith(commentId);
+        });
+
+        it('should not let team members delete comments by others', async () => {
+            findCommentById.mockResolvedValue(createMockComment());
+
+            await expect(CommentService.deleteComment(workItemId, commentId, otherUserActor))
+                .rejects.toThrow('You do not have permission to delete this comment');
+            expect(deleteComment).not.toHaveBeenCalled();
+        });
+
+        it('should throw when the comment does not exist', async () => {
+            findCommentById.mockResolvedValue(null);
+
+            await expect(CommentService.deleteComment(workItemId, commentId, userActor))
+                .rejects.toThrow('Comment not found');
+        });
+    });
+});
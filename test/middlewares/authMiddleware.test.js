@@ -0,0 +1,283 @@
+const authMiddleware = require('../../src/middlewares/authMiddleware');
+const { authorize, requireRole, requireSession, denyDuringImpersonation } = require('../../src/middlewares/authMiddleware');
+const Admin = require('../../src/admin/data/models/adminModel');
+const User = require('../../src/user/data/models/userModel');
+const SessionService = require('../../src/session/services/SessionService');
+const ApiKeyService = require('../../src/apiKey/services/ApiKeyService');
+const ImpersonationService = require('../../src/admin/services/ImpersonationService');
+const { verifyToken } = require('../../src/utils/jwtHandler');
+
+jest.mock('../../src/admin/data/models/adminModel');
+jest.mock('../../src/user/data/models/userModel');
+jest.mock('../../src/session/services/SessionService');
+jest.mock('../../src/apiKey/services/ApiKeyService');
+jest.mock('../../src/admin/services/ImpersonationService');
+jest.mock('../../src/utils/jwtHandler');
+
+describe('authMiddleware', () => {
+    const adminId = '507f1f77bcf86cd799439011';
+    const superAdminId = '507f1f77bcf86cd799439022';
+    let req, res, next, finishHandlers;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        finishHandlers = [];
+        req = {
+            headers: { authorization: 'Bearer token', 'user-agent': 'jest' },
+            ip: '203.0.113.7',
+            method: 'GET',
+            originalUrl: '/api/workitems?page=2'
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis(),
+            set: jest.fn(),
+            on: jest.fn((event, handler) => finishHandlers.push(handler)),
+            statusCode: 200
+        };
+        next = jest.fn();
+
+        SessionService.validateSession.mockResolvedValue(true);
+        Admin.findById.mockImplementation(async (id) => ({
+            _id: id,
+            role: id === superAdminId ? 'super_admin' : 'admin',
+            isActive: true
+        }));
+    });
+
+    describe('bearer tokens', () => {
+        it('should attach the admin for a valid session', async () => {
+            verifyToken.mockReturnValue({ id: adminId, role: 'admin', sid: 'session-id' });
+
+            await authMiddleware(req, res, next);
+
+            expect(SessionService.validateSession).toHaveBeenCalledWith('session-id', adminId, { userAgent: 'jest', ipAddress: '203.0.113.7' });
+            expect(req.admin).toMatchObject({ _id: adminId });
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should attach team members as userDetails', async () => {
+            verifyToken.mockReturnValue({ id: adminId, role: 'user', sid: 'session-id' });
+            User.findById.mockResolvedValue({ _id: adminId, isActive: true });
+
+            await authMiddleware(req, res, next);
+
+            expect(req.userDetails).toMatchObject({ _id: adminId });
+            expect(req.admin).toBeUndefined();
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should reject revoked sessions', async () => {
+            verifyToken.mockReturnValue({ id: adminId, role: 'admin', sid: 'session-id' });
+            SessionService.validateSession.mockResolvedValue(false);
+
+            await authMiddleware(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Session has expired or been revoked' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should reject tokens that fail verification', async () => {
+            verifyToken.mockImplementation(() => {
+                throw new Error('invalid signature');
+            });
+
+            await authMiddleware(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Token is not valid' });
+        });
+    });
+
+    describe('API keys', () => {
+        beforeEach(() => {
+            req.headers = { 'x-api-key': 'hk_key', 'user-agent': 'ci' };
+        });
+
+        it('should authenticate with the key scopes and no session', async () => {
+            ApiKeyService.authenticate.mockResolvedValue({
+                apiKey: { _id: 'key-id' },
+                admin: { _id: adminId, role: 'admin', isActive: true },
+                scopes: ['workitem:read']
+            });
+
+            await authMiddleware(req, res, next);
+
+            expect(ApiKeyService.authenticate).toHaveBeenCalledWith('hk_key', { userAgent: 'ci', ipAddress: '203.0.113.7' });
+            expect(verifyToken).not.toHaveBeenCalled();
+            expect(req.user).toEqual({ id: adminId, role: 'admin', apiKeyId: 'key-id', scopes: ['workitem:read'] });
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should reject unknown keys', async () => {
+            ApiKeyService.authenticate.mockResolvedValue(null);
+
+            await authMiddleware(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired API key' });
+        });
+
+        it('should reject keys of deactivated admins', async () => {
+            ApiKeyService.authenticate.mockResolvedValue({
+                apiKey: { _id: 'key-id' },
+                admin: { _id: adminId, role: 'admin', isActive: false },
+                scopes: []
+            });
+
+            await authMiddleware(req, res, next);
+
+            expect(res.json).toHaveBeenCalledWith({ message: 'Account has been deactivated' });
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('impersonation', () => {
+        beforeEach(() => {
+            verifyToken.mockReturnValue({ id: adminId, role: 'admin', sid: 'session-id', act: { sub: superAdminId } });
+        });
+
+        it('should record the impersonator and audit the request', async () => {
+            await authMiddleware(req, res, next);
+
+            expect(req.user.impersonatorId).toBe(superAdminId);
+            expect(req.impersonator).toMatchObject({ _id: superAdminId });
+            expect(res.set).toHaveBeenCalledWith('X-Impersonated-By', superAdminId);
+            expect(next).toHaveBeenCalled();
+
+            res.statusCode = 204;
+            finishHandlers.forEach(handler => handler());
+
+            expect(ImpersonationService.recordRequest).toHaveBeenCalledWith(
+                req.user,
+                { method: 'GET', path: '/api/workitems', statusCode: 204 },
+                { userAgent: 'jest', ipAddress: '203.0.113.7' }
+            );
+        });
+
+        it('should stop the impersonation once the impersonator is deactivated', async () => {
+            Admin.findById.mockImplementation(async (id) => ({
+                _id: id,
+                role: id === superAdminId ? 'super_admin' : 'admin',
+                isActive: id !== superAdminId
+            }));
+
+            await authMiddleware(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Impersonation is no longer permitted' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should stop the impersonation once the impersonator loses the permission', async () => {
+            Admin.findById.mockImplementation(async (id) => ({ _id: id, role: 'admin', isActive: true }));
+
+            await authMiddleware(req, res, next);
+
+            expect(res.json).toHaveBeenCalledWith({ message: 'Impersonation is no longer permitted' });
+        });
+    });
+
+    describe('authorize', () => {
+        it('should allow roles with the permission', () => {
+            req.user = { id: adminId, role: 'admin' };
+
+            authorize('workitem:read:any')(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should limit API keys to their scopes', () => {
+            req.user = { id: adminId, role: 'admin', apiKeyId: 'key-id', scopes: ['workitem:read'] };
+
+            authorize('workitem:read:any')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Insufficient permissions' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should not let scopes grant more than the owner role', () => {
+            req.user = { id: adminId, role: 'user', apiKeyId: 'key-id', scopes: ['workitem:read:any'] };
+
+            authorize('workitem:read:any')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('requireRole', () => {
+        it('should require authentication', () => {
+            requireRole('user')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Authentication required' });
+        });
+
+        it('should reject other roles', () => {
+            req.user = { id: adminId, role: 'admin' };
+
+            requireRole('user')(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should accept any listed role', () => {
+            req.user = { id: adminId, role: 'super_admin' };
+
+            requireRole('admin', 'super_admin')(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+        });
+    });
+
+    describe('requireSession', () => {
+        it('should accept signed-in sessions', () => {
+            req.user = { id: adminId, role: 'admin', sid: 'session-id' };
+
+            requireSession(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('should reject API keys', () => {
+            req.user = { id: adminId, role: 'admin', apiKeyId: 'key-id', scopes: [] };
+
+            requireSession(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: 'This action requires a signed-in session' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should reject tokens without a session', () => {
+            req.user = { id: adminId, role: 'admin' };
+
+            requireSession(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('denyDuringImpersonation', () => {
+        it('should block account settings while impersonating', () => {
+            req.user = { id: adminId, role: 'admin', sid: 'session-id', impersonatorId: superAdminId };
+
+            denyDuringImpersonation(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should let the account owner through', () => {
+            req.user = { id: adminId, role: 'admin', sid: 'session-id' };
+
+            denyDuringImpersonation(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+        });
+    });
+});
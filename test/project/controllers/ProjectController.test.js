@@ -0,0 +1,110 @@
+const ProjectController = require('../../../src/project/controllers/ProjectController');
+const ProjectService = require('../../../src/project/services/ProjectService');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/project/services/ProjectService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('ProjectController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: {},
+            query: {},
+            admin: { id: 'admin123', role: 'admin' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('listProjects', () => {
+        it('should list the projects visible to the caller', async () => {
+            ProjectService.listProjects.mockResolvedValue([{ key: 'GEN' }]);
+
+            await ProjectController.listProjects(req, res);
+
+            expect(ProjectService.listProjects).toHaveBeenCalledWith({ id: 'admin123', role: 'admin', model: 'Admin' });
+            expect(successResponse).toHaveBeenCalledWith(res, [{ key: 'GEN' }], 'Projects retrieved successfully');
+        });
+    });
+
+    describe('getProject', () => {
+        it('should return 404 for unknown projects', async () => {
+            req.params.id = 'NOPE';
+            ProjectService.getProject.mockRejectedValue(new Error('Project not found'));
+
+            await ProjectController.getProject(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Project');
+        });
+
+        it('should return 403 for non-members', async () => {
+            req.params.id = 'PLAT';
+            ProjectService.getProject.mockRejectedValue(new Error('You are not a member of this project'));
+
+            await ProjectController.getProject(req, res);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(res, 'You are not a member of this project');
+        });
+    });
+
+    describe('createProject', () => {
+        it('should pass only the project details to the service', async () => {
+            req.body = { key: 'PLAT', name: 'Platform', members: ['jane@example.com'], isDefault: true };
+            ProjectService.createProject.mockResolvedValue({ key: 'PLAT' });
+
+            await ProjectController.createProject(req, res);
+
+            expect(ProjectService.createProject).toHaveBeenCalledWith({
+                key: 'PLAT',
+                name: 'Platform',
+                description: undefined,
+                members: ['jane@example.com'],
+                defaultAssignee: undefined
+            });
+            expect(successResponse).toHaveBeenCalledWith(res, { key: 'PLAT' }, 'Project created successfully', 201);
+        });
+
+        it('should return 409 for duplicate keys', async () => {
+            ProjectService.createProject.mockRejectedValue(new Error('A project with this key already exists'));
+
+            await ProjectController.createProject(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'A project with this key already exists', 409);
+        });
+    });
+
+    describe('removeMember', () => {
+        it('should return 404 for accounts outside the project', async () => {
+            req.params = { id: 'PLAT', accountId: 'user123' };
+            ProjectService.removeMember.mockRejectedValue(new Error('Member not found'));
+
+            await ProjectController.removeMember(req, res);
+
+            expect(ProjectService.removeMember).toHaveBeenCalledWith('PLAT', 'user123');
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Member');
+        });
+    });
+
+    describe('deleteProject', () => {
+        it('should return 409 while the project still holds work items', async () => {
+            req.params.id = 'PLAT';
+            ProjectService.deleteProject.mockRejectedValue(new Error('Move or permanently delete the work items in this project first'));
+
+            await ProjectController.deleteProject(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Move or permanently delete the work items in this project first', 409);
+        });
+    });
+});
@@ -0,0 +1,259 @@
+const ProjectService = require('../../../src/project/services/ProjectService');
+const {
+    createProject,
+    findProjectById,
+    findProjectByKey,
+    findAllProjects,
+    findProjectIdsByMember,
+    ensureDefaultProject,
+    incrementItemCounter,
+    updateProject,
+    deleteProject
+} = require('../../../src/project/data/repositories/projectRepository');
+const { countWorkItemsByFilters } = require('../../../src/workItem/data/repositories/workItemRepository');
+const Admin = require('../../../src/admin/data/models/adminModel');
+const User = require('../../../src/user/data/models/userModel');
+
+jest.mock('../../../src/project/data/repositories/projectRepository');
+jest.mock('../../../src/workItem/data/repositories/workItemRepository');
+jest.mock('../../../src/admin/data/models/adminModel');
+jest.mock('../../../src/user/data/models/userModel');
+
+describe('ProjectService', () => {
+    const projectId = '64b7f0c2a1b2c3d4e5f60002';
+    const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+    const member = { id: '507f1f77bcf86cd799439055', role: 'user', model: 'User' };
+    const outsider = { id: '507f1f77bcf86cd799439033', role: 'user', model: 'User' };
+
+    const memberAccount = { _id: member.id, firstName: 'Jane', lastName: 'Smith', email: 'jane@example.com', isEmailVerified: true };
+
+    const createMockProject = (overrides = {}) => {
+        const project = {
+            _id: projectId,
+            key: 'PLAT',
+            name: 'Platform',
+            description: '',
+            members: [{ account: memberAccount, accountModel: 'User' }],
+            defaultAssignee: null,
+            isDefault: false,
+            ...overrides
+        };
+        project.toJSON = () => {
+            const { toJSON, _id, ...rest } = project;
+            return { ...rest, id: String(_id) };
+        };
+        return project;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        findProjectByKey.mockResolvedValue(null);
+        countWorkItemsByFilters.mockResolvedValue(0);
+        createProject.mockImplementation(async (data) => createMockProject(data));
+        updateProject.mockImplementation(async (id, data) => createMockProject(data));
+        Admin.findOne.mockResolvedValue(null);
+        User.findOne.mockImplementation(async ({ email }) => (email === 'jane@example.com' ? memberAccount : null));
+    });
+
+    afterEach(() => {
+        findProjectById.mockReset();
+        findProjectByKey.mockReset();
+        findProjectIdsByMember.mockReset();
+    });
+
+    describe('resolveProject', () => {
+        it('should fall back to the default project', async () => {
+            const defaultProject = createMockProject({ key: 'GEN', isDefault: true });
+            ensureDefaultProject.mockResolvedValue(defaultProject);
+
+            await expect(ProjectService.resolveProject()).resolves.toBe(defaultProject);
+            expect(ensureDefaultProject).toHaveBeenCalledWith({ key: 'GEN', name: 'General' });
+        });
+
+        it('should look projects up by ID or key', async () => {
+            const project = createMockProject();
+            findProjectById.mockResolvedValue(project);
+            findProjectByKey.mockResolvedValue(project);
+
+            await expect(ProjectService.resolveProject(projectId)).resolves.toBe(project);
+            await expect(ProjectService.resolveProject(' plat ')).resolves.toBe(project);
+            expect(findProjectByKey).toHaveBeenCalledWith('PLAT');
+        });
+
+        it('should reject unknown projects', async () => {
+            await expect(ProjectService.resolveProject('NOPE')).rejects.toThrow('Project not found');
+        });
+    });
+
+    describe('nextWorkItemKey', () => {
+        it('should prefix the next number in the sequence with the project key', async () => {
+            incrementItemCounter.mockResolvedValue(124);
+
+            await expect(ProjectService.nextWorkItemKey(createMockProject())).resolves.toBe('PLAT-124');
+            expect(incrementItemCounter).toHaveBeenCalledWith(projectId);
+        });
+    });
+
+    describe('canUse', () => {
+        it('should let members, admins and everyone on the default project use it', () => {
+            const project = createMockProject();
+
+            expect(ProjectService.canUse(project, member)).toBe(true);
+            expect(ProjectService.canUse(project, adminActor)).toBe(true);
+            expect(ProjectService.canUse(project, outsider)).toBe(false);
+            expect(ProjectService.canUse(createMockProject({ isDefault: true }), outsider)).toBe(true);
+        });
+    });
+
+    describe('listProjects', () => {
+        beforeEach(() => {
+            ensureDefaultProject.mockResolvedValue(createMockProject({ key: 'GEN', isDefault: true }));
+            findAllProjects.mockResolvedValue([createMockProject()]);
+        });
+
+        it('should list every project for admins', async () => {
+            await ProjectService.listProjects(adminActor);
+
+            expect(findAllProjects).toHaveBeenCalledWith({});
+        });
+
+        it('should list the default and member projects for team members', async () => {
+            const result = await ProjectService.listProjects(member);
+
+            expect(findAllProjects).toHaveBeenCalledWith({ $or: [{ isDefault: true }, { 'members.account': member.id }] });
+            expect(result[0].members).toEqual([{
+                id: member.id,
+                firstName: 'Jane',
+                lastName: 'Smith',
+                email: 'jane@example.com',
+                fullName: 'Jane Smith'
+            }]);
+        });
+    });
+
+    describe('getProject', () => {
+        it('should hide projects from non-members', async () => {
+            findProjectByKey.mockResolvedValue(createMockProject());
+
+            await expect(ProjectService.getProject('PLAT', outsider)).rejects.toThrow('You are not a member of this project');
+        });
+    });
+
+    describe('createProject', () => {
+        it('should create a project with members and a default assignee', async () => {
+            await ProjectService.createProject({
+                key: 'plat',
+                name: ' Platform ',
+                description: 'Core services',
+                defaultAssignee: 'Jane@Example.com'
+            });
+
+            expect(createProject).toHaveBeenCalledWith({
+                key: 'PLAT',
+                name: 'Platform',
+                description: 'Core services',
+                members: [{ account: member.id, accountModel: 'User' }],
+                defaultAssignee: member.id,
+                defaultAssigneeModel: 'User'
+            });
+        });
+
+        it('should not make an unverified team member the default assignee', async () => {
+            User.findOne.mockResolvedValue({ ...memberAccount, isEmailVerified: false });
+
+            await expect(ProjectService.createProject({ key: 'PLAT', name: 'Platform', defaultAssignee: 'jane@example.com' }))
+                .rejects.toThrow('User with email jane@example.com has not verified their email');
+            expect(createProject).not.toHaveBeenCalled();
+        });
+
+        it('should reject invalid keys', async () => {
+            await expect(ProjectService.createProject({ key: '1X', name: 'Platform' }))
+                .rejects.toThrow('Project key must be 2-10 letters or digits, starting with a letter');
+        });
+
+        it('should reject duplicate keys', async () => {
+            findProjectByKey.mockResolvedValue(createMockProject());
+
+            await expect(ProjectService.createProject({ key: 'PLAT', name: 'Platform' }))
+                .rejects.toThrow('A project with this key already exists');
+        });
+
+        it('should reject unknown members', async () => {
+            await expect(ProjectService.createProject({ key: 'PLAT', name: 'Platform', members: ['ghost@example.com'] }))
+                .rejects.toThrow('User with email ghost@example.com does not exist');
+        });
+    });
+
+    describe('updateProject', () => {
+        beforeEach(() => {
+            findProjectByKey.mockResolvedValue(createMockProject());
+        });
+
+        it('should not change the key', async () => {
+            await expect(ProjectService.updateProject('PLAT', { key: 'CORE' }))
+                .rejects.toThrow('Project keys cannot be changed');
+        });
+
+        it('should clear the default assignee', async () => {
+            await ProjectService.updateProject('PLAT', { defaultAssignee: null });
+
+            expect(updateProject).toHaveBeenCalledWith(projectId, { defaultAssignee: null, defaultAssigneeModel: null });
+        });
+
+        it('should require at least one field', async () => {
+            await expect(ProjectService.updateProject('PLAT', {})).rejects.toThrow('No valid update fields provided');
+        });
+    });
+
+    describe('members', () => {
+        beforeEach(() => {
+            findProjectByKey.mockResolvedValue(createMockProject({ defaultAssignee: memberAccount, defaultAssigneeModel: 'User' }));
+        });
+
+        it('should not add the same member twice', async () => {
+            await expect(ProjectService.addMember('PLAT', 'jane@example.com'))
+                .rejects.toThrow('This account is already a member of the project');
+        });
+
+        it('should drop the default assignee along with the member', async () => {
+            await ProjectService.removeMember('PLAT', member.id);
+
+            expect(updateProject).toHaveBeenCalledWith(projectId, {
+                members: [],
+                defaultAssignee: null,
+                defaultAssigneeModel: null
+            });
+        });
+
+        it('should report members that are not in the project', async () => {
+            await expect(ProjectService.removeMember('PLAT', outsider.id)).rejects.toThrow('Member not found');
+        });
+    });
+
+    describe('deleteProject', () => {
+        it('should not delete the default project', async () => {
+            findProjectByKey.mockResolvedValue(createMockProject({ isDefault: true }));
+
+            await expect(ProjectService.deleteProject('GEN')).rejects.toThrow('The default project cannot be deleted');
+        });
+
+        it('should not delete projects that still hold work items', async () => {
+            findProjectByKey.mockResolvedValue(createMockProject());
+            countWorkItemsByFilters.mockResolvedValue(3);
+
+            await expect(ProjectService.deleteProject('PLAT'))
+                .rejects.toThrow('Move or permanently delete the work items in this project first');
+            expect(countWorkItemsByFilters).toHaveBeenCalledWith({ project: projectId });
+            expect(deleteProject).not.toHaveBeenCalled();
+        });
+
+        it('should delete empty projects', async () => {
+            findProjectByKey.mockResolvedValue(createMockProject());
+
+            const result = await ProjectService.deleteProject('PLAT');
+
+            expect(deleteProject).toHaveBeenCalledWith(projectId);
+            expect(result).toEqual({ message: 'Project deleted successfully' });
+        });
+    });
+});
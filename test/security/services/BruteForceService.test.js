@@ -0,0 +1,156 @@
+const BruteForceService = require('../../../src/security/services/BruteForceService');
+const {
+    findAttemptsByKeys,
+    incrementFailures,
+    lockAttempts,
+    clearAttempts,
+    clearAttemptsByIdentifiers
+} = require('../../../src/security/data/repositories/failedAttemptRepository');
+
+jest.mock('../../../src/security/data/repositories/failedAttemptRepository');
+
+describe('BruteForceService', () => {
+    const identifiers = { account: 'John@Example.com', ip: '10.0.0.1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(BruteForceService, '_sleep').mockResolvedValue();
+
+        findAttemptsByKeys.mockResolvedValue([]);
+        incrementFailures.mockResolvedValue({ failures: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('assertNotLocked', () => {
+        it('should look up the account and IP counters for the action', async () => {
+            await BruteForceService.assertNotLocked('login', identifiers);
+
+            expect(findAttemptsByKeys).toHaveBeenCalledWith(['login:account:john@example.com', 'login:ip:10.0.0.1']);
+            expect(BruteForceService._sleep).not.toHaveBeenCalled();
+        });
+
+        it('should throw while a counter is locked', async () => {
+            findAttemptsByKeys.mockResolvedValue([
+                { failures: 0, lockedUntil: new Date(Date.now() + 60 * 1000) }
+            ]);
+
+            await expect(BruteForceService.assertNotLocked('login', identifiers))
+                .rejects.toThrow('Too many failed attempts. Please try again later');
+        });
+
+        it('should ignore expired locks', async () => {
+            findAttemptsByKeys.mockResolvedValue([
+                { failures: 0, lockedUntil: new Date(Date.now() - 60 * 1000) }
+            ]);
+
+            await expect(BruteForceService.assertNotLocked('login', identifiers)).resolves.toBeUndefined();
+        });
+
+        it('should delay progressively based on recent failures', async () => {
+            findAttemptsByKeys.mockResolvedValue([
+                { failures: 1, lastFailureAt: new Date() },
+                { failures: 3, lastFailureAt: new Date() }
+            ]);
+
+            await BruteForceService.assertNotLocked('login', identifiers);
+
+            expect(BruteForceService._sleep).toHaveBeenCalledWith(2000);
+        });
+
+        it('should cap the delay', async () => {
+            findAttemptsByKeys.mockResolvedValue([{ failures: 30, lastFailureAt: new Date() }]);
+
+            await BruteForceService.assertNotLocked('login', identifiers);
+
+            expect(BruteForceService._sleep).toHaveBeenCalledWith(8000);
+        });
+
+        it('should not delay for failures outside the window', async () => {
+            findAttemptsByKeys.mockResolvedValue([
+                { failures: 4, lastFailureAt: new Date(Date.now() - 60 * 60 * 1000) }
+            ]);
+
+            await BruteForceService.assertNotLocked('login', identifiers);
+
+            expect(BruteForceService._sleep).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordFailure', () => {
+        it('should increment both counters without locking below the limit', async () => {
+            const result = await BruteForceService.recordFailure('login', identifiers);
+
+            expect(incrementFailures).toHaveBeenCalledWith(
+                'login:account:john@example.com',
+                { action: 'login', scope: 'account', identifier: 'john@example.com' },
+                expect.any(Date),
+                expect.any(Date)
+            );
+            expect(incrementFailures).toHaveBeenCalledWith(
+                'login:ip:10.0.0.1',
+                { action: 'login', scope: 'ip', identifier: '10.0.0.1' },
+                expect.any(Date),
+                expect.any(Date)
+            );
+            expect(lockAttempts).not.toHaveBeenCalled();
+            expect(result).toEqual({ accountLocked: false, ipLocked: false, lockedUntil: null });
+        });
+
+        it('should lock the account once the account limit is reached', async () => {
+            incrementFailures.mockImplementation(async (key) => ({ failures: key.includes(':account:') ? 5 : 1 }));
+
+            const result = await BruteForceService.recordFailure('login', identifiers);
+
+            expect(lockAttempts).toHaveBeenCalledWith('login:account:john@example.com', expect.any(Date));
+            expect(lockAttempts).not.toHaveBeenCalledWith('login:ip:10.0.0.1', expect.any(Date));
+            expect(result.accountLocked).toBe(true);
+            expect(result.ipLocked).toBe(false);
+            expect(result.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should lock the IP once the IP limit is reached', async () => {
+            incrementFailures.mockImplementation(async (key) => ({ failures: key.includes(':ip:') ? 50 : 1 }));
+
+            const result = await BruteForceService.recordFailure('login', identifiers);
+
+            expect(lockAttempts).toHaveBeenCalledWith('login:ip:10.0.0.1', expect.any(Date));
+            expect(result).toMatchObject({ accountLocked: false, ipLocked: true });
+        });
+
+        it('should only track the IP when there is no account', async () => {
+            await BruteForceService.recordFailure('password_reset', { ip: '10.0.0.1' });
+
+            expect(incrementFailures).toHaveBeenCalledTimes(1);
+            expect(incrementFailures.mock.calls[0][0]).toBe('password_reset:ip:10.0.0.1');
+        });
+    });
+
+    describe('recordSuccess', () => {
+        it('should clear only the account counter', async () => {
+            await BruteForceService.recordSuccess('login', identifiers);
+
+            expect(clearAttempts).toHaveBeenCalledTimes(1);
+            expect(clearAttempts).toHaveBeenCalledWith('login:account:john@example.com');
+        });
+
+        it('should do nothing without an account', async () => {
+            await BruteForceService.recordSuccess('password_reset', { ip: '10.0.0.1' });
+
+            expect(clearAttempts).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('unlockAccount', () => {
+        it('should clear account counters for every identifier', async () => {
+            clearAttemptsByIdentifiers.mockResolvedValue({ deletedCount: 2 });
+
+            const result = await BruteForceService.unlockAccount(['John@Example.com', 'admin123', null]);
+
+            expect(clearAttemptsByIdentifiers).toHaveBeenCalledWith('account', ['john@example.com', 'admin123']);
+            expect(result).toEqual({ clearedCount: 2 });
+        });
+    });
+});
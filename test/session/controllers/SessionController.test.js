@@ -0,0 +1,115 @@
+const SessionController = require('../../../src/session/controllers/SessionController');
+const SessionService = require('../../../src/session/services/SessionService');
+const { errorResponse, successResponse, notFoundResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/session/services/SessionService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('SessionController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: {},
+            user: { id: 'admin-id', sid: 'session-id' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('listSessions', () => {
+        it('should list the active sessions of the current user', async () => {
+            const sessions = [{ id: 'session-id', current: true }];
+            SessionService.listSessions.mockResolvedValue(sessions);
+
+            await SessionController.listSessions(req, res);
+
+            expect(SessionService.listSessions).toHaveBeenCalledWith('admin-id', 'session-id');
+            expect(successResponse).toHaveBeenCalledWith(res, sessions, 'Active sessions retrieved successfully');
+        });
+
+        it('should return error when user is not authenticated', async () => {
+            req.user = null;
+
+            await SessionController.listSessions(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authentication required', 401);
+            expect(SessionService.listSessions).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('terminateSession', () => {
+        it('should terminate the requested session', async () => {
+            req.params.id = 'other-session-id';
+            SessionService.terminateSession.mockResolvedValue({ message: 'Session terminated successfully' });
+
+            await SessionController.terminateSession(req, res);
+
+            expect(SessionService.terminateSession).toHaveBeenCalledWith('admin-id', 'other-session-id');
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Session terminated successfully');
+        });
+
+        it('should return not found for unknown sessions', async () => {
+            req.params.id = 'other-session-id';
+            SessionService.terminateSession.mockRejectedValue(new Error('Session not found'));
+
+            await SessionController.terminateSession(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Session');
+        });
+    });
+
+    describe('terminateOtherSessions', () => {
+        it('should terminate every other session', async () => {
+            SessionService.terminateOtherSessions.mockResolvedValue({
+                message: 'All other sessions terminated successfully',
+                revokedCount: 2
+            });
+
+            await SessionController.terminateOtherSessions(req, res);
+
+            expect(SessionService.terminateOtherSessions).toHaveBeenCalledWith('admin-id', 'session-id');
+            expect(successResponse).toHaveBeenCalledWith(res, { revokedCount: 2 }, 'All other sessions terminated successfully');
+        });
+
+        it('should handle service errors', async () => {
+            SessionService.terminateOtherSessions.mockRejectedValue(new Error('Database error'));
+
+            await SessionController.terminateOtherSessions(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Database error', 400);
+        });
+    });
+
+    describe('revokeFromLoginAlert', () => {
+        it('should revoke the session referenced by the token', async () => {
+            req.body = { token: 'revocation-token' };
+            SessionService.revokeWithToken.mockResolvedValue({ message: 'Session revoked successfully' });
+
+            await SessionController.revokeFromLoginAlert(req, res);
+
+            expect(SessionService.revokeWithToken).toHaveBeenCalledWith('revocation-token');
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Session revoked successfully');
+        });
+
+        it('should return error when token is missing', async () => {
+            await SessionController.revokeFromLoginAlert(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Revocation token is required', 400);
+        });
+
+        it('should return error for invalid tokens', async () => {
+            req.body = { token: 'bad-token' };
+            SessionService.revokeWithToken.mockRejectedValue(new Error('Invalid or expired revocation link'));
+
+            await SessionController.revokeFromLoginAlert(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Invalid or expired revocation link', 400);
+        });
+    });
+});
@@ -0,0 +1,281 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SessionService = require('../../../src/session/services/SessionService');
+const {
+    createSession,
+    findSessionById,
+    findActiveSessionsByOwner,
+    updateRefreshToken,
+    touchSession,
+    revokeSession,
+    revokeSessionsByOwner
+} = require('../../../src/session/data/repositories/sessionRepository');
+
+jest.mock('../../../src/session/data/repositories/sessionRepository');
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('SessionService', () => {
+    const sessionId = '507f1f77bcf86cd799439099';
+    const ownerId = '507f1f77bcf86cd799439011';
+    let mockSession;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockSession = {
+            _id: sessionId,
+            owner: ownerId,
+            ownerModel: 'Admin',
+            refreshTokenHash: hash('currentsecret'),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            revokedAt: null,
+            lastSeenAt: new Date(),
+            createdAt: new Date(),
+            userAgent: 'Mozilla/5.0',
+            ipAddress: '10.0.0.1'
+        };
+    });
+
+    describe('createSession', () => {
+        it('should create a session and return a refresh token bound to it', async () => {
+            createSession.mockImplementation(async (data) => ({ _id: sessionId, ...data }));
+
+            const { session, refreshToken } = await SessionService.createSession(ownerId, 'Admin', {
+                userAgent: 'Mozilla/5.0',
+                ipAddress: '10.0.0.1'
+            });
+
+            const [tokenSessionId, secret] = refreshToken.split('.');
+            expect(tokenSessionId).toBe(sessionId);
+            expect(createSession).toHaveBeenCalledWith({
+                owner: ownerId,
+                ownerModel: 'Admin',
+                refreshTokenHash: hash(secret),
+                expiresAt: expect.any(Date),
+                userAgent: 'Mozilla/5.0',
+                ipAddress: '10.0.0.1'
+            });
+            expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should create a short-lived impersonation session for the target', async () => {
+            createSession.mockImplementation(async (data) => ({ _id: sessionId, ...data }));
+            const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+
+            await SessionService.createSession(ownerId, 'Admin', {}, {
+                expiresAt,
+                impersonator: '507f1f77bcf86cd799439022',
+                impersonationReason: 'Support request'
+            });
+
+            expect(createSession).toHaveBeenCalledWith(expect.objectContaining({
+                owner: ownerId,
+                expiresAt,
+                impersonator: '507f1f77bcf86cd799439022',
+                impersonationReason: 'Support request'
+            }));
+        });
+    });
+
+    describe('rotateSession', () => {
+        it('should issue a new refresh token and store its hash', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+            updateRefreshToken.mockImplementation(async (id, currentHash, refreshTokenHash, expiresAt) => ({
+                ...mockSession, refreshTokenHash, expiresAt
+            }));
+
+            const context = { ipAddress: '10.0.0.2' };
+            const result = await SessionService.rotateSession(`${sessionId}.currentsecret`, 'Admin', context);
+
+            const [, newSecret] = result.refreshToken.split('.');
+            expect(newSecret).not.toBe('currentsecret');
+            expect(updateRefreshToken).toHaveBeenCalledWith(sessionId, hash('currentsecret'), hash(newSecret), expect.any(Date), context);
+        });
+
+        it('should reject malformed refresh tokens', async () => {
+            await expect(SessionService.rotateSession('not-a-token', 'Admin'))
+                .rejects.toThrow('Invalid refresh token');
+            expect(findSessionById).not.toHaveBeenCalled();
+        });
+
+        it('should reject tokens belonging to another account type', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+
+            await expect(SessionService.rotateSession(`${sessionId}.currentsecret`, 'User'))
+                .rejects.toThrow('Invalid refresh token');
+        });
+
+        it('should never refresh impersonation sessions', async () => {
+            findSessionById.mockResolvedValue({ ...mockSession, impersonator: '507f1f77bcf86cd799439022' });
+
+            await expect(SessionService.rotateSession(`${sessionId}.currentsecret`, 'Admin'))
+                .rejects.toThrow('Invalid refresh token');
+            expect(updateRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should reject revoked sessions', async () => {
+            findSessionById.mockResolvedValue({ ...mockSession, revokedAt: new Date() });
+
+            await expect(SessionService.rotateSession(`${sessionId}.currentsecret`, 'Admin'))
+                .rejects.toThrow('Session has expired or been revoked');
+            expect(updateRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should revoke the session when an old refresh token is replayed', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+
+            await expect(SessionService.rotateSession(`${sessionId}.oldsecret`, 'Admin'))
+                .rejects.toThrow('Refresh token reuse detected. Please log in again');
+            expect(revokeSession).toHaveBeenCalledWith(sessionId, 'refresh_token_reuse');
+            expect(updateRefreshToken).not.toHaveBeenCalled();
+        });
+
+        it('should treat a lost concurrent rotation as reuse', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+            updateRefreshToken.mockResolvedValue(null);
+
+            await expect(SessionService.rotateSession(`${sessionId}.currentsecret`, 'Admin'))
+                .rejects.toThrow('Refresh token reuse detected. Please log in again');
+            expect(revokeSession).toHaveBeenCalledWith(sessionId, 'refresh_token_reuse');
+        });
+    });
+
+    describe('validateSession', () => {
+        it('should return true for a live session owned by the token subject', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+
+            await expect(SessionService.validateSession(sessionId, ownerId)).resolves.toBe(true);
+            expect(touchSession).not.toHaveBeenCalled();
+        });
+
+        it('should refresh last seen details when they are stale', async () => {
+            findSessionById.mockResolvedValue({ ...mockSession, lastSeenAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+            await expect(SessionService.validateSession(sessionId, ownerId, { ipAddress: '10.0.0.2' })).resolves.toBe(true);
+            expect(touchSession).toHaveBeenCalledWith(sessionId, '10.0.0.2');
+        });
+
+        it('should return false when no session ID is present', async () => {
+            await expect(SessionService.validateSession(undefined, ownerId)).resolves.toBe(false);
+            expect(findSessionById).not.toHaveBeenCalled();
+        });
+
+        it('should return false for revoked sessions', async () => {
+            findSessionById.mockResolvedValue({ ...mockSession, revokedAt: new Date() });
+
+            await expect(SessionService.validateSession(sessionId, ownerId)).resolves.toBe(false);
+        });
+
+        it('should return false when the session belongs to someone else', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+
+            await expect(SessionService.validateSession(sessionId, '507f1f77bcf86cd799439012')).resolves.toBe(false);
+        });
+    });
+
+    describe('listSessions', () => {
+        it('should list active sessions and flag the current one', async () => {
+            const otherSession = { ...mockSession, _id: '507f1f77bcf86cd799439098', userAgent: undefined };
+            findActiveSessionsByOwner.mockResolvedValue([mockSession, otherSession]);
+
+            const result = await SessionService.listSessions(ownerId, sessionId);
+
+            expect(findActiveSessionsByOwner).toHaveBeenCalledWith(ownerId);
+            expect(result).toHaveLength(2);
+            expect(result[0]).toEqual(expect.objectContaining({
+                id: sessionId,
+                userAgent: 'Mozilla/5.0',
+                ipAddress: '10.0.0.1',
+                current: true
+            }));
+            expect(result[1]).toEqual(expect.objectContaining({ userAgent: 'Unknown device', current: false }));
+            expect(result[0].refreshTokenHash).toBeUndefined();
+        });
+    });
+
+    describe('terminateSession', () => {
+        it('should revoke a session owned by the requester', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+
+            const result = await SessionService.terminateSession(ownerId, sessionId);
+
+            expect(revokeSession).toHaveBeenCalledWith(sessionId, 'terminated_by_owner');
+            expect(result.message).toBe('Session terminated successfully');
+        });
+
+        it('should not reveal sessions belonging to someone else', async () => {
+            findSessionById.mockResolvedValue(mockSession);
+
+            await expect(SessionService.terminateSession('507f1f77bcf86cd799439012', sessionId))
+                .rejects.toThrow('Session not found');
+            expect(revokeSession).not.toHaveBeenCalled();
+        });
+
+        it('should throw error for invalid session IDs', async () => {
+            await expect(SessionService.terminateSession(ownerId, 'invalid'))
+                .rejects.toThrow('Session not found');
+        });
+    });
+
+    describe('terminateOtherSessions', () => {
+        it('should revoke every session except the current one', async () => {
+            revokeSessionsByOwner.mockResolvedValue({ modifiedCount: 2 });
+
+            const result = await SessionService.terminateOtherSessions(ownerId, sessionId);
+
+            expect(revokeSessionsByOwner).toHaveBeenCalledWith(ownerId, 'terminated_by_owner', sessionId);
+            expect(result.revokedCount).toBe(2);
+        });
+    });
+
+    describe('revokeWithToken', () => {
+        it('should revoke the session referenced by a login alert token', async () => {
+            const token = SessionService.createRevocationToken(sessionId);
+
+            const result = await SessionService.revokeWithToken(token);
+
+            expect(revokeSession).toHaveBeenCalledWith(sessionId, 'revoked_from_login_alert');
+            expect(result.message).toBe('Session revoked successfully');
+        });
+
+        it('should reject tokens issued for other purposes', async () => {
+            const token = jwt.sign({ id: ownerId, role: 'admin', sid: sessionId }, process.env.JWT_SECRET);
+
+            await expect(SessionService.revokeWithToken(token))
+                .rejects.toThrow('Invalid or expired revocation link');
+            expect(revokeSession).not.toHaveBeenCalled();
+        });
+
+        it('should reject tampered tokens', async () => {
+            await expect(SessionService.revokeWithToken('not.a.token'))
+                .rejects.toThrow('Invalid or expired revocation link');
+        });
+    });
+
+    describe('revokeSession', () => {
+        it('should revoke the given session', async () => {
+            const result = await SessionService.revokeSession(sessionId, 'logout');
+
+            expect(revokeSession).toHaveBeenCalledWith(sessionId, 'logout');
+            expect(result.message).toBe('Session revoked successfully');
+        });
+
+        it('should throw error when session ID is missing', async () => {
+            await expect(SessionService.revokeSession(undefined)).rejects.toThrow('Session ID is required');
+        });
+    });
+
+    describe('revokeAllSessions', () => {
+        it('should revoke every session of the owner except the current one', async () => {
+            revokeSessionsByOwner.mockResolvedValue({ modifiedCount: 3 });
+
+            const result = await SessionService.revokeAllSessions(ownerId, 'password_changed', sessionId);
+
+            expect(revokeSessionsByOwner).toHaveBeenCalledWith(ownerId, 'password_changed', sessionId);
+            expect(result.revokedCount).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+jest.mock('../../../src/config/config', () => ({
+    OIDC: {
+        issuer: 'https://idp.example.com',
+        clientId: 'heunets-admin',
+        clientSecret: 'client-secret',
+        redirectUri: 'https://app.example.com/sso/callback',
+        scopes: 'openid email profile',
+        stateExpiresInMinutes: 10
+    }
+}));
+jest.mock('../../../src/sso/data/repositories/oidcStateRepository');
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcService = require('../../../src/sso/services/OidcService');
+const { createOidcState, consumeOidcState } = require('../../../src/sso/data/repositories/oidcStateRepository');
+
+const ISSUER = 'https://idp.example.com';
+const discoveryDocument = {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const signingJwk = { ...publicKey.export({ format: 'jwk' }), kid: 'idp-key-1', alg: 'RS256', use: 'sig' };
+
+const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: jest.fn().mockResolvedValue(body)
+});
+
+const signIdToken = (claims = {}, options = {}) => jwt.sign(
+    {
+        sub: 'idp-user-1',
+        email: 'John@Example.com',
+        email_verified: true,
+        given_name: 'John',
+        family_name: 'Doe',
+        nonce: 'expected-nonce',
+        ...claims
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'idp-key-1', issuer: ISSUER, audience: 'heunets-admin', expiresIn: '5m', ...options }
+);
+
+// A tiny stand-in for the IdP: discovery, token and JWKS endpoints
+const mockIdp = ({ idToken = signIdToken(), tokenStatus = 200, discovery = discoveryDocument } = {}) => {
+    global.fetch = jest.fn(async (url) => {
+        if (url.endsWith('/.well-known/openid-configuration')) return jsonResponse(discovery);
+        if (url === discovery.token_endpoint) {
+            return tokenStatus === 200
+                ? jsonResponse({ access_token: 'idp-access-token', id_token: idToken })
+                : jsonResponse({ error: 'invalid_grant' }, tokenStatus);
+        }
+        if (url === discovery.jwks_uri) return jsonResponse({ keys: [signingJwk] });
+        throw new Error(`Unexpected request to ${url}`);
+    });
+};
+
+describe('OidcService', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        OidcService._discovery = null;
+        OidcService._jwks = null;
+        consumeOidcState.mockResolvedValue({
+            nonce: 'expected-nonce',
+            codeVerifier: 'stored-verifier',
+            bindingHash: crypto.createHash('sha256').update('browser-binding').digest('hex')
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        console.error.mockRestore();
+    });
+
+    describe('beginLogin', () => {
+        it('should build an authorization URL with state, nonce and a PKCE challenge', async () => {
+            mockIdp();
+
+            const result = await OidcService.beginLogin();
+
+            const url = new URL(result.authorizationUrl);
+            expect(url.origin + url.pathname).toBe(`${ISSUER}/authorize`);
+            expect(url.searchParams.get('response_type')).toBe('code');
+            expect(url.searchParams.get('client_id')).toBe('heunets-admin');
+            expect(url.searchParams.get('redirect_uri')).toBe('https://app.example.com/sso/callback');
+            expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+            expect(url.searchParams.get('state')).toBe(result.state);
+
+            const stored = createOidcState.mock.calls[0][0];
+            const expectedChallenge = crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url');
+            expect(url.searchParams.get('code_challenge')).toBe(expectedChallenge);
+            expect(url.searchParams.get('nonce')).toBe(stored.nonce);
+            expect(stored.stateHash).toBe(crypto.createHash('sha256').update(result.state).digest('hex'));
+            expect(stored.stateHash).not.toBe(result.state);
+            expect(stored.expiresAt).toBeInstanceOf(Date);
+            expect(stored.bindingHash).toBe(crypto.createHash('sha256').update(result.browserBinding).digest('hex'));
+        });
+
+        it('should reject a discovery document for another issuer', async () => {
+            mockIdp({ discovery: { ...discoveryDocument, issuer: 'https://evil.example.com' } });
+
+            await expect(OidcService.beginLogin()).rejects.toThrow('Identity provider issuer does not match OIDC_ISSUER');
+            expect(createOidcState).not.toHaveBeenCalled();
+        });
+
+        it('should report an unreachable identity provider', async () => {
+            global.fetch = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+            await expect(OidcService.beginLogin()).rejects.toThrow('Identity provider request failed');
+        });
+    });
+
+    describe('completeLogin', () => {
+        it('should exchange the code with the PKCE verifier and return the verified identity', async () => {
+            mockIdp();
+
+            const result = await OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding');
+
+            expect(consumeOidcState).toHaveBeenCalledWith(crypto.createHash('sha256').update('raw-state').digest('hex'));
+            const [, tokenRequest] = global.fetch.mock.calls.find(([url]) => url === `${ISSUER}/token`);
+            expect(tokenRequest.body.get('code')).toBe('auth-code');
+            expect(tokenRequest.body.get('code_verifier')).toBe('stored-verifier');
+            expect(tokenRequest.headers.Authorization).toBe(`Basic ${Buffer.from('heunets-admin:client-secret').toString('base64')}`);
+            expect(result).toEqual({
+                subject: 'idp-user-1',
+                email: 'john@example.com',
+                emailVerified: true,
+                firstName: 'John',
+                lastName: 'Doe',
+                name: undefined
+            });
+        });
+
+        it('should reject unknown or reused state', async () => {
+            consumeOidcState.mockResolvedValue(null);
+            mockIdp();
+
+            await expect(OidcService.completeLogin('auth-code', 'replayed-state', 'browser-binding')).rejects.toThrow('Invalid or expired sign-in request');
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should reject a callback from a browser that did not start the sign-in', async () => {
+            mockIdp();
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'attacker-binding'))
+                .rejects.toThrow('Invalid or expired sign-in request');
+            await expect(OidcService.completeLogin('auth-code', 'raw-state'))
+                .rejects.toThrow('Invalid or expired sign-in request');
+            expect(global.fetch).not.toHaveBeenCalledWith(`${ISSUER}/token`, expect.anything());
+        });
+
+        it('should reject an ID token with the wrong nonce', async () => {
+            mockIdp({ idToken: signIdToken({ nonce: 'other-nonce' }) });
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding')).rejects.toThrow('Invalid ID token');
+        });
+
+        it('should reject an ID token for another client', async () => {
+            mockIdp({ idToken: signIdToken({}, { audience: 'another-client' }) });
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding')).rejects.toThrow('Invalid ID token');
+        });
+
+        it('should reject an ID token signed with an unknown key', async () => {
+            const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const forged = jwt.sign(
+                { sub: 'idp-user-1', email: 'john@example.com', nonce: 'expected-nonce' },
+                otherKey,
+                { algorithm: 'RS256', keyid: 'idp-key-1', issuer: ISSUER, audience: 'heunets-admin' }
+            );
+            mockIdp({ idToken: forged });
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding')).rejects.toThrow('Invalid ID token');
+        });
+
+        it('should reject unsigned or HMAC-signed ID tokens', async () => {
+            const hmacToken = jwt.sign(
+                { sub: 'idp-user-1', email: 'john@example.com', nonce: 'expected-nonce' },
+                'client-secret',
+                { issuer: ISSUER, audience: 'heunets-admin' }
+            );
+            mockIdp({ idToken: hmacToken });
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding')).rejects.toThrow('Invalid ID token');
+        });
+
+        it('should reject an expired ID token', async () => {
+            mockIdp({ idToken: signIdToken({ iat: Math.floor(Date.now() / 1000) - 900 }) });
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding')).rejects.toThrow('Invalid ID token');
+        });
+
+        it('should reject identities whose email is not verified', async () => {
+            mockIdp({ idToken: signIdToken({ email_verified: false }) });
+
+            await expect(OidcService.completeLogin('auth-code', 'raw-state', 'browser-binding'))
+                .rejects.toThrow('Identity provider has not verified this email address');
+        });
+
+        it('should reject a code the identity provider does not accept', async () => {
+            mockIdp({ tokenStatus: 400 });
+
+            await expect(OidcService.completeLogin('bad-code', 'raw-state', 'browser-binding')).rejects.toThrow('Invalid or expired authorization code');
+        });
+
+        it('should require the code and state', async () => {
+            await expect(OidcService.completeLogin('auth-code')).rejects.toThrow('Authorization code and state are required');
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const TagController = require('../../../src/tag/controllers/TagController');
+const TagService = require('../../../src/tag/services/TagService');
+const { successResponse, errorResponse, notFoundResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/tag/services/TagService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('TagController', () => {
+    const adminActor = { id: 'admin123', role: 'admin', model: 'Admin' };
+    let req, res;
+
+    beforeEach(() => {
+        req = { body: {}, params: {}, query: {}, admin: { id: 'admin123', role: 'admin' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('listTags', () => {
+        it('should list tags with the search filter', async () => {
+            req.query = { search: 'back' };
+            TagService.listTags.mockResolvedValue([{ name: 'backend', usageCount: 2 }]);
+
+            await TagController.listTags(req, res);
+
+            expect(TagService.listTags).toHaveBeenCalledWith({ search: 'back' }, adminActor);
+            expect(successResponse).toHaveBeenCalledWith(res, [{ name: 'backend', usageCount: 2 }], 'Tags retrieved successfully');
+        });
+    });
+
+    describe('createTag', () => {
+        it('should create a tag', async () => {
+            req.body = { name: 'backend', color: '#1f6feb' };
+            TagService.createTag.mockResolvedValue({ id: 'tag123', name: 'backend' });
+
+            await TagController.createTag(req, res);
+
+            expect(TagService.createTag).toHaveBeenCalledWith({ name: 'backend', color: '#1f6feb', description: undefined });
+            expect(successResponse).toHaveBeenCalledWith(res, { id: 'tag123', name: 'backend' }, 'Tag created successfully', 201);
+        });
+
+        it('should return 409 for duplicate names', async () => {
+            TagService.createTag.mockRejectedValue(new Error('A tag with this name already exists'));
+
+            await TagController.createTag(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'A tag with this name already exists', 409);
+        });
+    });
+
+    describe('updateTag', () => {
+        it('should update the tag', async () => {
+            req.params.id = 'tag123';
+            req.body = { name: 'api' };
+            const result = { tag: { name: 'api' }, updatedWorkItems: 3 };
+            TagService.updateTag.mockResolvedValue(result);
+
+            await TagController.updateTag(req, res);
+
+            expect(TagService.updateTag).toHaveBeenCalledWith('tag123', { name: 'api', color: undefined, description: undefined }, adminActor);
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Tag updated successfully');
+        });
+
+        it('should return 409 when renaming onto an existing tag', async () => {
+            TagService.updateTag.mockRejectedValue(new Error('A tag with this name already exists. Merge the tags instead'));
+
+            await TagController.updateTag(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'A tag with this name already exists. Merge the tags instead', 409);
+        });
+
+        it('should return 404 for unknown tags', async () => {
+            TagService.updateTag.mockRejectedValue(new Error('Tag not found'));
+
+            await TagController.updateTag(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Tag');
+        });
+    });
+
+    describe('mergeTags', () => {
+        it('should merge the tag into the target', async () => {
+            req.params.id = 'tag123';
+            req.body = { targetId: 'tag456' };
+            const result = { tag: { name: 'server' }, updatedWorkItems: 3 };
+            TagService.mergeTags.mockResolvedValue(result);
+
+            await TagController.mergeTags(req, res);
+
+            expect(TagService.mergeTags).toHaveBeenCalledWith('tag123', 'tag456', adminActor);
+            expect(successResponse).toHaveBeenCalledWith(res, result, 'Tag merged into server');
+        });
+
+        it('should return 404 for an unknown target', async () => {
+            TagService.mergeTags.mockRejectedValue(new Error('Target tag not found'));
+
+            await TagController.mergeTags(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Target tag');
+        });
+    });
+
+    describe('deleteTag', () => {
+        it('should delete the tag', async () => {
+            req.params.id = 'tag123';
+            TagService.deleteTag.mockResolvedValue({ message: 'Tag deleted successfully', updatedWorkItems: 2 });
+
+            await TagController.deleteTag(req, res);
+
+            expect(TagService.deleteTag).toHaveBeenCalledWith('tag123', adminActor);
+            expect(successResponse).toHaveBeenCalledWith(res, { updatedWorkItems: 2 }, 'Tag deleted successfully');
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const TagService = require('../../../src/tag/services/TagService');
+const {
+    createTag,
+    findTagById,
+    findTagByName,
+    findAllTags,
+    updateTag,
+    deleteTag
+} = require('../../../src/tag/data/repositories/tagRepository');
+const {
+    countWorkItemsByTag,
+    findWorkItemsByTag,
+    replaceTagOnWorkItems,
+    removeTagFromWorkItems
+} = require('../../../src/workItem/data/repositories/workItemRepository');
+const WorkItemService = require('../../../src/workItem/services/WorkItemService');
+
+jest.mock('../../../src/tag/data/repositories/tagRepository');
+jest.mock('../../../src/workItem/data/repositories/workItemRepository');
+jest.mock('../../../src/workItem/services/WorkItemService');
+
+describe('TagService', () => {
+    const tagId = '507f1f77bcf86cd799439011';
+    const targetId = '507f1f77bcf86cd799439022';
+    const adminActor = { id: '507f1f77bcf86cd799439033', role: 'admin', model: 'Admin' };
+    const taggedItems = [{ _id: '507f1f77bcf86cd799439044', title: 'Build the API', tags: ['backend'] }];
+
+    const createMockTag = (overrides = {}) => {
+        const tag = { _id: tagId, name: 'backend', color: '#6b7280', ...overrides };
+        tag.toJSON = () => {
+            const { toJSON, _id, ...rest } = tag;
+            return { ...rest, id: String(_id) };
+        };
+        return tag;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        findTagByName.mockResolvedValue(null);
+        findTagById.mockImplementation(async (id) => ({
+            [tagId]: createMockTag(),
+            [targetId]: createMockTag({ _id: targetId, name: 'server' })
+        }[id] || null));
+        replaceTagOnWorkItems.mockResolvedValue(3);
+        removeTagFromWorkItems.mockResolvedValue(2);
+        findWorkItemsByTag.mockResolvedValue(taggedItems);
+        WorkItemService.getVisibilityFilter.mockResolvedValue({});
+    });
+
+    describe('listTags', () => {
+        it('should include how many active work items use each tag', async () => {
+            findAllTags.mockResolvedValue([createMockTag(), createMockTag({ _id: targetId, name: 'unused' })]);
+            countWorkItemsByTag.mockResolvedValue([{ _id: 'backend', count: 4 }]);
+
+            const result = await TagService.listTags({}, adminActor);
+
+            expect(countWorkItemsByTag).toHaveBeenCalledWith({});
+            expect(result).toEqual([
+                { id: tagId, name: 'backend', color: '#6b7280', usageCount: 4 },
+                { id: targetId, name: 'unused', color: '#6b7280', usageCount: 0 }
+            ]);
+        });
+
+        it('should search by escaped, lowercased name', async () => {
+            findAllTags.mockResolvedValue([]);
+            countWorkItemsByTag.mockResolvedValue([]);
+
+            await TagService.listTags({ search: ' C++ ' }, adminActor);
+
+            expect(findAllTags).toHaveBeenCalledWith({ name: { $regex: 'c\\+\\+' } });
+        });
+
+        it('should only count the work items the actor can see', async () => {
+            const teamMember = { id: '507f1f77bcf86cd799439055', role: 'user', model: 'User' };
+            const visibilityFilter = { $or: [{ createdBy: teamMember.id }, { assignedTo: teamMember.id }] };
+            WorkItemService.getVisibilityFilter.mockResolvedValue(visibilityFilter);
+            findAllTags.mockResolvedValue([]);
+            countWorkItemsByTag.mockResolvedValue([]);
+
+            await TagService.listTags({}, teamMember);
+
+            expect(WorkItemService.getVisibilityFilter).toHaveBeenCalledWith(teamMember);
+            expect(countWorkItemsByTag).toHaveBeenCalledWith(visibilityFilter);
+        });
+    });
+
+    describe('createTag', () => {
+        it('should create a normalized tag', async () => {
+            createTag.mockImplementation(async (data) => createMockTag(data));
+
+            const result = await TagService.createTag({ name: '  Backend ', color: '#1F6FEB', description: ' Server work ' });
+
+            expect(createTag).toHaveBeenCalledWith({ name: 'backend', color: '#1f6feb', description: 'Server work' });
+            expect(result.usageCount).toBe(0);
+        });
+
+        it('should reject duplicate names', async () => {
+            findTagByName.mockResolvedValue(createMockTag());
+
+            await expect(TagService.createTag({ name: 'Backend' })).rejects.toThrow('A tag with this name already exists');
+            expect(createTag).not.toHaveBeenCalled();
+        });
+
+        it('should validate the name and color', async () => {
+            await expect(TagService.createTag({ name: '  ' })).rejects.toThrow('Tag name is required');
+            await expect(TagService.createTag({ name: 'a'.repeat(31) })).rejects.toThrow('Tag names cannot exceed 30 characters');
+            await expect(TagService.createTag({ name: 'backend', color: 'blue' })).rejects.toThrow('Color must be a hex value like #1f6feb');
+        });
+    });
+
+    describe('updateTag', () => {
+        it('should rename the tag on every work item that uses it', async () => {
+            updateTag.mockResolvedValue(createMockTag({ name: 'api' }));
+
+            const result = await TagService.updateTag(tagId, { name: 'API' }, adminActor);
+
+            expect(updateTag).toHaveBeenCalledWith(tagId, { name: 'api' });
+            expect(findWorkItemsByTag).toHaveBeenCalledWith('backend');
+            expect(replaceTagOnWorkItems).toHaveBeenCalledWith('backend', 'api');
+            expect(WorkItemService.recordTagChange).toHaveBeenCalledWith(taggedItems, 'backend', 'api', adminActor);
+            expect(result).toEqual({ tag: expect.objectContaining({ name: 'api' }), updatedWorkItems: 3 });
+        });
+
+        it('should update details without touching work items', async () => {
+            updateTag.mockResolvedValue(createMockTag({ color: '#ff0000' }));
+
+            const result = await TagService.updateTag(tagId, { name: 'backend', color: '#FF0000' }, adminActor);
+
+            expect(updateTag).toHaveBeenCalledWith(tagId, { color: '#ff0000' });
+            expect(replaceTagOnWorkItems).not.toHaveBeenCalled();
+            expect(WorkItemService.recordTagChange).not.toHaveBeenCalled();
+            expect(result.updatedWorkItems).toBe(0);
+        });
+
+        it('should refuse to rename onto an existing tag', async () => {
+            findTagByName.mockResolvedValue(createMockTag({ _id: targetId, name: 'server' }));
+
+            await expect(TagService.updateTag(tagId, { name: 'server' }))
+                .rejects.toThrow('A tag with this name already exists. Merge the tags instead');
+        });
+
+        it('should require at least one change', async () => {
+            await expect(TagService.updateTag(tagId, {})).rejects.toThrow('No valid update fields provided');
+        });
+
+        it('should throw when the tag does not exist', async () => {
+            await expect(TagService.updateTag('507f1f77bcf86cd799439099', { color: '#000000' })).rejects.toThrow('Tag not found');
+        });
+    });
+
+    describe('mergeTags', () => {
+        it('should move work items to the target tag and remove the source', async () => {
+            const result = await TagService.mergeTags(tagId, targetId, adminActor);
+
+            expect(replaceTagOnWorkItems).toHaveBeenCalledWith('backend', 'server');
+            expect(WorkItemService.recordTagChange).toHaveBeenCalledWith(taggedItems, 'backend', 'server', adminActor);
+            expect(deleteTag).toHaveBeenCalledWith(tagId);
+            expect(result).toEqual({ tag: expect.objectContaining({ name: 'server' }), updatedWorkItems: 3 });
+        });
+
+        it('should not merge a tag into itself', async () => {
+            await expect(TagService.mergeTags(tagId, tagId)).rejects.toThrow('Cannot merge a tag into itself');
+        });
+
+        it('should throw when the target does not exist', async () => {
+            await expect(TagService.mergeTags(tagId, '507f1f77bcf86cd799439099')).rejects.toThrow('Target tag not found');
+            expect(replaceTagOnWorkItems).not.toHaveBeenCalled();
+        });
+
+        it('should require a target', async () => {
+            await expect(TagService.mergeTags(tagId)).rejects.toThrow('Target tag ID is required');
+        });
+    });
+
+    describe('deleteTag', () => {
+        it('should remove the tag from work items and the catalog', async () => {
+            const result = await TagService.deleteTag(tagId, adminActor);
+
+            expect(removeTagFromWorkItems).toHaveBeenCalledWith('backend');
+            expect(WorkItemService.recordTagChange).toHaveBeenCalledWith(taggedItems, 'backend', null, adminActor);
+            expect(deleteTag).toHaveBeenCalledWith(tagId);
+            expect(result).toEqual({ message: 'Tag deleted successfully', updatedWorkItems: 2 });
+        });
+
+        it('should throw for malformed IDs', async () => {
+            await expect(TagService.deleteTag('nope')).rejects.toThrow('Tag not found');
+            expect(findTagById).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,449 @@
+const UserAuthController = require('../../../src/user/controllers/UserAuthController');
+const UserAuthService = require('../../../src/user/services/UserAuthService');
+const { errorResponse, successResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/user/services/UserAuthService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('UserAuthController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            query: {},
+            user: {}
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+    });
+
+    describe('login', () => {
+        it('should login user successfully with valid credentials', async () => {
+            req.body = { email: 'user@test.com', password: 'password123' };
+            const mockResult = {
+                token: 'mock-jwt-token',
+                user: {
+                    firstName: 'John',
+                    lastName: 'Doe',
+                    email: 'user@test.com',
+                    role: 'user'
+                }
+            };
+            UserAuthService.authenticateUser.mockResolvedValue(mockResult);
+
+            await UserAuthController.login(req, res);
+
+            expect(UserAuthService.authenticateUser).toHaveBeenCalledWith('user@test.com', 'password123', expect.objectContaining({
+                userAgent: expect.any(String),
+                ipAddress: expect.any(String)
+            }));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Login successful');
+        });
+
+        it('should return error when email is missing', async () => {
+            req.body = { password: 'password123' };
+
+            await UserAuthController.login(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email and password are required', 400);
+            expect(UserAuthService.authenticateUser).not.toHaveBeenCalled();
+        });
+
+        it('should return error when password is missing', async () => {
+            req.body = { email: 'user@test.com' };
+
+            await UserAuthController.login(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email and password are required', 400);
+            expect(UserAuthService.authenticateUser).not.toHaveBeenCalled();
+        });
+
+        it('should handle authentication service errors', async () => {
+            req.body = { email: 'user@test.com', password: 'wrongpassword' };
+            const errorMessage = 'Invalid email or password';
+            UserAuthService.authenticateUser.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.login(req, res);
+
+            expect(UserAuthService.authenticateUser).toHaveBeenCalledWith('user@test.com', 'wrongpassword', expect.any(Object));
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 401);
+        });
+
+        it('should return 429 while locked', async () => {
+            req.body = { email: 'user@test.com', password: 'password123' };
+            UserAuthService.authenticateUser.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await UserAuthController.login(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Too many failed attempts. Please try again later', 429);
+        });
+    });
+
+    describe('createUser', () => {
+        it('should create user successfully with valid data', async () => {
+            req.body = {
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john@test.com',
+                password: 'password123'
+            };
+            const mockNewUser = {
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john@test.com',
+                role: 'user'
+            };
+            UserAuthService.createUserAccount.mockResolvedValue(mockNewUser);
+
+            await UserAuthController.createUser(req, res);
+
+            expect(UserAuthService.createUserAccount).toHaveBeenCalledWith('John', 'Doe', 'john@test.com', 'password123');
+            expect(successResponse).toHaveBeenCalledWith(res, mockNewUser, 'Account created successfully. Please check your email for verification TOKEN.', 201);
+        });
+
+        it('should return error when firstName is missing', async () => {
+            req.body = {
+                lastName: 'Doe',
+                email: 'john@test.com',
+                password: 'password123'
+            };
+
+            await UserAuthController.createUser(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'First name, last name, email, and password are required', 400);
+            expect(UserAuthService.createUserAccount).not.toHaveBeenCalled();
+        });
+
+        it('should return error when lastName is missing', async () => {
+            req.body = {
+                firstName: 'John',
+                email: 'john@test.com',
+                password: 'password123'
+            };
+
+            await UserAuthController.createUser(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'First name, last name, email, and password are required', 400);
+            expect(UserAuthService.createUserAccount).not.toHaveBeenCalled();
+        });
+
+        it('should handle service errors during user creation', async () => {
+            req.body = {
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'existing@test.com',
+                password: 'password123'
+            };
+            const errorMessage = 'Email is already in use';
+            UserAuthService.createUserAccount.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.createUser(req, res);
+
+            expect(UserAuthService.createUserAccount).toHaveBeenCalledWith('John', 'Doe', 'existing@test.com', 'password123');
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
+        });
+    });
+
+    describe('verifyEmail', () => {
+        it('should verify email successfully with valid email and pin', async () => {
+            req.body = { email: 'user@test.com', pin: '123456' };
+            const mockResult = { email: 'user@test.com', isEmailVerified: true };
+            UserAuthService.verifyEmail.mockResolvedValue(mockResult);
+
+            await UserAuthController.verifyEmail(req, res);
+
+            expect(UserAuthService.verifyEmail).toHaveBeenCalledWith('user@test.com', '123456', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Email verified successfully');
+        });
+
+        it('should return error when email is missing', async () => {
+            req.body = { pin: '123456' };
+
+            await UserAuthController.verifyEmail(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email and verification PIN are required', 400);
+            expect(UserAuthService.verifyEmail).not.toHaveBeenCalled();
+        });
+
+        it('should return error when pin is missing', async () => {
+            req.body = { email: 'user@test.com' };
+
+            await UserAuthController.verifyEmail(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email and verification PIN are required', 400);
+            expect(UserAuthService.verifyEmail).not.toHaveBeenCalled();
+        });
+
+        it('should handle invalid verification pin error', async () => {
+            req.body = { email: 'user@test.com', pin: '000000' };
+            const errorMessage = 'Invalid or expired verification PIN';
+            UserAuthService.verifyEmail.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.verifyEmail(req, res);
+
+            expect(UserAuthService.verifyEmail).toHaveBeenCalledWith('user@test.com', '000000', expect.any(Object));
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
+        });
+    });
+
+    describe('resendVerificationToken', () => {
+        it('should resend verification token successfully', async () => {
+            req.body = { email: 'user@test.com' };
+            UserAuthService.resendVerificationToken.mockResolvedValue();
+
+            await UserAuthController.resendVerificationToken(req, res);
+
+            expect(UserAuthService.resendVerificationToken).toHaveBeenCalledWith('user@test.com');
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'New verification PIN has been sent to your email');
+        });
+
+        it('should return error when email is missing', async () => {
+            req.body = {};
+
+            await UserAuthController.resendVerificationToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email is required', 400);
+            expect(UserAuthService.resendVerificationToken).not.toHaveBeenCalled();
+        });
+
+        it('should handle service errors', async () => {
+            req.body = { email: 'nonexistent@test.com' };
+            const errorMessage = 'User not found with this email';
+            UserAuthService.resendVerificationToken.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.resendVerificationToken(req, res);
+
+            expect(UserAuthService.resendVerificationToken).toHaveBeenCalledWith('nonexistent@test.com');
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
+        });
+    });
+
+    describe('forgotPassword', () => {
+        it('should send password reset token successfully', async () => {
+            req.body = { email: 'user@test.com' };
+            UserAuthService.forgotPassword.mockResolvedValue();
+
+            await UserAuthController.forgotPassword(req, res);
+
+            expect(UserAuthService.forgotPassword).toHaveBeenCalledWith('user@test.com');
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Password reset token has been sent to your email');
+        });
+
+        it('should return error when email is missing', async () => {
+            req.body = {};
+
+            await UserAuthController.forgotPassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email is required', 400);
+            expect(UserAuthService.forgotPassword).not.toHaveBeenCalled();
+        });
+
+        it('should handle user not found error', async () => {
+            req.body = { email: 'nonexistent@test.com' };
+            const errorMessage = 'User not found with this email';
+            UserAuthService.forgotPassword.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.forgotPassword(req, res);
+
+            expect(UserAuthService.forgotPassword).toHaveBeenCalledWith('nonexistent@test.com');
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 404);
+        });
+    });
+
+    describe('validateResetToken', () => {
+        it('should validate reset token successfully', async () => {
+            req.body = { email: 'user@test.com', token: 'valid-reset-token' };
+            const mockResult = { valid: true, message: 'Token is valid' };
+            UserAuthService.validateResetToken.mockResolvedValue(mockResult);
+
+            await UserAuthController.validateResetToken(req, res);
+
+            expect(UserAuthService.validateResetToken).toHaveBeenCalledWith('user@test.com', 'valid-reset-token', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Reset token is valid');
+        });
+
+        it('should return error when token is missing', async () => {
+            req.body = {};
+
+            await UserAuthController.validateResetToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email and reset token are required', 400);
+            expect(UserAuthService.validateResetToken).not.toHaveBeenCalled();
+        });
+
+        it('should handle invalid token error', async () => {
+            req.body = { email: 'user@test.com', token: 'invalid-token' };
+            const errorMessage = 'Invalid or expired reset token';
+            UserAuthService.validateResetToken.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.validateResetToken(req, res);
+
+            expect(UserAuthService.validateResetToken).toHaveBeenCalledWith('user@test.com', 'invalid-token', expect.any(Object));
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('should reset password successfully', async () => {
+            req.body = { email: 'user@test.com', token: 'valid-token', newPassword: 'newPassword123' };
+            UserAuthService.resetPassword.mockResolvedValue();
+
+            await UserAuthController.resetPassword(req, res);
+
+            expect(UserAuthService.resetPassword).toHaveBeenCalledWith('user@test.com', 'valid-token', 'newPassword123', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Password has been reset successfully');
+        });
+
+        it('should return error when token is missing', async () => {
+            req.body = { email: 'user@test.com', newPassword: 'newPassword123' };
+
+            await UserAuthController.resetPassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email, token and new password are required', 400);
+            expect(UserAuthService.resetPassword).not.toHaveBeenCalled();
+        });
+
+        it('should return error when new password is missing', async () => {
+            req.body = { email: 'user@test.com', token: 'valid-token' };
+
+            await UserAuthController.resetPassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Email, token and new password are required', 400);
+            expect(UserAuthService.resetPassword).not.toHaveBeenCalled();
+        });
+
+        it('should handle service errors', async () => {
+            req.body = { email: 'user@test.com', token: 'invalid-token', newPassword: 'newPassword123' };
+            const errorMessage = 'Invalid or expired reset token';
+            UserAuthService.resetPassword.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.resetPassword(req, res);
+
+            expect(UserAuthService.resetPassword).toHaveBeenCalledWith('user@test.com', 'invalid-token', 'newPassword123', expect.any(Object));
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
+        });
+    });
+
+    describe('changePassword', () => {
+        it('should change password successfully', async () => {
+            req.user = { id: 'user-id', sid: 'session-id' };
+            req.body = { oldPassword: 'oldPassword123', newPassword: 'newPassword123' };
+            const mockResult = { message: 'Password changed successfully' };
+            UserAuthService.changePassword.mockResolvedValue(mockResult);
+
+            await UserAuthController.changePassword(req, res);
+
+            expect(UserAuthService.changePassword).toHaveBeenCalledWith('user-id', 'oldPassword123', 'newPassword123', 'session-id');
+            expect(successResponse).toHaveBeenCalledWith(res, null, mockResult.message);
+        });
+
+        it('should return error when user is not authenticated', async () => {
+            req.user = null;
+            req.body = { oldPassword: 'oldPassword123', newPassword: 'newPassword123' };
+
+            await UserAuthController.changePassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authentication required', 401);
+            expect(UserAuthService.changePassword).not.toHaveBeenCalled();
+        });
+
+        it('should return error when old password is missing', async () => {
+            req.user = { id: 'user-id' };
+            req.body = { email: 'user@test.com', newPassword: 'newPassword123' };
+
+            await UserAuthController.changePassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Both old and new passwords are required', 400);
+            expect(UserAuthService.changePassword).not.toHaveBeenCalled();
+        });
+
+        it('should return error when new password is missing', async () => {
+            req.user = { id: 'user-id' };
+            req.body = { oldPassword: 'oldPassword123' };
+
+            await UserAuthController.changePassword(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Both old and new passwords are required', 400);
+            expect(UserAuthService.changePassword).not.toHaveBeenCalled();
+        });
+
+        it('should handle incorrect old password error', async () => {
+            req.user = { id: 'user-id' };
+            req.body = { oldPassword: 'wrongPassword', newPassword: 'newPassword123' };
+            const errorMessage = 'Current password is incorrect';
+            UserAuthService.changePassword.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.changePassword(req, res);
+
+            expect(UserAuthService.changePassword).toHaveBeenCalledWith('user-id', 'wrongPassword', 'newPassword123', undefined);
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage, 400);
+        });
+    });
+
+    describe('refreshToken', () => {
+        it('should refresh tokens successfully', async () => {
+            req.body = { refreshToken: 'session-id.secret' };
+            const mockResult = { token: 'new-jwt', refreshToken: 'session-id.newsecret', expiresIn: '15m' };
+            UserAuthService.refreshSession.mockResolvedValue(mockResult);
+
+            await UserAuthController.refreshToken(req, res);
+
+            expect(UserAuthService.refreshSession).toHaveBeenCalledWith('session-id.secret', expect.any(Object));
+            expect(successResponse).toHaveBeenCalledWith(res, mockResult, 'Token refreshed successfully');
+        });
+
+        it('should return error when refresh token is missing', async () => {
+            await UserAuthController.refreshToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Refresh token is required', 400);
+            expect(UserAuthService.refreshSession).not.toHaveBeenCalled();
+        });
+
+        it('should return unauthorized when refresh fails', async () => {
+            req.body = { refreshToken: 'session-id.secret' };
+            UserAuthService.refreshSession.mockRejectedValue(new Error('Session has expired or been revoked'));
+
+            await UserAuthController.refreshToken(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Session has expired or been revoked', 401);
+        });
+    });
+
+    describe('logout', () => {
+        it('should logout successfully', async () => {
+            req.user = { id: 'user-id', sid: 'session-id' };
+            const mockResult = { message: 'Logout successful' };
+            UserAuthService.logoutUser.mockResolvedValue(mockResult);
+
+            await UserAuthController.logout(req, res);
+
+            expect(UserAuthService.logoutUser).toHaveBeenCalledWith('session-id');
+            expect(successResponse).toHaveBeenCalledWith(res, null, mockResult.message);
+        });
+
+        it('should return error when user is not authenticated', async () => {
+            req.user = null;
+
+            await UserAuthController.logout(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Authentication required', 401);
+            expect(UserAuthService.logoutUser).not.toHaveBeenCalled();
+        });
+
+        it('should handle logout errors', async () => {
+            const errorMessage = 'Logout failed';
+            UserAuthService.logoutUser.mockRejectedValue(new Error(errorMessage));
+
+            await UserAuthController.logout(req, res);
+
+            expect(UserAuthService.logoutUser).toHaveBeenCalled();
+            expect(errorResponse).toHaveBeenCalledWith(res, errorMessage);
+        });
+    });
+
+});
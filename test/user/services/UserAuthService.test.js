@@ -0,0 +1,570 @@
+jest.mock('../../../src/utils/emailHandler', () => ({
+    sendEmail: jest.fn().mockResolvedValue(true)
+}));
+
+const bcrypt = require('bcryptjs');
+const { signToken } = require('../../../src/utils/jwtHandler');
+const crypto = require('crypto');
+const UserAuthService = require('../../../src/user/services/UserAuthService');
+const { findUserByEmail, createUser, updatePassword } = require('../../../src/user/data/repositories/userRepository');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const { checkIfUserExists } = require('../../../src/utils/validation');
+const User = require('../../../src/user/data/models/userModel');
+const SessionService = require('../../../src/session/services/SessionService');
+const BruteForceService = require('../../../src/security/services/BruteForceService');
+
+jest.mock('bcryptjs');
+jest.mock('../../../src/utils/jwtHandler');
+jest.mock('crypto');
+jest.mock('../../../src/user/data/repositories/userRepository');
+jest.mock('../../../src/utils/emailHandler');
+jest.mock('../../../src/utils/validation');
+jest.mock('../../../src/user/data/models/userModel');
+jest.mock('../../../src/session/services/SessionService');
+jest.mock('../../../src/security/services/BruteForceService');
+
+describe('UserAuthService', () => {
+    let mockUser;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockUser = {
+            _id: 'user123',
+            firstName: 'John',
+            lastName: 'Doe',
+            email: 'john@example.com',
+            password: 'hashedpassword',
+            role: 'user',
+            isEmailVerified: true,
+            isActive: true,
+            lastLogin: null,
+            createdAt: '2023-01-01',
+            updatedAt: '2023-01-01',
+            save: jest.fn().mockResolvedValue(true),
+            toJSON: jest.fn().mockReturnValue({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john@example.com',
+                role: 'user',
+                isEmailVerified: true,
+                createdAt: '2023-01-01',
+                updatedAt: '2023-01-01'
+            }),
+            createEmailVerificationPin: jest.fn().mockReturnValue('123456'),
+            createPasswordResetToken: jest.fn().mockReturnValue('resettoken123')
+        };
+
+        SessionService.createSession.mockResolvedValue({
+            session: { _id: 'session123' },
+            refreshToken: 'session123.refreshsecret'
+        });
+        SessionService.revokeAllSessions.mockResolvedValue({ revokedCount: 1 });
+        BruteForceService.assertNotLocked.mockResolvedValue();
+        BruteForceService.recordFailure.mockResolvedValue({ accountLocked: false, ipLocked: false, lockedUntil: null });
+
+        global.setImmediate = jest.fn((callback) => callback());
+    });
+
+    afterEach(() => {
+        delete global.setImmediate;
+    });
+
+    describe('authenticateUser', () => {
+        it('should authenticate user successfully', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+            signToken.mockReturnValue('jwt.token.here');
+            sendEmail.mockResolvedValue(true);
+
+            const context = { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' };
+            const result = await UserAuthService.authenticateUser('john@example.com', 'password123', context);
+
+            expect(findUserByEmail).toHaveBeenCalledWith('john@example.com');
+            expect(bcrypt.compare).toHaveBeenCalledWith('password123', 'hashedpassword');
+            expect(SessionService.createSession).toHaveBeenCalledWith('user123', 'User', context);
+            expect(signToken).toHaveBeenCalledWith(
+                { id: 'user123', role: 'user', sid: 'session123' },
+                { expiresIn: '15m' }
+            );
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(result.token).toBe('jwt.token.here');
+            expect(result.refreshToken).toBe('session123.refreshsecret');
+            expect(SessionService.createRevocationToken).toHaveBeenCalledWith('session123');
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'New Login Alert',
+                expect.stringContaining('IP address: 10.0.0.1')
+            );
+            expect(result.user.firstName).toBe('John');
+        });
+
+        it('should throw error if user not found', async () => {
+            findUserByEmail.mockResolvedValue(null);
+
+            await expect(UserAuthService.authenticateUser('wrong@example.com', 'password123'))
+                .rejects.toThrow('Invalid email or password');
+        });
+
+        it('should throw error if email not verified', async () => {
+            mockUser.isEmailVerified = false;
+            findUserByEmail.mockResolvedValue(mockUser);
+
+            await expect(UserAuthService.authenticateUser('john@example.com', 'password123'))
+                .rejects.toThrow('Please verify your email before logging in');
+        });
+
+        it('should throw error if password is incorrect', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
+
+            await expect(UserAuthService.authenticateUser('john@example.com', 'wrongpassword'))
+                .rejects.toThrow('Invalid email or password');
+        });
+
+        it('should throw error if account is deactivated', async () => {
+            mockUser.isActive = false;
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await expect(UserAuthService.authenticateUser('john@example.com', 'password123'))
+                .rejects.toThrow('Your account has been deactivated. Please contact an administrator');
+            expect(SessionService.createSession).not.toHaveBeenCalled();
+        });
+
+        it('should record failed attempts per account and per IP', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
+
+            await expect(UserAuthService.authenticateUser('john@example.com', 'wrongpassword', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid email or password');
+
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('login', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should email the user when their account gets locked', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
+            BruteForceService.recordFailure.mockResolvedValue({
+                accountLocked: true,
+                ipLocked: false,
+                lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+            });
+
+            await expect(UserAuthService.authenticateUser('john@example.com', 'wrongpassword', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid email or password');
+
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'Account Temporarily Locked',
+                expect.stringContaining('too many failed login attempts')
+            );
+        });
+
+        it('should reject locked accounts before checking the password', async () => {
+            BruteForceService.assertNotLocked.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await expect(UserAuthService.authenticateUser('john@example.com', 'password123', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Too many failed attempts. Please try again later');
+            expect(findUserByEmail).not.toHaveBeenCalled();
+            expect(bcrypt.compare).not.toHaveBeenCalled();
+        });
+
+        it('should clear the counters after a successful login', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+            signToken.mockReturnValue('jwt.token.here');
+
+            await UserAuthService.authenticateUser('john@example.com', 'password123', { ipAddress: '10.0.0.1' });
+
+            expect(BruteForceService.recordSuccess).toHaveBeenCalledWith('login', { account: 'john@example.com', ip: '10.0.0.1' });
+            expect(BruteForceService.recordFailure).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createUserAccount', () => {
+        it('should create user account successfully', async () => {
+            checkIfUserExists.mockResolvedValue(true);
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            createUser.mockResolvedValue(mockUser);
+            sendEmail.mockResolvedValue(true);
+
+            const result = await UserAuthService.createUserAccount('John', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp');
+
+            expect(checkIfUserExists).toHaveBeenCalledWith('john@example.com');
+            expect(bcrypt.hash).toHaveBeenCalledWith('Tr1cky-Harbor-Lamp', 10);
+            expect(createUser).toHaveBeenCalledWith('John', 'Doe', 'john@example.com', 'hashedpassword');
+            expect(mockUser.createEmailVerificationPin).toHaveBeenCalled();
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(sendEmail).toHaveBeenCalledWith(
+                'john@example.com',
+                'Email Verification Required',
+                expect.stringContaining('123456')
+            );
+        });
+
+        it('should throw error for invalid first name', async () => {
+            await expect(UserAuthService.createUserAccount('John123', 'Doe', 'john@example.com', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('First name can only contain letters');
+        });
+
+        it('should throw error for invalid last name', async () => {
+            await expect(UserAuthService.createUserAccount('John', 'Doe123', 'john@example.com', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('Last name can only contain letters');
+        });
+
+        it('should reject passwords containing the account name', async () => {
+            await expect(UserAuthService.createUserAccount('John', 'Doe', 'john@example.com', 'Johnny-B3-Goode'))
+                .rejects.toThrow('Password cannot contain your name or email');
+        });
+
+        it('should reject passwords missing a character class', async () => {
+            await expect(UserAuthService.createUserAccount('John', 'Doe', 'john@example.com', 'tr1cky-harbor-lamp'))
+                .rejects.toThrow('Password must contain at least one uppercase letter');
+        });
+    });
+
+    describe('verifyEmail', () => {
+        it('should verify email successfully', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedpin')
+                })
+            });
+            User.findOne.mockResolvedValue(mockUser);
+            sendEmail.mockResolvedValue(true);
+
+            const result = await UserAuthService.verifyEmail('john@example.com', '123456');
+
+            expect(User.findOne).toHaveBeenCalledWith({
+                email: 'john@example.com',
+                emailVerificationPin: 'hashedpin',
+                emailVerificationExpire: { $gt: expect.any(Number) }
+            });
+            expect(mockUser.isEmailVerified).toBe(true);
+            expect(mockUser.emailVerificationPin).toBeUndefined();
+            expect(mockUser.emailVerificationExpire).toBeUndefined();
+            expect(mockUser.save).toHaveBeenCalled();
+        });
+
+        it('should throw error for invalid PIN length', async () => {
+            await expect(UserAuthService.verifyEmail('john@example.com', '12345'))
+                .rejects.toThrow('Valid 6-digit PIN is required');
+        });
+
+        it('should throw error for invalid or expired PIN', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedpin')
+                })
+            });
+            User.findOne.mockResolvedValue(null);
+            findUserByEmail.mockResolvedValue(mockUser);
+
+            await expect(UserAuthService.verifyEmail('john@example.com', '123456', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid or expired verification PIN');
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('verify_email', { account: 'john@example.com', ip: '10.0.0.1' });
+        });
+    });
+
+    describe('resendVerificationToken', () => {
+        it('should resend verification token successfully', async () => {
+            mockUser.isEmailVerified = false;
+            findUserByEmail.mockResolvedValue(mockUser);
+            sendEmail.mockResolvedValue(true);
+
+            const result = await UserAuthService.resendVerificationToken('john@example.com');
+
+            expect(findUserByEmail).toHaveBeenCalledWith('john@example.com');
+            expect(mockUser.createEmailVerificationPin).toHaveBeenCalled();
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(sendEmail).toHaveBeenCalled();
+            expect(result.message).toBe('New verification PIN sent to email');
+        });
+
+        it('should throw error if user not found', async () => {
+            findUserByEmail.mockResolvedValue(null);
+
+            await expect(UserAuthService.resendVerificationToken('wrong@example.com'))
+                .rejects.toThrow('User not found with this email');
+        });
+
+        it('should throw error if email already verified', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+
+            await expect(UserAuthService.resendVerificationToken('john@example.com'))
+                .rejects.toThrow('Email is already verified');
+        });
+    });
+
+    describe('forgotPassword', () => {
+        it('should send password reset token successfully', async () => {
+            findUserByEmail.mockResolvedValue(mockUser);
+            sendEmail.mockResolvedValue(true);
+
+            const result = await UserAuthService.forgotPassword('john@example.com');
+
+            expect(findUserByEmail).toHaveBeenCalledWith('john@example.com');
+            expect(mockUser.createPasswordResetToken).toHaveBeenCalled();
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(sendEmail).toHaveBeenCalled();
+            expect(result.message).toBe('Password reset token sent to email');
+        });
+
+        it('should throw error if user not found', async () => {
+            findUserByEmail.mockResolvedValue(null);
+
+            await expect(UserAuthService.forgotPassword('wrong@example.com'))
+                .rejects.toThrow('User not found with this email');
+        });
+
+        it('should throw error if email not verified', async () => {
+            mockUser.isEmailVerified = false;
+            findUserByEmail.mockResolvedValue(mockUser);
+
+            await expect(UserAuthService.forgotPassword('john@example.com'))
+                .rejects.toThrow('Please verify your email first');
+        });
+    });
+
+    describe('validateResetToken', () => {
+        it('should validate reset token successfully', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            User.findOne.mockResolvedValue(mockUser);
+
+            const result = await UserAuthService.validateResetToken('john@example.com', 'resettoken123');
+
+            expect(User.findOne).toHaveBeenCalledWith({
+                email: 'john@example.com',
+                resetPasswordToken: 'hashedtoken',
+                resetPasswordExpire: { $gt: expect.any(Number) }
+            });
+            expect(result.valid).toBe(true);
+            expect(result.message).toBe('Token is valid');
+        });
+
+        it('should require the account email', async () => {
+            await expect(UserAuthService.validateResetToken(undefined, 'resettoken123'))
+                .rejects.toThrow('Email is required');
+            expect(User.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should throw error for missing token', async () => {
+            await expect(UserAuthService.validateResetToken('john@example.com', null))
+                .rejects.toThrow('Reset token required');
+        });
+
+        it('should throw error for invalid token', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            User.findOne.mockResolvedValue(null);
+            findUserByEmail.mockResolvedValue(mockUser);
+
+            await expect(UserAuthService.validateResetToken(' John@example.com ', 'invalidtoken', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Invalid or expired reset token');
+            expect(BruteForceService.recordFailure).toHaveBeenCalledWith('password_reset', { account: 'john@example.com', ip: '10.0.0.1' });
+        });
+
+        it('should stop checking reset tokens once the account is locked', async () => {
+            BruteForceService.assertNotLocked.mockRejectedValue(new Error('Too many failed attempts. Please try again later'));
+
+            await expect(UserAuthService.validateResetToken('john@example.com', 'resettoken123', { ipAddress: '10.0.0.1' }))
+                .rejects.toThrow('Too many failed attempts. Please try again later');
+            expect(User.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('should reset password successfully', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            User.findOne.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
+            bcrypt.hash.mockResolvedValue('newhashedpassword');
+            sendEmail.mockResolvedValue(true);
+
+            const result = await UserAuthService.resetPassword('john@example.com', 'resettoken123', 'Tr1cky-Harbor-Lamp');
+
+            expect(User.findOne).toHaveBeenCalledWith({
+                email: 'john@example.com',
+                resetPasswordToken: 'hashedtoken',
+                resetPasswordExpire: { $gt: expect.any(Number) }
+            });
+            expect(bcrypt.hash).toHaveBeenCalledWith('Tr1cky-Harbor-Lamp', 10);
+            expect(mockUser.password).toBe('newhashedpassword');
+            expect(mockUser.passwordHistory).toEqual(['hashedpassword']);
+            expect(mockUser.resetPasswordToken).toBeUndefined();
+            expect(mockUser.resetPasswordExpire).toBeUndefined();
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith('user123', 'password_reset');
+        });
+
+        it('should throw error for missing token', async () => {
+            await expect(UserAuthService.resetPassword('john@example.com', null, 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('Reset token required');
+        });
+
+        it('should throw error for short password', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            User.findOne.mockResolvedValue(mockUser);
+
+            await expect(UserAuthService.resetPassword('john@example.com', 'token', 'Sh0rt!'))
+                .rejects.toThrow('Password must be at least 10 characters long');
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
+
+        it('should reject a password from the history', async () => {
+            crypto.createHash.mockReturnValue({
+                update: jest.fn().mockReturnValue({
+                    digest: jest.fn().mockReturnValue('hashedtoken')
+                })
+            });
+            mockUser.passwordHistory = ['olderhash'];
+            User.findOne.mockResolvedValue(mockUser);
+            bcrypt.compare.mockImplementation(async (password, hash) => hash === 'olderhash');
+
+            await expect(UserAuthService.resetPassword('john@example.com', 'token', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('New password cannot match any of your last 5 passwords');
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('changePassword', () => {
+        it('should change password successfully', async () => {
+            User.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValueOnce(true).mockResolvedValue(false);
+            bcrypt.hash.mockResolvedValue('newhashedpassword');
+            updatePassword.mockResolvedValue(mockUser);
+            sendEmail.mockResolvedValue(true);
+
+            const result = await UserAuthService.changePassword('user123', 'oldpassword', 'Tr1cky-Harbor-Lamp', 'session123');
+
+            expect(User.findById).toHaveBeenCalledWith('user123');
+            expect(bcrypt.compare).toHaveBeenCalledWith('oldpassword', 'hashedpassword');
+            expect(bcrypt.hash).toHaveBeenCalledWith('Tr1cky-Harbor-Lamp', 10);
+            expect(updatePassword).toHaveBeenCalledWith('user123', 'newhashedpassword', ['hashedpassword']);
+            expect(SessionService.revokeAllSessions).toHaveBeenCalledWith('user123', 'password_changed', 'session123');
+            expect(result.message).toBe('Password changed successfully');
+        });
+
+        it('should throw error if user not found', async () => {
+            User.findById.mockResolvedValue(null);
+
+            await expect(UserAuthService.changePassword('wrongid', 'oldpassword', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('User not found');
+        });
+
+        it('should throw error for incorrect old password', async () => {
+            User.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
+
+            await expect(UserAuthService.changePassword('user123', 'wrongpassword', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('Current password is incorrect');
+        });
+
+        it('should enforce the password policy', async () => {
+            User.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await expect(UserAuthService.changePassword('user123', 'oldpassword', 'Password123!'))
+                .rejects.toThrow('Password is too common. Please choose a less predictable password');
+            expect(updatePassword).not.toHaveBeenCalled();
+        });
+
+        it('should reject reusing the current password', async () => {
+            User.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await expect(UserAuthService.changePassword('user123', 'Tr1cky-Harbor-Lamp', 'Tr1cky-Harbor-Lamp'))
+                .rejects.toThrow('New password cannot match any of your last 5 passwords');
+            expect(updatePassword).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('refreshSession', () => {
+        it('should rotate the refresh token and issue a new access token', async () => {
+            SessionService.rotateSession.mockResolvedValue({
+                session: { _id: 'session123', owner: 'user123' },
+                refreshToken: 'session123.newsecret'
+            });
+            User.findById.mockResolvedValue(mockUser);
+            signToken.mockReturnValue('new.jwt.token');
+
+            const result = await UserAuthService.refreshSession('session123.oldsecret');
+
+            expect(SessionService.rotateSession).toHaveBeenCalledWith('session123.oldsecret', 'User', {});
+            expect(User.findById).toHaveBeenCalledWith('user123');
+            expect(signToken).toHaveBeenCalledWith(
+                { id: 'user123', role: 'user', sid: 'session123' },
+                { expiresIn: '15m' }
+            );
+            expect(result).toEqual({
+                token: 'new.jwt.token',
+                refreshToken: 'session123.newsecret',
+                expiresIn: '15m'
+            });
+        });
+
+        it('should throw error for missing refresh token', async () => {
+            await expect(UserAuthService.refreshSession(undefined))
+                .rejects.toThrow('Refresh token is required');
+        });
+
+        it('should revoke the session if the user no longer exists', async () => {
+            SessionService.rotateSession.mockResolvedValue({
+                session: { _id: 'session123', owner: 'user123' },
+                refreshToken: 'session123.newsecret'
+            });
+            User.findById.mockResolvedValue(null);
+
+            await expect(UserAuthService.refreshSession('session123.oldsecret'))
+                .rejects.toThrow('Invalid refresh token');
+            expect(SessionService.revokeSession).toHaveBeenCalledWith('session123', 'user_not_found');
+        });
+
+        it('should refuse to refresh sessions of deactivated accounts', async () => {
+            SessionService.rotateSession.mockResolvedValue({
+                session: { _id: 'session123', owner: 'user123' },
+                refreshToken: 'session123.newsecret'
+            });
+            User.findById.mockResolvedValue({ ...mockUser, isActive: false });
+
+            await expect(UserAuthService.refreshSession('session123.oldsecret'))
+                .rejects.toThrow('Your account has been deactivated. Please contact an administrator');
+            expect(SessionService.revokeSession).toHaveBeenCalledWith('session123', 'account_deactivated');
+        });
+
+        it('should propagate session rotation errors', async () => {
+            SessionService.rotateSession.mockRejectedValue(new Error('Session has expired or been revoked'));
+
+            await expect(UserAuthService.refreshSession('session123.oldsecret'))
+                .rejects.toThrow('Session has expired or been revoked');
+        });
+    });
+
+    describe('logoutUser', () => {
+        it('should revoke the current session and return logout success message', async () => {
+            SessionService.revokeSession.mockResolvedValue({ message: 'Session revoked successfully' });
+
+            const result = await UserAuthService.logoutUser('session123');
+
+            expect(SessionService.revokeSession).toHaveBeenCalledWith('session123', 'logout');
+            expect(result.message).toBe('Logout successful');
+        });
+    });
+});
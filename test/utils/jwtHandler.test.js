@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const HOUR = 60 * 60 * 1000;
+
+// The key ring is cached per module instance, so each test loads the handler against its own config
+const loadHandler = (config) => {
+    let handler;
+    jest.isolateModules(() => {
+        jest.doMock('../../src/config/config', () => ({
+            JWT_SECRET: undefined,
+            JWT_SIGNING_KEYS: undefined,
+            JWT_ACTIVE_KID: undefined,
+            JWT_KEY_GRACE_PERIOD_HOURS: 24,
+            ...config
+        }));
+        handler = require('../../src/utils/jwtHandler');
+    });
+    return handler;
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// jsonwebtoken refuses to sign HS256 with a PEM, so the forged token is assembled by hand
+const signHs256WithSecret = (header, payload, secret) => {
+    const unsigned = `${base64url(header)}.${base64url(payload)}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+};
+
+describe('jwtHandler', () => {
+    const payload = { id: '507f1f77bcf86cd799439011', role: 'admin' };
+    let rsaPrivatePem, rsaPublicPem;
+
+    beforeAll(() => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        rsaPrivatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+        rsaPublicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    });
+
+    describe('key selection', () => {
+        it('should sign with the active key and stamp its kid', () => {
+            const { signToken, verifyToken } = loadHandler({
+                JWT_SIGNING_KEYS: JSON.stringify([
+                    { kid: 'old', alg: 'HS256', secret: 'old-secret' },
+                    { kid: 'rsa-1', alg: 'RS256', privateKey: rsaPrivatePem }
+                ]),
+                JWT_ACTIVE_KID: 'rsa-1'
+            });
+
+            const token = signToken(payload);
+
+            expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: 'rsa-1' });
+            expect(verifyToken(token)).toMatchObject(payload);
+        });
+
+        it('should verify each token with the key named by its kid', () => {
+            const { verifyToken } = loadHandler({
+                JWT_SIGNING_KEYS: JSON.stringify([
+                    { kid: 'rsa-1', alg: 'RS256', privateKey: rsaPrivatePem },
+                    { kid: 'old', alg: 'HS256', secret: 'old-secret' }
+                ])
+            });
+            const token = jwt.sign(payload, 'old-secret', { algorithm: 'HS256', keyid: 'old' });
+
+            expect(verifyToken(token)).toMatchObject(payload);
+        });
+
+        it('should verify tokens without a kid with JWT_SECRET', () => {
+            const { verifyToken } = loadHandler({ JWT_SECRET: 'legacy-secret' });
+            const token = jwt.sign(payload, 'legacy-secret', { algorithm: 'HS256' });
+
+            expect(verifyToken(token)).toMatchObject(payload);
+        });
+
+        it('should reject tokens signed with an unknown kid', () => {
+            const { verifyToken } = loadHandler({ JWT_SECRET: 'legacy-secret' });
+            const token = jwt.sign(payload, 'legacy-secret', { algorithm: 'HS256', keyid: 'missing' });
+
+            expect(() => verifyToken(token)).toThrow('Token signed with an unknown or retired key');
+        });
+
+        it('should refuse a retired key as the active key', () => {
+            const { signToken } = loadHandler({
+                JWT_SIGNING_KEYS: JSON.stringify([
+                    { kid: 'old', alg: 'HS256', secret: 'old-secret', retiredAt: new Date().toISOString() }
+                ])
+            });
+
+            expect(() => signToken(payload)).toThrow('Active JWT key old cannot be retired');
+        });
+    });
+
+    describe('algorithm confusion', () => {
+        it('should reject an HS256 token signed with the RS256 public key', () => {
+            const { verifyToken } = loadHandler({
+                JWT_SIGNING_KEYS: JSON.stringify([{ kid: 'rsa-1', alg: 'RS256', privateKey: rsaPrivatePem }])
+            });
+            const forged = signHs256WithSecret({ alg: 'HS256', typ: 'JWT', kid: 'rsa-1' }, payload, rsaPublicPem);
+
+            expect(() => verifyToken(forged)).toThrow('invalid algorithm');
+        });
+
+        it('should reject unsigned tokens', () => {
+            const { verifyToken } = loadHandler({ JWT_SECRET: 'legacy-secret' });
+            const unsigned = `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.`;
+
+            expect(() => verifyToken(unsigned)).toThrow();
+        });
+    });
+
+    describe('retired keys', () => {
+        const ringWithRetiredKey = (retiredAt) => JSON.stringify([
+            { kid: 'current', alg: 'HS256', secret: 'current-secret' },
+            { kid: 'old', alg: 'HS256', secret: 'old-secret', retiredAt: retiredAt.toISOString() }
+        ]);
+
+        it('should keep verifying a retired key during the grace period', () => {
+            const { verifyToken } = loadHandler({
+                JWT_SIGNING_KEYS: ringWithRetiredKey(new Date(Date.now() - HOUR)),
+                JWT_KEY_GRACE_PERIOD_HOURS: 2
+            });
+            const token = jwt.sign(payload, 'old-secret', { algorithm: 'HS256', keyid: 'old' });
+
+            expect(verifyToken(token)).toMatchObject(payload);
+        });
+
+        it('should reject a retired key once the grace period is over', () => {
+            const { verifyToken } = loadHandler({
+                JWT_SIGNING_KEYS: ringWithRetiredKey(new Date(Date.now() - 3 * HOUR)),
+                JWT_KEY_GRACE_PERIOD_HOURS: 2
+            });
+            const token = jwt.sign(payload, 'old-secret', { algorithm: 'HS256', keyid: 'old' });
+
+            expect(() => verifyToken(token)).toThrow('Token signed with an unknown or retired key');
+        });
+    });
+
+    describe('getJwks', () => {
+        it('should publish only the public half of asymmetric keys', () => {
+            const { getJwks } = loadHandler({
+                JWT_SECRET: 'legacy-secret',
+                JWT_SIGNING_KEYS: JSON.stringify([{ kid: 'rsa-1', alg: 'RS256', privateKey: rsaPrivatePem }])
+            });
+
+            const { keys } = getJwks();
+
+            expect(keys).toHaveLength(1);
+            expect(keys[0]).toMatchObject({ kty: 'RSA', kid: 'rsa-1', alg: 'RS256', use: 'sig' });
+            expect(keys[0]).not.toHaveProperty('d');
+        });
+
+        it('should drop keys whose grace period is over', () => {
+            const { getJwks } = loadHandler({
+                JWT_SIGNING_KEYS: JSON.stringify([
+                    { kid: 'current', alg: 'HS256', secret: 'current-secret' },
+                    { kid: 'rsa-old', alg: 'RS256', publicKey: rsaPublicPem, retiredAt: new Date(Date.now() - 3 * HOUR).toISOString() }
+                ]),
+                JWT_KEY_GRACE_PERIOD_HOURS: 2
+            });
+
+            expect(getJwks()).toEqual({ keys: [] });
+        });
+    });
+});
@@ -0,0 +1,21 @@
+const { getRequestContext } = require('../../src/utils/requestContext');
+
+describe('requestContext', () => {
+    describe('getRequestContext', () => {
+        it('should return the user agent and IP address', () => {
+            const req = { headers: { 'user-agent': 'Mozilla/5.0' }, ip: '203.0.113.7' };
+
+            expect(getRequestContext(req)).toEqual({ userAgent: 'Mozilla/5.0', ipAddress: '203.0.113.7' });
+        });
+
+        it('should fall back when the request carries neither', () => {
+            expect(getRequestContext({ headers: {} })).toEqual({ userAgent: 'Unknown device', ipAddress: 'Unknown IP' });
+        });
+
+        it('should truncate user agents longer than the session model allows', () => {
+            const req = { headers: { 'user-agent': 'a'.repeat(2000) }, ip: '203.0.113.7' };
+
+            expect(getRequestContext(req).userAgent).toHaveLength(500);
+        });
+    });
+});
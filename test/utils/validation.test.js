@@ -0,0 +1,18 @@
+const { isValidObjectId } = require('../../src/utils/validation');
+
+describe('validation', () => {
+    describe('isValidObjectId', () => {
+        it('should validate correct ObjectId', () => {
+            expect(isValidObjectId('507f1f77bcf86cd799439011')).toBe(true);
+        });
+
+        it('should invalidate incorrect ObjectId', () => {
+            expect(isValidObjectId('invalid-id')).toBe(false);
+        });
+
+        it('should invalidate missing IDs', () => {
+            expect(isValidObjectId(undefined)).toBe(false);
+            expect(isValidObjectId(null)).toBe(false);
+        });
+    });
+});
@@ -1,20 +1,20 @@
 const WorkItemController = require('../../../src/workItem/controllers/WorkItemController');
 const WorkItemService = require('../../../src/workItem/services/WorkItemService');
-const { successResponse, errorResponse, notFoundResponse } = require('../../../src/utils/respondHandler');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../../src/utils/respondHandler');
 
 // Mock dependencies
 jest.mock('../../../src/workItem/services/WorkItemService');
 jest.mock('../../../src/utils/respondHandler');
 
 describe('WorkItemController', () => {
-    let mockReq, mockRes;
+    let mockReq, mockRes, adminActor;
 
     beforeEach(() => {
         mockReq = {
             body: {},
             params: {},
             query: {},
-            admin: { id: 'admin123' }
+            admin: { id: 'admin123', role: 'admin' }
         };
         mockRes = {
             status: jest.fn().mockReturnThis(),
@@ -27,6 +27,8 @@ describe('WorkItemController', () => {
 
         jest.spyOn(console, 'error').mockImplementation(() => {});
 
+        adminActor = { id: 'admin123', role: 'admin', model: 'Admin' };
+
 
         successResponse.mockImplementation((res, data, message, statusCode = 200) => ({
             status: statusCode,
@@ -66,7 +68,9 @@ describe('WorkItemController', () => {
 
             expect(WorkItemService.createWorkItem).toHaveBeenCalledWith(
                 mockWorkItemData,
-                'admin123'
+                'admin123',
+                'Admin',
+                { id: 'admin123', role: 'admin', model: 'Admin' }
             );
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
@@ -104,6 +108,56 @@ describe('WorkItemController', () => {
         });
     });
 
+    describe('createSubtask', () => {
+        it('should create a subtask under the work item', async () => {
+            mockReq.params.id = 'parent123';
+            mockReq.body = { title: 'Write tests', description: 'Cover the new endpoints', parentItem: 'ignored' };
+            WorkItemService.createSubtask.mockResolvedValue({ id: 'child123' });
+
+            await WorkItemController.createSubtask(mockReq, mockRes);
+
+            expect(WorkItemService.createSubtask).toHaveBeenCalledWith('parent123', {
+                title: 'Write tests',
+                description: 'Cover the new endpoints',
+                status: undefined,
+                priority: undefined,
+                assignedTo: undefined,
+                tags: undefined,
+                dueDate: undefined
+            }, adminActor);
+            expect(successResponse).toHaveBeenCalledWith(mockRes, { id: 'child123' }, 'Subtask created successfully', 201);
+        });
+
+        it('should return 404 when the parent does not exist', async () => {
+            mockReq.params.id = 'missing';
+            WorkItemService.createSubtask.mockRejectedValue(new Error('Parent work item not found'));
+
+            await WorkItemController.createSubtask(mockReq, mockRes);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(mockRes, 'Work item');
+        });
+    });
+
+    describe('getSubtasks', () => {
+        it('should list the subtasks of a work item', async () => {
+            mockReq.params.id = 'parent123';
+            WorkItemService.getSubtasks.mockResolvedValue([{ id: 'child123' }]);
+
+            await WorkItemController.getSubtasks(mockReq, mockRes);
+
+            expect(WorkItemService.getSubtasks).toHaveBeenCalledWith('parent123', adminActor);
+            expect(successResponse).toHaveBeenCalledWith(mockRes, [{ id: 'child123' }], 'Subtasks retrieved successfully');
+        });
+
+        it('should return 403 when the parent is not visible', async () => {
+            WorkItemService.getSubtasks.mockRejectedValue(new Error('You do not have permission to access this work item'));
+
+            await WorkItemController.getSubtasks(mockReq, mockRes);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(mockRes, 'You do not have permission to access this work item');
+        });
+    });
+
     describe('getWorkItemById', () => {
         it('should retrieve work item by id successfully', async () => {
             const mockWorkItem = { id: 'workitem123', title: 'Test Item' };
@@ -112,7 +166,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.getWorkItemById(mockReq, mockRes);
 
-            expect(WorkItemService.getWorkItemById).toHaveBeenCalledWith('workitem123');
+            expect(WorkItemService.getWorkItemById).toHaveBeenCalledWith('workitem123', adminActor);
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockWorkItem,
@@ -130,6 +184,30 @@ describe('WorkItemController', () => {
             expect(notFoundResponse).toHaveBeenCalledWith(mockRes, 'Work item');
         });
 
+        it('should pass team members through as User actors', async () => {
+            mockReq.params.id = 'workitem123';
+            mockReq.admin = undefined;
+            mockReq.userDetails = { id: 'user123', role: 'user' };
+            WorkItemService.getWorkItemById.mockResolvedValue({ id: 'workitem123' });
+
+            await WorkItemController.getWorkItemById(mockReq, mockRes);
+
+            expect(WorkItemService.getWorkItemById).toHaveBeenCalledWith(
+                'workitem123',
+                { id: 'user123', role: 'user', model: 'User' }
+            );
+        });
+
+        it('should return forbidden when the work item is not visible', async () => {
+            const message = 'You do not have permission to access this work item';
+            mockReq.params.id = 'workitem123';
+            WorkItemService.getWorkItemById.mockRejectedValue(new Error(message));
+
+            await WorkItemController.getWorkItemById(mockReq, mockRes);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(mockRes, message);
+        });
+
         it('should handle other errors', async () => {
             const error = new Error('Database error');
             mockReq.params.id = 'workitem123';
@@ -247,7 +325,8 @@ describe('WorkItemController', () => {
 
             expect(WorkItemService.getAllWorkItems).toHaveBeenCalledWith(
                 expectedFilters,
-                expectedOptions
+                expectedOptions,
+                adminActor
             );
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
@@ -283,7 +362,8 @@ describe('WorkItemController', () => {
 
             expect(WorkItemService.updateWorkItem).toHaveBeenCalledWith(
                 'workitem123',
-                mockUpdateData
+                mockUpdateData,
+                adminActor
             );
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
@@ -292,6 +372,35 @@ describe('WorkItemController', () => {
             );
         });
 
+        it('should pass the impersonator on with the actor', async () => {
+            mockReq.params.id = 'workitem123';
+            mockReq.body = { status: 'completed' };
+            mockReq.user = { id: 'admin123', role: 'admin', impersonatorId: 'superadmin456' };
+            WorkItemService.updateWorkItem.mockResolvedValue({ id: 'workitem123' });
+
+            await WorkItemController.updateWorkItem(mockReq, mockRes);
+
+            expect(WorkItemService.updateWorkItem).toHaveBeenCalledWith(
+                'workitem123',
+                { status: 'completed' },
+                { ...adminActor, impersonatorId: 'superadmin456' }
+            );
+        });
+
+        it('should return 409 when open blockers prevent the status change', async () => {
+            mockReq.params.id = 'workitem123';
+            mockReq.body = { status: 'in_progress' };
+            WorkItemService.updateWorkItem.mockRejectedValue(new Error('Blocked by open work items. Complete or unlink the blockers first'));
+
+            await WorkItemController.updateWorkItem(mockReq, mockRes);
+
+            expect(errorResponse).toHaveBeenCalledWith(
+                mockRes,
+                'Blocked by open work items. Complete or unlink the blockers first',
+                409
+            );
+        });
+
         it('should handle work item not found during update', async () => {
             const error = new Error('Work item not found');
             mockReq.params.id = 'nonexistent';
@@ -327,7 +436,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.deleteWorkItem(mockReq, mockRes);
 
-            expect(WorkItemService.deleteWorkItem).toHaveBeenCalledWith('workitem123');
+            expect(WorkItemService.deleteWorkItem).toHaveBeenCalledWith('workitem123', adminActor);
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockResult,
@@ -354,7 +463,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.permanentlyDeleteWorkItem(mockReq, mockRes);
 
-            expect(WorkItemService.permanentlyDeleteWorkItem).toHaveBeenCalledWith('workitem123');
+            expect(WorkItemService.permanentlyDeleteWorkItem).toHaveBeenCalledWith('workitem123', adminActor);
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockResult,
@@ -381,7 +490,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.restoreWorkItem(mockReq, mockRes);
 
-            expect(WorkItemService.restoreWorkItem).toHaveBeenCalledWith('workitem123');
+            expect(WorkItemService.restoreWorkItem).toHaveBeenCalledWith('workitem123', adminActor);
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockResult,
@@ -408,7 +517,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.getWorkItemsByStatus(mockReq, mockRes);
 
-            expect(WorkItemService.getWorkItemsByStatus).toHaveBeenCalledWith('pending');
+            expect(WorkItemService.getWorkItemsByStatus).toHaveBeenCalledWith('pending', adminActor);
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockResult,
@@ -437,7 +546,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.getMyAssignedWorkItems(mockReq, mockRes);
 
-            expect(WorkItemService.getMyAssignedWorkItems).toHaveBeenCalledWith('admin123');
+            expect(WorkItemService.getMyAssignedWorkItems).toHaveBeenCalledWith({ id: 'admin123', role: 'admin', model: 'Admin' });
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockResult,
@@ -465,7 +574,7 @@ describe('WorkItemController', () => {
 
             await WorkItemController.getMyCreatedWorkItems(mockReq, mockRes);
 
-            expect(WorkItemService.getMyCreatedWorkItems).toHaveBeenCalledWith('admin123');
+            expect(WorkItemService.getMyCreatedWorkItems).toHaveBeenCalledWith({ id: 'admin123', role: 'admin', model: 'Admin' });
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
                 mockResult,
@@ -533,6 +642,15 @@ describe('WorkItemController', () => {
             );
         });
 
+        it('should scope stats to a project', async () => {
+            mockReq.query = { project: 'PLAT' };
+            WorkItemService.getWorkItemStats.mockResolvedValue({ total: 2 });
+
+            await WorkItemController.getWorkItemStats(mockReq, mockRes);
+
+            expect(WorkItemService.getWorkItemStats).toHaveBeenCalledWith({ project: 'PLAT' });
+        });
+
         it('should handle errors', async () => {
             mockReq.query = {};
             WorkItemService.getWorkItemStats.mockRejectedValue(new Error('Service error'));
@@ -575,6 +693,62 @@ describe('WorkItemController', () => {
         });
     });
 
+    describe('getWorkItemHistory', () => {
+        it('should return the history of a work item', async () => {
+            const mockResult = { history: [{ operation: 'created' }], pagination: { total: 1 } };
+            mockReq.params.id = 'workitem123';
+            mockReq.query = { page: '2', limit: '5' };
+            WorkItemService.getWorkItemHistory.mockResolvedValue(mockResult);
+
+            await WorkItemController.getWorkItemHistory(mockReq, mockRes);
+
+            expect(WorkItemService.getWorkItemHistory).toHaveBeenCalledWith('workitem123', adminActor, { page: 2, limit: 5 });
+            expect(successResponse).toHaveBeenCalledWith(mockRes, mockResult, 'Work item history retrieved successfully');
+        });
+
+        it('should return 404 when the work item does not exist', async () => {
+            mockReq.params.id = 'nonexistent';
+            WorkItemService.getWorkItemHistory.mockRejectedValue(new Error('Work item not found'));
+
+            await WorkItemController.getWorkItemHistory(mockReq, mockRes);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(mockRes, 'Work item');
+        });
+
+        it('should return 403 when the work item is not visible', async () => {
+            mockReq.params.id = 'workitem123';
+            WorkItemService.getWorkItemHistory.mockRejectedValue(new Error('You do not have permission to access this work item'));
+
+            await WorkItemController.getWorkItemHistory(mockReq, mockRes);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(mockRes, 'You do not have permission to access this work item');
+        });
+    });
+
+    describe('getHistory', () => {
+        it('should pass actor and date filters to the service', async () => {
+            const mockResult = { history: [], pagination: { total: 0 } };
+            mockReq.query = { actor: 'admin123', from: '2026-01-01', to: '2026-01-31', operation: 'updated' };
+            WorkItemService.getHistory.mockResolvedValue(mockResult);
+
+            await WorkItemController.getHistory(mockReq, mockRes);
+
+            expect(WorkItemService.getHistory).toHaveBeenCalledWith(
+                { actor: 'admin123', from: '2026-01-01', to: '2026-01-31', operation: 'updated' },
+                {}
+            );
+            expect(successResponse).toHaveBeenCalledWith(mockRes, mockResult, 'Work item history retrieved successfully');
+        });
+
+        it('should return 400 for invalid filters', async () => {
+            WorkItemService.getHistory.mockRejectedValue(new Error('Invalid from date'));
+
+            await WorkItemController.getHistory(mockReq, mockRes);
+
+            expect(errorResponse).toHaveBeenCalledWith(mockRes, 'Invalid from date', 400);
+        });
+    });
+
     describe('bulkUpdateWorkItems', () => {
         it('should bulk update work items successfully', async () => {
             const mockBulkData = {
@@ -590,7 +764,8 @@ describe('WorkItemController', () => {
 
             expect(WorkItemService.bulkUpdateWorkItems).toHaveBeenCalledWith(
                 mockBulkData.ids,
-                mockBulkData.updateData
+                mockBulkData.updateData,
+                adminActor
             );
             expect(successResponse).toHaveBeenCalledWith(
                 mockRes,
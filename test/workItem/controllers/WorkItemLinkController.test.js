@@ -0,0 +1,107 @@
+const WorkItemLinkController = require('../../../src/workItem/controllers/WorkItemLinkController');
+const WorkItemLinkService = require('../../../src/workItem/services/WorkItemLinkService');
+const { successResponse, errorResponse, notFoundResponse, forbiddenResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/workItem/services/WorkItemLinkService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('WorkItemLinkController', () => {
+    let req, res;
+    const userActor = { id: 'user123', role: 'user', model: 'User' };
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: { id: 'workitem123' },
+            query: {},
+            userDetails: { id: 'user123', role: 'user' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('listLinks', () => {
+        it('should return the links of the work item', async () => {
+            const links = [{ id: 'link123', type: 'blocked_by' }];
+            WorkItemLinkService.listLinks.mockResolvedValue(links);
+
+            await WorkItemLinkController.listLinks(req, res);
+
+            expect(WorkItemLinkService.listLinks).toHaveBeenCalledWith('workitem123', userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, links, 'Links retrieved successfully');
+        });
+
+        it('should return 403 when the work item is not visible', async () => {
+            WorkItemLinkService.listLinks.mockRejectedValue(new Error('You do not have permission to access this work item'));
+
+            await WorkItemLinkController.listLinks(req, res);
+
+            expect(forbiddenResponse).toHaveBeenCalledWith(res, 'You do not have permission to access this work item');
+        });
+    });
+
+    describe('createLink', () => {
+        it('should create a link', async () => {
+            req.body = { type: 'blocks', targetId: 'other123', extra: true };
+            WorkItemLinkService.createLink.mockResolvedValue({ id: 'link123' });
+
+            await WorkItemLinkController.createLink(req, res);
+
+            expect(WorkItemLinkService.createLink).toHaveBeenCalledWith('workitem123', { type: 'blocks', targetId: 'other123' }, userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, { id: 'link123' }, 'Link created successfully', 201);
+        });
+
+        it('should return 404 for a missing target', async () => {
+            WorkItemLinkService.createLink.mockRejectedValue(new Error('Linked work item not found'));
+
+            await WorkItemLinkController.createLink(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Linked work item');
+        });
+
+        it('should return 409 for an existing link', async () => {
+            WorkItemLinkService.createLink.mockRejectedValue(new Error('These work items are already linked'));
+
+            await WorkItemLinkController.createLink(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'These work items are already linked', 409);
+        });
+
+        it('should return 400 for a circular dependency', async () => {
+            WorkItemLinkService.createLink.mockRejectedValue(new Error('This link would create a circular dependency'));
+
+            await WorkItemLinkController.createLink(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'This link would create a circular dependency', 400);
+        });
+    });
+
+    describe('deleteLink', () => {
+        it('should remove the link', async () => {
+            req.params.linkId = 'link123';
+            WorkItemLinkService.deleteLink.mockResolvedValue({ message: 'Link removed successfully' });
+
+            await WorkItemLinkController.deleteLink(req, res);
+
+            expect(WorkItemLinkService.deleteLink).toHaveBeenCalledWith('workitem123', 'link123', userActor);
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Link removed successfully');
+        });
+
+        it('should return 404 for unknown links', async () => {
+            WorkItemLinkService.deleteLink.mockRejectedValue(new Error('Link not found'));
+
+            await WorkItemLinkController.deleteLink(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Link');
+        });
+    });
+});
@@ -0,0 +1,213 @@
+const WorkItemLinkService = require('../../../src/workItem/services/WorkItemLinkService');
+const WorkItemService = require('../../../src/workItem/services/WorkItemService');
+const {
+    createWorkItemLink,
+    findWorkItemLinkById,
+    findLinksByWorkItem,
+    findLinksBetween,
+    findLinksFrom,
+    deleteWorkItemLink
+} = require('../../../src/workItem/data/repositories/workItemLinkRepository');
+
+jest.mock('../../../src/workItem/data/repositories/workItemLinkRepository');
+jest.mock('../../../src/workItem/services/WorkItemService');
+
+describe('WorkItemLinkService', () => {
+    const itemId = '507f1f77bcf86cd799439011';
+    const otherId = '507f1f77bcf86cd799439022';
+    const thirdId = '507f1f77bcf86cd799439033';
+    const linkId = '507f1f77bcf86cd799439044';
+    const userActor = { id: '507f1f77bcf86cd799439055', role: 'user', model: 'User' };
+
+    const item = { _id: itemId, title: 'Build the UI', status: 'pending', isActive: true };
+    const other = { _id: otherId, key: 'GEN-7', title: 'Ship the API', status: 'in_progress', isActive: true };
+
+    const createMockLink = (overrides = {}) => ({
+        _id: linkId,
+        source: other,
+        target: item,
+        type: 'blocks',
+        createdAt: new Date('2026-01-01T10:00:00Z'),
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        WorkItemService.getWorkItemById.mockImplementation(async (id) => ({ id, isActive: true }));
+        WorkItemService.getModifiableWorkItem.mockImplementation(async (id) => ({ _id: id, isActive: true }));
+        WorkItemService.filterVisibleWorkItems.mockImplementation(async (workItems) => workItems);
+        findLinksBetween.mockResolvedValue([]);
+        findLinksFrom.mockResolvedValue([]);
+        createWorkItemLink.mockImplementation(async (data) => createMockLink({
+            source: data.source === itemId ? item : other,
+            target: data.target === itemId ? item : other,
+            type: data.type
+        }));
+    });
+
+    describe('listLinks', () => {
+        it('should describe each link from the point of view of the item', async () => {
+            findLinksByWorkItem.mockResolvedValue([
+                createMockLink(),
+                createMockLink({ _id: '507f1f77bcf86cd799439066', source: item, target: other, type: 'duplicates' }),
+                createMockLink({ _id: '507f1f77bcf86cd799439077', type: 'relates_to' })
+            ]);
+
+            const result = await WorkItemLinkService.listLinks(itemId, userActor);
+
+            expect(WorkItemService.getWorkItemById).toHaveBeenCalledWith(itemId, userActor);
+            expect(result.map(link => link.type)).toEqual(['blocked_by', 'duplicates', 'relates_to']);
+            expect(result[0]).toEqual({
+                id: linkId,
+                type: 'blocked_by',
+                workItem: { id: otherId, key: 'GEN-7', title: 'Ship the API', status: 'in_progress' },
+                createdAt: new Date('2026-01-01T10:00:00Z')
+            });
+        });
+
+        it('should hide links to deleted items', async () => {
+            findLinksByWorkItem.mockResolvedValue([
+                createMockLink({ source: { ...other, isActive: false } }),
+                createMockLink({ source: null })
+            ]);
+
+            const result = await WorkItemLinkService.listLinks(itemId, userActor);
+
+            expect(result).toEqual([]);
+        });
+
+        it('should hide links to items the actor cannot see', async () => {
+            const hidden = { _id: thirdId, title: 'Secret plan', status: 'pending', isActive: true };
+            findLinksByWorkItem.mockResolvedValue([
+                createMockLink(),
+                createMockLink({ _id: '507f1f77bcf86cd799439066', source: hidden })
+            ]);
+            WorkItemService.filterVisibleWorkItems.mockImplementation(async (workItems) => workItems.filter(workItem => workItem !== hidden));
+
+            const result = await WorkItemLinkService.listLinks(itemId, userActor);
+
+            expect(WorkItemService.filterVisibleWorkItems).toHaveBeenCalledWith([other, hidden], userActor);
+            expect(result.map(link => link.id)).toEqual([linkId]);
+        });
+    });
+
+    describe('createLink', () => {
+        it('should store a blocking link', async () => {
+            const result = await WorkItemLinkService.createLink(itemId, { type: 'blocks', targetId: otherId }, userActor);
+
+            expect(WorkItemService.getModifiableWorkItem).toHaveBeenCalledWith(itemId, userActor);
+            expect(createWorkItemLink).toHaveBeenCalledWith({
+                source: itemId,
+                target: otherId,
+                type: 'blocks',
+                createdBy: userActor.id,
+                creatorModel: 'User'
+            });
+            expect(result.type).toBe('blocks');
+            expect(result.workItem.id).toBe(otherId);
+        });
+
+        it('should store blocked_by as a blocking link in the other direction', async () => {
+            const result = await WorkItemLinkService.createLink(itemId, { type: 'blocked_by', targetId: otherId }, userActor);
+
+            expect(createWorkItemLink).toHaveBeenCalledWith(expect.objectContaining({
+                source: otherId,
+                target: itemId,
+                type: 'blocks'
+            }));
+            expect(result.type).toBe('blocked_by');
+        });
+
+        it('should reject unknown link types', async () => {
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'depends', targetId: otherId }, userActor))
+                .rejects.toThrow('Invalid link type. Must be one of: blocks, relates_to, duplicates, blocked_by, duplicated_by');
+        });
+
+        it('should not link an item to itself', async () => {
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'relates_to', targetId: itemId }, userActor))
+                .rejects.toThrow('A work item cannot be linked to itself');
+        });
+
+        it('should report targets the actor cannot see as missing', async () => {
+            WorkItemService.getWorkItemById.mockImplementation(async (id) => {
+                if (id === otherId) throw new Error('You do not have permission to access this work item');
+                return { id, isActive: true };
+            });
+
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'blocks', targetId: otherId }, userActor))
+                .rejects.toThrow('Linked work item not found');
+            expect(createWorkItemLink).not.toHaveBeenCalled();
+        });
+
+        it('should not link deleted items', async () => {
+            WorkItemService.getModifiableWorkItem.mockResolvedValue({ _id: itemId, isActive: false });
+
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'blocks', targetId: otherId }, userActor))
+                .rejects.toThrow('Cannot link a deleted work item');
+        });
+
+        it('should not let members who neither created nor were assigned the item add blockers', async () => {
+            WorkItemService.getModifiableWorkItem.mockRejectedValue(new Error('You do not have permission to modify this work item'));
+
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'blocked_by', targetId: otherId }, userActor))
+                .rejects.toThrow('You do not have permission to modify this work item');
+            expect(createWorkItemLink).not.toHaveBeenCalled();
+        });
+
+        it('should reject links that already exist', async () => {
+            findLinksBetween.mockResolvedValue([{ source: otherId, target: itemId, type: 'relates_to' }]);
+
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'relates_to', targetId: otherId }, userActor))
+                .rejects.toThrow('These work items are already linked');
+        });
+
+        it('should reject a blocking link that closes a loop', async () => {
+            // other blocks third, third blocks item: item blocking other would be circular
+            findLinksFrom.mockImplementation(async ([id]) => ({
+                [otherId]: [{ source: otherId, target: thirdId }],
+                [thirdId]: [{ source: thirdId, target: itemId }]
+            }[String(id)] || []));
+
+            await expect(WorkItemLinkService.createLink(itemId, { type: 'blocks', targetId: otherId }, userActor))
+                .rejects.toThrow('This link would create a circular dependency');
+            expect(findLinksFrom).toHaveBeenCalledWith([otherId], 'blocks');
+            expect(createWorkItemLink).not.toHaveBeenCalled();
+        });
+
+        it('should allow relates_to links regardless of direction', async () => {
+            findLinksFrom.mockResolvedValue([{ source: otherId, target: itemId }]);
+
+            await WorkItemLinkService.createLink(itemId, { type: 'relates_to', targetId: otherId }, userActor);
+
+            expect(findLinksFrom).not.toHaveBeenCalled();
+            expect(createWorkItemLink).toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteLink', () => {
+        it('should remove a link attached to the item', async () => {
+            findWorkItemLinkById.mockResolvedValue({ _id: linkId, source: otherId, target: itemId });
+
+            const result = await WorkItemLinkService.deleteLink(itemId, linkId, userActor);
+
+            expect(deleteWorkItemLink).toHaveBeenCalledWith(linkId);
+            expect(result).toEqual({ message: 'Link removed successfully' });
+        });
+
+        it('should not remove links of other items', async () => {
+            findWorkItemLinkById.mockResolvedValue({ _id: linkId, source: otherId, target: thirdId });
+
+            await expect(WorkItemLinkService.deleteLink(itemId, linkId, userActor)).rejects.toThrow('Link not found');
+            expect(deleteWorkItemLink).not.toHaveBeenCalled();
+        });
+
+        it('should not let members who neither created nor were assigned the item remove blockers', async () => {
+            WorkItemService.getModifiableWorkItem.mockRejectedValue(new Error('You do not have permission to modify this work item'));
+            findWorkItemLinkById.mockResolvedValue({ _id: linkId, source: otherId, target: itemId });
+
+            await expect(WorkItemLinkService.deleteLink(itemId, linkId, userActor))
+                .rejects.toThrow('You do not have permission to modify this work item');
+            expect(deleteWorkItemLink).not.toHaveBeenCalled();
+        });
+    });
+});
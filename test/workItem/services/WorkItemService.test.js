@@ -2,6 +2,7 @@ const WorkItemService = require('../../../src/workItem/services/WorkItemService'
 const {
     createWorkItem,
     findWorkItemById,
+    findWorkItemByKey,
     findAllWorkItems,
     findWorkItemsByStatus,
     findWorkItemsByAssignee,
@@ -9,20 +10,47 @@ const {
     updateWorkItem,
     deleteWorkItem,
     hardDeleteWorkItem,
-    countWorkItemsByFilters
+    countWorkItemsByFilters,
+    countWorkItemsByStatus,
+    countSubtasksByParent
 } = require('../../../src/workItem/data/repositories/workItemRepository');
+const { createWorkItemHistory, findWorkItemHistory } = require('../../../src/workItem/data/repositories/workItemHistoryRepository');
+const { findBlockersByWorkItems, deleteLinksByWorkItem } = require('../../../src/workItem/data/repositories/workItemLinkRepository');
+const { deleteCommentsByWorkItem } = require('../../../src/comment/data/repositories/commentRepository');
+const { ensureTags } = require('../../../src/tag/data/repositories/tagRepository');
 const WorkItem = require('../../../src/workItem/data/models/workItemModel');
 const Admin = require('../../../src/admin/data/models/adminModel');
+const User = require('../../../src/user/data/models/userModel');
+const { sendEmail } = require('../../../src/utils/emailHandler');
+const { findDefaultWorkflow } = require('../../../src/workflow/data/repositories/workflowRepository');
+const {
+    ensureDefaultProject,
+    incrementItemCounter,
+    findProjectById,
+    findProjectByKey,
+    findProjectIdsByMember
+} = require('../../../src/project/data/repositories/projectRepository');
+const { SUBTASKS, WORKITEM_LINKS } = require('../../../src/config/config');
 
 // Mock all dependencies
 jest.mock('../../../src/workItem/data/repositories/workItemRepository');
+jest.mock('../../../src/workItem/data/repositories/workItemHistoryRepository');
+jest.mock('../../../src/workItem/data/repositories/workItemLinkRepository');
+jest.mock('../../../src/workflow/data/repositories/workflowRepository');
+jest.mock('../../../src/project/data/repositories/projectRepository');
+jest.mock('../../../src/comment/data/repositories/commentRepository');
+jest.mock('../../../src/tag/data/repositories/tagRepository');
 jest.mock('../../../src/workItem/data/models/workItemModel');
 jest.mock('../../../src/admin/data/models/adminModel');
+jest.mock('../../../src/user/data/models/userModel');
+jest.mock('../../../src/utils/emailHandler');
 
 describe('WorkItemService', () => {
+    const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
     let mockAdmin;
     let mockWorkItem;
     let mockWorkItems;
+    let mockProject;
 
     // Helper function to create mock query chain
     const createMockQuery = (resolveValue) => ({
@@ -83,6 +111,16 @@ describe('WorkItemService', () => {
 
         mockWorkItems = [mockWorkItem];
 
+        mockProject = {
+            _id: '64b7f0c2a1b2c3d4e5f60001',
+            key: 'GEN',
+            name: 'General',
+            members: [],
+            isDefault: true
+        };
+        ensureDefaultProject.mockResolvedValue(mockProject);
+        incrementItemCounter.mockResolvedValue(1);
+
         // Mock repository responses
         createWorkItem.mockResolvedValue(mockWorkItem);
         findWorkItemById.mockResolvedValue(mockWorkItem);
@@ -103,6 +141,13 @@ describe('WorkItemService', () => {
         deleteWorkItem.mockResolvedValue(true);
         hardDeleteWorkItem.mockResolvedValue(true);
         countWorkItemsByFilters.mockResolvedValue(1);
+        countSubtasksByParent.mockResolvedValue([]);
+        findBlockersByWorkItems.mockResolvedValue([]);
+        countWorkItemsByStatus.mockResolvedValue([
+            { _id: 'pending', count: 2 },
+            { _id: 'in_progress', count: 1 },
+            { _id: 'completed', count: 1 }
+        ]);
 
         // Mock static methods with proper query chain
         WorkItem.findById.mockImplementation(() => createMockQuery(mockWorkItem));
@@ -121,6 +166,13 @@ describe('WorkItemService', () => {
             select: jest.fn().mockReturnThis(),
             sort: jest.fn().mockResolvedValue([mockAdmin])
         }));
+
+        // Mock User methods - no end-user accounts unless a test provides them
+        User.findOne.mockResolvedValue(null);
+        User.find.mockImplementation(() => ({
+            select: jest.fn().mockReturnThis(),
+            sort: jest.fn().mockResolvedValue([])
+        }));
     });
 
     describe('createWorkItem', () => {
@@ -136,12 +188,14 @@ describe('WorkItemService', () => {
             const result = await WorkItemService.createWorkItem(workItemData, createdById);
 
             expect(createWorkItem).toHaveBeenCalledWith({
+                key: 'GEN-1',
                 title: 'Test Work Item',
                 description: 'This is a test description that is long enough',
                 createdBy: createdById,
                 creatorModel: 'Admin',
                 status: 'pending',
-                priority: 'medium'
+                priority: 'medium',
+                project: mockProject._id
             });
             expect(WorkItem.findById).toHaveBeenCalledWith(mockWorkItem._id);
             expect(result).toHaveProperty('title', 'Test Work Item');
@@ -220,6 +274,36 @@ describe('WorkItemService', () => {
             }));
         });
 
+        it('should assign work items to end-user accounts', async () => {
+            const mockUser = { _id: '507f1f77bcf86cd799439022', firstName: 'Jane', lastName: 'Roe', email: 'jane@example.com', isEmailVerified: true };
+            Admin.findOne.mockResolvedValue(null);
+            User.findOne.mockResolvedValue(mockUser);
+
+            await WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here',
+                assignedTo: 'Jane@example.com'
+            }, '507f1f77bcf86cd799439011');
+
+            expect(User.findOne).toHaveBeenCalledWith({ email: 'jane@example.com' });
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({
+                assignedTo: mockUser._id,
+                assigneeModel: 'User'
+            }));
+        });
+
+        it('should not assign end-user accounts with an unverified email', async () => {
+            Admin.findOne.mockResolvedValue(null);
+            User.findOne.mockResolvedValue({ _id: '507f1f77bcf86cd799439022', email: 'jane@example.com', isEmailVerified: false });
+
+            await expect(WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here',
+                assignedTo: 'jane@example.com'
+            }, '507f1f77bcf86cd799439011')).rejects.toThrow('User with email jane@example.com has not verified their email');
+            expect(createWorkItem).not.toHaveBeenCalled();
+        });
+
         it('should handle due date validation', async () => {
             const workItemData = {
                 title: 'Valid Title',
@@ -234,24 +318,33 @@ describe('WorkItemService', () => {
 
     describe('getWorkItemById', () => {
         it('should return work item by id', async () => {
-            const result = await WorkItemService.getWorkItemById('68e45b40c9a4fb3370ef4df7');
+            const result = await WorkItemService.getWorkItemById('68e45b40c9a4fb3370ef4df7', adminActor);
 
             expect(findWorkItemById).toHaveBeenCalledWith('68e45b40c9a4fb3370ef4df7');
             expect(result).toBeDefined();
             expect(result.title).toBe('Test Work Item');
         });
 
+        it('should not report items in a done status as overdue', async () => {
+            mockWorkItem.toJSON.mockReturnValue({ ...mockWorkItem.toJSON(), status: 'cancelled', completedAt: null, isOverdue: true });
+
+            const result = await WorkItemService.getWorkItemById(mockWorkItem._id, adminActor);
+
+            expect(result.statusCategory).toBe('done');
+            expect(result.isOverdue).toBe(false);
+        });
+
         it('should throw error if work item not found', async () => {
             findWorkItemById.mockResolvedValue(null);
 
-            await expect(WorkItemService.getWorkItemById('nonexistent'))
+            await expect(WorkItemService.getWorkItemById('nonexistent', adminActor))
                 .rejects.toThrow('Work item not found');
         });
     });
 
     describe('getAllWorkItems', () => {
         it('should return all work items with default filters', async () => {
-            const result = await WorkItemService.getAllWorkItems();
+            const result = await WorkItemService.getAllWorkItems({}, {}, adminActor);
 
             expect(findAllWorkItems).toHaveBeenCalledWith(
                 { isActive: true },
@@ -269,7 +362,7 @@ describe('WorkItemService', () => {
                 includeDeleted: true
             };
 
-            await WorkItemService.getAllWorkItems(filters);
+            await WorkItemService.getAllWorkItems(filters, {}, adminActor);
 
             expect(findAllWorkItems).toHaveBeenCalledWith(
                 {
@@ -289,7 +382,7 @@ describe('WorkItemService', () => {
                 assignedTo: 'john.doe@example.com'
             };
 
-            await WorkItemService.getAllWorkItems(filters);
+            await WorkItemService.getAllWorkItems(filters, {}, adminActor);
 
             expect(Admin.findOne).toHaveBeenCalledWith({ email: 'john.doe@example.com' });
         });
@@ -299,7 +392,7 @@ describe('WorkItemService', () => {
                 search: 'important task'
             };
 
-            await WorkItemService.getAllWorkItems(filters);
+            await WorkItemService.getAllWorkItems(filters, {}, adminActor);
 
             expect(findAllWorkItems).toHaveBeenCalledWith(
                 {
@@ -322,7 +415,7 @@ describe('WorkItemService', () => {
                 priority: 'high'
             };
 
-            const result = await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData);
+            const result = await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData, adminActor);
 
             expect(updateWorkItem).toHaveBeenCalled();
             expect(result).toBeDefined();
@@ -331,7 +424,7 @@ describe('WorkItemService', () => {
         it('should set completedAt when status changes to completed', async () => {
             const updateData = { status: 'completed' };
 
-            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData);
+            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData, adminActor);
 
             expect(updateWorkItem).toHaveBeenCalledWith(
                 '68e45b40c9a4fb3370ef4df7',
@@ -346,7 +439,7 @@ describe('WorkItemService', () => {
             mockWorkItem.status = 'completed';
             const updateData = { status: 'in_progress' };
 
-            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData);
+            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData, adminActor);
 
             expect(updateWorkItem).toHaveBeenCalledWith(
                 '68e45b40c9a4fb3370ef4df7',
@@ -362,14 +455,14 @@ describe('WorkItemService', () => {
                 assignedTo: 'invalid-email'
             };
 
-            await expect(WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData))
+            await expect(WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', updateData, adminActor))
                 .rejects.toThrow('assignedTo must be a valid email address');
         });
     });
 
     describe('deleteWorkItem', () => {
         it('should delete work item successfully', async () => {
-            const result = await WorkItemService.deleteWorkItem('68e45b40c9a4fb3370ef4df7');
+            const result = await WorkItemService.deleteWorkItem('68e45b40c9a4fb3370ef4df7', adminActor);
 
             expect(deleteWorkItem).toHaveBeenCalledWith('68e45b40c9a4fb3370ef4df7');
             expect(result).toEqual({ message: 'Work item deleted successfully' });
@@ -378,7 +471,7 @@ describe('WorkItemService', () => {
         it('should throw error if work item not found for deletion', async () => {
             findWorkItemById.mockResolvedValue(null);
 
-            await expect(WorkItemService.deleteWorkItem('nonexistent'))
+            await expect(WorkItemService.deleteWorkItem('nonexistent', adminActor))
                 .rejects.toThrow('Work item not found');
         });
     });
@@ -387,16 +480,17 @@ describe('WorkItemService', () => {
         it('should permanently delete work item', async () => {
             WorkItem.findById.mockImplementation(() => createMockQuery(mockWorkItem));
 
-            const result = await WorkItemService.permanentlyDeleteWorkItem('68e45b40c9a4fb3370ef4df7');
+            const result = await WorkItemService.permanentlyDeleteWorkItem('68e45b40c9a4fb3370ef4df7', adminActor);
 
             expect(hardDeleteWorkItem).toHaveBeenCalledWith('68e45b40c9a4fb3370ef4df7');
+            expect(deleteCommentsByWorkItem).toHaveBeenCalledWith('68e45b40c9a4fb3370ef4df7');
             expect(result).toEqual({ message: 'Work item permanently deleted successfully' });
         });
 
         it('should throw error if work item not found for permanent deletion', async () => {
             WorkItem.findById.mockImplementation(() => createMockQuery(null));
 
-            await expect(WorkItemService.permanentlyDeleteWorkItem('nonexistent'))
+            await expect(WorkItemService.permanentlyDeleteWorkItem('nonexistent', adminActor))
                 .rejects.toThrow('Work item not found');
         });
     });
@@ -411,7 +505,7 @@ describe('WorkItemService', () => {
 
             WorkItem.findById.mockImplementation(() => createMockQuery(deletedWorkItem));
 
-            const result = await WorkItemService.restoreWorkItem('68e45b40c9a4fb3370ef4df7');
+            const result = await WorkItemService.restoreWorkItem('68e45b40c9a4fb3370ef4df7', adminActor);
 
             expect(deletedWorkItem.save).toHaveBeenCalled();
             expect(result).toBeDefined();
@@ -420,55 +514,53 @@ describe('WorkItemService', () => {
         it('should throw error if work item not found for restoration', async () => {
             WorkItem.findById.mockImplementation(() => createMockQuery(null));
 
-            await expect(WorkItemService.restoreWorkItem('nonexistent'))
+            await expect(WorkItemService.restoreWorkItem('nonexistent', adminActor))
                 .rejects.toThrow('Deleted work item not found');
         });
 
         it('should throw error if work item is not deleted', async () => {
             WorkItem.findById.mockImplementation(() => createMockQuery(mockWorkItem));
 
-            await expect(WorkItemService.restoreWorkItem('68e45b40c9a4fb3370ef4df7'))
+            await expect(WorkItemService.restoreWorkItem('68e45b40c9a4fb3370ef4df7', adminActor))
                 .rejects.toThrow('Work item is not deleted');
         });
     });
 
     describe('getWorkItemsByStatus', () => {
         it('should return work items by valid status', async () => {
-            const result = await WorkItemService.getWorkItemsByStatus('pending');
+            const result = await WorkItemService.getWorkItemsByStatus('pending', adminActor);
 
             expect(findWorkItemsByStatus).toHaveBeenCalledWith('pending', { limit: 1000 });
             expect(result).toHaveLength(1);
         });
 
         it('should throw error for invalid status', async () => {
-            await expect(WorkItemService.getWorkItemsByStatus('invalid_status'))
+            await expect(WorkItemService.getWorkItemsByStatus('invalid_status', adminActor))
                 .rejects.toThrow('Invalid status. Must be one of: pending, in_progress, completed, cancelled');
         });
     });
 
     describe('getMyAssignedWorkItems', () => {
         it('should return assigned work items for user', async () => {
-            const userId = '507f1f77bcf86cd799439011';
-            const result = await WorkItemService.getMyAssignedWorkItems(userId);
+            const result = await WorkItemService.getMyAssignedWorkItems(adminActor);
 
-            expect(findWorkItemsByAssignee).toHaveBeenCalledWith(userId, { limit: 1000 });
+            expect(findWorkItemsByAssignee).toHaveBeenCalledWith(adminActor.id, { limit: 1000 });
             expect(result).toHaveLength(1);
         });
     });
 
     describe('getMyCreatedWorkItems', () => {
         it('should return created work items for user', async () => {
-            const userId = '507f1f77bcf86cd799439011';
-            const result = await WorkItemService.getMyCreatedWorkItems(userId);
+            const result = await WorkItemService.getMyCreatedWorkItems(adminActor);
 
-            expect(findWorkItemsByCreator).toHaveBeenCalledWith(userId, { limit: 1000 });
+            expect(findWorkItemsByCreator).toHaveBeenCalledWith(adminActor.id, { limit: 1000 });
             expect(result).toHaveLength(1);
         });
     });
 
     describe('getOverdueWorkItems', () => {
         it('should return overdue work items', async () => {
-            const result = await WorkItemService.getOverdueWorkItems();
+            const result = await WorkItemService.getOverdueWorkItems(adminActor);
 
             expect(WorkItem.find).toHaveBeenCalled();
             expect(result).toBeDefined();
@@ -476,18 +568,53 @@ describe('WorkItemService', () => {
     });
 
     describe('getWorkItemStats', () => {
+        afterEach(() => {
+            findDefaultWorkflow.mockResolvedValue(null);
+        });
+
         it('should return work item statistics', async () => {
             const result = await WorkItemService.getWorkItemStats();
 
-            expect(countWorkItemsByFilters).toHaveBeenCalledTimes(5);
+            expect(countWorkItemsByStatus).toHaveBeenCalledWith({ isActive: true });
             expect(result).toEqual({
-                total: 1,
-                pending: 1,
+                total: 4,
+                pending: 2,
                 inProgress: 1,
                 completed: 1,
-                cancelled: 1,
+                cancelled: 0,
+                byStatus: { pending: 2, in_progress: 1, completed: 1, cancelled: 0 },
+                byCategory: { todo: 2, doing: 1, done: 1 },
+                overdue: 1
+            });
+        });
+
+        it('should count the statuses of a custom workflow', async () => {
+            const releaseWorkflow = {
+                name: 'Release',
+                isDefault: true,
+                initialStatus: 'backlog',
+                statuses: [
+                    { key: 'backlog', name: 'Backlog', category: 'todo' },
+                    { key: 'shipped', name: 'Shipped', category: 'done' }
+                ],
+                transitions: []
+            };
+            findDefaultWorkflow.mockResolvedValue({ ...releaseWorkflow, toJSON: () => releaseWorkflow });
+            countWorkItemsByStatus.mockResolvedValue([{ _id: 'backlog', count: 3 }, { _id: 'shipped', count: 2 }, { _id: 'pending', count: 1 }]);
+
+            const result = await WorkItemService.getWorkItemStats();
+
+            expect(result).toEqual({
+                total: 6,
+                pending: 3,
+                inProgress: 0,
+                completed: 2,
+                cancelled: 0,
+                byStatus: { backlog: 3, shipped: 2 },
+                byCategory: { todo: 3, doing: 0, done: 2 },
                 overdue: 1
             });
+            expect(WorkItem.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ status: { $nin: ['shipped'] } }));
         });
 
         it('should filter stats by createdBy email', async () => {
@@ -506,7 +633,7 @@ describe('WorkItemService', () => {
 
             await WorkItemService.getWorkItemStats(filters);
 
-            expect(countWorkItemsByFilters).toHaveBeenCalledWith(
+            expect(countWorkItemsByStatus).toHaveBeenCalledWith(
                 expect.objectContaining({ createdBy: '507f1f77bcf86cd799439011' })
             );
         });
@@ -518,19 +645,38 @@ describe('WorkItemService', () => {
             const result = await WorkItemService.getMyWorkItemStats(userId);
 
             expect(result).toEqual({
-                total: 1,
-                pending: 1,
+                total: 4,
+                pending: 2,
                 inProgress: 1,
                 completed: 1,
-                cancelled: 1,
+                cancelled: 0,
+                byStatus: { pending: 2, in_progress: 1, completed: 1, cancelled: 0 },
+                byCategory: { todo: 2, doing: 1, done: 1 },
                 overdue: 1,
                 assigned: 1,
                 created: 1,
-                completionRate: 100,
-                overdueRate: 100
+                completionRate: 25,
+                overdueRate: 25
             });
         });
 
+        it('should leave cancelled items out of the completion rate', async () => {
+            countWorkItemsByStatus.mockResolvedValueOnce([
+                { _id: 'pending', count: 1 },
+                { _id: 'completed', count: 1 },
+                { _id: 'cancelled', count: 2 }
+            ]);
+
+            const result = await WorkItemService.getMyWorkItemStats('507f1f77bcf86cd799439011');
+
+            expect(result).toEqual(expect.objectContaining({
+                completed: 1,
+                cancelled: 2,
+                byCategory: { todo: 1, doing: 0, done: 3 },
+                completionRate: 25
+            }));
+        });
+
         it('should throw error if user ID is not provided', async () => {
             await expect(WorkItemService.getMyWorkItemStats())
                 .rejects.toThrow('User ID is required');
@@ -545,7 +691,7 @@ describe('WorkItemService', () => {
                 priority: 'high'
             };
 
-            const result = await WorkItemService.bulkUpdateWorkItems(ids, updateData);
+            const result = await WorkItemService.bulkUpdateWorkItems(ids, updateData, adminActor);
 
             expect(WorkItem.updateMany).toHaveBeenCalledWith(
                 { _id: { $in: ids }, isActive: true },
@@ -558,12 +704,12 @@ describe('WorkItemService', () => {
         });
 
         it('should throw error for empty IDs', async () => {
-            await expect(WorkItemService.bulkUpdateWorkItems([], { status: 'completed' }))
+            await expect(WorkItemService.bulkUpdateWorkItems([], { status: 'completed' }, adminActor))
                 .rejects.toThrow('No work item IDs provided');
         });
 
         it('should throw error for no valid update fields', async () => {
-            await expect(WorkItemService.bulkUpdateWorkItems(['id1'], {}))
+            await expect(WorkItemService.bulkUpdateWorkItems(['id1'], {}, adminActor))
                 .rejects.toThrow('No valid update fields provided');
         });
 
@@ -573,7 +719,7 @@ describe('WorkItemService', () => {
                 assignedTo: 'john.doe@example.com'
             };
 
-            await WorkItemService.bulkUpdateWorkItems(ids, updateData);
+            await WorkItemService.bulkUpdateWorkItems(ids, updateData, adminActor);
 
             expect(WorkItem.updateMany).toHaveBeenCalledWith(
                 { _id: { $in: ids }, isActive: true },
@@ -619,6 +765,17 @@ describe('WorkItemService', () => {
             expect(result).toHaveLength(1);
         });
 
+        it('should include verified end-user accounts sorted by name', async () => {
+            User.find.mockImplementation(() => ({
+                sort: jest.fn().mockResolvedValue([{ firstName: 'Alice', lastName: 'Smith', email: 'alice@example.com' }])
+            }));
+
+            const result = await WorkItemService.getAvailableUsers();
+
+            expect(User.find).toHaveBeenCalledWith({ isActive: true, isEmailVerified: true }, 'firstName lastName email');
+            expect(result.map(user => user.email)).toEqual(['alice@example.com', 'john.doe@example.com']);
+        });
+
         it('should handle errors gracefully', async () => {
             Admin.find.mockImplementation(() => {
                 throw new Error('Database error');
@@ -629,47 +786,1388 @@ describe('WorkItemService', () => {
         });
     });
 
-    describe('_formatWorkItem', () => {
-        it('should format work item correctly', () => {
-            const formatted = WorkItemService._formatWorkItem(mockWorkItem);
+    describe('team member access', () => {
+        const outsider = { id: '507f1f77bcf86cd799439033', role: 'user', model: 'User' };
+        let assigneeActor;
 
-            expect(formatted.createdBy).toEqual({
-                firstName: 'John',
-                lastName: 'Doe',
-                email: 'john.doe@example.com',
-                fullName: 'John Doe'
+        beforeEach(() => {
+            const assignee = { ...mockAdmin, _id: '507f1f77bcf86cd799439044' };
+            mockWorkItem.assignedTo = assignee;
+            assigneeActor = { id: '507f1f77bcf86cd799439044', role: 'user', model: 'User' };
+        });
+
+        it('should record team members as creators with the User model', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here'
+            }, outsider.id, 'User');
+
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({
+                createdBy: outsider.id,
+                creatorModel: 'User'
+            }));
+        });
+
+        it('should let assignees read their work items', async () => {
+            const result = await WorkItemService.getWorkItemById('68e45b40c9a4fb3370ef4df7', assigneeActor);
+
+            expect(result.title).toBe('Test Work Item');
+        });
+
+        it('should hide work items from unrelated team members', async () => {
+            await expect(WorkItemService.getWorkItemById('68e45b40c9a4fb3370ef4df7', outsider))
+                .rejects.toThrow('You do not have permission to access this work item');
+        });
+
+        it('should scope listings to created or assigned work items', async () => {
+            await WorkItemService.getAllWorkItems({}, {}, outsider);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                {
+                    isActive: true,
+                    $and: [{ $or: [{ createdBy: outsider.id }, { assignedTo: outsider.id }] }]
+                },
+                expect.any(Object)
+            );
+        });
+
+        it('should scope status listings for team members', async () => {
+            await WorkItemService.getWorkItemsByStatus('pending', outsider);
+
+            expect(findWorkItemsByStatus).not.toHaveBeenCalled();
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                {
+                    status: 'pending',
+                    isActive: true,
+                    $or: [{ createdBy: outsider.id }, { assignedTo: outsider.id }]
+                },
+                { limit: 1000 }
+            );
+        });
+
+        it('should let assignees transition the status', async () => {
+            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', { status: 'in_progress' }, assigneeActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(
+                '68e45b40c9a4fb3370ef4df7',
+                expect.objectContaining({ status: 'in_progress' })
+            );
+        });
+
+        it('should stop assignees from editing other fields', async () => {
+            await expect(WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', { title: 'New title' }, assigneeActor))
+                .rejects.toThrow('You can only update the status of work items assigned to you');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should let creators edit any field', async () => {
+            const creator = { id: mockAdmin._id, role: 'user', model: 'User' };
+
+            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', { title: 'New title' }, creator);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(
+                '68e45b40c9a4fb3370ef4df7',
+                expect.objectContaining({ title: 'New title' })
+            );
+        });
+
+        it('should give super admins unrestricted access', async () => {
+            const superAdmin = { id: '507f1f77bcf86cd799439055', role: 'super_admin', model: 'Admin' };
+
+            await WorkItemService.getAllWorkItems({}, {}, superAdmin);
+            await WorkItemService.updateWorkItem('68e45b40c9a4fb3370ef4df7', { title: 'New title' }, superAdmin);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith({ isActive: true }, expect.any(Object));
+            expect(updateWorkItem).toHaveBeenCalled();
+        });
+
+        it('should only let creators delete their work items', async () => {
+            await expect(WorkItemService.deleteWorkItem('68e45b40c9a4fb3370ef4df7', assigneeActor))
+                .rejects.toThrow('You do not have permission to modify this work item');
+            expect(deleteWorkItem).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('subtasks', () => {
+        const parentId = '68e45b40c9a4fb3370ef4d01';
+        const childId = '68e45b40c9a4fb3370ef4d02';
+        const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+        const outsider = { id: '507f1f77bcf86cd799439033', role: 'user', model: 'User' };
+        const originalPolicies = { ...SUBTASKS };
+        let parentItem, childItem;
+
+        beforeEach(() => {
+            parentItem = { ...mockWorkItem, _id: parentId, parentItem: null };
+            childItem = { ...mockWorkItem, _id: childId, parentItem: parentId };
+            findWorkItemById.mockImplementation(async (id) => ({
+                [mockWorkItem._id]: mockWorkItem,
+                [parentId]: parentItem,
+                [childId]: childItem
+            }[String(id)] || null));
+            countWorkItemsByFilters.mockResolvedValue(0);
+        });
+
+        afterEach(() => {
+            Object.assign(SUBTASKS, originalPolicies);
+            findDefaultWorkflow.mockResolvedValue(null);
+        });
+
+        it('should create subtasks under a visible parent', async () => {
+            await WorkItemService.createSubtask(parentId, {
+                title: 'Child item',
+                description: 'This is a test description that is long enough'
+            }, adminActor);
+
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({ parentItem: parentId }));
+        });
+
+        it('should not create subtasks under items the actor cannot see', async () => {
+            await expect(WorkItemService.createSubtask(parentId, {
+                title: 'Child item',
+                description: 'This is a test description that is long enough'
+            }, outsider)).rejects.toThrow('You do not have permission to access this work item');
+            expect(createWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should not create subtasks under deleted items', async () => {
+            parentItem.isActive = false;
+
+            await expect(WorkItemService.createSubtask(parentId, { title: 'Child item' }, adminActor))
+                .rejects.toThrow('Parent work item not found');
+        });
+
+        it('should list the subtasks a team member can see', async () => {
+            await WorkItemService.getSubtasks(parentId, { id: mockAdmin._id, role: 'user', model: 'User' });
+
+            expect(findAllWorkItems).toHaveBeenCalledWith({
+                parentItem: parentId,
+                isActive: true,
+                $or: [{ createdBy: mockAdmin._id }, { assignedTo: mockAdmin._id }]
+            }, { limit: 1000, sort: 'createdAt' });
+        });
+
+        it('should roll up subtask progress onto the parent', async () => {
+            findWorkItemById.mockResolvedValue(parentItem);
+            countSubtasksByParent.mockResolvedValue([{ _id: parentId, total: 4, completed: 3 }]);
+
+            const result = await WorkItemService.getWorkItemById(parentId, adminActor);
+
+            expect(countSubtasksByParent).toHaveBeenCalledWith([parentId], ['completed', 'cancelled']);
+            expect(result.progress).toEqual({ total: 4, completed: 3, percentage: 75 });
+        });
+
+        it('should report no progress for items without subtasks', async () => {
+            countSubtasksByParent.mockResolvedValue([]);
+
+            const result = await WorkItemService.getAllWorkItems({}, {}, adminActor);
+
+            expect(result.workItems[0].progress).toBeNull();
+        });
+
+        it('should move an item under another parent', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { parentItem: parentId }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, { parentItem: parentId });
+        });
+
+        it('should detach an item from its parent', async () => {
+            await WorkItemService.updateWorkItem(childId, { parentItem: null }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(childId, { parentItem: null });
+        });
+
+        it('should not make an item its own parent', async () => {
+            await expect(WorkItemService.updateWorkItem(parentId, { parentItem: parentId }, adminActor))
+                .rejects.toThrow('A work item cannot be its own parent');
+        });
+
+        it('should not move an item under one of its own subtasks', async () => {
+            const grandchildId = '68e45b40c9a4fb3370ef4d03';
+            findWorkItemById.mockImplementation(async (id) => ({
+                [parentId]: parentItem,
+                [grandchildId]: { ...mockWorkItem, _id: grandchildId, parentItem: childId }
+            }[String(id)] || null));
+            WorkItem.findById.mockImplementation((id) => createMockQuery({ [childId]: childItem, [parentId]: parentItem }[String(id)]));
+
+            await expect(WorkItemService.updateWorkItem(parentId, { parentItem: grandchildId }, adminActor))
+                .rejects.toThrow('A work item cannot be moved under one of its own subtasks');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should block completing parents with open subtasks when configured', async () => {
+            SUBTASKS.onParentComplete = 'block';
+            countWorkItemsByFilters.mockResolvedValue(2);
+
+            await expect(WorkItemService.updateWorkItem(parentId, { status: 'completed' }, adminActor))
+                .rejects.toThrow('Complete or cancel the open subtasks first');
+            expect(countWorkItemsByFilters).toHaveBeenCalledWith({
+                parentItem: { $in: [parentId] },
+                _id: { $nin: [parentId] },
+                isActive: true,
+                status: { $nin: ['completed', 'cancelled'] }
             });
-            expect(formatted._id).toBeUndefined();
-            expect(formatted.createdBy._id).toBeUndefined();
         });
 
-        it('should handle null createdBy and assignedTo', () => {
-            const itemWithoutUsers = {
-                ...mockWorkItem,
-                createdBy: null,
-                assignedTo: null,
-                toJSON: jest.fn().mockReturnValue({
-                    id: '68e45b40c9a4fb3370ef4df7',
-                    title: 'Test Work Item'
-                })
+        it('should complete open subtasks with their parent when configured', async () => {
+            SUBTASKS.onParentComplete = 'cascade';
+            findAllWorkItems
+                .mockResolvedValueOnce({ workItems: [childItem, { ...childItem, _id: '68e45b40c9a4fb3370ef4d04', status: 'cancelled' }] })
+                .mockResolvedValueOnce({ workItems: [] });
+
+            await WorkItemService.updateWorkItem(parentId, { status: 'completed' }, adminActor);
+
+            expect(WorkItem.updateMany).toHaveBeenCalledWith(
+                { _id: { $in: [childId] } },
+                { $set: { status: 'completed', completedAt: expect.any(Date) } }
+            );
+        });
+
+        it('should not cascade completion to subtasks the actor cannot modify', async () => {
+            SUBTASKS.onParentComplete = 'cascade';
+            findAllWorkItems
+                .mockResolvedValueOnce({ workItems: [{ ...childItem, createdBy: outsider.id, assignedTo: null }] })
+                .mockResolvedValueOnce({ workItems: [] });
+
+            await expect(WorkItemService.updateWorkItem(parentId, { status: 'completed' }, { id: mockAdmin._id, role: 'user', model: 'User' }))
+                .rejects.toThrow('You do not have permission to modify every subtask of this work item');
+            expect(WorkItem.updateMany).not.toHaveBeenCalled();
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        describe('with a custom workflow', () => {
+            const releaseWorkflow = {
+                name: 'Release',
+                isDefault: true,
+                initialStatus: 'backlog',
+                statuses: [
+                    { key: 'backlog', name: 'Backlog', category: 'todo' },
+                    { key: 'review', name: 'In Review', category: 'doing' },
+                    { key: 'shipped', name: 'Shipped', category: 'done' }
+                ],
+                transitions: [
+                    { from: '*', to: 'backlog', guards: [] },
+                    { from: 'backlog', to: 'review', guards: [] },
+                    { from: 'review', to: 'shipped', guards: ['no_open_subtasks'] }
+                ]
             };
 
-            const formatted = WorkItemService._formatWorkItem(itemWithoutUsers);
+            beforeEach(() => {
+                SUBTASKS.onParentComplete = 'cascade';
+                findDefaultWorkflow.mockResolvedValue({ ...releaseWorkflow, toJSON: () => releaseWorkflow });
+                parentItem.status = 'review';
+            });
 
-            expect(formatted.createdBy).toBeNull();
-            expect(formatted.assignedTo).toBeNull();
+            it('should apply the workflow transitions to cascaded subtasks', async () => {
+                findAllWorkItems
+                    .mockResolvedValueOnce({ workItems: [{ ...childItem, status: 'backlog' }] })
+                    .mockResolvedValueOnce({ workItems: [] });
+
+                await expect(WorkItemService.updateWorkItem(parentId, { status: 'shipped' }, adminActor))
+                    .rejects.toThrow('Cannot move a work item from "backlog" to "shipped"');
+                expect(WorkItem.updateMany).not.toHaveBeenCalled();
+            });
+
+            it('should not count subtasks closing in the same cascade as open', async () => {
+                const grandchild = { ...childItem, _id: '68e45b40c9a4fb3370ef4d03', parentItem: childId, status: 'review' };
+                findAllWorkItems
+                    .mockResolvedValueOnce({ workItems: [{ ...childItem, status: 'review' }] })
+                    .mockResolvedValueOnce({ workItems: [grandchild] })
+                    .mockResolvedValueOnce({ workItems: [] });
+
+                await WorkItemService.updateWorkItem(parentId, { status: 'shipped' }, adminActor);
+
+                expect(countWorkItemsByFilters).toHaveBeenCalledWith({
+                    parentItem: childId,
+                    _id: { $nin: [parentId, childId, grandchild._id] },
+                    isActive: true,
+                    status: { $nin: ['shipped'] }
+                });
+                expect(WorkItem.updateMany).toHaveBeenCalledWith(
+                    { _id: { $in: [childId, grandchild._id] } },
+                    { $set: { status: 'shipped', completedAt: expect.any(Date) } }
+                );
+            });
+        });
+
+        it('should soft-delete subtasks with their parent by default', async () => {
+            findAllWorkItems
+                .mockResolvedValueOnce({ workItems: [childItem] })
+                .mockResolvedValueOnce({ workItems: [] });
+
+            await WorkItemService.deleteWorkItem(parentId, adminActor);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                { parentItem: { $in: [parentId] }, isActive: true },
+                { limit: 1000, populate: false }
+            );
+            expect(WorkItem.updateMany).toHaveBeenCalledWith({ _id: { $in: [childId] } }, { $set: { isActive: false } });
+            expect(deleteWorkItem).toHaveBeenCalledWith(parentId);
+        });
+
+        it('should not delete subtasks created by someone else along with the parent', async () => {
+            parentItem.createdBy = mockAdmin._id;
+            findAllWorkItems
+                .mockResolvedValueOnce({ workItems: [{ ...childItem, createdBy: outsider.id }] })
+                .mockResolvedValueOnce({ workItems: [] });
+
+            await expect(WorkItemService.deleteWorkItem(parentId, { id: mockAdmin._id, role: 'user', model: 'User' }))
+                .rejects.toThrow('You do not have permission to modify every subtask of this work item');
+            expect(WorkItem.updateMany).not.toHaveBeenCalled();
+            expect(deleteWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should detach subtasks from a deleted parent when configured', async () => {
+            SUBTASKS.onParentDelete = 'orphan';
+            findAllWorkItems.mockResolvedValueOnce({ workItems: [childItem] });
+
+            await WorkItemService.deleteWorkItem(parentId, adminActor);
+
+            expect(WorkItem.updateMany).toHaveBeenCalledWith({ _id: { $in: [childId] } }, { $set: { parentItem: null } });
+        });
+
+        it('should block deleting parents with active subtasks when configured', async () => {
+            SUBTASKS.onParentDelete = 'block';
+            countWorkItemsByFilters.mockResolvedValue(1);
+
+            await expect(WorkItemService.deleteWorkItem(parentId, adminActor)).rejects.toThrow('Delete or move the subtasks first');
+            expect(deleteWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should detach subtasks of permanently deleted items', async () => {
+            await WorkItemService.permanentlyDeleteWorkItem(parentId, adminActor);
+
+            expect(WorkItem.updateMany).toHaveBeenCalledWith({ parentItem: parentId }, { $set: { parentItem: null } });
+        });
+    });
+
+    describe('blockers', () => {
+        const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+        const blockerId = '68e45b40c9a4fb3370ef4d11';
+        const originalEnforcement = WORKITEM_LINKS.enforceBlockers;
+        const blockingLink = (status, isActive = true) => ({
+            target: mockWorkItem._id,
+            source: { _id: blockerId, key: 'GEN-7', title: 'Ship the API', status, isActive }
+        });
+
+        afterEach(() => {
+            WORKITEM_LINKS.enforceBlockers = originalEnforcement;
+            findBlockersByWorkItems.mockResolvedValue([]);
+        });
+
+        it('should list open blockers in blockedBy', async () => {
+            findBlockersByWorkItems.mockResolvedValue([blockingLink('in_progress')]);
+
+            const result = await WorkItemService.getWorkItemById(mockWorkItem._id, adminActor);
+
+            expect(findBlockersByWorkItems).toHaveBeenCalledWith([mockWorkItem._id]);
+            expect(result.blockedBy).toEqual([{ id: blockerId, key: 'GEN-7', title: 'Ship the API', status: 'in_progress' }]);
+        });
+
+        it('should leave resolved and deleted blockers out of blockedBy', async () => {
+            findBlockersByWorkItems.mockResolvedValue([
+                blockingLink('completed'),
+                blockingLink('cancelled'),
+                blockingLink('pending', false)
+            ]);
+
+            const result = await WorkItemService.getAllWorkItems({}, {}, adminActor);
+
+            expect(result.workItems[0].blockedBy).toEqual([]);
+        });
+
+        it('should leave blockers the actor cannot see out of blockedBy', async () => {
+            const teamMember = { id: mockAdmin._id, role: 'user', model: 'User' };
+            findBlockersByWorkItems.mockResolvedValue([
+                blockingLink('in_progress'),
+                {
+                    target: mockWorkItem._id,
+                    source: { _id: '68e45b40c9a4fb3370ef4d12', title: 'Own blocker', status: 'pending', isActive: true, createdBy: mockAdmin._id }
+                }
+            ]);
+
+            const result = await WorkItemService.getWorkItemById(mockWorkItem._id, teamMember);
+
+            expect(result.blockedBy).toEqual([{ id: '68e45b40c9a4fb3370ef4d12', title: 'Own blocker', status: 'pending' }]);
+        });
+
+        it('should let blocked items start when enforcement is off', async () => {
+            WORKITEM_LINKS.enforceBlockers = false;
+            findBlockersByWorkItems.mockResolvedValue([blockingLink('pending')]);
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'in_progress' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalled();
+        });
+
+        it('should not start or complete blocked items when enforcement is on', async () => {
+            WORKITEM_LINKS.enforceBlockers = true;
+            findBlockersByWorkItems.mockResolvedValue([blockingLink('pending')]);
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'in_progress' }, adminActor))
+                .rejects.toThrow('Blocked by open work items. Complete or unlink the blockers first');
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'completed' }, adminActor))
+                .rejects.toThrow('Blocked by open work items. Complete or unlink the blockers first');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should still let blocked items be cancelled or edited', async () => {
+            WORKITEM_LINKS.enforceBlockers = true;
+            findBlockersByWorkItems.mockResolvedValue([blockingLink('pending')]);
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'cancelled', priority: 'high' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, {
+                status: 'cancelled',
+                priority: 'high',
+                completedAt: expect.any(Date)
+            });
+        });
+
+        it('should start items whose blockers are all resolved', async () => {
+            WORKITEM_LINKS.enforceBlockers = true;
+            findBlockersByWorkItems.mockResolvedValue([blockingLink('completed')]);
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'in_progress' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalled();
+        });
+
+        it('should reject bulk updates that would start blocked items', async () => {
+            WORKITEM_LINKS.enforceBlockers = true;
+            const ids = [mockWorkItem._id, '68e4f03a63de8b9947f4811b'];
+            findBlockersByWorkItems.mockResolvedValue([blockingLink('pending')]);
+
+            await expect(WorkItemService.bulkUpdateWorkItems(ids, { status: 'in_progress' }, adminActor))
+                .rejects.toThrow('Blocked by open work items. Complete or unlink the blockers first');
+            expect(findBlockersByWorkItems).toHaveBeenCalledWith([mockWorkItem._id]);
+            expect(WorkItem.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should remove the links of permanently deleted items', async () => {
+            await WorkItemService.permanentlyDeleteWorkItem(mockWorkItem._id, adminActor);
+
+            expect(deleteLinksByWorkItem).toHaveBeenCalledWith(mockWorkItem._id);
         });
     });
 
-    describe('_isValidObjectId', () => {
-        it('should validate correct ObjectId', () => {
-            const validId = '507f1f77bcf86cd799439011';
-            expect(WorkItemService._isValidObjectId(validId)).toBe(true);
+    describe('workflows', () => {
+        const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+        const releaseWorkflow = {
+            name: 'Release',
+            isDefault: true,
+            initialStatus: 'backlog',
+            statuses: [
+                { key: 'backlog', name: 'Backlog', category: 'todo' },
+                { key: 'building', name: 'Building', category: 'doing' },
+                { key: 'review', name: 'In Review', category: 'doing' },
+                { key: 'shipped', name: 'Shipped', category: 'done' }
+            ],
+            transitions: [
+                { from: '*', to: 'backlog', guards: [] },
+                { from: 'backlog', to: 'building', guards: ['assignee_required'] },
+                { from: 'building', to: 'review', guards: ['due_date_required'] },
+                { from: 'review', to: 'shipped', guards: ['no_open_subtasks'] }
+            ]
+        };
+
+        beforeEach(() => {
+            findDefaultWorkflow.mockResolvedValue({ ...releaseWorkflow, toJSON: () => ({ ...releaseWorkflow, id: 'workflow123' }) });
+            mockWorkItem.status = 'backlog';
+            mockWorkItem.toJSON.mockReturnValue({ ...mockWorkItem.toJSON(), status: 'backlog' });
+        });
+
+        afterEach(() => {
+            findDefaultWorkflow.mockResolvedValue(null);
         });
 
-        it('should invalidate incorrect ObjectId', () => {
-            const invalidId = 'invalid-id';
-            expect(WorkItemService._isValidObjectId(invalidId)).toBe(false);
+        it('should start new items in the initial status', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Release notes',
+                description: 'Write the notes for the next release'
+            }, adminActor.id);
+
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({ status: 'backlog' }));
+        });
+
+        it('should reject statuses outside the workflow', async () => {
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'in_progress' }, adminActor))
+                .rejects.toThrow('Invalid status. Must be one of: backlog, building, review, shipped');
+        });
+
+        it('should reject moves without a transition', async () => {
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'shipped' }, adminActor))
+                .rejects.toThrow('Cannot move a work item from "backlog" to "shipped"');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should allow moves with a transition', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'building' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, { status: 'building' });
+        });
+
+        it('should require an assignee when the transition asks for one', async () => {
+            mockWorkItem.assignedTo = null;
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'building' }, adminActor))
+                .rejects.toThrow('Assign the work item before moving it to Building');
+        });
+
+        it('should accept an assignee given in the same update', async () => {
+            mockWorkItem.assignedTo = null;
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'building', assignedTo: 'john.doe@example.com' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, expect.objectContaining({
+                status: 'building',
+                assignedTo: mockAdmin._id
+            }));
+        });
+
+        it('should require a due date when the transition asks for one', async () => {
+            mockWorkItem.status = 'building';
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'review' }, adminActor))
+                .rejects.toThrow('Set a due date before moving the work item to In Review');
+        });
+
+        it('should require subtasks to be done when the transition asks for it', async () => {
+            mockWorkItem.status = 'review';
+            countWorkItemsByFilters.mockResolvedValue(2);
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'shipped' }, adminActor))
+                .rejects.toThrow('Complete or cancel the open subtasks first');
+            expect(countWorkItemsByFilters).toHaveBeenCalledWith({
+                parentItem: mockWorkItem._id,
+                isActive: true,
+                status: { $nin: ['shipped'] }
+            });
+        });
+
+        it('should record completion when an item reaches a done status', async () => {
+            mockWorkItem.status = 'review';
+            countWorkItemsByFilters.mockResolvedValue(0);
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'shipped' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, { status: 'shipped', completedAt: expect.any(Date) });
+        });
+
+        it('should check every item in a bulk update before changing any', async () => {
+            findAllWorkItems.mockResolvedValueOnce({
+                workItems: [mockWorkItem, { ...mockWorkItem, _id: '68e4f03a63de8b9947f4811b', assignedTo: null }]
+            });
+
+            await expect(WorkItemService.bulkUpdateWorkItems([mockWorkItem._id, '68e4f03a63de8b9947f4811b'], { status: 'building' }, adminActor))
+                .rejects.toThrow('Assign the work item before moving it to Building');
+            expect(WorkItem.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should return the status category', async () => {
+            const result = await WorkItemService.getWorkItemById(mockWorkItem._id, adminActor);
+
+            expect(result.statusCategory).toBe('todo');
+        });
+
+        it('should treat the workflow done statuses as closed when listing overdue items', async () => {
+            await WorkItemService.getOverdueWorkItems(adminActor);
+
+            expect(WorkItem.find).toHaveBeenCalledWith(expect.objectContaining({ status: { $nin: ['shipped'] } }));
+        });
+    });
+
+    describe('tags', () => {
+        it('should store normalized tags and add them to the catalog', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'This is a test description that is long enough',
+                tags: [' Backend ', 'urgent', 'backend', '']
+            }, mockAdmin._id);
+
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({ tags: ['backend', 'urgent'] }));
+            expect(ensureTags).toHaveBeenCalledWith(['backend', 'urgent']);
+        });
+
+        it('should reject tags that are not an array of strings', async () => {
+            await expect(WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'This is a test description that is long enough',
+                tags: 'backend'
+            }, mockAdmin._id)).rejects.toThrow('Tags must be an array of strings');
+            expect(createWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should reject tags over the length limit', async () => {
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { tags: ['a'.repeat(31)] }, adminActor))
+                .rejects.toThrow('Tags cannot exceed 30 characters');
+        });
+
+        it('should normalize tags on update and bulk update', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { tags: ['Frontend'] }, adminActor);
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, { tags: ['frontend'] });
+
+            await WorkItemService.bulkUpdateWorkItems([mockWorkItem._id], { tags: ['QA', 'qa'] }, adminActor);
+            expect(WorkItem.updateMany).toHaveBeenCalledWith(
+                { _id: { $in: [mockWorkItem._id] }, isActive: true },
+                { $set: { tags: ['qa'] } }
+            );
+            expect(ensureTags).toHaveBeenCalledWith(['qa']);
+        });
+
+        it('should match tag filters case-insensitively', async () => {
+            await WorkItemService.getAllWorkItems({ tags: ['Backend'] }, {}, adminActor);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                expect.objectContaining({ tags: { $in: ['backend'] } }),
+                expect.any(Object)
+            );
+        });
+    });
+
+    describe('history', () => {
+        const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+        const outsider = { id: '507f1f77bcf86cd799439033', role: 'user', model: 'User' };
+
+        const createHistoryEntry = (overrides = {}) => {
+            const entry = {
+                _id: '507f1f77bcf86cd799439088',
+                workItem: mockWorkItem._id,
+                title: 'Test Work Item',
+                operation: 'updated',
+                actor: mockAdmin,
+                actorModel: 'Admin',
+                changes: [{ field: 'status', from: 'pending', to: 'completed' }],
+                createdAt: new Date('2026-01-01T10:00:00Z'),
+                ...overrides
+            };
+            entry.toJSON = () => {
+                const { toJSON, _id, ...rest } = entry;
+                return { ...rest, id: String(_id) };
+            };
+            return entry;
+        };
+
+        beforeEach(() => {
+            createWorkItemHistory.mockResolvedValue([]);
+            findWorkItemHistory.mockResolvedValue({
+                history: [createHistoryEntry()],
+                pagination: { total: 1, page: 1, pages: 1, limit: 20 }
+            });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        it('should record who created an item and its initial values', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'This is a test description that is long enough'
+            }, adminActor.id);
+
+            expect(createWorkItemHistory).toHaveBeenCalledWith([{
+                workItem: mockWorkItem._id,
+                title: 'Test Work Item',
+                operation: 'created',
+                actor: adminActor.id,
+                actorModel: 'Admin',
+                changes: [
+                    { field: 'title', from: null, to: 'Test Work Item' },
+                    { field: 'description', from: null, to: 'This is a test description that is long enough' },
+                    { field: 'status', from: null, to: 'pending' },
+                    { field: 'priority', from: null, to: 'medium' },
+                    { field: 'project', from: null, to: 'GEN' }
+                ]
+            }]);
+        });
+
+        it('should record field-level before and after values on update', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, {
+                title: 'Test Work Item',
+                status: 'in_progress',
+                assignedTo: 'Jane@Example.com'
+            }, adminActor);
+
+            const [[entry]] = createWorkItemHistory.mock.calls[0];
+            expect(entry.operation).toBe('updated');
+            expect(entry.actor).toBe(adminActor.id);
+            expect(entry.changes).toEqual([
+                { field: 'status', from: 'pending', to: 'in_progress' },
+                { field: 'assignedTo', from: 'john.doe@example.com', to: 'jane@example.com' }
+            ]);
+        });
+
+        it('should record completedAt when an item is completed', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { status: 'completed' }, adminActor);
+
+            const [[entry]] = createWorkItemHistory.mock.calls[0];
+            expect(entry.changes).toContainEqual({ field: 'completedAt', from: null, to: expect.any(String) });
+        });
+
+        it('should not record updates that change nothing', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { priority: 'medium' }, adminActor);
+
+            expect(createWorkItemHistory).not.toHaveBeenCalled();
+        });
+
+        it('should record deletions, restores and permanent deletions', async () => {
+            await WorkItemService.deleteWorkItem(mockWorkItem._id, adminActor);
+            expect(createWorkItemHistory.mock.calls[0][0][0]).toMatchObject({
+                operation: 'deleted',
+                changes: [{ field: 'isActive', from: true, to: false }]
+            });
+
+            const deletedWorkItem = { ...mockWorkItem, isActive: false, save: jest.fn() };
+            WorkItem.findById.mockImplementation(() => createMockQuery(deletedWorkItem));
+            await WorkItemService.restoreWorkItem(mockWorkItem._id, adminActor);
+            expect(createWorkItemHistory.mock.calls[1][0][0]).toMatchObject({
+                operation: 'restored',
+                changes: [{ field: 'isActive', from: false, to: true }]
+            });
+
+            await WorkItemService.permanentlyDeleteWorkItem(mockWorkItem._id, adminActor);
+            expect(createWorkItemHistory.mock.calls[2][0][0]).toMatchObject({
+                workItem: mockWorkItem._id,
+                title: 'Test Work Item',
+                operation: 'permanently_deleted',
+                actor: adminActor.id
+            });
+        });
+
+        it('should record one entry per item changed by a bulk update', async () => {
+            const secondItem = { ...mockWorkItem, _id: '68e45b40c9a4fb3370ef4df8', status: 'completed' };
+            findAllWorkItems.mockResolvedValue({ workItems: [mockWorkItem, secondItem] });
+
+            await WorkItemService.bulkUpdateWorkItems([mockWorkItem._id, secondItem._id], { status: 'completed' }, adminActor);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                { _id: { $in: [mockWorkItem._id, secondItem._id] }, isActive: true },
+                { limit: 2 }
+            );
+            const [entries] = createWorkItemHistory.mock.calls[0];
+            expect(entries).toEqual([expect.objectContaining({
+                workItem: mockWorkItem._id,
+                operation: 'bulk_updated',
+                changes: [
+                    { field: 'status', from: 'pending', to: 'completed' },
+                    { field: 'completedAt', from: null, to: expect.any(String) }
+                ]
+            })]);
+        });
+
+        it('should stamp completedAt only on items a bulk update closes', async () => {
+            const closedItem = { ...mockWorkItem, _id: '68e45b40c9a4fb3370ef4df8', status: 'cancelled' };
+            findAllWorkItems.mockResolvedValue({ workItems: [mockWorkItem, closedItem] });
+
+            await WorkItemService.bulkUpdateWorkItems([mockWorkItem._id, closedItem._id], { status: 'completed' }, adminActor);
+
+            expect(WorkItem.updateMany).toHaveBeenCalledWith({ _id: { $in: [mockWorkItem._id] } }, { $set: { completedAt: expect.any(Date) } });
+        });
+
+        it('should clear completedAt on items a bulk update reopens', async () => {
+            const closedItem = { ...mockWorkItem, _id: '68e45b40c9a4fb3370ef4df8', status: 'completed' };
+            findAllWorkItems.mockResolvedValue({ workItems: [mockWorkItem, closedItem] });
+
+            await WorkItemService.bulkUpdateWorkItems([mockWorkItem._id, closedItem._id], { status: 'pending' }, adminActor);
+
+            expect(WorkItem.updateMany).toHaveBeenCalledWith({ _id: { $in: [closedItem._id] } }, { $set: { completedAt: null } });
+        });
+
+        it('should record tag rewrites made from the tag catalog', async () => {
+            const items = [
+                { _id: mockWorkItem._id, title: 'Test Work Item', tags: ['backend', 'api'] },
+                { _id: '68e45b40c9a4fb3370ef4df8', title: 'Second', tags: ['backend', 'server'] }
+            ];
+
+            await WorkItemService.recordTagChange(items, 'backend', 'server', adminActor);
+
+            const [entries] = createWorkItemHistory.mock.calls[0];
+            expect(entries.map(entry => entry.changes)).toEqual([
+                [{ field: 'tags', from: ['backend', 'api'], to: ['api', 'server'] }],
+                [{ field: 'tags', from: ['backend', 'server'], to: ['server'] }]
+            ]);
+            expect(entries[0]).toMatchObject({ operation: 'bulk_updated', actor: adminActor.id });
+        });
+
+        it('should log history write failures without failing the saved change', async () => {
+            createWorkItemHistory.mockRejectedValue(new Error('Write conflict'));
+
+            await expect(WorkItemService.deleteWorkItem(mockWorkItem._id, adminActor)).resolves.toBeDefined();
+
+            expect(console.error).toHaveBeenCalledWith('Work item history write failed:', {
+                operation: 'deleted',
+                workItemIds: [String(mockWorkItem._id)],
+                error: 'Write conflict'
+            });
+        });
+
+        it('should record the impersonator behind a change', async () => {
+            const impersonatorId = '507f1f77bcf86cd799439099';
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { priority: 'urgent' }, { ...adminActor, impersonatorId });
+
+            const [[entry]] = createWorkItemHistory.mock.calls[0];
+            expect(entry).toMatchObject({ actor: adminActor.id, actorModel: 'Admin', impersonator: impersonatorId });
+        });
+
+        it('should show the impersonator on history entries', async () => {
+            const impersonator = { firstName: 'Jane', lastName: 'Roe', email: 'jane.roe@example.com' };
+            findWorkItemHistory.mockResolvedValue({
+                history: [createHistoryEntry({ impersonator })],
+                pagination: { total: 1, page: 1, pages: 1, limit: 20 }
+            });
+
+            const result = await WorkItemService.getWorkItemHistory(mockWorkItem._id, adminActor);
+
+            expect(result.history[0].impersonator).toEqual({ ...impersonator, fullName: 'Jane Roe' });
+        });
+
+        it('should return the history of a visible work item', async () => {
+            const result = await WorkItemService.getWorkItemHistory(mockWorkItem._id, adminActor, { page: 2, limit: 500 });
+
+            expect(findWorkItemHistory).toHaveBeenCalledWith({ workItem: mockWorkItem._id }, { page: 2, limit: 100 });
+            expect(result.history[0]).toMatchObject({
+                id: '507f1f77bcf86cd799439088',
+                operation: 'updated',
+                actor: { firstName: 'John', lastName: 'Doe', email: 'john.doe@example.com', fullName: 'John Doe' }
+            });
+            expect(result.history[0].actorModel).toBeUndefined();
+        });
+
+        it('should hide the history of work items the actor cannot see', async () => {
+            await expect(WorkItemService.getWorkItemHistory(mockWorkItem._id, outsider))
+                .rejects.toThrow('You do not have permission to access this work item');
+            expect(findWorkItemHistory).not.toHaveBeenCalled();
+        });
+
+        it('should keep history of permanently deleted items for admins only', async () => {
+            findWorkItemById.mockResolvedValue(null);
+
+            await expect(WorkItemService.getWorkItemHistory(mockWorkItem._id, adminActor)).resolves.toHaveProperty('history');
+            await expect(WorkItemService.getWorkItemHistory(mockWorkItem._id, outsider)).rejects.toThrow('Work item not found');
+        });
+
+        it('should report unknown work items as not found', async () => {
+            findWorkItemById.mockResolvedValue(null);
+            findWorkItemHistory.mockResolvedValue({ history: [], pagination: { total: 0 } });
+
+            await expect(WorkItemService.getWorkItemHistory(mockWorkItem._id, adminActor)).rejects.toThrow('Work item not found');
+        });
+
+        it('should filter the global history by actor and date range', async () => {
+            await WorkItemService.getHistory({
+                actor: adminActor.id,
+                from: '2026-01-01',
+                to: '2026-01-31T23:59:59Z',
+                operation: 'deleted'
+            });
+
+            expect(findWorkItemHistory).toHaveBeenCalledWith({
+                actor: adminActor.id,
+                operation: 'deleted',
+                createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-01-31T23:59:59Z') }
+            }, { page: 1, limit: 20 });
+        });
+
+        it('should reject invalid history filters', async () => {
+            await expect(WorkItemService.getHistory({ actor: 'nope' })).rejects.toThrow('Invalid actor ID');
+            await expect(WorkItemService.getHistory({ from: 'yesterday' })).rejects.toThrow('Invalid from date');
+            await expect(WorkItemService.getHistory({ operation: 'renamed' })).rejects.toThrow('Invalid operation');
+        });
+    });
+
+    describe('mentions', () => {
+        const mentionedAdmin = {
+            _id: '507f1f77bcf86cd799439033',
+            firstName: 'Jane',
+            lastName: 'Smith',
+            email: 'jane@example.com'
+        };
+        const otherAdmin = {
+            _id: '507f1f77bcf86cd799439044',
+            firstName: 'Bob',
+            lastName: 'Stone',
+            email: 'bob@example.com'
+        };
+
+        beforeEach(() => {
+            global.setImmediate = jest.fn((callback) => callback());
+            sendEmail.mockResolvedValue(true);
+            Admin.findById.mockResolvedValue(mockAdmin);
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            delete global.setImmediate;
+            console.error.mockRestore();
+        });
+
+        it('should resolve email and name mentions against admins on create', async () => {
+            Admin.find.mockResolvedValue([mentionedAdmin, otherAdmin]);
+
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'Needs review from @jane.smith and @Bob@Example.com please'
+            }, mockAdmin._id);
+
+            const [query, fields] = Admin.find.mock.calls[0];
+            expect(fields).toBe('firstName lastName email');
+            expect(query.isActive).toBe(true);
+            expect(query.$or).toEqual(expect.arrayContaining([
+                { email: { $in: ['bob@example.com'] } },
+                { firstName: /^jane$/i, lastName: /^smith$/i }
+            ]));
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({
+                mentions: [mentionedAdmin._id, otherAdmin._id]
+            }));
+        });
+
+        it('should email mentioned admins', async () => {
+            Admin.find.mockResolvedValue([mentionedAdmin]);
+
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'Needs review from @jane.smith please'
+            }, mockAdmin._id);
+
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sendEmail).toHaveBeenCalledWith(
+                'jane@example.com',
+                'You were mentioned in "Test Work Item"',
+                expect.stringContaining('John Doe mentioned you')
+            );
+        });
+
+        it('should include the work item key in the email', async () => {
+            Admin.find.mockResolvedValue([mentionedAdmin]);
+            mockWorkItem.key = 'GEN-7';
+
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'Needs review from @jane.smith please'
+            }, mockAdmin._id);
+
+            expect(sendEmail).toHaveBeenCalledWith(
+                'jane@example.com',
+                'You were mentioned in GEN-7 "Test Work Item"',
+                expect.stringContaining('mentioned you in the work item GEN-7 "Test Work Item"')
+            );
+        });
+
+        it('should not notify authors who mention themselves', async () => {
+            Admin.find.mockResolvedValue([mockAdmin]);
+
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'Note to self @john.doe, check this'
+            }, mockAdmin._id);
+
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should ignore plain email addresses and unknown handles', async () => {
+            Admin.find.mockResolvedValue([]);
+
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'Contact support@example.com or @nobody.here about it'
+            }, mockAdmin._id);
+
+            expect(Admin.find.mock.calls[0][0].$or).toEqual([{ firstName: /^nobody$/i, lastName: /^here$/i }]);
+            expect(createWorkItem).toHaveBeenCalledWith(expect.not.objectContaining({ mentions: expect.anything() }));
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should not look up admins when the description has no mentions', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Test Work Item',
+                description: 'Nothing to see here at all'
+            }, mockAdmin._id);
+
+            expect(Admin.find).not.toHaveBeenCalled();
+        });
+
+        it('should only notify newly mentioned admins when the description changes', async () => {
+            mockWorkItem.mentions = [mentionedAdmin._id];
+            Admin.find.mockResolvedValue([mentionedAdmin, otherAdmin]);
+
+            await WorkItemService.updateWorkItem(mockWorkItem._id, {
+                description: 'Now @jane.smith and @bob.stone both need to look'
+            }, { id: mockAdmin._id, role: 'admin', model: 'Admin' });
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, expect.objectContaining({
+                mentions: [mentionedAdmin._id, otherAdmin._id]
+            }));
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sendEmail.mock.calls[0][0]).toBe('bob@example.com');
+        });
+
+        it('should leave mentions alone when the description is not updated', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { priority: 'high' }, adminActor);
+
+            expect(Admin.find).not.toHaveBeenCalled();
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, { priority: 'high' });
+        });
+
+        it('should not fail the update when a notification cannot be sent', async () => {
+            Admin.find.mockResolvedValue([otherAdmin]);
+            sendEmail.mockRejectedValue(new Error('SMTP down'));
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, {
+                description: 'Please take a look @bob.stone'
+            }, adminActor)).resolves.toBeDefined();
+            expect(console.error).toHaveBeenCalledWith('Mention notification failed:', expect.any(Object));
+        });
+
+        it('should format mentioned admins like other people on the item', () => {
+            const formatted = WorkItemService._formatWorkItem({ ...mockWorkItem, mentions: [mentionedAdmin] });
+
+            expect(formatted.mentions).toEqual([{
+                firstName: 'Jane',
+                lastName: 'Smith',
+                email: 'jane@example.com',
+                fullName: 'Jane Smith'
+            }]);
+        });
+    });
+
+    describe('_formatWorkItem', () => {
+        it('should format work item correctly', () => {
+            const formatted = WorkItemService._formatWorkItem(mockWorkItem);
+
+            expect(formatted.createdBy).toEqual({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john.doe@example.com',
+                fullName: 'John Doe'
+            });
+            expect(formatted._id).toBeUndefined();
+            expect(formatted.createdBy._id).toBeUndefined();
+        });
+
+        it('should handle null createdBy and assignedTo', () => {
+            const itemWithoutUsers = {
+                ...mockWorkItem,
+                createdBy: null,
+                assignedTo: null,
+                toJSON: jest.fn().mockReturnValue({
+                    id: '68e45b40c9a4fb3370ef4df7',
+                    title: 'Test Work Item'
+                })
+            };
+
+            const formatted = WorkItemService._formatWorkItem(itemWithoutUsers);
+
+            expect(formatted.createdBy).toBeNull();
+            expect(formatted.assignedTo).toBeNull();
+        });
+    });
+
+    describe('missing actors', () => {
+        it('should deny access when no actor is passed', async () => {
+            mockWorkItem.createdBy = { ...mockAdmin, _id: '507f1f77bcf86cd799439066' };
+            mockWorkItem.assignedTo = null;
+
+            await expect(WorkItemService.getWorkItemById(mockWorkItem._id))
+                .rejects.toThrow('You do not have permission to access this work item');
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { priority: 'high' }))
+                .rejects.toThrow('You do not have permission to access this work item');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should not list anything without an actor', async () => {
+            await WorkItemService.getAllWorkItems();
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                { isActive: true, $and: [{ _id: { $in: [] } }] },
+                expect.any(Object)
+            );
+        });
+
+        it('should require the permanent delete and restore permissions', async () => {
+            const teamMember = { id: mockAdmin._id, role: 'user', model: 'User' };
+            mockWorkItem.isActive = false;
+
+            await expect(WorkItemService.permanentlyDeleteWorkItem(mockWorkItem._id))
+                .rejects.toThrow('You do not have permission to modify this work item');
+            await expect(WorkItemService.restoreWorkItem(mockWorkItem._id, teamMember))
+                .rejects.toThrow('You do not have permission to modify this work item');
+            expect(hardDeleteWorkItem).not.toHaveBeenCalled();
+            expect(mockWorkItem.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('API key scopes', () => {
+        const scopedKey = { id: '507f1f77bcf86cd799439077', role: 'admin', model: 'Admin', scopes: ['workitem:read'] };
+
+        beforeEach(() => {
+            mockWorkItem.createdBy = { ...mockAdmin, _id: '507f1f77bcf86cd799439066' };
+            mockWorkItem.assignedTo = null;
+        });
+
+        it('should not give keys the admin-wide access their scopes leave out', async () => {
+            await expect(WorkItemService.getWorkItemById(mockWorkItem._id, scopedKey))
+                .rejects.toThrow('You do not have permission to access this work item');
+        });
+
+        it('should scope listings for keys without workitem:read:any', async () => {
+            await WorkItemService.getAllWorkItems({}, {}, scopedKey);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                {
+                    isActive: true,
+                    $and: [{ $or: [{ createdBy: scopedKey.id }, { assignedTo: scopedKey.id }] }]
+                },
+                expect.any(Object)
+            );
+        });
+
+        it('should not let keys modify items they only gained through the role', async () => {
+            const readAnyKey = { ...scopedKey, scopes: ['workitem:read', 'workitem:read:any', 'workitem:update'] };
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { title: 'Renamed item' }, readAnyKey))
+                .rejects.toThrow('You do not have permission to modify this work item');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should honour the :any scopes a key was granted', async () => {
+            const readAnyKey = { ...scopedKey, scopes: ['workitem:read', 'workitem:read:any'] };
+
+            const result = await WorkItemService.getWorkItemById(mockWorkItem._id, readAnyKey);
+
+            expect(result.title).toBe('Test Work Item');
+        });
+    });
+
+    describe('projects', () => {
+        const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+        const member = { id: '507f1f77bcf86cd799439055', role: 'user', model: 'User' };
+        const outsider = { id: '507f1f77bcf86cd799439033', role: 'user', model: 'User' };
+        let platformProject;
+
+        beforeEach(() => {
+            platformProject = {
+                _id: '64b7f0c2a1b2c3d4e5f60002',
+                key: 'PLAT',
+                name: 'Platform',
+                members: [{ account: member.id, accountModel: 'User' }],
+                isDefault: false
+            };
+            findProjectByKey.mockImplementation(async key => ({ GEN: mockProject, PLAT: platformProject })[key] || null);
+            findProjectById.mockImplementation(async id => (id === platformProject._id ? platformProject : null));
+            mockWorkItem.createdBy = { ...mockAdmin, _id: '507f1f77bcf86cd799439066' };
+            mockWorkItem.assignedTo = null;
+            mockWorkItem.project = platformProject;
+        });
+
+        afterEach(() => {
+            findProjectByKey.mockReset();
+            findProjectById.mockReset();
+            findProjectIdsByMember.mockReset();
+        });
+
+        it('should file new items in the default project', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here'
+            }, adminActor.id, 'Admin', adminActor);
+
+            expect(ensureDefaultProject).toHaveBeenCalledWith({ key: 'GEN', name: 'General' });
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({ project: mockProject._id }));
+        });
+
+        it('should file items in a project given by key', async () => {
+            await WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here',
+                project: 'plat'
+            }, member.id, 'User', member);
+
+            expect(findProjectByKey).toHaveBeenCalledWith('PLAT');
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({ project: platformProject._id }));
+        });
+
+        it('should reject unknown projects', async () => {
+            await expect(WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here',
+                project: 'NOPE'
+            }, member.id, 'User', member)).rejects.toThrow('Project not found');
+        });
+
+        it('should keep team members out of projects they do not belong to', async () => {
+            await expect(WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here',
+                project: 'PLAT'
+            }, outsider.id, 'User', outsider)).rejects.toThrow('You are not a member of this project');
+            expect(createWorkItem).not.toHaveBeenCalled();
+        });
+
+        it('should assign unassigned items to the project default assignee', async () => {
+            platformProject.defaultAssignee = { _id: member.id, email: 'member@example.com' };
+            platformProject.defaultAssigneeModel = 'User';
+
+            await WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here',
+                project: 'PLAT'
+            }, member.id, 'User', member);
+
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({
+                assignedTo: member.id,
+                assigneeModel: 'User'
+            }));
+            const [[entry]] = createWorkItemHistory.mock.calls[0];
+            expect(entry.changes).toContainEqual({ field: 'assignedTo', from: null, to: 'member@example.com' });
+        });
+
+        it('should file subtasks in the parent project', async () => {
+            await WorkItemService.createSubtask(mockWorkItem._id, {
+                title: 'Valid Title',
+                description: 'Valid description length here'
+            }, adminActor);
+
+            expect(findProjectById).toHaveBeenCalledWith(platformProject._id);
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({
+                project: platformProject._id,
+                parentItem: mockWorkItem._id
+            }));
+        });
+
+        it('should let project members read items they neither created nor were assigned', async () => {
+            findProjectIdsByMember.mockResolvedValue([platformProject._id]);
+
+            const result = await WorkItemService.getWorkItemById(mockWorkItem._id, member);
+
+            expect(findProjectIdsByMember).toHaveBeenCalledWith(member.id);
+            expect(result.project).toEqual({ id: platformProject._id, key: 'PLAT', name: 'Platform' });
+        });
+
+        it('should hide project items from non-members', async () => {
+            findProjectIdsByMember.mockResolvedValue([]);
+
+            await expect(WorkItemService.getWorkItemById(mockWorkItem._id, outsider))
+                .rejects.toThrow('You do not have permission to access this work item');
+        });
+
+        it('should not let project members modify items they neither created nor were assigned', async () => {
+            findProjectIdsByMember.mockResolvedValue([platformProject._id]);
+
+            await expect(WorkItemService.getModifiableWorkItem(mockWorkItem._id, member))
+                .rejects.toThrow('You do not have permission to modify this work item');
+        });
+
+        it('should return the item to its assignee for modification', async () => {
+            findProjectIdsByMember.mockResolvedValue([platformProject._id]);
+            mockWorkItem.assignedTo = { _id: member.id };
+
+            const result = await WorkItemService.getModifiableWorkItem(mockWorkItem._id, member);
+
+            expect(result).toBe(mockWorkItem);
+        });
+
+        it('should include member projects when scoping listings', async () => {
+            findProjectIdsByMember.mockResolvedValue([platformProject._id]);
+
+            await WorkItemService.getAllWorkItems({}, {}, member);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                {
+                    isActive: true,
+                    $and: [{
+                        $or: [
+                            { createdBy: member.id },
+                            { assignedTo: member.id },
+                            { project: { $in: [platformProject._id] } }
+                        ]
+                    }]
+                },
+                expect.any(Object)
+            );
+        });
+
+        it('should list the items of one project', async () => {
+            await WorkItemService.getAllWorkItems({ project: 'PLAT' }, {}, adminActor);
+
+            expect(findAllWorkItems).toHaveBeenCalledWith(
+                { isActive: true, project: platformProject._id },
+                expect.any(Object)
+            );
+        });
+
+        it('should scope stats to a project', async () => {
+            await WorkItemService.getWorkItemStats({ project: platformProject._id });
+
+            expect(countWorkItemsByStatus).toHaveBeenCalledWith({ isActive: true, project: platformProject._id });
+        });
+
+        it('should move items between projects and record the project keys', async () => {
+            await WorkItemService.updateWorkItem(mockWorkItem._id, { project: 'GEN' }, adminActor);
+
+            expect(updateWorkItem).toHaveBeenCalledWith(mockWorkItem._id, { project: mockProject._id });
+            const [[entry]] = createWorkItemHistory.mock.calls[0];
+            expect(entry.changes).toEqual([{ field: 'project', from: 'PLAT', to: 'GEN' }]);
+        });
+
+        it('should not move items into projects the actor cannot use', async () => {
+            mockWorkItem.createdBy = { ...mockAdmin, _id: outsider.id };
+            mockWorkItem.project = mockProject;
+
+            await expect(WorkItemService.updateWorkItem(mockWorkItem._id, { project: 'PLAT' }, outsider))
+                .rejects.toThrow('You are not a member of this project');
+            expect(updateWorkItem).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('work item keys', () => {
+        const adminActor = { id: '507f1f77bcf86cd799439011', role: 'admin', model: 'Admin' };
+
+        afterEach(() => {
+            findWorkItemByKey.mockReset();
+        });
+
+        it('should number new items within their project', async () => {
+            incrementItemCounter.mockResolvedValue(124);
+
+            await WorkItemService.createWorkItem({
+                title: 'Valid Title',
+                description: 'Valid description length here'
+            }, adminActor.id);
+
+            expect(incrementItemCounter).toHaveBeenCalledWith(mockProject._id);
+            expect(createWorkItem).toHaveBeenCalledWith(expect.objectContaining({ key: 'GEN-124' }));
+        });
+
+        it('should not use up a number when validation fails', async () => {
+            await expect(WorkItemService.createWorkItem({ title: 'ab', description: 'Valid description length here' }, adminActor.id))
+                .rejects.toThrow('Title must be at least 3 characters long');
+
+            expect(incrementItemCounter).not.toHaveBeenCalled();
+        });
+
+        it('should look items up by key', async () => {
+            findWorkItemByKey.mockResolvedValue(mockWorkItem);
+
+            const result = await WorkItemService.getWorkItemById(' gen-7 ', adminActor);
+
+            expect(findWorkItemByKey).toHaveBeenCalledWith('GEN-7');
+            expect(findWorkItemById).not.toHaveBeenCalled();
+            expect(result.title).toBe('Test Work Item');
+        });
+
+        it('should apply the usual visibility rules to key lookups', async () => {
+            findWorkItemByKey.mockResolvedValue(mockWorkItem);
+
+            await expect(WorkItemService.getWorkItemById('GEN-7', { id: '507f1f77bcf86cd799439033', role: 'user', model: 'User' }))
+                .rejects.toThrow('You do not have permission to access this work item');
+        });
+
+        it('should treat malformed references as not found', async () => {
+            await expect(WorkItemService.getWorkItemById('GEN-', adminActor)).rejects.toThrow('Work item not found');
+
+            expect(findWorkItemByKey).not.toHaveBeenCalled();
         });
     });
 });
@@ -0,0 +1,106 @@
+const WorkflowController = require('../../../src/workflow/controllers/WorkflowController');
+const WorkflowService = require('../../../src/workflow/services/WorkflowService');
+const { successResponse, errorResponse, notFoundResponse } = require('../../../src/utils/respondHandler');
+
+jest.mock('../../../src/workflow/services/WorkflowService');
+jest.mock('../../../src/utils/respondHandler');
+
+describe('WorkflowController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = {
+            body: {},
+            params: {},
+            query: {},
+            userDetails: { id: 'admin123', role: 'admin' }
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('getDefaultWorkflow', () => {
+        it('should return the workflow applied to work items', async () => {
+            WorkflowService.getDefaultWorkflow.mockResolvedValue({ name: 'Default', isBuiltIn: true });
+
+            await WorkflowController.getDefaultWorkflow(req, res);
+
+            expect(successResponse).toHaveBeenCalledWith(res, { name: 'Default', isBuiltIn: true }, 'Default workflow retrieved successfully');
+        });
+    });
+
+    describe('createWorkflow', () => {
+        it('should pass only the workflow definition to the service', async () => {
+            req.body = { name: 'Release', statuses: [], transitions: [], isDefault: true, createdAt: 'ignored' };
+            WorkflowService.createWorkflow.mockResolvedValue({ id: 'workflow123' });
+
+            await WorkflowController.createWorkflow(req, res);
+
+            expect(WorkflowService.createWorkflow).toHaveBeenCalledWith({
+                name: 'Release',
+                description: undefined,
+                statuses: [],
+                initialStatus: undefined,
+                transitions: [],
+                isDefault: true
+            });
+            expect(successResponse).toHaveBeenCalledWith(res, { id: 'workflow123' }, 'Workflow created successfully', 201);
+        });
+
+        it('should return 409 when items use statuses the default would lose', async () => {
+            WorkflowService.createWorkflow.mockRejectedValue(new Error('Work items still use statuses missing from this workflow'));
+
+            await WorkflowController.createWorkflow(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'Work items still use statuses missing from this workflow', 409);
+        });
+
+        it('should return 400 for invalid definitions', async () => {
+            WorkflowService.createWorkflow.mockRejectedValue(new Error('A workflow needs at least one done status'));
+
+            await WorkflowController.createWorkflow(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'A workflow needs at least one done status', 400);
+        });
+    });
+
+    describe('updateWorkflow', () => {
+        it('should return 404 for unknown workflows', async () => {
+            req.params.id = 'missing';
+            WorkflowService.updateWorkflow.mockRejectedValue(new Error('Workflow not found'));
+
+            await WorkflowController.updateWorkflow(req, res);
+
+            expect(notFoundResponse).toHaveBeenCalledWith(res, 'Workflow');
+        });
+    });
+
+    describe('deleteWorkflow', () => {
+        it('should delete the workflow', async () => {
+            req.params.id = 'workflow123';
+            WorkflowService.deleteWorkflow.mockResolvedValue({ message: 'Workflow deleted successfully' });
+
+            await WorkflowController.deleteWorkflow(req, res);
+
+            expect(WorkflowService.deleteWorkflow).toHaveBeenCalledWith('workflow123');
+            expect(successResponse).toHaveBeenCalledWith(res, null, 'Workflow deleted successfully');
+        });
+
+        it('should refuse to delete the default workflow', async () => {
+            WorkflowService.deleteWorkflow.mockRejectedValue(new Error('The default workflow cannot be deleted'));
+
+            await WorkflowController.deleteWorkflow(req, res);
+
+            expect(errorResponse).toHaveBeenCalledWith(res, 'The default workflow cannot be deleted', 400);
+        });
+    });
+});
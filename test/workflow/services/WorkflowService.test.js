@@ -0,0 +1,239 @@
+const WorkflowService = require('../../../src/workflow/services/WorkflowService');
+const {
+    createWorkflow,
+    findWorkflowById,
+    findDefaultWorkflow,
+    findAllWorkflows,
+    updateWorkflow,
+    clearDefaultWorkflow,
+    deleteWorkflow
+} = require('../../../src/workflow/data/repositories/workflowRepository');
+const { countWorkItemsByFilters } = require('../../../src/workItem/data/repositories/workItemRepository');
+const { WORKITEM_LINKS } = require('../../../src/config/config');
+
+jest.mock('../../../src/workflow/data/repositories/workflowRepository');
+jest.mock('../../../src/workItem/data/repositories/workItemRepository');
+
+describe('WorkflowService', () => {
+    const workflowId = '507f1f77bcf86cd799439011';
+
+    const definition = {
+        name: 'Release',
+        statuses: [
+            { key: 'backlog', name: 'Backlog', category: 'todo' },
+            { key: 'building', name: 'Building', category: 'doing' },
+            { key: 'shipped', name: 'Shipped', category: 'done' }
+        ],
+        transitions: [
+            { from: 'backlog', to: 'building', guards: ['assignee_required'] },
+            { from: '*', to: 'shipped' }
+        ]
+    };
+
+    const createMockWorkflow = (overrides = {}) => {
+        const workflow = {
+            _id: workflowId,
+            ...definition,
+            initialStatus: 'backlog',
+            isDefault: false,
+            ...overrides
+        };
+        workflow.toJSON = () => {
+            const { toJSON, _id, ...rest } = workflow;
+            return { ...rest, id: String(_id) };
+        };
+        return workflow;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        countWorkItemsByFilters.mockResolvedValue(0);
+        createWorkflow.mockImplementation(async (data) => createMockWorkflow(data));
+        updateWorkflow.mockImplementation(async (id, data) => createMockWorkflow(data));
+    });
+
+    describe('getDefaultWorkflow', () => {
+        const originalEnforcement = WORKITEM_LINKS.enforceBlockers;
+
+        afterEach(() => {
+            WORKITEM_LINKS.enforceBlockers = originalEnforcement;
+        });
+
+        it('should return the saved default workflow', async () => {
+            findDefaultWorkflow.mockResolvedValue(createMockWorkflow({ isDefault: true }));
+
+            const result = await WorkflowService.getDefaultWorkflow();
+
+            expect(result).toEqual(expect.objectContaining({ id: workflowId, name: 'Release', isBuiltIn: false }));
+        });
+
+        it('should fall back to the built-in workflow where any status can move to any other', async () => {
+            findDefaultWorkflow.mockResolvedValue(null);
+
+            const result = await WorkflowService.getDefaultWorkflow();
+
+            expect(result.isBuiltIn).toBe(true);
+            expect(result.initialStatus).toBe('pending');
+            expect(result.statuses.map(status => status.key)).toEqual(['pending', 'in_progress', 'completed', 'cancelled']);
+            expect(WorkflowService.findTransition(result, 'completed', 'pending')).toEqual({ from: '*', to: 'pending', guards: [] });
+        });
+
+        it('should guard starting and completing blocked items when blocker enforcement is on', async () => {
+            WORKITEM_LINKS.enforceBlockers = true;
+            findDefaultWorkflow.mockResolvedValue(null);
+
+            const result = await WorkflowService.getDefaultWorkflow();
+
+            expect(WorkflowService.findTransition(result, 'pending', 'in_progress').guards).toEqual(['no_open_blockers']);
+            expect(WorkflowService.findTransition(result, 'pending', 'cancelled').guards).toEqual([]);
+        });
+    });
+
+    describe('listWorkflows', () => {
+        it('should return the saved workflows', async () => {
+            findAllWorkflows.mockResolvedValue([createMockWorkflow()]);
+
+            const result = await WorkflowService.listWorkflows();
+
+            expect(result).toHaveLength(1);
+            expect(result[0].id).toBe(workflowId);
+        });
+    });
+
+    describe('createWorkflow', () => {
+        it('should store a validated workflow', async () => {
+            await WorkflowService.createWorkflow({
+                ...definition,
+                name: '  Release  ',
+                statuses: [{ key: 'Backlog', name: ' Backlog ', category: 'todo' }, ...definition.statuses.slice(1)]
+            });
+
+            expect(createWorkflow).toHaveBeenCalledWith({
+                name: 'Release',
+                statuses: definition.statuses,
+                initialStatus: 'backlog',
+                transitions: [
+                    { from: 'backlog', to: 'building', guards: ['assignee_required'] },
+                    { from: '*', to: 'shipped', guards: [] }
+                ],
+                isDefault: false
+            });
+            expect(clearDefaultWorkflow).not.toHaveBeenCalled();
+        });
+
+        it('should keep the cancellation flag on done statuses', async () => {
+            await WorkflowService.createWorkflow({
+                ...definition,
+                statuses: [...definition.statuses, { key: 'dropped', name: 'Dropped', category: 'done', isCancellation: true }]
+            });
+
+            expect(createWorkflow).toHaveBeenCalledWith(expect.objectContaining({
+                statuses: [...definition.statuses, { key: 'dropped', name: 'Dropped', category: 'done', isCancellation: true }]
+            }));
+        });
+
+        it('should make a new default workflow the only default', async () => {
+            await WorkflowService.createWorkflow({ ...definition, isDefault: true });
+
+            expect(countWorkItemsByFilters).toHaveBeenCalledWith({ status: { $nin: ['backlog', 'building', 'shipped'] } });
+            expect(clearDefaultWorkflow).toHaveBeenCalledWith(workflowId);
+        });
+
+        it('should not become the default while items use statuses it lacks', async () => {
+            countWorkItemsByFilters.mockResolvedValue(3);
+
+            await expect(WorkflowService.createWorkflow({ ...definition, isDefault: true }))
+                .rejects.toThrow('Work items still use statuses missing from this workflow');
+            expect(createWorkflow).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            [{ name: '' }, 'Workflow name is required'],
+            [{ statuses: [] }, 'A workflow needs at least one status'],
+            [{ statuses: [{ key: 'to do', name: 'To do', category: 'todo' }] }, 'Invalid status key "to do"'],
+            [{ statuses: [{ key: 'todo', name: 'To do', category: 'later' }] }, 'Invalid category for status "todo"'],
+            [{ statuses: [{ key: 'todo', name: 'To do', category: 'todo' }] }, 'A workflow needs at least one done status'],
+            [{ statuses: [...definition.statuses, { key: 'shipped', name: 'Again', category: 'done' }] }, 'Duplicate status "shipped"'],
+            [{ statuses: [...definition.statuses, { key: 'parked', name: 'Parked', category: 'todo', isCancellation: true }] }, 'Only done statuses can be cancellations'],
+            [{ initialStatus: 'unknown' }, 'Initial status must be one of the workflow statuses'],
+            [{ transitions: [{ from: 'backlog', to: 'review' }] }, 'Transitions can only use the workflow statuses'],
+            [{ transitions: [{ from: 'backlog', to: 'backlog' }] }, 'A status cannot transition to itself'],
+            [{ transitions: [{ from: 'backlog', to: 'shipped', guards: ['approved'] }] }, 'Invalid guard. Must be one of']
+        ])('should reject invalid definitions (%#)', async (overrides, message) => {
+            await expect(WorkflowService.createWorkflow({ ...definition, ...overrides })).rejects.toThrow(message);
+        });
+    });
+
+    describe('updateWorkflow', () => {
+        it('should replace the definition and keep the rest', async () => {
+            findWorkflowById.mockResolvedValue(createMockWorkflow());
+
+            await WorkflowService.updateWorkflow(workflowId, { name: 'Release v2' });
+
+            expect(updateWorkflow).toHaveBeenCalledWith(workflowId, expect.objectContaining({
+                name: 'Release v2',
+                statuses: definition.statuses,
+                isDefault: false
+            }));
+        });
+
+        it('should check statuses in use when changing the default workflow', async () => {
+            findWorkflowById.mockResolvedValue(createMockWorkflow({ isDefault: true }));
+            countWorkItemsByFilters.mockResolvedValue(1);
+
+            await expect(WorkflowService.updateWorkflow(workflowId, {
+                statuses: definition.statuses.slice(1),
+                initialStatus: 'building',
+                transitions: [{ from: 'building', to: 'shipped' }]
+            }))
+                .rejects.toThrow('Work items still use statuses missing from this workflow');
+            expect(updateWorkflow).not.toHaveBeenCalled();
+        });
+
+        it('should not unset the default flag directly', async () => {
+            findWorkflowById.mockResolvedValue(createMockWorkflow({ isDefault: true }));
+
+            await expect(WorkflowService.updateWorkflow(workflowId, { isDefault: false }))
+                .rejects.toThrow('Make another workflow the default instead');
+        });
+
+        it('should report unknown workflows', async () => {
+            findWorkflowById.mockResolvedValue(null);
+
+            await expect(WorkflowService.updateWorkflow(workflowId, { name: 'Release v2' })).rejects.toThrow('Workflow not found');
+        });
+    });
+
+    describe('deleteWorkflow', () => {
+        it('should delete workflows that are not the default', async () => {
+            findWorkflowById.mockResolvedValue(createMockWorkflow());
+
+            const result = await WorkflowService.deleteWorkflow(workflowId);
+
+            expect(deleteWorkflow).toHaveBeenCalledWith(workflowId);
+            expect(result).toEqual({ message: 'Workflow deleted successfully' });
+        });
+
+        it('should keep the default workflow', async () => {
+            findWorkflowById.mockResolvedValue(createMockWorkflow({ isDefault: true }));
+
+            await expect(WorkflowService.deleteWorkflow(workflowId)).rejects.toThrow('The default workflow cannot be deleted');
+            expect(deleteWorkflow).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('findTransition', () => {
+        it('should prefer the transition written for the exact pair', () => {
+            const workflow = {
+                transitions: [
+                    { from: '*', to: 'shipped', guards: [] },
+                    { from: 'building', to: 'shipped', guards: ['no_open_subtasks'] }
+                ]
+            };
+
+            expect(WorkflowService.findTransition(workflow, 'building', 'shipped').guards).toEqual(['no_open_subtasks']);
+            expect(WorkflowService.findTransition(workflow, 'backlog', 'shipped').guards).toEqual([]);
+            expect(WorkflowService.findTransition(workflow, 'shipped', 'backlog')).toBeNull();
+        });
+    });
+});